@@ -1,8 +1,15 @@
-import { Router } from "./router.js";
-import { AppState } from "./lib/app_state.js";
 import { APP_CONFIG } from "./lib/config.js";
-import { AdminApp } from "./ui/admin/app.js";
-import { buildAdminRoutes } from "./ui/admin/routes.js";
+import { loadRuntimeConfig } from "./lib/runtime_config.js";
+
+// As in app.js: merge the deployment's settings before the application modules load.
+await loadRuntimeConfig();
+const { Router } = await import("./router.js");
+const { AppState } = await import("./lib/app_state.js");
+const { isSsoCallback } = await import("./lib/oidc.js");
+const { AdminApp } = await import("./ui/admin/app.js");
+const { ensureAdministrator } = await import("./ui/admin/pages.js");
+const { createRouteGuard } = await import("./ui/utils.js");
+const { buildAdminRoutes } = await import("./ui/admin/routes.js");
 
 const state = new AppState();
 const app = new AdminApp({ state });
@@ -17,6 +24,10 @@ const router = new Router(
   {
     basePath,
     updateLocation: false,
+    beforeEach: createRouteGuard(app, { isAdmin: () => ensureAdministrator(app) }),
+    onGuardError: (error, ctx) => {
+      app.showLocationMessage(`Could not open ${ctx.fullPath}: ${error.message}`, 5000);
+    },
     onRouteChange: (path) => {
       app.updateLocationBar(path);
     },
@@ -24,4 +35,7 @@ const router = new Router(
 );
 
 app.setRouter(router);
-router.start();
+// Resume a saved "keep me signed in" session before the first render.
+await state.restorePersistentSession();
+// The SSO issuer redirects back to the entry page; finish that login first.
+router.start({ initialPath: isSsoCallback(window.location) ? "/oauth/callback" : null });
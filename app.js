@@ -1,8 +1,15 @@
-import { Router } from "./router.js";
-import { AppState } from "./lib/app_state.js";
 import { APP_CONFIG } from "./lib/config.js";
-import { App } from "./ui/app.js";
-import { buildRoutes } from "./ui/routes.js";
+import { loadRuntimeConfig } from "./lib/runtime_config.js";
+
+// Deployment settings must be merged before any module reads APP_CONFIG, so the rest
+// of the application is imported afterwards.
+await loadRuntimeConfig();
+const { Router } = await import("./router.js");
+const { AppState } = await import("./lib/app_state.js");
+const { isSsoCallback } = await import("./lib/oidc.js");
+const { App } = await import("./ui/app.js");
+const { buildRoutes } = await import("./ui/routes.js");
+const { createRouteGuard } = await import("./ui/utils.js");
 
 console.log("[App] Initializing application");
 const state = new AppState();
@@ -16,6 +23,10 @@ const router = new Router(
   {
     basePath: APP_CONFIG.basePath,
     updateLocation: false,
+    beforeEach: createRouteGuard(app),
+    onGuardError: (error, ctx) => {
+      app.showLocationMessage(`Could not open ${ctx.fullPath}: ${error.message}`, 5000);
+    },
     onRouteChange: (path) => {
       app.updateLocationBar(path);
       app.updatePaneNav();
@@ -25,7 +36,10 @@ const router = new Router(
 
 app.setRouter(router);
 console.log("[App] Starting router");
-router.start();
+// Resume a saved "keep me signed in" session before the first render.
+await state.restorePersistentSession();
+// The SSO issuer redirects back to the entry page; finish that login first.
+router.start({ initialPath: isSsoCallback(window.location) ? "/oauth/callback" : null });
 
 // Track navigation events to debug server requests
 window.addEventListener("beforeunload", (e) => {
@@ -6,7 +6,9 @@
  * 
  * Features:
  * - Comprehensive media type support (JSON, XML, SVG, HTML, CSV, TSV, Turtle, N-Triples, RDF/XML, JSON-LD, SSE)
- * - Parameter management with dynamic input fields
+ * - Parameter management with typed inputs for the parameters found in the query text
+ * - SELECT results in a virtualized grid, optionally fetched page by page (js/sparql-results-grid.js)
+ * - SELECT results as bar, line, scatter, pie or histogram charts (js/sparql-results-chart.js)
  * - Event logging with timestamps
  * - Collapsible editor and results sections
  * - Query save functionality
@@ -23,7 +25,7 @@
  *       title: 'My SPARQL Editor',
  *       initialState: 'open',
  *       showEventLog: true,
- *       parameters: ['param1', 'param2'],
+ *       parameters: ['param1', 'param2'],   // More are found in the query text (js/sparql-parameters.js)
  *       onQueryExecuted: (results) => console.log(results)
  *     }
  *   });
@@ -46,6 +48,11 @@
  *     accountAuth: { apiClient, token },  // Required for both modes
  *     dydraClient: this,                   // DydraClient instance
  *     dialog: dialogElement,               // Parent dialog
+ *     revisionIdentifiers,                 // lib/replication/revision-identifier.js, to sort and label revisions by time
+ *     asyncJobs,                           // AsyncJobs (lib/async_jobs.js), to poll asynchronous queries for their results
+ *     resultsGrid,                         // js/sparql-results-grid.js, by default window.SparqlResultsGrid
+ *     resultsChart,                        // js/sparql-results-chart.js, by default window.SparqlResultsChart
+ *     queryRuns,                           // js/sparql-query-runs.js, by default window.SparqlQueryRuns
  *     options: {
  *       initialState: 'open',
  *       showBreadcrumbs: true,             // Breadcrumbs override options.title
@@ -54,6 +61,15 @@
  *   });
  */
 
+// The media types whose SELECT results are shown in the results grid
+var TABULAR_MEDIA_TYPES = [
+    'application/sparql-results+json',
+    'application/json',
+    'application/sparql-results+xml',
+    'text/csv',
+    'text/tab-separated-values'
+];
+
 // Utility functions
 function ensureBearerTokenPrefix(accessToken) {
     if (!accessToken) return null;
@@ -63,6 +79,36 @@ function ensureBearerTokenPrefix(accessToken) {
     return "Bearer " + token;
 }
 
+// Describe a revision for the revision selector: its time and the start of its id when the
+// revision identifier module (lib/replication/revision-identifier.js) is given and the
+// revision is a time-ordered UUID, else just the id.
+function describeRevision(revisionIdentifiers, revision) {
+    if (revisionIdentifiers) {
+        try {
+            var time = new Date(Math.floor(revisionIdentifiers.uuidTimestamp(revision)));
+            var id = revisionIdentifiers.uuidString(revisionIdentifiers.resetUUIDState(revisionIdentifiers.parseUUID(revision)));
+            return {
+                value: revision,
+                time: time,
+                label: time.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '') + ' (' + id.substring(0, 8) + ')'
+            };
+        } catch (err) {
+            // not a time-ordered UUID
+        }
+    }
+    return { value: revision, time: null, label: revision };
+}
+
+// Newest first; revisions without a time keep their order after those with one.
+function sortRevisions(revisionIdentifiers, revisions) {
+    return revisions.map(function(revision) {
+        return describeRevision(revisionIdentifiers, revision);
+    }).sort(function(a, b) {
+        if (a.time && b.time) return revisionIdentifiers.compareUUIDs(b.value, a.value);
+        return (a.time ? -1 : 0) + (b.time ? 1 : 0);
+    });
+}
+
 function createElement(tagName, props, children) {
     var el = document.createElement(tagName);
     if (props) {
@@ -195,6 +241,11 @@ function createSparqlEditor(config) {
         showEditorToggle: true,
         showBreadcrumbs: false,     // Enable for DydraClient integration
         parameters: [],
+        parameterValues: {},        // Initial values by parameter name, e.g. from a deep link
+        mediaType: '',              // Initial response media type
+        revision: '',               // Initial revision (REVISIONED repositories only)
+        queryTimeout: 0,            // Seconds before a running query is cancelled; 0 for no limit
+        resultPageSize: 0,          // SELECT solutions fetched per page (LIMIT/OFFSET); 0 for all at once
         ...(config.options || {})
     };
 
@@ -212,6 +263,13 @@ function createSparqlEditor(config) {
     var dialog = config.dialog || null;
     var repositoryClass = config.repositoryClass || '';
     var revisionsEndpoint = config.revisionsEndpoint || '';
+    var revisionIdentifiers = config.revisionIdentifiers || null;
+    var asyncJobs = config.asyncJobs || null;
+    var resultsGrid = config.resultsGrid || (typeof window !== 'undefined' && window.SparqlResultsGrid) || null;
+    var resultsChart = config.resultsChart || (typeof window !== 'undefined' && window.SparqlResultsChart) || null;
+    var queryRuns = config.queryRuns || (typeof window !== 'undefined' && window.SparqlQueryRuns);
+    // Whether a result shows as its table or a chart, and which chart, by the result's rows
+    var resultViews = new WeakMap();
 
     // Use accountAuth token if available, otherwise use accessToken
     var effectiveToken = accountAuth ? accountAuth.token : accessToken;
@@ -266,7 +324,7 @@ function createSparqlEditor(config) {
     }
     
     // Tab management functions
-    function createQueryTab(query, results, executionTime, etag) {
+    function createQueryTab(query, results, executionTime, etag, paging) {
         var tabId = 'tab-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
         var timestamp = new Date().toLocaleTimeString();
         
@@ -274,6 +332,8 @@ function createSparqlEditor(config) {
         var resultCount = 0;
         if (results.error) {
             resultCount = 'Error';
+        } else if (results.type === 'cancelled') {
+            resultCount = 'Cancelled';
         } else if (results.results && results.results.bindings) {
             resultCount = results.results.bindings.length;
         } else if (results.boolean !== undefined) {
@@ -282,14 +342,20 @@ function createSparqlEditor(config) {
             resultCount = 'Unknown';
         }
         
+        // Cancelled runs say so on their tab
+        var label = results.type === 'cancelled'
+            ? timestamp + ' · ' + (results.reason === 'timeout' ? 'timed out' : 'cancelled')
+            : timestamp;
+
         var tab = {
             id: tabId,
-            label: timestamp,
+            label: label,
             query: query,
             results: results,
             executionTime: executionTime,
             resultCount: resultCount,
             etag: etag || '',
+            paging: paging || null,
             createdAt: new Date()
         };
         
@@ -304,7 +370,10 @@ function createSparqlEditor(config) {
         tabButton.style.cssText = 'background: #007bff; color: white; border: none; padding: 4px 8px; border-radius: 4px 4px 0 0; cursor: pointer; font-size: 12px; margin-right: 2px; display: flex; align-items: center; gap: 4px;';
         
         // Avoid nested button inside button to preserve drag behavior
-        tabButton.innerHTML = '<span>' + timestamp + '</span><span class="close-tab" style="display:inline-block; color: white; cursor: pointer; padding: 0; margin-left: 4px; font-size: 14px; line-height: 1; user-select: none;" title="Close Tab">×</span>';
+        if (results.type === 'cancelled') {
+            tabButton.dataset.status = 'cancelled';
+        }
+        tabButton.innerHTML = '<span>' + label + '</span><span class="close-tab" style="display:inline-block; color: white; cursor: pointer; padding: 0; margin-left: 4px; font-size: 14px; line-height: 1; user-select: none;" title="Close Tab">×</span>';
         
         // Add event listeners (like client.js)
         tabButton.addEventListener('click', function(e) {
@@ -400,7 +469,7 @@ function createSparqlEditor(config) {
         textarea.value = tab.query;
         
         // Display results
-        displayQueryResults(tab.results, tab.executionTime);
+        displayQueryResults(tab.results, tab.executionTime, tab.paging);
     }
     
     function closeTab(tabId) {
@@ -427,7 +496,7 @@ function createSparqlEditor(config) {
         }
     }
     
-    function displayQueryResults(results, executionTime) {
+    function displayQueryResults(results, executionTime, paging) {
         // Safety check: ensure resultsContent exists
         if (!resultsContent) {
             console.error('resultsContent is null - cannot display results');
@@ -450,16 +519,34 @@ function createSparqlEditor(config) {
         // Display results based on type
         if (results.results && results.results.bindings) {
             // JSON table results
-            displayJsonResultsAsTable(results, executionTime);
+            displayJsonResultsAsTable(results, executionTime, paging);
         } else if (results.type === 'xml') {
             // XML results
-            displayXmlResults(results.content, executionTime);
+            displayXmlResults(results.content, executionTime, paging, results);
+        } else if (results.type === 'csv' || results.type === 'tsv') {
+            // CSV and TSV results
+            displayCsvTsvResults(results.content, results.mediaType, executionTime, paging, results);
         } else if (results.type === 'svg') {
             // SVG results
             displaySvgResults(results.content, executionTime);
         } else if (results.type === 'async') {
             // Asynchronous request accepted
             showResults(results.message, 'info');
+            if (results.jobLocation && !results.cancelled) {
+                var cancelJobButton = createElement('button', {
+                    type: 'button',
+                    'data-testid': 'sparql-editor-cancel-job-btn',
+                    style: { marginTop: '8px', padding: '2px 8px', border: '1px solid #dc2626', background: '#ffffff', color: '#dc2626', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }
+                }, ['Cancel job']);
+                cancelJobButton.addEventListener('click', function() {
+                    cancelJobButton.disabled = true;
+                    cancelAsyncJob(results);
+                });
+                resultsContent.appendChild(cancelJobButton);
+            }
+        } else if (results.type === 'cancelled') {
+            // Cancelled by the user or timed out
+            showResults(results.message, 'error');
         } else if (results.boolean !== undefined) {
             // ASK query result
             showResults('Result: ' + results.boolean, results.boolean ? 'success' : 'error');
@@ -469,7 +556,7 @@ function createSparqlEditor(config) {
         }
     }
     
-    function displayJsonResultsAsTable(data, executionTime) {
+    function displayJsonResultsAsTable(data, executionTime, paging) {
         console.log('displayJsonResultsAsTable called with executionTime:', executionTime);
         // Log completion timestamp and elapsed time
         var completionTime = new Date().toLocaleTimeString();
@@ -487,7 +574,15 @@ function createSparqlEditor(config) {
             showResults('No results found', 'info');
             return;
         }
+
+        if (resultsGrid) {
+            displayResultsGrid(resultsGrid.tableFromJson(data), paging, 'query-result.json', function() {
+                return JSON.stringify(data, null, 2);
+            }, 'application/json');
+            return;
+        }
         
+        // Without the results grid, a plain table
         // Create table container
         var tableContainer = document.createElement('div');
         try {
@@ -534,6 +629,119 @@ function createSparqlEditor(config) {
         setTimeout(adjustEditorSize, 10);
     }
 
+    // Show a SELECT result in the results grid (js/sparql-results-grid.js), for each of the
+    // tabular media types, or as a chart (js/sparql-results-chart.js). When the query was
+    // paged, the grid fetches the pages which follow and the save button saves the rows
+    // fetched so far as JSON.
+    function displayResultsGrid(table, paging, filename, content, mimeType) {
+        if (paging && paging.more === null) {
+            paging.fetched = table.rows.length;
+            paging.more = table.rows.length >= paging.limit && !!resultsGrid.pageQuery(paging.query, paging.fetched, paging.pageSize);
+        }
+        var gridContainer = createElement('div', {
+            'data-testid': 'query-results-table',
+            style: { position: 'relative', background: 'white' }
+        });
+        var grid = resultsGrid.createResultsGrid(table, {
+            hasMore: !!(paging && paging.more),
+            fetchPage: paging ? function() { return fetchResultPage(paging); } : null,
+            onCopy: function(text, description) {
+                logEvent('Copied ' + description);
+            }
+        });
+        var view = resultViews.get(table.rows) || { mode: 'table', chart: null };
+        resultViews.set(table.rows, view);
+        var viewBody = createElement('div', {});
+
+        function showView() {
+            viewBody.innerHTML = '';
+            if (view.mode === 'chart') {
+                var chart = resultsChart.createResultsChart(table, {
+                    spec: view.chart,
+                    filename: viewName ? viewName + '-chart' : 'query-chart',
+                    onChange: function(spec) { view.chart = spec; },
+                    onExport: function(format, exported) { logEvent('Chart exported as ' + format + ': ' + exported); }
+                });
+                view.chart = chart.spec();
+                viewBody.appendChild(chart.element);
+            } else {
+                viewBody.appendChild(grid.element);
+            }
+            modeButtons.forEach(function(button) {
+                var active = button.dataset.mode === view.mode;
+                button.setAttribute('aria-pressed', active ? 'true' : 'false');
+                button.style.background = active ? '#007bff' : '#f8f9fa';
+                button.style.color = active ? 'white' : '#333';
+            });
+            setTimeout(adjustEditorSize, 10);
+        }
+
+        // Table or Chart, when the chart module is there
+        var modeButtons = resultsChart ? ['table', 'chart'].map(function(mode) {
+            var button = createElement('button', {
+                type: 'button',
+                'data-testid': 'sparql-editor-result-mode-' + mode,
+                dataset: { mode: mode },
+                style: { padding: '1px 8px', border: '1px solid #ccc', borderRadius: '3px', cursor: 'pointer', fontSize: '11px' }
+            }, [mode === 'table' ? 'Table' : 'Chart']);
+            button.addEventListener('click', function() {
+                if (view.mode === mode) return;
+                view.mode = mode;
+                showView();
+            });
+            return button;
+        }) : [];
+        if (modeButtons.length) {
+            gridContainer.appendChild(createElement('div', {
+                style: { display: 'flex', gap: '4px', padding: '4px 4px 0 4px' }
+            }, modeButtons));
+        }
+        gridContainer.appendChild(viewBody);
+        showView();
+        gridContainer.appendChild(paging
+            ? createSaveButton(gridContainer, 'query-result.json', function() {
+                return JSON.stringify(resultsGrid.tableToJson(table), null, 2);
+            }, 'application/sparql-results+json')
+            : createSaveButton(gridContainer, filename, content, mimeType));
+
+        resultsContent.innerHTML = '';
+        resultsContent.appendChild(gridContainer);
+        resultsTabsContainer.style.display = 'block';
+        setTimeout(adjustEditorSize, 10);
+    }
+
+    // Fetch the page of a paged SELECT result which follows the rows fetched so far
+    function fetchResultPage(paging) {
+        var page = resultsGrid.pageQuery(paging.query, paging.fetched, paging.pageSize);
+        if (!page) {
+            paging.more = false;
+            return Promise.resolve({ rows: [], more: false });
+        }
+        logEvent('Fetching solutions ' + (paging.fetched + 1) + ' to ' + (paging.fetched + page.limit));
+        return fetch(paging.endpoint, {
+            method: 'POST',
+            headers: paging.headers,
+            body: page.query
+        })
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error('Query failed: ' + response.status + ' ' + response.statusText);
+            }
+            return response.text();
+        })
+        .then(function(text) {
+            var table = resultsGrid.parseResultsTable(text, paging.mediaType);
+            var rows = table ? table.rows : [];
+            paging.fetched += rows.length;
+            paging.more = rows.length >= page.limit && !!resultsGrid.pageQuery(paging.query, paging.fetched, paging.pageSize);
+            return { rows: rows, more: paging.more };
+        })
+        .catch(function(error) {
+            logEvent('Could not fetch more results: ' + error.message, 'error');
+            throw error;
+        });
+    }
+
     // Create header
     var header = createElement('div', {
         className: 'dialog-header',
@@ -771,7 +979,10 @@ function createSparqlEditor(config) {
             mediaTypeSelect.appendChild(option);
         });
 
-        mediaTypeSelect.value = 'application/sparql-results+json';
+        var initialMediaType = mediaTypes.some(function(type) {
+            return !type.disabled && type.value === options.mediaType;
+        }) ? options.mediaType : 'application/sparql-results+json';
+        mediaTypeSelect.value = initialMediaType;
         buttonBar.appendChild(mediaTypeSelect);
     }
 
@@ -795,6 +1006,11 @@ function createSparqlEditor(config) {
         });
         var headOption = createElement('option', { value: 'HEAD' }, ['HEAD']);
         revisionSelect.appendChild(headOption);
+        if (options.revision && options.revision !== 'HEAD') {
+            var initialRevision = describeRevision(revisionIdentifiers, options.revision);
+            revisionSelect.appendChild(createElement('option', { value: initialRevision.value, title: initialRevision.value }, [initialRevision.label]));
+            revisionSelect.value = options.revision;
+        }
 
         // Lazy-load revisions on first interaction
         var loadRevisions = function() {
@@ -808,9 +1024,10 @@ function createSparqlEditor(config) {
                 return response.text();
             })
             .then(function(text) {
-                var revisions = text.trim().split('\n').filter(function(r) { return r.trim(); });
-                revisions.forEach(function(rev) {
-                    var opt = createElement('option', { value: rev.trim() }, [rev.trim()]);
+                var revisions = text.trim().split('\n').map(function(r) { return r.trim(); }).filter(Boolean);
+                sortRevisions(revisionIdentifiers, revisions).forEach(function(rev) {
+                    if (rev.value === options.revision) return;
+                    var opt = createElement('option', { value: rev.value, title: rev.value }, [rev.label]);
                     revisionSelect.appendChild(opt);
                 });
             })
@@ -928,8 +1145,60 @@ function createSparqlEditor(config) {
         asyncNotificationUrl = notifyInput.value.trim();
     });
 
+    // Timeout field: a running query is cancelled after this many seconds
+    var queryTimeout = Math.max(0, Number(options.queryTimeout) || 0);
+    var timeoutContainer = createElement('div', {
+        style: { display: 'flex', flexDirection: 'column', gap: '2px', marginTop: '8px' }
+    });
+    var timeoutInput = document.createElement('input');
+    timeoutInput.type = 'number';
+    timeoutInput.min = '0';
+    timeoutInput.step = '1';
+    timeoutInput.placeholder = 'No limit';
+    timeoutInput.value = queryTimeout ? String(queryTimeout) : '';
+    timeoutInput.id = 'settings-timeout-' + Date.now();
+    timeoutInput.setAttribute('data-testid', 'sparql-editor-timeout-input');
+    timeoutInput.style.cssText = 'width: 80px; padding: 4px; border: 1px solid #ddd; border-radius: 4px; font-size: 11px;';
+    var timeoutLabel = document.createElement('label');
+    timeoutLabel.htmlFor = timeoutInput.id;
+    timeoutLabel.textContent = 'Timeout (seconds)';
+    timeoutLabel.style.cssText = 'font-size: 11px; font-weight: bold; color: #333; margin: 0;';
+    timeoutContainer.appendChild(timeoutLabel);
+    timeoutContainer.appendChild(timeoutInput);
+
+    timeoutInput.addEventListener('input', function() {
+        queryTimeout = Math.max(0, Number(timeoutInput.value) || 0);
+    });
+
+    // Page size field: SELECT results are fetched this many solutions at a time
+    var resultPageSize = Math.max(0, Math.floor(Number(options.resultPageSize) || 0));
+    var pageSizeContainer = createElement('div', {
+        style: { display: 'flex', flexDirection: 'column', gap: '2px', marginTop: '8px' }
+    });
+    var pageSizeInput = document.createElement('input');
+    pageSizeInput.type = 'number';
+    pageSizeInput.min = '0';
+    pageSizeInput.step = '100';
+    pageSizeInput.placeholder = 'All';
+    pageSizeInput.value = resultPageSize ? String(resultPageSize) : '';
+    pageSizeInput.id = 'settings-page-size-' + Date.now();
+    pageSizeInput.setAttribute('data-testid', 'sparql-editor-page-size-input');
+    pageSizeInput.style.cssText = 'width: 80px; padding: 4px; border: 1px solid #ddd; border-radius: 4px; font-size: 11px;';
+    var pageSizeLabel = document.createElement('label');
+    pageSizeLabel.htmlFor = pageSizeInput.id;
+    pageSizeLabel.textContent = 'Rows per page';
+    pageSizeLabel.style.cssText = 'font-size: 11px; font-weight: bold; color: #333; margin: 0;';
+    pageSizeContainer.appendChild(pageSizeLabel);
+    pageSizeContainer.appendChild(pageSizeInput);
+
+    pageSizeInput.addEventListener('input', function() {
+        resultPageSize = Math.max(0, Math.floor(Number(pageSizeInput.value) || 0));
+    });
+
     settingsPopover.appendChild(asyncCheckboxContainer);
     settingsPopover.appendChild(notifyContainer);
+    settingsPopover.appendChild(timeoutContainer);
+    settingsPopover.appendChild(pageSizeContainer);
     document.body.appendChild(settingsPopover);
 
     // Toggle popover on gear button click
@@ -1003,6 +1272,51 @@ function createSparqlEditor(config) {
     runSvg.appendChild(runPath4);
     runButton.appendChild(runSvg);
 
+    // Cancel button and elapsed time, shown while a query runs
+    var cancelButton = createElement('button', {
+        type: 'button',
+        title: 'Cancel the running query',
+        'data-testid': 'sparql-editor-cancel-btn',
+        style: {
+            padding: '2px',
+            border: '1px solid #dc2626',
+            background: '#dc2626',
+            color: '#fff',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            display: 'none',
+            alignItems: 'center',
+            justifyContent: 'center',
+            width: '16px',
+            height: '16px'
+        }
+    });
+    var cancelSvg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    cancelSvg.setAttribute("width", "10");
+    cancelSvg.setAttribute("height", "10");
+    cancelSvg.setAttribute("viewBox", "0 0 24 24");
+    cancelSvg.setAttribute("fill", "currentColor");
+    var cancelRect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    cancelRect.setAttribute("x", "5");
+    cancelRect.setAttribute("y", "5");
+    cancelRect.setAttribute("width", "14");
+    cancelRect.setAttribute("height", "14");
+    cancelRect.setAttribute("rx", "2");
+    cancelSvg.appendChild(cancelRect);
+    cancelButton.appendChild(cancelSvg);
+
+    var elapsedLabel = createElement('span', {
+        'data-testid': 'sparql-editor-elapsed',
+        title: 'Elapsed time',
+        style: {
+            display: 'none',
+            minWidth: '32px',
+            fontSize: '10px',
+            color: '#6b7280',
+            fontVariantNumeric: 'tabular-nums'
+        }
+    });
+
     // Save button
     var saveButton = null;
     if (options.showSaveButton && viewUrl) {
@@ -1123,6 +1437,8 @@ function createSparqlEditor(config) {
 
     // Assemble button bar
     buttonBar.appendChild(runButton);
+    buttonBar.appendChild(cancelButton);
+    buttonBar.appendChild(elapsedLabel);
     if (saveButton) {
         buttonBar.appendChild(saveButton);
     }
@@ -1203,69 +1519,223 @@ function createSparqlEditor(config) {
     var hiddenQueryInput = null;
     var textarea = null;
 
-    // Parameters container
-    var parametersContainer = null;
+    // Parameters: those named in options.parameters or given a value, and those the query
+    // declares or uses (js/sparql-parameters.js), each with an input for its type. The rows
+    // follow the query text as it is edited.
+    var sparqlParameters = config.sparqlParameters || (typeof window !== 'undefined' && window.SparqlParameters) || null;
     var parameterInputs = {};
-    
-    if (options.parameters && options.parameters.length > 0) {
-        parametersContainer = createElement('div', {
+    var parameterSignature = null;
+    var parameterRefreshTimer = null;
+    var parameterValues = options.parameterValues || {};
+    // Recent values are kept per view
+    var parameterKey = viewUrl || [accountName, repositoryName, viewName].join('/');
+    var recentParameterValues = sparqlParameters ? sparqlParameters.recentSparqlParameterValues(parameterKey) : {};
+    // Parameters given a value but not declared still get an input
+    options.parameters = options.parameters.concat(Object.keys(parameterValues).filter(function(name) {
+        return options.parameters.indexOf(name) < 0;
+    }));
+
+    var parametersContainer = createElement('div', {
+        className: 'sparql-editor-parameters',
+        'data-testid': 'sparql-editor-parameters',
+        style: {
+            display: 'none',
+            marginTop: '0px',
+            marginBottom: '0px',
+            padding: '4px 8px',
+            border: '1px solid #e5e7eb',
+            borderRadius: '6px',
+            background: '#f9fafb'
+        }
+    });
+
+    function editorParameters(queryText) {
+        var scanned = sparqlParameters ? sparqlParameters.scanSparqlParameters(queryText) : [];
+        var byName = {};
+        scanned.forEach(function(param) { byName[param.name] = param; });
+        var listed = options.parameters.map(function(name) {
+            return byName[name] || { name: name, type: null, declared: true };
+        });
+        return listed.concat(scanned.filter(function(param) {
+            return options.parameters.indexOf(param.name) < 0;
+        }));
+    }
+
+    function parameterSpec(type) {
+        return (sparqlParameters && type && sparqlParameters.PARAMETER_TYPES[type]) || null;
+    }
+
+    function recentValueText(entry) {
+        return (entry && typeof entry === 'object') ? entry.value : entry;
+    }
+
+    function createParameterRow(param, value, language) {
+        var spec = parameterSpec(param.type);
+        var inputStyle = {
+            flex: '1',
+            padding: '4px 8px',
+            border: '1px solid #d1d5db',
+            borderRadius: '4px',
+            fontSize: '12px',
+            outline: 'none'
+        };
+        var row = createElement('div', {
+            'data-testid': 'sparql-editor-param-' + param.name,
             style: {
-                id: 'parameters',
-                marginTop: '0px',
-                marginBottom: '0px',
-                paddingTop: '0px',
-                paddingBottom: '0px',
-                border: '1px solid #e5e7eb',
-                borderRadius: '6px',
-                background: '#f9fafb'
+                display: 'flex',
+                alignItems: 'center',
+                marginTop: '2px',
+                marginBottom: '2px',
+                gap: '8px'
             }
         });
-        
-        // Create parameter inputs
-        options.parameters.forEach(function(paramName) {
-            var paramRow = createElement('div', {
-                style: {
-                    display: 'flex',
-                    alignItems: 'center',
-                    marginTop: '0px',
-                    marginBottom: '0px',
-                    gap: '8px'
-                }
+        var label = createElement('label', {
+            style: {
+                fontSize: '12px',
+                fontWeight: '500',
+                color: '#374151',
+                minWidth: '80px',
+                textAlign: 'right'
+            }
+        }, [param.name + ':']);
+
+        var input;
+        if (spec && spec.input === 'select') {
+            input = createElement('select', { 'data-testid': 'sparql-editor-param-input-' + param.name, style: inputStyle },
+                [createElement('option', { value: '' }, ['(unbound)'])].concat(spec.options.map(function(option) {
+                    return createElement('option', { value: option }, [option]);
+                })));
+            input.value = value || '';
+        } else {
+            input = createElement('input', {
+                type: spec ? spec.input : 'text',
+                value: value || '',
+                placeholder: (spec && spec.placeholder) || 'Enter value for ' + param.name,
+                'data-testid': 'sparql-editor-param-input-' + param.name,
+                style: inputStyle
             });
-            
-            var paramLabel = createElement('label', {
-                style: {
-                    fontSize: '12px',
-                    fontWeight: '500',
-                    color: '#374151',
-                    minWidth: '80px',
-                    textAlign: 'right'
-                }
-            }, [paramName + ':']);
-            
-            var paramInput = createElement('input', {
+            if (spec && spec.inputMode) input.setAttribute('inputmode', spec.inputMode);
+            if (spec && spec.input === 'number') input.setAttribute('step', '1');
+            var recent = (recentParameterValues[param.name] || []).map(recentValueText).filter(Boolean);
+            if (recent.length) {
+                var listId = 'sparql-editor-param-recent-' + Math.random().toString(36).slice(2);
+                row.appendChild(createElement('datalist', { id: listId }, recent.map(function(text) {
+                    return createElement('option', { value: text });
+                })));
+                input.setAttribute('list', listId);
+            }
+        }
+        label.htmlFor = input.id = 'sparql-editor-param-' + param.name + '-' + Math.random().toString(36).slice(2);
+
+        var languageInput = null;
+        if (spec && spec.language) {
+            var recentLanguage = (recentParameterValues[param.name] || []).filter(function(entry) {
+                return entry && typeof entry === 'object';
+            })[0];
+            languageInput = createElement('input', {
                 type: 'text',
-                placeholder: 'Enter value for ' + paramName,
-                'data-testid': 'sparql-editor-param-input-' + paramName,
-                style: {
-                    flex: '1',
-                    padding: '4px 8px',
-                    border: '1px solid #d1d5db',
-                    borderRadius: '4px',
-                    fontSize: '12px',
-                    outline: 'none'
-                }
+                value: language || (recentLanguage ? recentLanguage.language : ''),
+                placeholder: 'lang',
+                title: 'Language tag',
+                'data-testid': 'sparql-editor-param-language-' + param.name,
+                style: { width: '48px', padding: '4px', border: '1px solid #d1d5db', borderRadius: '4px', fontSize: '12px' }
+            });
+        }
+        var typeBadge = createElement('span', {
+            title: param.type || 'The value is sent as typed',
+            style: { fontSize: '10px', color: '#6b7280', minWidth: '64px' }
+        }, [spec ? spec.label : 'untyped']);
+        var errorLabel = createElement('span', {
+            'data-testid': 'sparql-editor-param-error-' + param.name,
+            role: 'alert',
+            style: { fontSize: '10px', color: '#dc2626', display: 'none' }
+        });
+
+        row.appendChild(label);
+        row.appendChild(input);
+        if (languageInput) row.appendChild(languageInput);
+        row.appendChild(typeBadge);
+        row.appendChild(errorLabel);
+
+        var entry = { name: param.name, type: spec ? param.type : null, input: input, languageInput: languageInput, errorLabel: errorLabel };
+        var check = function() { validateParameter(entry); };
+        input.addEventListener('input', check);
+        input.addEventListener('change', check);
+        if (languageInput) languageInput.addEventListener('input', check);
+        input.addEventListener('keydown', function(e) {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                e.preventDefault();
+                executeQuery();
+            }
+        });
+        return { row: row, entry: entry };
+    }
+
+    // Answers the error message for the entry's value, or null, and shows it beside the input
+    function validateParameter(entry) {
+        var error = sparqlParameters
+            ? sparqlParameters.validateSparqlParameter(entry.type, entry.input.value, entry.languageInput ? entry.languageInput.value.trim() : '')
+            : null;
+        entry.errorLabel.textContent = error || '';
+        entry.errorLabel.style.display = error ? 'inline' : 'none';
+        entry.input.style.borderColor = error ? '#dc2626' : '#d1d5db';
+        entry.input.setAttribute('aria-invalid', error ? 'true' : 'false');
+        return error;
+    }
+
+    // Rebuild the rows when the parameters or their types change, keeping the values entered
+    function renderParameters(queryText) {
+        var params = editorParameters(queryText);
+        var signature = JSON.stringify(params.map(function(param) { return [param.name, param.type]; }));
+        if (signature === parameterSignature) return;
+        parameterSignature = signature;
+        var previous = parameterInputs;
+        parameterInputs = {};
+        parametersContainer.innerHTML = '';
+        params.forEach(function(param) {
+            var kept = previous[param.name];
+            var value = kept ? kept.input.value : parameterValues[param.name];
+            var language = kept && kept.languageInput ? kept.languageInput.value : '';
+            var created = createParameterRow(param, value, language);
+            parametersContainer.appendChild(created.row);
+            parameterInputs[param.name] = created.entry;
+            if (value) validateParameter(created.entry);
+        });
+        parametersContainer.style.display = params.length ? 'block' : 'none';
+    }
+
+    function scheduleParameterRefresh() {
+        clearTimeout(parameterRefreshTimer);
+        parameterRefreshTimer = setTimeout(function() {
+            renderParameters(textarea ? textarea.value : initialQuery);
+        }, 300);
+    }
+
+    // The encoded values of the bound parameters, or the errors which keep the query from running
+    function collectParameterBindings() {
+        var bindings = [];
+        var errors = [];
+        Object.keys(parameterInputs).forEach(function(name) {
+            var entry = parameterInputs[name];
+            var value = entry.input.value.trim();
+            if (!value) return;
+            var error = validateParameter(entry);
+            if (error) {
+                errors.push({ name: name, message: error, input: entry.input });
+                return;
+            }
+            var language = entry.languageInput ? entry.languageInput.value.trim() : '';
+            bindings.push({
+                name: name,
+                term: sparqlParameters ? sparqlParameters.encodeSparqlParameter(entry.type, value, language) : value,
+                recent: entry.languageInput ? { value: value, language: language } : value
             });
-            
-            paramRow.appendChild(paramLabel);
-            paramRow.appendChild(paramInput);
-            parametersContainer.appendChild(paramRow);
-            
-            // Store reference to input for later use
-            parameterInputs[paramName] = paramInput;
         });
+        return { bindings: bindings, errors: errors };
     }
 
+    renderParameters(initialQuery);
+
     // Results container
     // Use existing results-tabs-container from dialog if available, otherwise create one
     var resultsTabsContainer = null;
@@ -1478,6 +1948,8 @@ function createSparqlEditor(config) {
                 endpoint: viewUrl,
                 schema: schemaData
             });
+            // The parameters go under the query, and show and hide with it
+            queryEditorContainer.appendChild(parametersContainer);
             
             // Create hidden input and wire change sync
             hiddenQueryInput = createElement('input', {
@@ -1489,6 +1961,7 @@ function createSparqlEditor(config) {
             
             queryEditor.on('change', function() {
                 hiddenQueryInput.value = queryEditor.getValue();
+                scheduleParameterRefresh();
             });
             
             // Add blur event listener for synchronization
@@ -1505,6 +1978,7 @@ function createSparqlEditor(config) {
                 set value(val) {
                     queryEditor.setValue(val);
                     hiddenQueryInput.value = val;
+                    scheduleParameterRefresh();
                 },
                 addEventListener: function(event, callback) { queryEditor.on(event, callback); },
                 focus: function() { queryEditor.focus(); },
@@ -1516,6 +1990,7 @@ function createSparqlEditor(config) {
             if (textarea && textarea.addEventListener) {
                 textarea.addEventListener('input', function() {
                     currentQuery = textarea.value;
+                    scheduleParameterRefresh();
                     if (options.onQueryChanged) {
                         options.onQueryChanged(currentQuery);
                     }
@@ -1611,6 +2086,16 @@ function createSparqlEditor(config) {
     var isContentVisible = options.initialState === 'open';
     var currentQuery = initialQuery;
     var isExecuting = false;
+    // The running query, cancelled from the Cancel button or once it exceeds the timeout setting
+    var runs = queryRuns.createQueryRuns({
+        getTimeout: function() { return queryTimeout; },
+        onCancel: function(reason, run) {
+            logEvent(reason === 'timeout'
+                ? 'Query exceeded its timeout of ' + run.timeout + 's, cancelling'
+                : 'Cancelling query', 'warning');
+        }
+    });
+    var elapsedTimer = null;
     var hasLoadedInitial = false;
     
     // Tab management for execution results
@@ -1666,6 +2151,16 @@ function createSparqlEditor(config) {
             logEvent('Please enter a SPARQL query');
             return;
         }
+
+        renderParameters(query);
+        var parameterBindings = collectParameterBindings();
+        if (parameterBindings.errors.length) {
+            parameterBindings.errors.forEach(function(error) {
+                logEvent('Parameter $' + error.name + ': ' + error.message, 'error');
+            });
+            parameterBindings.errors[0].input.focus();
+            return;
+        }
         
         isExecuting = true;
         setExecuteButtonState('executing');
@@ -1699,24 +2194,23 @@ function createSparqlEditor(config) {
         
         logEvent('SPARQL endpoint: ' + endpoint);
         
-        // Add parameters to endpoint URL if any are provided
-        if (options.parameters && options.parameters.length > 0) {
+        // Add the bound parameters to the endpoint URL, as RDF terms
+        if (parameterBindings.bindings.length > 0) {
             var urlParams = new URLSearchParams();
-            var hasParams = false;
-            
-            options.parameters.forEach(function(paramName) {
-                var input = parameterInputs[paramName];
-                if (input && input.value && input.value.trim()) {
-                    var paramValue = input.value.trim();
-                    urlParams.append('$' + paramName, paramValue);
-                    hasParams = true;
-                    logEvent('Added parameter: $' + paramName + ' = ' + paramValue);
-                }
+            var recentValues = {};
+            parameterBindings.bindings.forEach(function(binding) {
+                urlParams.append('$' + binding.name, binding.term);
+                recentValues[binding.name] = binding.recent;
+                logEvent('Added parameter: $' + binding.name + ' = ' + binding.term);
             });
-            
-            if (hasParams) {
-                endpoint += (endpoint.includes('?') ? '&' : '?') + urlParams.toString();
-                logEvent('Updated endpoint with parameters: ' + endpoint);
+            endpoint += (endpoint.includes('?') ? '&' : '?') + urlParams.toString();
+            logEvent('Updated endpoint with parameters: ' + endpoint);
+            if (sparqlParameters) {
+                sparqlParameters.rememberSparqlParameterValues(parameterKey, recentValues);
+                recentParameterValues = sparqlParameters.recentSparqlParameterValues(parameterKey);
+                // Rebuild the rows to offer the values just used
+                parameterSignature = null;
+                renderParameters(query);
             }
         }
         
@@ -1753,17 +2247,40 @@ function createSparqlEditor(config) {
             logEvent('Notification URL: ' + asyncNotificationUrl);
         }
 
+        // With a page size, a SELECT query's solutions are fetched a page at a time
+        var body = query;
+        var paging = null;
+        if (resultPageSize > 0 && resultsGrid && !asyncEnabled && TABULAR_MEDIA_TYPES.indexOf(headers['Accept']) !== -1) {
+            var firstPage = resultsGrid.pageQuery(query, 0, resultPageSize);
+            if (firstPage) {
+                body = firstPage.query;
+                paging = {
+                    endpoint: endpoint,
+                    headers: Object.assign({}, headers),
+                    query: query,
+                    mediaType: headers['Accept'],
+                    pageSize: resultPageSize,
+                    limit: firstPage.limit,
+                    fetched: 0,
+                    more: null
+                };
+                logEvent('Fetching the first ' + firstPage.limit + ' solutions');
+            }
+        }
+
         console.log('Fetch request details:', {
             url: endpoint,
             method: 'POST',
             headers: headers,
-            bodyLength: query.length
+            bodyLength: body.length
         });
         
+        var run = runs.start();
         fetch(endpoint, {
             method: 'POST',
             headers: headers,
-            body: query
+            body: body,
+            signal: run.controller.signal
         })
         .then(function(response) {
             console.log('Fetch request completed. Response status:', response.status, response.statusText);
@@ -1796,184 +2313,227 @@ function createSparqlEditor(config) {
             // Handle 202 Accepted (asynchronous request)
             if (response.status === 202) {
                 var jobLocation = response.headers.get('Location') || '';
+                var jobUrl = jobLocation ? new URL(jobLocation, endpoint).href : '';
                 logEvent('Asynchronous request accepted. Job: ' + jobLocation);
-                createQueryTab(query, { type: 'async', message: 'Asynchronous request accepted.\nJob location: ' + jobLocation }, executionTime, responseEtag);
+                // With a job registry the job is polled and its result shown in a tab of its own
+                var job = (asyncJobs && jobUrl) ? asyncJobs.track({
+                    location: jobUrl,
+                    query: query,
+                    accept: mediaTypeSelect ? mediaTypeSelect.value : 'application/sparql-results+json',
+                    token: effectiveToken,
+                    owner: parameterKey,
+                    label: options.title || viewName || 'Query'
+                }) : null;
+                createQueryTab(query, {
+                    type: 'async',
+                    message: 'Asynchronous request accepted.\nJob location: ' + jobLocation +
+                        (job ? '\nThe result opens in a new tab when the job completes.' : ''),
+                    jobLocation: jobUrl,
+                    jobId: job ? job.id : null
+                }, executionTime, responseEtag);
                 isExecuting = false;
                 setExecuteButtonState('ready');
                 return;
             }
 
-            var contentType = response.headers.get('content-type') || '';
-            console.log('Response OK, processing response... Content-Type:', contentType);
-
-            // Handle different media types based on selected media type, not response content type
             var selectedMediaType = mediaTypeSelect ? mediaTypeSelect.value : 'application/sparql-results+json';
-            console.log('Selected media type:', selectedMediaType);
-            console.log('Response content type:', contentType);
+            return showResponse(response, query, executionTime, responseEtag, selectedMediaType, run.controller.signal, paging);
+        })
+        .catch(function(error) {
+            if (run.reason) {
+                var elapsed = Date.now() - startTime;
+                var message = queryRuns.cancelledRunMessage(run, elapsed);
+                logEvent(message, 'warning');
+                createQueryTab(query, { type: 'cancelled', reason: run.reason, message: message }, elapsed, '');
+                return;
+            }
+            console.error('Query execution error:', error);
+            logEvent('Query execution error: ' + error.message);
+        })
+        .finally(function() {
+            runs.finish(run);
+            isExecuting = false;
+            setExecuteButtonState('ready');
+        });
+    }
+
+    // Show a successful response as the selected media type: the results of a query which
+    // just ran, or of an asynchronous job which completed. `paging` describes how to fetch
+    // further pages of results, when the query asked for the first only.
+    function showResponse(response, query, executionTime, responseEtag, selectedMediaType, signal, paging) {
+        var contentType = response.headers.get('content-type') || '';
+        console.log('Response OK, processing response... Content-Type:', contentType);
+
+        // Handle different media types based on selected media type, not response content type
+        console.log('Selected media type:', selectedMediaType);
+        console.log('Response content type:', contentType);
+        
+        if (selectedMediaType === 'application/sparql-results+json' || selectedMediaType === 'application/json') {
+            console.log('=== JSON PROCESSING START ===');
+            console.log('Content-Type:', contentType);
+            console.log('Response status:', response.status);
             
-            if (selectedMediaType === 'application/sparql-results+json' || selectedMediaType === 'application/json') {
-                console.log('=== JSON PROCESSING START ===');
-                console.log('Content-Type:', contentType);
-                console.log('Response status:', response.status);
+            return response.json().then(function(data) {
+                console.log('JSON parsing successful, results:', data);
+                console.log('Data structure:', {
+                    hasResults: !!data.results,
+                    hasBindings: !!(data.results && data.results.bindings),
+                    hasHead: !!data.head,
+                    hasVars: !!(data.head && data.head.vars),
+                    bindingsCount: data.results?.bindings?.length || 0,
+                    variables: data.head?.vars || []
+                });
                 
-                return response.json().then(function(data) {
-                    console.log('JSON parsing successful, results:', data);
-                    console.log('Data structure:', {
-                        hasResults: !!data.results,
-                        hasBindings: !!(data.results && data.results.bindings),
-                        hasHead: !!data.head,
-                        hasVars: !!(data.head && data.head.vars),
-                        bindingsCount: data.results?.bindings?.length || 0,
-                        variables: data.head?.vars || []
+                // Call custom callback if provided
+                if (options.onQueryExecuted) {
+                    console.log('Using custom onQueryExecuted callback');
+                    options.onQueryExecuted({
+                        query: query,
+                        results: data,
+                        mediaType: contentType,
+                        executionTime: executionTime
                     });
+                }
+                
+                // Create tab for this execution
+                console.log('Creating tab for JSON results');
+                createQueryTab(query, data, executionTime, responseEtag, paging);
+            });
+        } else if (selectedMediaType === 'application/sparql-results+xml') {
+            return response.text().then(function(text) {
+                console.log('XML response received, length:', text.length);
+
+                // Create tab for XML results
+                console.log('Creating tab for XML results');
+                var xmlResults = {
+                    type: 'xml',
+                    content: text,
+                    formatted: formatXml(text)
+                };
+                createQueryTab(query, xmlResults, executionTime, responseEtag, paging);
+            });
+        } else if (selectedMediaType === 'text/csv' || selectedMediaType === 'text/tab-separated-values') {
+            return response.text().then(function(text) {
+                console.log('CSV/TSV response received, length:', text.length);
+                createQueryTab(query, {
+                    type: selectedMediaType === 'text/csv' ? 'csv' : 'tsv',
+                    mediaType: selectedMediaType,
+                    content: text
+                }, executionTime, responseEtag, paging);
+            });
+        } else if (selectedMediaType === 'image/vnd.dydra.SPARQL-RESULTS+GRAPHVIZ+SVG+XML') {
+            return response.text().then(function(text) {
+                console.log('SVG response received, length:', text.length);
+
+                // Create tab for SVG results
+                console.log('Creating tab for SVG results');
+                var svgResults = {
+                    type: 'svg',
+                    content: text
+                };
+                createQueryTab(query, svgResults, executionTime, responseEtag);
+            });
+        } else if (selectedMediaType === 'text/html') {
+            console.log('=== HTML PROCESSING START ===');
+            console.log('Selected media type:', selectedMediaType);
+            console.log('View URL:', viewUrl);
+            
+            // HTML results - fetch view HTML page and open in new window
+            // Extract account, repository, and view from viewUrl
+            var accountName = null;
+            var repositoryName = null;
+            var viewName = 'unknown';
+            
+            if (viewUrl) {
+                try {
+                    var url = new URL(viewUrl);
+                    var pathParts = url.pathname.split('/').filter(function(part) { return part; });
+                    console.log('URL path parts:', pathParts);
                     
-                    // Call custom callback if provided
-                    if (options.onQueryExecuted) {
-                        console.log('Using custom onQueryExecuted callback');
-                        options.onQueryExecuted({
-                            query: query,
-                            results: data,
-                            mediaType: contentType,
-                            executionTime: executionTime
-                        });
-                    }
+                    // Try to find the pattern: system/accounts/account/repositories/repo/views/view
+                    var accountsIndex = pathParts.indexOf('accounts');
+                    var repositoriesIndex = pathParts.indexOf('repositories');
+                    var viewsIndex = pathParts.indexOf('views');
                     
-                    // Create tab for this execution
-                    console.log('Creating tab for JSON results');
-                    createQueryTab(query, data, executionTime, responseEtag);
-                });
-            } else if (selectedMediaType === 'application/sparql-results+xml') {
-                return response.text().then(function(text) {
-                    console.log('XML response received, length:', text.length);
-
-                    // Create tab for XML results
-                    console.log('Creating tab for XML results');
-                    var xmlResults = {
-                        type: 'xml',
-                        content: text,
-                        formatted: formatXml(text)
-                    };
-                    createQueryTab(query, xmlResults, executionTime, responseEtag);
-                });
-            } else if (selectedMediaType === 'image/vnd.dydra.SPARQL-RESULTS+GRAPHVIZ+SVG+XML') {
-                return response.text().then(function(text) {
-                    console.log('SVG response received, length:', text.length);
-
-                    // Create tab for SVG results
-                    console.log('Creating tab for SVG results');
-                    var svgResults = {
-                        type: 'svg',
-                        content: text
-                    };
-                    createQueryTab(query, svgResults, executionTime, responseEtag);
-                });
-            } else if (selectedMediaType === 'text/html') {
-                console.log('=== HTML PROCESSING START ===');
-                console.log('Selected media type:', selectedMediaType);
-                console.log('View URL:', viewUrl);
-                
-                // HTML results - fetch view HTML page and open in new window
-                // Extract account, repository, and view from viewUrl
-                var accountName = null;
-                var repositoryName = null;
-                var viewName = 'unknown';
-                
-                if (viewUrl) {
-                    try {
-                        var url = new URL(viewUrl);
-                        var pathParts = url.pathname.split('/').filter(function(part) { return part; });
-                        console.log('URL path parts:', pathParts);
+                    if (accountsIndex !== -1 && repositoriesIndex !== -1 && viewsIndex !== -1) {
+                        // Full system path format
+                        accountName = pathParts[accountsIndex + 1];
+                        repositoryName = pathParts[repositoriesIndex + 1];
+                        viewName = pathParts[viewsIndex + 1];
                         
-                        // Try to find the pattern: system/accounts/account/repositories/repo/views/view
-                        var accountsIndex = pathParts.indexOf('accounts');
-                        var repositoriesIndex = pathParts.indexOf('repositories');
-                        var viewsIndex = pathParts.indexOf('views');
+                        console.log('Extracted from system path - account:', accountName, 'repo:', repositoryName, 'view:', viewName);
+                    } else if (pathParts.length >= 3) {
+                        // Direct path format: account/repo/view
+                        accountName = pathParts[0];
+                        repositoryName = pathParts[1];
+                        viewName = pathParts[2];
                         
-                        if (accountsIndex !== -1 && repositoriesIndex !== -1 && viewsIndex !== -1) {
-                            // Full system path format
-                            accountName = pathParts[accountsIndex + 1];
-                            repositoryName = pathParts[repositoriesIndex + 1];
-                            viewName = pathParts[viewsIndex + 1];
-                            
-                            console.log('Extracted from system path - account:', accountName, 'repo:', repositoryName, 'view:', viewName);
-                        } else if (pathParts.length >= 3) {
-                            // Direct path format: account/repo/view
-                            accountName = pathParts[0];
-                            repositoryName = pathParts[1];
-                            viewName = pathParts[2];
-                            
-                            console.log('Extracted from direct path - account:', accountName, 'repo:', repositoryName, 'view:', viewName);
-                        } else {
-                            throw new Error('Cannot extract account/repo/view from URL - insufficient path parts');
-                        }
-                    } catch (error) {
-                        console.error('Error parsing viewUrl:', error);
-                        throw new Error('Invalid viewUrl format: ' + viewUrl);
+                        console.log('Extracted from direct path - account:', accountName, 'repo:', repositoryName, 'view:', viewName);
+                    } else {
+                        throw new Error('Cannot extract account/repo/view from URL - insufficient path parts');
                     }
-                } else {
-                    throw new Error('No viewUrl provided for HTML request');
+                } catch (error) {
+                    console.error('Error parsing viewUrl:', error);
+                    throw new Error('Invalid viewUrl format: ' + viewUrl);
                 }
-                
-                // Construct HTML URL: host/account/repo/view.html
-                var host = url.origin;
-                var viewHtmlUrl = host + '/' + accountName + '/' + repositoryName + '/' + viewName + '.html';
-                
-                console.log('Fetching HTML page from:', viewHtmlUrl);
-                
-                return fetch(viewHtmlUrl, {
-                    headers: {
-                        'Authorization': accessToken
-                    }
-                })
-                .then(function(htmlResponse) {
-                    console.log('HTML fetch response status:', htmlResponse.status, htmlResponse.statusText);
-                    
-                    if (!htmlResponse.ok) {
-                        throw new Error('Failed to fetch HTML page: ' + htmlResponse.status + ' ' + htmlResponse.statusText);
-                    }
-                    return htmlResponse.text();
-                })
-                .then(function(htmlContent) {
-                    console.log('HTML response received, length:', htmlContent.length);
-                    console.log('HTML content preview (first 500 chars):', htmlContent.substring(0, 500));
-                    
-                    var viewPath = accountName + '/' + repositoryName + '/' + viewName;
-                    console.log('Opening HTML in new window with path:', viewPath);
-                    createHtmlResultsWindow(htmlContent, viewPath);
-                    console.log('=== HTML PROCESSING COMPLETE ===');
-                })
-                .catch(function(error) {
-                    console.error('Error fetching HTML page:', error);
-                    showResults('Failed to fetch HTML page: ' + error.message, 'error');
-                });
             } else {
-                return response.text().then(function(text) {
-                    console.log('Text response received, length:', text.length);
-                    showResults('<div style="font-family: monospace; font-size:12px; white-space:pre-wrap; background:#f8f9fa; padding:12px; border-radius:4px; border:1px solid #e9ecef;">' + escapeHtml(text) + '</div>', 'info');
-                });
+                throw new Error('No viewUrl provided for HTML request');
             }
-        })
-        .catch(function(error) {
-            console.error('Query execution error:', error);
-            logEvent('Query execution error: ' + error.message);
-        })
-        .finally(function() {
-            isExecuting = false;
-            setExecuteButtonState('ready');
-        });
+            
+            // Construct HTML URL: host/account/repo/view.html
+            var host = url.origin;
+            var viewHtmlUrl = host + '/' + accountName + '/' + repositoryName + '/' + viewName + '.html';
+            
+            console.log('Fetching HTML page from:', viewHtmlUrl);
+            
+            return fetch(viewHtmlUrl, {
+                headers: {
+                    'Authorization': accessToken
+                },
+                signal: signal
+            })
+            .then(function(htmlResponse) {
+                console.log('HTML fetch response status:', htmlResponse.status, htmlResponse.statusText);
+                
+                if (!htmlResponse.ok) {
+                    throw new Error('Failed to fetch HTML page: ' + htmlResponse.status + ' ' + htmlResponse.statusText);
+                }
+                return htmlResponse.text();
+            })
+            .then(function(htmlContent) {
+                console.log('HTML response received, length:', htmlContent.length);
+                console.log('HTML content preview (first 500 chars):', htmlContent.substring(0, 500));
+                
+                var viewPath = accountName + '/' + repositoryName + '/' + viewName;
+                console.log('Opening HTML in new window with path:', viewPath);
+                createHtmlResultsWindow(htmlContent, viewPath);
+                console.log('=== HTML PROCESSING COMPLETE ===');
+            })
+            .catch(function(error) {
+                if (signal && signal.aborted) throw error;
+                console.error('Error fetching HTML page:', error);
+                showResults('Failed to fetch HTML page: ' + error.message, 'error');
+            });
+        } else {
+            return response.text().then(function(text) {
+                console.log('Text response received, length:', text.length);
+                showResults('<div style="font-family: monospace; font-size:12px; white-space:pre-wrap; background:#f8f9fa; padding:12px; border-radius:4px; border:1px solid #e9ecef;">' + escapeHtml(text) + '</div>', 'info');
+            });
+        }
     }
 
     // Save query functionality
+    // Answers a promise of true once the view is stored, false when it could not be.
     function saveQuery() {
         if (!viewUrl || !effectiveToken) {
             logEvent('Cannot save: No view URL or access token provided.');
-            return;
+            return Promise.resolve(false);
         }
 
         var query = textarea.value.trim();
         if (!query) {
             logEvent('Cannot save empty query.');
-            return;
+            return Promise.resolve(false);
         }
 
         var headers = {
@@ -1982,7 +2542,7 @@ function createSparqlEditor(config) {
             'Authorization': effectiveToken
         };
 
-        fetch(viewUrl, {
+        return fetch(viewUrl, {
             method: 'PUT',
             headers: headers,
             body: query
@@ -1996,12 +2556,14 @@ function createSparqlEditor(config) {
             logEvent('Query saved successfully!');
             
             if (options.onQuerySaved) {
-                options.onQuerySaved(query);
+                options.onQuerySaved(query, response.headers.get('ETag'));
             }
+            return true;
         })
         .catch(function(error) {
             logEvent('Failed to save query: ' + error.message);
             console.error('Save error:', error);
+            return false;
         });
     }
 
@@ -2013,7 +2575,7 @@ function createSparqlEditor(config) {
             try {
                 var data = JSON.parse(resultText);
                 if (data.head && data.results) {
-                    displayJsonResults(data, executionTime);
+                    displayJsonResultsAsTable(data, executionTime);
                 } else {
                     showResults(resultText, 'text');
                 }
@@ -2038,45 +2600,20 @@ function createSparqlEditor(config) {
         }
     }
 
-    function displayJsonResults(data, executionTime) {
-        var html = '<div style="margin-bottom: 8px; font-size: 12px; color: #6b7280;">';
-        html += 'Execution time: ' + executionTime + 'ms | ';
-        html += 'Results: ' + (data.results.bindings ? data.results.bindings.length : 0) + ' rows';
-        html += '</div>';
-        
-        if (data.head && data.head.vars && data.results && data.results.bindings) {
-            var headers = data.head.vars;
-            html += '<table style="width: 100%; border-collapse: collapse; font-size: 12px;">';
-            html += '<thead><tr style="background: #f3f4f6;">';
-            headers.forEach(function(header) {
-                html += '<th style="border: 1px solid #d1d5db; padding: 8px; text-align: left;">' + escapeHtml(header) + '</th>';
-            });
-            html += '</tr></thead><tbody>';
-            
-            data.results.bindings.forEach(function(binding) {
-                html += '<tr>';
-                headers.forEach(function(header) {
-                    var value = binding[header] ? binding[header].value : '';
-                    html += '<td style="border: 1px solid #d1d5db; padding: 8px;">' + escapeHtml(value) + '</td>';
-                });
-                html += '</tr>';
-            });
-            html += '</tbody></table>';
-        } else {
-            html += '<pre style="white-space: pre-wrap;">' + escapeHtml(JSON.stringify(data, null, 2)) + '</pre>';
-        }
-        
-        resultsContainer.innerHTML = html;
-        
-        // Adjust editor size after displaying results
-        setTimeout(adjustEditorSize, 10);
-    }
-
-    function displayXmlResults(xmlText, executionTime) {
+    // `results`, the tab's results, keeps the table read from the XML
+    function displayXmlResults(xmlText, executionTime, paging, results) {
         console.log('displayXmlResults called with executionTime:', executionTime);
         // Log completion timestamp and elapsed time
         var completionTime = new Date().toLocaleTimeString();
         logEvent('XML results completed at: ' + completionTime + ', elapsed time: ' + executionTime + 'ms');
+
+        // SELECT results in the grid; anything else as formatted XML
+        var table = resultsGrid ? (results && results.table) || resultsGrid.tableFromXml(xmlText) : null;
+        if (table && table.rows.length) {
+            if (results) results.table = table;
+            displayResultsGrid(table, paging, 'query-result.xml', xmlText, 'application/sparql-results+xml');
+            return;
+        }
         
         var html = '<pre style="white-space: pre-wrap; font-family: monospace; font-size: 12px;">' + escapeHtml(formatXml(xmlText)) + '</pre>';
         
@@ -2134,11 +2671,19 @@ function createSparqlEditor(config) {
         setTimeout(adjustEditorSize, 10);
     }
 
-    function displayCsvTsvResults(text, mediaType, executionTime) {
+    // `results`, the tab's results, keeps the table read from the text
+    function displayCsvTsvResults(text, mediaType, executionTime, paging, results) {
         // Log completion timestamp and elapsed time
         var completionTime = new Date().toLocaleTimeString();
         var formatName = mediaType === 'text/csv' ? 'CSV' : 'TSV';
         logEvent(formatName + ' results completed at: ' + completionTime + ', elapsed time: ' + executionTime + 'ms');
+
+        var table = resultsGrid ? (results && results.table) || resultsGrid.parseResultsTable(text, mediaType) : null;
+        if (table && table.rows.length) {
+            if (results) results.table = table;
+            displayResultsGrid(table, paging, 'query-result.' + formatName.toLowerCase(), text, mediaType);
+            return;
+        }
         
         var html = '<div style="margin-bottom: 8px; font-size: 12px; color: #6b7280;">';
         html += 'Execution time: ' + executionTime + 'ms | Format: ' + formatName;
@@ -2260,12 +2805,54 @@ function createSparqlEditor(config) {
             
             spinnerSvg.appendChild(spinnerPath);
             runButton.appendChild(spinnerSvg);
+
+            cancelButton.style.display = 'flex';
+            var executionStart = Date.now();
+            var showElapsed = function() {
+                elapsedLabel.textContent = queryRuns.formatElapsed(Date.now() - executionStart);
+            };
+            clearInterval(elapsedTimer);
+            showElapsed();
+            elapsedLabel.style.display = 'inline';
+            elapsedTimer = setInterval(showElapsed, 100);
         } else {
             runButton.disabled = false;
             runButton.style.opacity = '1';
             runButton.innerHTML = '';
             runButton.appendChild(runSvg.cloneNode(true));
+
+            // The elapsed time stays in view until the next run
+            cancelButton.style.display = 'none';
+            clearInterval(elapsedTimer);
+            elapsedTimer = null;
+        }
+    }
+
+    // Ask the server to cancel an asynchronous job (DELETE of its location), through the job
+    // registry when it tracks the job
+    function cancelAsyncJob(results) {
+        logEvent('Cancelling asynchronous job: ' + results.jobLocation, 'warning');
+        var cancelling;
+        if (asyncJobs && results.jobId && asyncJobs.get(results.jobId)) {
+            cancelling = asyncJobs.cancel(results.jobId);
+        } else {
+            cancelling = queryRuns.cancelAsyncJobRequest(results.jobLocation, { token: effectiveToken });
         }
+        return cancelling
+        .then(function() {
+            results.cancelled = true;
+            results.message += '\nCancelled.';
+            logEvent('Asynchronous job cancelled: ' + results.jobLocation, 'warning');
+        })
+        .catch(function(error) {
+            logEvent('Could not cancel asynchronous job: ' + error.message, 'error');
+        })
+        .finally(function() {
+            var activeTab = queryTabs.find(function(t) { return t.id === activeTabId; });
+            if (activeTab && activeTab.results === results) {
+                displayQueryResults(results, activeTab.executionTime);
+            }
+        });
     }
 
     // Load initial query if viewUrl is provided
@@ -2300,6 +2887,41 @@ function createSparqlEditor(config) {
     }
 
     // Event listeners
+    cancelButton.addEventListener('click', function() {
+        runs.cancel('cancelled');
+    });
+
+    // Asynchronous jobs of this view: show each result once, as the job completes, or now
+    // for those which completed while the editor was closed
+    var stopWatchingJobs = null;
+    if (asyncJobs) {
+        var showCompletedJob = function(job) {
+            if (job.delivered || !panel.isConnected) return;
+            asyncJobs.markDelivered(job.id);
+            logEvent('Asynchronous job complete: ' + job.location);
+            var response = new Response(job.result.body, { status: 200, headers: { 'Content-Type': job.result.contentType } });
+            showResponse(response, job.query, job.finishedAt - job.submittedAt, job.result.etag, job.accept, null)
+            .catch(function(error) {
+                logEvent('Could not show the result of the asynchronous job: ' + error.message, 'error');
+            });
+        };
+        var panelWasConnected = false;
+        stopWatchingJobs = asyncJobs.subscribe(function(event, job) {
+            // The pane holding this editor is gone; stop listening rather than wait for destroy().
+            if (panel.isConnected) { panelWasConnected = true; }
+            else if (panelWasConnected) { stopWatchingJobs(); stopWatchingJobs = null; return; }
+            if (job.owner !== parameterKey) return;
+            if (event === 'complete') {
+                showCompletedJob(job);
+            } else if (event === 'updated' && job.status === 'failed') {
+                logEvent('Asynchronous job failed: ' + job.error, 'error');
+            }
+        });
+        setTimeout(function() {
+            asyncJobs.undelivered(parameterKey).forEach(showCompletedJob);
+        }, 0);
+    }
+
     runButton.addEventListener('click', function() {
         if (!isContentVisible) {
             showResults('Please show the content first.', 'warning');
@@ -2421,9 +3043,9 @@ function createSparqlEditor(config) {
         saveSvg.appendChild(savePath4);
         saveButton.appendChild(saveSvg);
         
-        // Add click handler
+        // Add click handler; content may be a function answering it at the time
         saveButton.addEventListener('click', function() {
-            saveFileDialog(filename, content, mimeType);
+            saveFileDialog(filename, typeof content === 'function' ? content() : content, mimeType);
         });
         
         return saveButton;
@@ -2515,6 +3137,7 @@ function createSparqlEditor(config) {
             }
         },
         execute: executeQuery,
+        cancel: function() { runs.cancel('cancelled'); },
         save: saveQuery,
         getQueryTabs: function() {
             // Return a copy of query tabs array with serializable data
@@ -2638,7 +3261,11 @@ function createSparqlEditor(config) {
             // Adjust panel size
             setTimeout(adjustEditorSize, 10);
         },
-        destroy: function() { panel.remove(); }
+        destroy: function() {
+            runs.cancel('cancelled');
+            if (stopWatchingJobs) stopWatchingJobs();
+            panel.remove();
+        }
     };
     }
 
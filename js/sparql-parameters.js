@@ -0,0 +1,298 @@
+/**
+ * SPARQL Parameters Module
+ *
+ * Finds the parameters of a view's query and encodes the values given for them as RDF terms.
+ *
+ * A parameter is a `$name` variable, or a `?name` variable declared as one. A comment declares
+ * a parameter and its type:
+ *
+ *   # @param $since xsd:date
+ *   # @param ?person iri
+ *   # @param $label rdf:langString
+ *
+ * Types are `iri`, `literal`, `rdf:langString` and the xsd datatypes in PARAMETER_TYPES, by
+ * prefixed name or full IRI. Undeclared parameters take their type from how the query uses
+ * them, as in `xsd:integer($limit)`, `isIRI($s)` or `LANG($label)`; otherwise their values are
+ * sent as typed.
+ *
+ * Recent values are kept per view in localStorage under `dydra.parameters`.
+ */
+
+var XSD_NAMESPACE = 'http://www.w3.org/2001/XMLSchema#';
+var RDF_NAMESPACE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+var PARAMETER_STORAGE_KEY = 'dydra.parameters';
+var RECENT_PARAMETER_VALUES = 8;
+
+var DATE_PATTERN = /^-?\d{4,}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(Z|[+-]\d{2}:\d{2})?$/;
+var DATE_TIME_PATTERN = /^-?\d{4,}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+var IRI_PATTERN = /^[a-z][a-z0-9+.-]*:[^\s<>"{}|\\^`]*$/i;
+var LANGUAGE_PATTERN = /^[a-z]{1,8}(-[a-z0-9]{1,8})*$/i;
+
+function matches(pattern, message) {
+    return function(value) {
+        return pattern.test(value) ? null : message;
+    };
+}
+
+function escapeLiteral(value) {
+    return value.replace(/[\\"\n\r\t]/g, function(ch) {
+        return { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' }[ch];
+    });
+}
+
+function typedLiteral(datatype) {
+    return function(value) {
+        return '"' + escapeLiteral(value) + '"^^<' + datatype + '>';
+    };
+}
+
+/**
+ * The parameter types, by name. Each has a label, the kind of input to show for it,
+ * `validate(value, language)`, which answers an error message or null, and
+ * `encode(value, language)`, which answers the value as an RDF term.
+ */
+var PARAMETER_TYPES = {
+    'iri': {
+        label: 'IRI',
+        input: 'text',
+        placeholder: 'https://…',
+        validate: function(value) {
+            return IRI_PATTERN.test(value.replace(/^<|>$/g, '')) ? null : 'Enter an absolute IRI';
+        },
+        encode: function(value) { return '<' + value.replace(/^<|>$/g, '') + '>'; }
+    },
+    'literal': {
+        label: 'Literal',
+        input: 'text',
+        validate: function() { return null; },
+        encode: function(value) { return '"' + escapeLiteral(value) + '"'; }
+    },
+    'rdf:langString': {
+        label: 'Text with language',
+        input: 'text',
+        language: true,
+        validate: function(value, language) {
+            return LANGUAGE_PATTERN.test(language || '') ? null : 'Enter a language tag, such as en or de-CH';
+        },
+        encode: function(value, language) { return '"' + escapeLiteral(value) + '"@' + language.toLowerCase(); }
+    },
+    'xsd:string': {
+        label: 'String',
+        input: 'text',
+        validate: function() { return null; },
+        encode: typedLiteral(XSD_NAMESPACE + 'string')
+    },
+    'xsd:integer': {
+        label: 'Integer',
+        input: 'number',
+        validate: matches(/^[+-]?\d+$/, 'Enter a whole number'),
+        encode: typedLiteral(XSD_NAMESPACE + 'integer')
+    },
+    'xsd:decimal': {
+        label: 'Decimal',
+        input: 'text',
+        inputMode: 'decimal',
+        validate: matches(/^[+-]?(\d+(\.\d*)?|\.\d+)$/, 'Enter a decimal number'),
+        encode: typedLiteral(XSD_NAMESPACE + 'decimal')
+    },
+    'xsd:double': {
+        label: 'Double',
+        input: 'text',
+        inputMode: 'decimal',
+        validate: matches(/^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/, 'Enter a number'),
+        encode: typedLiteral(XSD_NAMESPACE + 'double')
+    },
+    'xsd:boolean': {
+        label: 'Boolean',
+        input: 'select',
+        options: ['true', 'false'],
+        validate: matches(/^(true|false|1|0)$/, 'Choose true or false'),
+        encode: typedLiteral(XSD_NAMESPACE + 'boolean')
+    },
+    'xsd:date': {
+        label: 'Date',
+        input: 'date',
+        validate: function(value) {
+            return DATE_PATTERN.test(value) && !isNaN(Date.parse(value.substring(0, 10))) ? null : 'Enter a date as YYYY-MM-DD';
+        },
+        encode: typedLiteral(XSD_NAMESPACE + 'date')
+    },
+    'xsd:dateTime': {
+        label: 'Date and time',
+        input: 'datetime-local',
+        validate: matches(DATE_TIME_PATTERN, 'Enter a date and time as YYYY-MM-DDThh:mm:ss'),
+        // a datetime-local input leaves out zero seconds, which xsd:dateTime requires
+        encode: function(value) {
+            return typedLiteral(XSD_NAMESPACE + 'dateTime')(value.replace(/T(\d{2}:\d{2})(?=$|Z|[+-])/, 'T$1:00'));
+        }
+    }
+};
+
+/**
+ * Answer the name of a parameter type given as `iri`, a prefixed name or a full IRI, or null
+ * for a type this module does not know.
+ * @param {string} type
+ * @returns {string|null}
+ */
+function parameterTypeName(type) {
+    var name = String(type || '').trim().replace(/^<|>$/g, '');
+    if (/^(iri|uri)$/i.test(name)) return 'iri';
+    if (/^literal$/i.test(name)) return 'literal';
+    if (/^langString$/i.test(name)) return 'rdf:langString';
+    if (name.indexOf(XSD_NAMESPACE) === 0) name = 'xsd:' + name.substring(XSD_NAMESPACE.length);
+    if (name.indexOf(RDF_NAMESPACE) === 0) name = 'rdf:' + name.substring(RDF_NAMESPACE.length);
+    return PARAMETER_TYPES[name] ? name : null;
+}
+
+// Strings, IRIs and comments, which hold no variables
+var SPARQL_SKIPPED = /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|<[^<>"{}|^`\\\s]*>|#[^\n]*/g;
+var PARAMETER_DECLARATION = /#\s*@param\s+([$?])([A-Za-z_][\w]*)\s+(\S+)/g;
+var PARAMETER_USES = [
+    { pattern: /\bxsd:(\w+)\s*\(\s*[$?](\w+)\s*\)/gi, type: function(match) { return 'xsd:' + match[1]; } },
+    { pattern: /\b(?:isIRI|isURI)\s*\(\s*[$?](\w+)\s*\)/gi, type: function() { return 'iri'; } },
+    { pattern: /\bLANG\s*\(\s*[$?](\w+)\s*\)/gi, type: function() { return 'rdf:langString'; } }
+];
+
+/**
+ * Find the parameters of a query, in the order in which they first occur.
+ * @param {string} query - SPARQL query text
+ * @returns {Array<{name: string, type: string|null, declared: boolean}>}
+ */
+function scanSparqlParameters(query) {
+    var text = String(query || '');
+    var declared = {};
+    var match;
+    PARAMETER_DECLARATION.lastIndex = 0;
+    while ((match = PARAMETER_DECLARATION.exec(text))) {
+        declared[match[2]] = parameterTypeName(match[3]);
+    }
+
+    var code = text.replace(SPARQL_SKIPPED, ' ');
+    var inferred = {};
+    PARAMETER_USES.forEach(function(use) {
+        use.pattern.lastIndex = 0;
+        var found;
+        while ((found = use.pattern.exec(code))) {
+            var variable = found[found.length - 1];
+            if (!(variable in inferred)) inferred[variable] = parameterTypeName(use.type(found));
+        }
+    });
+
+    var parameters = [];
+    var seen = {};
+    var variable = /([$?])([A-Za-z_]\w*)/g;
+    while ((match = variable.exec(code))) {
+        var name = match[2];
+        if (seen[name] || (match[1] === '?' && !(name in declared))) continue;
+        seen[name] = true;
+        parameters.push({
+            name: name,
+            type: declared[name] || inferred[name] || null,
+            declared: name in declared
+        });
+    }
+    // Declared parameters which the query does not (yet) use still get an input
+    Object.keys(declared).forEach(function(name) {
+        if (!seen[name]) parameters.push({ name: name, type: declared[name], declared: true });
+    });
+    return parameters;
+}
+
+/**
+ * Check a value for a parameter type. Answers an error message, or null when the value will
+ * do. An empty value is left out of the request and so needs no check.
+ * @param {string|null} type
+ * @param {string} value
+ * @param {string} [language] - for rdf:langString
+ */
+function validateSparqlParameter(type, value, language) {
+    var spec = PARAMETER_TYPES[type];
+    if (!spec || !String(value).trim()) return null;
+    return spec.validate(String(value).trim(), language);
+}
+
+/**
+ * Encode a value as an RDF term for its parameter type, as in `"2024-10-01"^^<...#date>`.
+ * A value for a parameter without a type is sent as it is.
+ * @param {string|null} type
+ * @param {string} value
+ * @param {string} [language] - for rdf:langString
+ * @returns {string}
+ */
+function encodeSparqlParameter(type, value, language) {
+    var spec = PARAMETER_TYPES[type];
+    var text = String(value).trim();
+    return spec ? spec.encode(text, language) : text;
+}
+
+function readParameterStore(storage) {
+    try {
+        return JSON.parse(storage.getItem(PARAMETER_STORAGE_KEY) || '{}') || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Answer the recent values for the parameters of a view, newest first, by parameter name.
+ * A value with a language is kept as `{ value, language }`.
+ * @param {string} viewKey - identifies the view, such as its URL
+ * @param {Storage} [storage]
+ */
+function recentSparqlParameterValues(viewKey, storage) {
+    var store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!store || !viewKey) return {};
+    return readParameterStore(store)[viewKey] || {};
+}
+
+/**
+ * Remember the values a view was run with, ahead of its earlier values.
+ * @param {string} viewKey
+ * @param {Object} values - by parameter name, a string or `{ value, language }`
+ * @param {Storage} [storage]
+ */
+function rememberSparqlParameterValues(viewKey, values, storage) {
+    var store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!store || !viewKey) return;
+    var data = readParameterStore(store);
+    var recent = data[viewKey] || {};
+    Object.keys(values).forEach(function(name) {
+        var entry = values[name];
+        var same = JSON.stringify(entry);
+        recent[name] = [entry].concat((recent[name] || []).filter(function(previous) {
+            return JSON.stringify(previous) !== same;
+        })).slice(0, RECENT_PARAMETER_VALUES);
+    });
+    data[viewKey] = recent;
+    try {
+        store.setItem(PARAMETER_STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+        console.warn('Could not remember parameter values:', error.message);
+    }
+}
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+    window.SparqlParameters = {
+        PARAMETER_TYPES: PARAMETER_TYPES,
+        parameterTypeName: parameterTypeName,
+        scanSparqlParameters: scanSparqlParameters,
+        validateSparqlParameter: validateSparqlParameter,
+        encodeSparqlParameter: encodeSparqlParameter,
+        recentSparqlParameterValues: recentSparqlParameterValues,
+        rememberSparqlParameterValues: rememberSparqlParameterValues
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PARAMETER_TYPES,
+        parameterTypeName,
+        scanSparqlParameters,
+        validateSparqlParameter,
+        encodeSparqlParameter,
+        recentSparqlParameterValues,
+        rememberSparqlParameterValues
+    };
+}
@@ -0,0 +1,103 @@
+/**
+ * SPARQL Query Runs Module
+ *
+ * The running query of a SPARQL editor: the AbortController its request is sent with,
+ * the timeout after which it is cancelled, and why it was aborted, if it was. An editor
+ * runs one query at a time. The module also formats the elapsed time shown while a
+ * query runs, and asks the server to cancel an asynchronous job.
+ */
+
+/**
+ * Create the runs of an editor. `getTimeout()` answers the timeout in seconds for a run
+ * as it starts, 0 for no limit; `onCancel(reason)` hears of each cancellation as it is
+ * made, with the reason 'cancelled' or 'timeout'.
+ */
+function createQueryRuns(options) {
+    options = options || {};
+    var getTimeout = options.getTimeout || function() { return 0; };
+    var onCancel = options.onCancel || function() {};
+    var current = null;
+
+    // Start a run: { controller, reason, timeout, timeoutTimer }
+    function start() {
+        var timeout = Math.max(0, Number(getTimeout()) || 0);
+        var run = { controller: new AbortController(), reason: null, timeout: timeout, timeoutTimer: null };
+        if (timeout > 0) {
+            run.timeoutTimer = setTimeout(function() { cancel('timeout'); }, timeout * 1000);
+        }
+        current = run;
+        return run;
+    }
+
+    function finish(run) {
+        clearTimeout(run.timeoutTimer);
+        if (current === run) current = null;
+    }
+
+    // Abort the running query, if there is one which has not been aborted yet
+    function cancel(reason) {
+        if (!current || current.reason) return false;
+        current.reason = reason || 'cancelled';
+        onCancel(current.reason, current);
+        current.controller.abort();
+        return true;
+    }
+
+    return {
+        start: start,
+        finish: finish,
+        cancel: cancel,
+        current: function() { return current; }
+    };
+}
+
+function formatElapsed(milliseconds) {
+    return milliseconds < 60000
+        ? (milliseconds / 1000).toFixed(1) + 's'
+        : Math.floor(milliseconds / 60000) + 'm ' + Math.floor((milliseconds % 60000) / 1000) + 's';
+}
+
+// What the event log and the result tab say of a run which was aborted after `elapsed` ms
+function cancelledRunMessage(run, elapsed) {
+    return run.reason === 'timeout'
+        ? 'Query timed out after ' + formatElapsed(elapsed) + ' (timeout ' + run.timeout + 's)'
+        : 'Query cancelled after ' + formatElapsed(elapsed);
+}
+
+/**
+ * Ask the server to cancel the asynchronous job at `location` (DELETE of the location).
+ * A job the server no longer knows (404, 410) counts as cancelled. `token` is the
+ * Authorization header value; `fetch` defaults to the global one.
+ */
+function cancelAsyncJobRequest(location, options) {
+    options = options || {};
+    var fetchJob = options.fetch || fetch;
+    var headers = {};
+    if (options.token) { headers['Authorization'] = options.token; }
+    return fetchJob(location, { method: 'DELETE', headers: headers })
+    .then(function(response) {
+        if (!response.ok && response.status !== 404 && response.status !== 410) {
+            throw new Error(response.status + ' ' + response.statusText);
+        }
+    });
+}
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+    window.SparqlQueryRuns = {
+        createQueryRuns: createQueryRuns,
+        formatElapsed: formatElapsed,
+        cancelledRunMessage: cancelledRunMessage,
+        cancelAsyncJobRequest: cancelAsyncJobRequest
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createQueryRuns,
+        formatElapsed,
+        cancelledRunMessage,
+        cancelAsyncJobRequest
+    };
+}
@@ -0,0 +1,664 @@
+/**
+ * SPARQL Results Chart Module
+ *
+ * Draws the results of a SELECT query as an SVG chart: bar, line, scatter, pie or histogram.
+ * A chart is described by a spec, `{ type, x, y, series }`, naming the variables to plot;
+ * `series` splits the rows into one series per value. Columns are numbers, dates or text,
+ * as told by their literals' datatypes (untyped literals which read as numbers or ISO dates
+ * count as such, as in CSV results).
+ *
+ * The table is the one the results grid reads (js/sparql-results-grid.js): `{ variables, rows }`
+ * with rows of bindings as in application/sparql-results+json. The axes follow the admin
+ * graphs (ui/admin/pages.js renderGraph): rounded ticks, grid lines and K/M labels.
+ *
+ * Charts can be exported as SVG or PNG.
+ */
+
+var CHART_XSD = 'http://www.w3.org/2001/XMLSchema#';
+var CHART_NUMERIC_DATATYPES = ['integer', 'decimal', 'double', 'float', 'int', 'long', 'short', 'byte',
+    'nonNegativeInteger', 'positiveInteger', 'negativeInteger', 'nonPositiveInteger',
+    'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'].map(function(name) {
+    return CHART_XSD + name;
+});
+var CHART_NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+var CHART_DATE_PATTERN = /^-?\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+var CHART_TYPES = {
+    bar: { label: 'Bar', y: true, series: true },
+    line: { label: 'Line', y: true, series: true },
+    scatter: { label: 'Scatter', y: true, series: true },
+    pie: { label: 'Pie', y: true, series: false },
+    histogram: { label: 'Histogram', y: false, series: false }
+};
+
+var CHART_WIDTH = 720;
+var CHART_HEIGHT = 340;
+var CHART_MAX_ROWS = 5000;
+var CHART_MAX_LABELS = 30;
+var CHART_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d', '#9333ea', '#475569'];
+var DATE_STEPS = [1, 5, 15, 30, 60, 300, 900, 1800, 3600, 3 * 3600, 6 * 3600, 12 * 3600, 86400, 7 * 86400, 30 * 86400, 91 * 86400, 365 * 86400].map(function(seconds) {
+    return seconds * 1000;
+});
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, function(ch) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch];
+    });
+}
+
+function chartTermText(term) {
+    if (!term) return '';
+    return term.type === 'bnode' ? '_:' + term.value : String(term.value);
+}
+
+function isLiteral(term) {
+    return !!term && (term.type === 'literal' || term.type === 'typed-literal');
+}
+
+/**
+ * The number a term stands for, or NaN.
+ * @param {Object} [term]
+ */
+function chartNumber(term) {
+    if (!isLiteral(term)) return NaN;
+    if (term.datatype) return CHART_NUMERIC_DATATYPES.indexOf(term.datatype) !== -1 ? Number(term.value) : NaN;
+    return !term['xml:lang'] && CHART_NUMBER_PATTERN.test(term.value) ? Number(term.value) : NaN;
+}
+
+/**
+ * The time (milliseconds since the epoch) a date, dateTime, gYear or gYearMonth term
+ * stands for, or NaN. Dates without a timezone are taken as UTC.
+ * @param {Object} [term]
+ */
+function chartDate(term) {
+    if (!isLiteral(term) || term['xml:lang']) return NaN;
+    var value = String(term.value).trim();
+    var datatype = term.datatype || '';
+    if (datatype === CHART_XSD + 'gYear') return Date.UTC(Number(value.substring(0, 4)), 0, 1);
+    if (datatype === CHART_XSD + 'gYearMonth') return Date.UTC(Number(value.substring(0, 4)), Number(value.substring(5, 7)) - 1, 1);
+    if (datatype && datatype !== CHART_XSD + 'date' && datatype !== CHART_XSD + 'dateTime' && datatype !== CHART_XSD + 'dateTimeStamp') return NaN;
+    if (!CHART_DATE_PATTERN.test(value)) return NaN;
+    if (value.length === 10) return Date.parse(value);
+    // a date with a timezone, or a dateTime, without one read as UTC
+    var match = /^(-?\d{4}-\d{2}-\d{2})(Z|[+-]\d{2}:\d{2})$/.exec(value);
+    if (match) return Date.parse(match[1] + 'T00:00:00' + match[2]);
+    return Date.parse(/(Z|[+-]\d{2}:\d{2})$/.test(value) ? value : value + 'Z');
+}
+
+/**
+ * Tell whether a column holds numbers, dates or text: numbers or dates when every value it
+ * binds is one, text otherwise.
+ * @param {Object[]} rows
+ * @param {string} variable
+ * @returns {'number'|'date'|'text'}
+ */
+function columnKind(rows, variable) {
+    var kind = null;
+    for (var i = 0; i < rows.length; i++) {
+        var term = rows[i][variable];
+        if (!term) continue;
+        var termKind = !isNaN(chartNumber(term)) ? 'number' : !isNaN(chartDate(term)) ? 'date' : 'text';
+        if (kind === null) {
+            kind = termKind;
+        } else if (kind !== termKind) {
+            return 'text';
+        }
+    }
+    return kind || 'text';
+}
+
+function columnValue(term, kind) {
+    return kind === 'date' ? chartDate(term) : kind === 'number' ? chartNumber(term) : NaN;
+}
+
+/**
+ * A chart to start from: the first column along x and the first numeric column after it
+ * as y, as bars over text, a line over dates, points over numbers, or a histogram of the
+ * only numeric column.
+ * @param {{variables: string[], rows: Object[]}} table
+ */
+function defaultChartSpec(table) {
+    var rows = table.rows.slice(0, CHART_MAX_ROWS);
+    var kinds = {};
+    table.variables.forEach(function(variable) { kinds[variable] = columnKind(rows, variable); });
+    var x = table.variables[0] || null;
+    var y = table.variables.filter(function(variable) { return variable !== x && kinds[variable] === 'number'; })[0] || null;
+    var type;
+    if (!y) {
+        type = kinds[x] === 'text' ? 'bar' : 'histogram';
+    } else {
+        type = kinds[x] === 'date' ? 'line' : kinds[x] === 'number' ? 'scatter' : 'bar';
+    }
+    return { type: type, x: x, y: y, series: null };
+}
+
+/**
+ * Round a step up to 1, 2 or 5 times a power of ten.
+ * @param {number} value
+ */
+function niceStep(value) {
+    if (!(value > 0)) return 1;
+    var magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    var normalized = value / magnitude;
+    if (normalized <= 1) return magnitude;
+    if (normalized <= 2) return 2 * magnitude;
+    if (normalized <= 5) return 5 * magnitude;
+    return 10 * magnitude;
+}
+
+/**
+ * Evenly spaced round ticks which cover a range.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count] - about how many
+ * @param {boolean} [dates] - step by seconds, minutes, hours, days, weeks, months or years
+ * @returns {number[]}
+ */
+function niceTicks(min, max, count, dates) {
+    if (min === max) {
+        var spread = dates ? 86400000 : (Math.abs(min) || 1);
+        min -= spread / 2;
+        max += spread / 2;
+    }
+    var raw = (max - min) / (count || 5);
+    var step = dates
+        ? (DATE_STEPS.filter(function(candidate) { return candidate >= raw; })[0] || niceStep(raw / DATE_STEPS[DATE_STEPS.length - 1]) * DATE_STEPS[DATE_STEPS.length - 1])
+        : niceStep(raw);
+    var start = Math.floor(min / step) * step;
+    var ticks = [];
+    for (var i = 0; !ticks.length || ticks[ticks.length - 1] < max; i++) {
+        ticks.push(Number((start + i * step).toPrecision(12)));
+    }
+    return ticks;
+}
+
+/**
+ * Count values into bins of a round width, about Sturges' number of them.
+ * @param {number[]} values
+ * @param {boolean} [dates]
+ * @returns {Array<{from: number, to: number, count: number}>}
+ */
+function histogramBins(values, dates) {
+    if (!values.length) return [];
+    var min = Math.min.apply(null, values);
+    var max = Math.max.apply(null, values);
+    var ticks = niceTicks(min, max, Math.ceil(Math.log2(values.length)) + 1, dates);
+    var bins = ticks.slice(0, -1).map(function(from, index) {
+        return { from: from, to: ticks[index + 1], count: 0 };
+    });
+    var width = bins[0].to - bins[0].from;
+    values.forEach(function(value) {
+        var index = Math.min(bins.length - 1, Math.floor((value - bins[0].from) / width));
+        bins[index].count += 1;
+    });
+    return bins;
+}
+
+/**
+ * Answer what a chart plots, read from the table: the series of points of a bar, line or
+ * scatter chart, the slices of a pie or the bins of a histogram. Only the first
+ * CHART_MAX_ROWS rows are plotted.
+ * @param {{variables: string[], rows: Object[]}} table
+ * @param {{type: string, x: string, y: string, series: string}} spec
+ */
+function chartData(table, spec) {
+    var rows = table.rows.slice(0, CHART_MAX_ROWS);
+    var truncated = table.rows.length > rows.length;
+    var xKind = columnKind(rows, spec.x);
+
+    if (spec.type === 'histogram') {
+        var values = rows.map(function(row) { return columnValue(row[spec.x], xKind); })
+            .filter(function(value) { return isFinite(value); });
+        return { type: spec.type, xKind: xKind, bins: histogramBins(values, xKind === 'date'), truncated: truncated };
+    }
+
+    if (spec.type === 'pie') {
+        var totals = {};
+        var labels = [];
+        rows.forEach(function(row) {
+            var value = chartNumber(row[spec.y]);
+            if (!(value > 0)) return;
+            var label = chartTermText(row[spec.x]);
+            if (!(label in totals)) {
+                totals[label] = 0;
+                labels.push(label);
+            }
+            totals[label] += value;
+        });
+        return {
+            type: spec.type,
+            slices: labels.map(function(label) { return { label: label, value: totals[label] }; }),
+            truncated: truncated
+        };
+    }
+
+    // Bars stand on categories; lines and points too when x is text
+    var categorical = spec.type === 'bar' || xKind === 'text';
+    var categories = [];
+    var categoryIndex = {};
+    var seriesList = [];
+    var seriesIndex = {};
+    rows.forEach(function(row) {
+        var y = chartNumber(row[spec.y]);
+        if (isNaN(y)) return;
+        var x;
+        if (categorical) {
+            var category = chartTermText(row[spec.x]);
+            if (!(category in categoryIndex)) {
+                categoryIndex[category] = categories.length;
+                categories.push(category);
+            }
+            x = categoryIndex[category];
+        } else {
+            x = columnValue(row[spec.x], xKind);
+            if (isNaN(x)) return;
+        }
+        var name = spec.series ? chartTermText(row[spec.series]) : spec.y;
+        if (!(name in seriesIndex)) {
+            seriesIndex[name] = seriesList.length;
+            seriesList.push({ name: name, points: [] });
+        }
+        seriesList[seriesIndex[name]].points.push({ x: x, y: y, label: chartTermText(row[spec.x]) });
+    });
+
+    seriesList.forEach(function(series) {
+        if (spec.type === 'bar') {
+            // one bar per category, the sum of its values
+            var sums = {};
+            series.points.forEach(function(point) {
+                if (sums[point.x]) {
+                    sums[point.x].y += point.y;
+                } else {
+                    sums[point.x] = { x: point.x, y: point.y, label: point.label };
+                }
+            });
+            series.points = Object.keys(sums).map(function(key) { return sums[key]; });
+        }
+        if (spec.type !== 'scatter') {
+            series.points.sort(function(a, b) { return a.x - b.x; });
+        }
+    });
+
+    return {
+        type: spec.type,
+        xKind: categorical ? 'text' : xKind,
+        categories: categorical ? categories : null,
+        series: seriesList,
+        truncated: truncated
+    };
+}
+
+function formatNumber(value) {
+    var magnitude = Math.abs(value);
+    if (magnitude >= 1e9) return Number((value / 1e9).toPrecision(3)) + 'G';
+    if (magnitude >= 1e6) return Number((value / 1e6).toPrecision(3)) + 'M';
+    if (magnitude >= 1e4) return Number((value / 1e3).toPrecision(3)) + 'K';
+    return String(Number(value.toPrecision(4)));
+}
+
+function formatDate(time, range) {
+    var text = new Date(time).toISOString();
+    return range >= 2 * 86400000 ? text.substring(0, 10) : text.substring(0, 16).replace('T', ' ');
+}
+
+function shorten(text, length) {
+    return text.length > length ? text.substring(0, length - 1) + '…' : text;
+}
+
+function chartColor(index) {
+    return CHART_COLORS[index % CHART_COLORS.length];
+}
+
+function svgText(x, y, text, attributes) {
+    return '<text x="' + x + '" y="' + y + '"' + (attributes || '') + '>' + escapeXml(text) + '</text>';
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function drawLegend(entries, x, y) {
+    var shown = entries.slice(0, 15);
+    var svg = shown.map(function(entry, index) {
+        var top = y + index * 18;
+        return '<rect x="' + x + '" y="' + top + '" width="10" height="10" fill="' + entry.color + '"/>' +
+            svgText(x + 16, top + 9, shorten(entry.label, 20));
+    }).join('');
+    if (entries.length > shown.length) {
+        svg += svgText(x, y + shown.length * 18 + 9, '… ' + (entries.length - shown.length) + ' more', ' fill="#666"');
+    }
+    return svg;
+}
+
+/**
+ * Draw a chart of a table as SVG markup.
+ * @param {{variables: string[], rows: Object[]}} table
+ * @param {{type: string, x: string, y: string, series: string}} spec
+ * @param {{width: number, height: number}} [size]
+ * @returns {string}
+ */
+function renderChartSvg(table, spec, size) {
+    var width = (size && size.width) || CHART_WIDTH;
+    var height = (size && size.height) || CHART_HEIGHT;
+    var data = chartData(table, spec);
+    var legend = data.type === 'pie' || (data.series && data.series.length > 1);
+    var pad = { top: 20, right: legend ? 170 : 24, bottom: 80, left: 70 };
+    var plotWidth = width - pad.left - pad.right;
+    var plotHeight = height - pad.top - pad.bottom;
+    var bottom = pad.top + plotHeight;
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '" font-family="sans-serif" font-size="11">' +
+        '<rect width="' + width + '" height="' + height + '" fill="#ffffff"/>';
+    var empty = data.bins ? !data.bins.length : data.slices ? !data.slices.length : !data.series.length;
+    if (empty) {
+        return svg + svgText(width / 2, height / 2, 'Nothing to chart: choose ' + (CHART_TYPES[data.type].y ? 'a numeric y column' : 'a numeric or date x column'), ' text-anchor="middle" fill="#666"') + '</svg>';
+    }
+    if (data.truncated) {
+        svg += svgText(width - 8, height - 6, 'First ' + CHART_MAX_ROWS + ' rows', ' text-anchor="end" fill="#666"');
+    }
+
+    if (data.type === 'pie') {
+        var total = data.slices.reduce(function(sum, slice) { return sum + slice.value; }, 0);
+        var radius = Math.min(plotWidth, plotHeight + pad.bottom - 20) / 2;
+        var cx = pad.left + plotWidth / 2;
+        var cy = pad.top + radius;
+        var angle = -Math.PI / 2;
+        data.slices.forEach(function(slice, index) {
+            var share = slice.value / total;
+            var title = '<title>' + escapeXml(slice.label + ': ' + formatNumber(slice.value) + ' (' + (share * 100).toFixed(1) + '%)') + '</title>';
+            if (share >= 1) {
+                svg += '<circle cx="' + cx + '" cy="' + cy + '" r="' + radius + '" fill="' + chartColor(index) + '">' + title + '</circle>';
+                return;
+            }
+            var end = angle + share * 2 * Math.PI;
+            svg += '<path d="M ' + round(cx) + ' ' + round(cy) +
+                ' L ' + round(cx + radius * Math.cos(angle)) + ' ' + round(cy + radius * Math.sin(angle)) +
+                ' A ' + round(radius) + ' ' + round(radius) + ' 0 ' + (share > 0.5 ? 1 : 0) + ' 1 ' + round(cx + radius * Math.cos(end)) + ' ' + round(cy + radius * Math.sin(end)) +
+                ' Z" fill="' + chartColor(index) + '" stroke="#ffffff" stroke-width="1">' + title + '</path>';
+            angle = end;
+        });
+        svg += drawLegend(data.slices.map(function(slice, index) {
+            return { label: slice.label + ' (' + (slice.value / total * 100).toFixed(1) + '%)', color: chartColor(index) };
+        }), width - pad.right + 16, pad.top);
+        return svg + '</svg>';
+    }
+
+    // y axis
+    var yValues = data.bins
+        ? data.bins.map(function(bin) { return bin.count; })
+        : [].concat.apply([], data.series.map(function(series) { return series.points.map(function(point) { return point.y; }); }));
+    var yMin = Math.min.apply(null, yValues);
+    var yMax = Math.max.apply(null, yValues);
+    if (data.type === 'bar' || data.bins) {
+        yMin = Math.min(0, yMin);
+        yMax = Math.max(0, yMax);
+    }
+    var yTicks = niceTicks(yMin, yMax, 5);
+    var yLow = yTicks[0];
+    var yHigh = yTicks[yTicks.length - 1];
+    var yScale = function(value) {
+        return round(bottom - (value - yLow) / (yHigh - yLow) * plotHeight);
+    };
+    yTicks.forEach(function(tick) {
+        svg += '<line x1="' + pad.left + '" y1="' + yScale(tick) + '" x2="' + (pad.left + plotWidth) + '" y2="' + yScale(tick) + '" stroke="#e0e0e0" stroke-width="1"/>';
+        svg += svgText(pad.left - 8, yScale(tick) + 4, formatNumber(tick), ' text-anchor="end" fill="#666"');
+    });
+    svg += svgText(16, pad.top + plotHeight / 2, data.bins ? 'Count' : (spec.y || ''), ' text-anchor="middle" fill="#333" transform="rotate(-90 16 ' + (pad.top + plotHeight / 2) + ')"');
+
+    // x axis, by category or along a range
+    var xScale;
+    var band = 0;
+    if (data.categories) {
+        band = plotWidth / Math.max(1, data.categories.length);
+        xScale = function(index) { return round(pad.left + (index + 0.5) * band); };
+        var every = Math.ceil(data.categories.length / CHART_MAX_LABELS);
+        data.categories.forEach(function(category, index) {
+            if (index % every) return;
+            var x = xScale(index);
+            svg += svgText(x, bottom + 12, shorten(category, 18), ' text-anchor="end" fill="#333" transform="rotate(-40 ' + x + ' ' + (bottom + 12) + ')"');
+        });
+    } else {
+        var xValues = data.bins
+            ? [data.bins[0].from, data.bins[data.bins.length - 1].to]
+            : [].concat.apply([], data.series.map(function(series) { return series.points.map(function(point) { return point.x; }); }));
+        var dates = data.xKind === 'date';
+        var xTicks = data.bins
+            ? data.bins.map(function(bin) { return bin.from; }).concat([data.bins[data.bins.length - 1].to])
+            : niceTicks(Math.min.apply(null, xValues), Math.max.apply(null, xValues), 6, dates);
+        var xLow = xTicks[0];
+        var xHigh = xTicks[xTicks.length - 1];
+        var range = xHigh - xLow;
+        xScale = function(value) { return round(pad.left + (value - xLow) / range * plotWidth); };
+        var labelEvery = Math.ceil(xTicks.length / 12);
+        xTicks.forEach(function(tick, index) {
+            var x = xScale(tick);
+            svg += '<line x1="' + x + '" y1="' + pad.top + '" x2="' + x + '" y2="' + bottom + '" stroke="#f0f0f0" stroke-width="1"/>';
+            if (index % labelEvery) return;
+            svg += dates
+                ? svgText(x, bottom + 12, formatDate(tick, range), ' text-anchor="end" fill="#333" transform="rotate(-40 ' + x + ' ' + (bottom + 12) + ')"')
+                : svgText(x, bottom + 16, formatNumber(tick), ' text-anchor="middle" fill="#333"');
+        });
+    }
+    svg += svgText(pad.left + plotWidth / 2, height - 8, spec.x || '', ' text-anchor="middle" fill="#333"');
+    svg += '<line x1="' + pad.left + '" y1="' + pad.top + '" x2="' + pad.left + '" y2="' + bottom + '" stroke="#333" stroke-width="1.5"/>';
+    svg += '<line x1="' + pad.left + '" y1="' + yScale(Math.max(yLow, Math.min(0, yHigh))) + '" x2="' + (pad.left + plotWidth) + '" y2="' + yScale(Math.max(yLow, Math.min(0, yHigh))) + '" stroke="#333" stroke-width="1.5"/>';
+
+    if (data.bins) {
+        data.bins.forEach(function(bin) {
+            var x = xScale(bin.from);
+            var span = data.xKind === 'date' ? formatDate(bin.from, bin.to - bin.from) + ' – ' + formatDate(bin.to, bin.to - bin.from) : formatNumber(bin.from) + ' – ' + formatNumber(bin.to);
+            svg += '<rect x="' + x + '" y="' + yScale(bin.count) + '" width="' + Math.max(0, round(xScale(bin.to) - x - 1)) + '" height="' + round(yScale(0) - yScale(bin.count)) + '" fill="' + chartColor(0) + '">' +
+                '<title>' + escapeXml(span + ': ' + bin.count) + '</title></rect>';
+        });
+        return svg + '</svg>';
+    }
+
+    var barWidth = band * 0.8 / data.series.length;
+    data.series.forEach(function(series, seriesNumber) {
+        var color = chartColor(seriesNumber);
+        var title = function(point) {
+            return '<title>' + escapeXml((data.series.length > 1 ? series.name + ' · ' : '') + point.label + ': ' + formatNumber(point.y)) + '</title>';
+        };
+        if (data.type === 'bar') {
+            series.points.forEach(function(point) {
+                var x = round(pad.left + point.x * band + band * 0.1 + seriesNumber * barWidth);
+                var top = yScale(Math.max(0, point.y));
+                svg += '<rect x="' + x + '" y="' + top + '" width="' + Math.max(1, round(barWidth - 1)) + '" height="' + round(Math.abs(yScale(point.y) - yScale(0))) + '" fill="' + color + '">' + title(point) + '</rect>';
+            });
+            return;
+        }
+        if (data.type === 'line') {
+            svg += '<polyline fill="none" stroke="' + color + '" stroke-width="2" points="' + series.points.map(function(point) {
+                return xScale(point.x) + ',' + yScale(point.y);
+            }).join(' ') + '"/>';
+        }
+        if (data.type === 'scatter' || series.points.length <= 200) {
+            series.points.forEach(function(point) {
+                svg += '<circle cx="' + xScale(point.x) + '" cy="' + yScale(point.y) + '" r="3" fill="' + color + '"' + (data.type === 'scatter' ? ' fill-opacity="0.7"' : '') + '>' + title(point) + '</circle>';
+            });
+        }
+    });
+    if (legend) {
+        svg += drawLegend(data.series.map(function(series, index) {
+            return { label: series.name, color: chartColor(index) };
+        }), width - pad.right + 16, pad.top);
+    }
+    return svg + '</svg>';
+}
+
+function downloadChart(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+}
+
+// Draw the SVG on a canvas, twice its size, and save that
+function exportChartPng(svg, filename) {
+    var image = new Image();
+    var url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    image.onload = function() {
+        var canvas = document.createElement('canvas');
+        canvas.width = CHART_WIDTH * 2;
+        canvas.height = CHART_HEIGHT * 2;
+        var context = canvas.getContext('2d');
+        context.scale(2, 2);
+        context.drawImage(image, 0, 0, CHART_WIDTH, CHART_HEIGHT);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(function(blob) {
+            if (blob) downloadChart(blob, filename);
+        }, 'image/png');
+    };
+    image.onerror = function() {
+        URL.revokeObjectURL(url);
+        console.warn('Could not draw the chart as PNG');
+    };
+    image.src = url;
+}
+
+/**
+ * Create a chart of a table with pickers for its type and columns and buttons to export it.
+ * @param {{variables: string[], rows: Object[]}} table
+ * @param {Object} [chartOptions]
+ * @param {Object} [chartOptions.spec] - the chart to show first, by default defaultChartSpec
+ * @param {Function} [chartOptions.onChange] - told the spec after each change
+ * @param {Function} [chartOptions.onExport] - told `(format, filename)` after an export
+ * @param {string} [chartOptions.filename] - exported files' name, without extension
+ * @returns {{element: HTMLElement, spec: Function, svg: Function}}
+ */
+function createResultsChart(table, chartOptions) {
+    var settings = chartOptions || {};
+    var spec = Object.assign(defaultChartSpec(table), settings.spec || {});
+    var filename = settings.filename || 'query-chart';
+    var kinds = {};
+    var sample = table.rows.slice(0, CHART_MAX_ROWS);
+    table.variables.forEach(function(variable) { kinds[variable] = columnKind(sample, variable); });
+    var currentSvg = '';
+
+    var element = document.createElement('div');
+    element.className = 'sparql-results-chart';
+    element.style.cssText = 'font-size: 11px; background: white;';
+    var controls = document.createElement('div');
+    controls.style.cssText = 'display: flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 4px 40px 4px 4px; border-bottom: 1px solid #ddd;';
+    var holder = document.createElement('div');
+    holder.setAttribute('data-testid', 'sparql-chart');
+    holder.style.cssText = 'overflow: auto; padding: 4px;';
+    element.appendChild(controls);
+    element.appendChild(holder);
+
+    var picker = function(label, testid, entries) {
+        var wrapper = document.createElement('label');
+        wrapper.style.cssText = 'display: flex; align-items: center; gap: 4px;';
+        wrapper.appendChild(document.createTextNode(label));
+        var select = document.createElement('select');
+        select.setAttribute('data-testid', testid);
+        select.style.cssText = 'font-size: 11px; padding: 1px 2px;';
+        entries.forEach(function(entry) {
+            var option = document.createElement('option');
+            option.value = entry.value;
+            option.textContent = entry.text;
+            select.appendChild(option);
+        });
+        wrapper.appendChild(select);
+        controls.appendChild(wrapper);
+        return { wrapper: wrapper, select: select };
+    };
+    var columns = table.variables.map(function(variable) {
+        return { value: variable, text: variable + ' (' + kinds[variable] + ')' };
+    });
+    var typePicker = picker('Chart', 'sparql-chart-type', Object.keys(CHART_TYPES).map(function(type) {
+        return { value: type, text: CHART_TYPES[type].label };
+    }));
+    var xPicker = picker('x', 'sparql-chart-x', columns);
+    var yPicker = picker('y', 'sparql-chart-y', columns);
+    var seriesPicker = picker('Series', 'sparql-chart-series', [{ value: '', text: 'None' }].concat(columns));
+
+    var exportButton = function(text, testid) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.setAttribute('data-testid', testid);
+        button.style.cssText = 'padding: 1px 6px; border: 1px solid #ccc; background: #f8f9fa; border-radius: 3px; cursor: pointer; font-size: 11px;';
+        controls.appendChild(button);
+        return button;
+    };
+    var svgButton = exportButton('Export SVG', 'sparql-chart-export-svg');
+    var pngButton = exportButton('Export PNG', 'sparql-chart-export-png');
+
+    function draw() {
+        typePicker.select.value = spec.type;
+        xPicker.select.value = spec.x || '';
+        yPicker.select.value = spec.y || '';
+        seriesPicker.select.value = spec.series || '';
+        yPicker.wrapper.style.display = CHART_TYPES[spec.type].y ? 'flex' : 'none';
+        seriesPicker.wrapper.style.display = CHART_TYPES[spec.type].series ? 'flex' : 'none';
+        currentSvg = renderChartSvg(table, spec);
+        holder.innerHTML = currentSvg;
+    }
+
+    function change() {
+        spec = {
+            type: typePicker.select.value,
+            x: xPicker.select.value || null,
+            y: yPicker.select.value || null,
+            series: seriesPicker.select.value || null
+        };
+        draw();
+        if (settings.onChange) settings.onChange(spec);
+    }
+
+    [typePicker, xPicker, yPicker, seriesPicker].forEach(function(entry) {
+        entry.select.addEventListener('change', change);
+    });
+    svgButton.addEventListener('click', function() {
+        downloadChart(new Blob([currentSvg], { type: 'image/svg+xml' }), filename + '.svg');
+        if (settings.onExport) settings.onExport('SVG', filename + '.svg');
+    });
+    pngButton.addEventListener('click', function() {
+        exportChartPng(currentSvg, filename + '.png');
+        if (settings.onExport) settings.onExport('PNG', filename + '.png');
+    });
+
+    draw();
+    return {
+        element: element,
+        spec: function() { return spec; },
+        svg: function() { return currentSvg; }
+    };
+}
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+    window.SparqlResultsChart = {
+        CHART_TYPES: CHART_TYPES,
+        columnKind: columnKind,
+        chartNumber: chartNumber,
+        chartDate: chartDate,
+        defaultChartSpec: defaultChartSpec,
+        niceTicks: niceTicks,
+        histogramBins: histogramBins,
+        chartData: chartData,
+        renderChartSvg: renderChartSvg,
+        createResultsChart: createResultsChart
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHART_TYPES,
+        columnKind,
+        chartNumber,
+        chartDate,
+        defaultChartSpec,
+        niceTicks,
+        histogramBins,
+        chartData,
+        renderChartSvg,
+        createResultsChart
+    };
+}
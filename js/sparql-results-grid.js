@@ -0,0 +1,680 @@
+/**
+ * SPARQL Results Grid Module
+ *
+ * Shows the results of a SELECT query as a grid which draws only the rows in sight, so that
+ * tens of thousands of rows stay responsive. Columns can be resized by dragging the edge of
+ * their header and sorted by clicking it; the filter keeps the rows with a value containing
+ * the text. A click selects a cell; Ctrl/Cmd+C copies it and Ctrl/Cmd+Shift+C its row.
+ *
+ * JSON, XML, CSV and TSV results are read into the same table, `{ variables, rows }`, whose
+ * rows are bindings as in application/sparql-results+json: by variable, a term
+ * `{ type, value, datatype, 'xml:lang' }`, absent when unbound.
+ *
+ * Further pages can be fetched from the store by rewriting the query's LIMIT and OFFSET
+ * (pageQuery); the grid asks for the next page when scrolled to its end.
+ */
+
+var XSD_NAMESPACE = 'http://www.w3.org/2001/XMLSchema#';
+var RESULTS_NAMESPACE = 'http://www.w3.org/2005/sparql-results#';
+var NUMERIC_DATATYPES = ['integer', 'decimal', 'double', 'float', 'int', 'long', 'short', 'byte',
+    'nonNegativeInteger', 'positiveInteger', 'negativeInteger', 'nonPositiveInteger',
+    'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'].map(function(name) {
+    return XSD_NAMESPACE + name;
+});
+var NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+
+var GRID_ROW_HEIGHT = 22;
+var GRID_MAX_HEIGHT = 340;
+var GRID_COLUMN_WIDTH = 160;
+var GRID_MIN_COLUMN_WIDTH = 40;
+var GRID_OVERSCAN = 10;
+
+var collator = typeof Intl !== 'undefined' ? new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }) : null;
+
+function escapeGridHtml(text) {
+    return String(text).replace(/[&<>"']/g, function(ch) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+    });
+}
+
+/**
+ * Answer the table of JSON results, sharing their bindings array.
+ * @param {Object} data - application/sparql-results+json
+ * @returns {{variables: string[], rows: Object[]}|null}
+ */
+function tableFromJson(data) {
+    if (!data || !data.head || !data.results || !Array.isArray(data.results.bindings)) return null;
+    return { variables: data.head.vars || [], rows: data.results.bindings };
+}
+
+/**
+ * Answer the table of XML results, or null when the text is not a SELECT result.
+ * @param {string} text - application/sparql-results+xml
+ * @param {Function} [Parser] - a DOMParser class, by default the browser's
+ */
+function tableFromXml(text, Parser) {
+    var DomParser = Parser || (typeof DOMParser !== 'undefined' ? DOMParser : null);
+    if (!DomParser) return null;
+    var doc = new DomParser().parseFromString(text, 'application/xml');
+    var byName = function(element, name) {
+        return Array.prototype.filter.call(element.childNodes, function(node) { return node.localName === name; });
+    };
+    var root = doc.documentElement;
+    if (!root || root.localName !== 'sparql' || (root.namespaceURI && root.namespaceURI !== RESULTS_NAMESPACE)) return null;
+    var head = byName(root, 'head')[0];
+    var results = byName(root, 'results')[0];
+    if (!head || !results) return null;
+    var variables = byName(head, 'variable').map(function(node) { return node.getAttribute('name'); });
+    var rows = byName(results, 'result').map(function(result) {
+        var row = {};
+        byName(result, 'binding').forEach(function(binding) {
+            var node = Array.prototype.find.call(binding.childNodes, function(child) { return child.nodeType === 1; });
+            if (!node) return;
+            if (node.localName === 'uri') {
+                row[binding.getAttribute('name')] = { type: 'uri', value: node.textContent };
+            } else if (node.localName === 'bnode') {
+                row[binding.getAttribute('name')] = { type: 'bnode', value: node.textContent };
+            } else if (node.localName === 'literal') {
+                var term = { type: 'literal', value: node.textContent };
+                var language = node.getAttribute('xml:lang');
+                if (language) term['xml:lang'] = language;
+                if (node.getAttribute('datatype')) term.datatype = node.getAttribute('datatype');
+                row[binding.getAttribute('name')] = term;
+            }
+        });
+        return row;
+    });
+    return { variables: variables, rows: rows };
+}
+
+/**
+ * Split CSV text (RFC 4180) into records of fields.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    var records = [];
+    var record = [];
+    var field = '';
+    var quoted = false;
+    for (var i = 0; i < text.length; i++) {
+        var ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+/**
+ * Answer the table of CSV results. CSV gives values only: blank nodes keep their `_:` label
+ * and everything else is read as a plain literal.
+ * @param {string} text - text/csv
+ */
+function tableFromCsv(text) {
+    var records = parseCsv(String(text || ''));
+    if (!records.length) return null;
+    var variables = records[0];
+    var rows = records.slice(1).map(function(record) {
+        var row = {};
+        variables.forEach(function(variable, index) {
+            var value = record[index];
+            if (value === undefined || value === '') return;
+            row[variable] = value.indexOf('_:') === 0
+                ? { type: 'bnode', value: value.substring(2) }
+                : { type: 'literal', value: value };
+        });
+        return row;
+    });
+    return { variables: variables, rows: rows };
+}
+
+function unescapeTsvString(text) {
+    return text.replace(/\\(u[0-9A-Fa-f]{4}|U[0-9A-Fa-f]{8}|.)/g, function(match, escape) {
+        if (escape.length > 1) return String.fromCodePoint(parseInt(escape.substring(1), 16));
+        return { t: '\t', n: '\n', r: '\r', b: '\b', f: '\f' }[escape] || escape;
+    });
+}
+
+/**
+ * Read one field of TSV results, a term in Turtle syntax, as a JSON results term.
+ * @param {string} field
+ * @returns {Object|undefined} undefined for an unbound value
+ */
+function parseTsvTerm(field) {
+    if (field === '') return undefined;
+    var match = /^<(.*)>$/.exec(field);
+    if (match) return { type: 'uri', value: match[1] };
+    if (field.indexOf('_:') === 0) return { type: 'bnode', value: field.substring(2) };
+    match = /^"((?:[^"\\]|\\.)*)"(?:@([A-Za-z0-9-]+)|\^\^<([^>]*)>)?$/.exec(field);
+    if (match) {
+        var term = { type: 'literal', value: unescapeTsvString(match[1]) };
+        if (match[2]) term['xml:lang'] = match[2];
+        if (match[3]) term.datatype = match[3];
+        return term;
+    }
+    // Turtle's abbreviated numbers and booleans
+    if (/^[+-]?\d+$/.test(field)) return { type: 'literal', value: field, datatype: XSD_NAMESPACE + 'integer' };
+    if (/^[+-]?\d*\.\d+$/.test(field)) return { type: 'literal', value: field, datatype: XSD_NAMESPACE + 'decimal' };
+    if (NUMBER_PATTERN.test(field)) return { type: 'literal', value: field, datatype: XSD_NAMESPACE + 'double' };
+    if (field === 'true' || field === 'false') return { type: 'literal', value: field, datatype: XSD_NAMESPACE + 'boolean' };
+    return { type: 'literal', value: field };
+}
+
+/**
+ * Answer the table of TSV results.
+ * @param {string} text - text/tab-separated-values
+ */
+function tableFromTsv(text) {
+    var lines = String(text || '').split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    if (!lines.length) return null;
+    var variables = lines[0].split('\t').map(function(name) { return name.replace(/^[?$]/, ''); });
+    var rows = lines.slice(1).map(function(line) {
+        var fields = line.split('\t');
+        var row = {};
+        variables.forEach(function(variable, index) {
+            var term = parseTsvTerm(fields[index] === undefined ? '' : fields[index]);
+            if (term) row[variable] = term;
+        });
+        return row;
+    });
+    return { variables: variables, rows: rows };
+}
+
+/**
+ * Answer the table of results in any of the tabular media types, or null.
+ * @param {string|Object} content - the response text, or parsed JSON
+ * @param {string} mediaType
+ */
+function parseResultsTable(content, mediaType) {
+    if (mediaType === 'application/sparql-results+json' || mediaType === 'application/json') {
+        try {
+            return tableFromJson(typeof content === 'string' ? JSON.parse(content) : content);
+        } catch (error) {
+            return null;
+        }
+    }
+    if (mediaType === 'application/sparql-results+xml') return tableFromXml(content);
+    if (mediaType === 'text/csv') return tableFromCsv(content);
+    if (mediaType === 'text/tab-separated-values') return tableFromTsv(content);
+    return null;
+}
+
+/**
+ * Answer a table as application/sparql-results+json.
+ * @param {{variables: string[], rows: Object[]}} table
+ */
+function tableToJson(table) {
+    return { head: { vars: table.variables }, results: { bindings: table.rows } };
+}
+
+/**
+ * The text of a term as the grid shows it.
+ * @param {Object} [term]
+ */
+function termText(term) {
+    if (!term) return '';
+    return term.type === 'bnode' ? '_:' + term.value : String(term.value);
+}
+
+/**
+ * A term in N-Triples syntax, as shown when hovering over a cell.
+ * @param {Object} [term]
+ */
+function formatTerm(term) {
+    if (!term) return '';
+    if (term.type === 'uri') return '<' + term.value + '>';
+    if (term.type === 'bnode') return '_:' + term.value;
+    var literal = '"' + String(term.value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n') + '"';
+    if (term['xml:lang']) return literal + '@' + term['xml:lang'];
+    if (term.datatype) return literal + '^^<' + term.datatype + '>';
+    return literal;
+}
+
+/**
+ * The number a term stands for: the value of a numeric literal, or of a plain literal
+ * written as a number (as in CSV results); NaN otherwise.
+ * @param {Object} [term]
+ */
+function termNumber(term) {
+    if (!term || (term.type !== 'literal' && term.type !== 'typed-literal')) return NaN;
+    if (term.datatype) return NUMERIC_DATATYPES.indexOf(term.datatype) !== -1 ? Number(term.value) : NaN;
+    return !term['xml:lang'] && NUMBER_PATTERN.test(term.value) ? Number(term.value) : NaN;
+}
+
+/**
+ * Order two bound terms: numerically when both are numbers, otherwise by their text, with
+ * numbers within the text in numeric order.
+ */
+function compareTerms(a, b) {
+    var x = termNumber(a);
+    var y = termNumber(b);
+    if (!isNaN(x) && !isNaN(y)) return x - y;
+    var left = termText(a);
+    var right = termText(b);
+    return collator ? collator.compare(left, right) : (left < right ? -1 : left > right ? 1 : 0);
+}
+
+/**
+ * Answer the rows sorted by a variable, unbound values last in either direction.
+ * @param {Object[]} rows
+ * @param {string} variable
+ * @param {'asc'|'desc'} direction
+ * @returns {Object[]} a new array
+ */
+function sortTableRows(rows, variable, direction) {
+    var sign = direction === 'desc' ? -1 : 1;
+    return rows.slice().sort(function(a, b) {
+        var x = a[variable];
+        var y = b[variable];
+        if (!x || !y) return (x ? 0 : 1) - (y ? 0 : 1);
+        return sign * compareTerms(x, y);
+    });
+}
+
+/**
+ * Answer the rows with a value which contains the text, ignoring case.
+ * @param {Object[]} rows
+ * @param {string[]} variables
+ * @param {string} text
+ */
+function filterTableRows(rows, variables, text) {
+    var needle = String(text || '').trim().toLowerCase();
+    if (!needle) return rows;
+    return rows.filter(function(row) {
+        return variables.some(function(variable) {
+            return row[variable] && termText(row[variable]).toLowerCase().indexOf(needle) !== -1;
+        });
+    });
+}
+
+/**
+ * Answer rows as tab-separated values, for the clipboard.
+ * @param {string[]} variables
+ * @param {Object[]} rows
+ * @param {boolean} [withHeader]
+ */
+function rowsToText(variables, rows, withHeader) {
+    var clean = function(text) { return text.replace(/[\t\r\n]+/g, ' '); };
+    var lines = rows.map(function(row) {
+        return variables.map(function(variable) { return clean(termText(row[variable])); }).join('\t');
+    });
+    return (withHeader ? [variables.join('\t')] : []).concat(lines).join('\n');
+}
+
+// Strings, IRIs and comments, which hold no keywords
+var QUERY_SKIPPED = /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|<[^<>"{}|^`\\\s]*>|#[^\n]*/g;
+
+// A VALUES clause after the solution modifiers, which ends the query
+var TRAILING_VALUES = /\bVALUES\s*(?:[?$]\w+|\((?:\s*[?$]\w+)*\s*\))\s*\{[^{}]*\}\s*$/i;
+
+/**
+ * Read the solution modifiers at the end of a query, before its trailing VALUES clause if
+ * it has one.
+ * @param {string} query
+ * @returns {{select: boolean, limit: number|null, offset: number|null, end: number, values: number}}
+ *   where `end` is where the query's trailing LIMIT and OFFSET begin and `values` where its
+ *   trailing VALUES clause begins (the query's length without one)
+ */
+function queryPaging(query) {
+    var text = String(query || '');
+    var code = text.replace(QUERY_SKIPPED, function(match) { return match.replace(/[^\n]/g, ' '); });
+    var select = /^\s*(?:(?:BASE|PREFIX\s+[^\s:]*:)\s*)*SELECT\b/i.test(code);
+    var valuesClause = TRAILING_VALUES.exec(code);
+    var values = valuesClause ? valuesClause.index : text.length;
+    code = code.substring(0, values);
+    var trailing = /(?:\b(?:LIMIT|OFFSET)\s+\d+\s*)+$/i.exec(code);
+    var limit = null;
+    var offset = null;
+    if (trailing) {
+        var limitMatch = /LIMIT\s+(\d+)/i.exec(trailing[0]);
+        var offsetMatch = /OFFSET\s+(\d+)/i.exec(trailing[0]);
+        if (limitMatch) limit = Number(limitMatch[1]);
+        if (offsetMatch) offset = Number(offsetMatch[1]);
+    }
+    return { select: select, limit: limit, offset: offset, end: trailing ? trailing.index : values, values: values };
+}
+
+/**
+ * Rewrite a SELECT query to answer one page of its solutions, within its own LIMIT and OFFSET.
+ * The page's LIMIT and OFFSET go before a trailing VALUES clause, which must end the query.
+ * @param {string} query
+ * @param {number} start - solutions already fetched
+ * @param {number} pageSize
+ * @returns {{query: string, limit: number, offset: number}|null} null for a query which is
+ *   not a SELECT or whose solutions are all fetched
+ */
+function pageQuery(query, start, pageSize) {
+    var paging = queryPaging(query);
+    if (!paging.select || !(pageSize > 0)) return null;
+    var limit = paging.limit === null ? pageSize : Math.min(pageSize, paging.limit - start);
+    if (limit <= 0) return null;
+    var offset = (paging.offset || 0) + start;
+    var text = String(query);
+    var values = text.substring(paging.values).replace(/^\s+/, '');
+    return {
+        query: text.substring(0, paging.end).replace(/\s+$/, '') + '\nLIMIT ' + limit + (offset ? ' OFFSET ' + offset : '')
+            + (values ? '\n' + values : ''),
+        limit: limit,
+        offset: offset
+    };
+}
+
+function copyText(text) {
+    if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(text);
+    }
+    var area = document.createElement('textarea');
+    area.value = text;
+    area.style.cssText = 'position: fixed; left: -9999px;';
+    document.body.appendChild(area);
+    area.select();
+    try { document.execCommand('copy'); } finally { area.remove(); }
+    return Promise.resolve();
+}
+
+/**
+ * Create a grid for a table.
+ * @param {{variables: string[], rows: Object[]}} table - pages fetched later are appended to its rows
+ * @param {Object} [gridOptions]
+ * @param {Function} [gridOptions.fetchPage] - answers a promise of the next page,
+ *   `{ rows, more }`, where `more` tells whether there are pages after it
+ * @param {boolean} [gridOptions.hasMore] - whether fetchPage has a page to give
+ * @param {Function} [gridOptions.onCopy] - told `(text, description)` after copying
+ * @returns {{element: HTMLElement, refresh: Function, loadMore: Function}}
+ */
+function createResultsGrid(table, gridOptions) {
+    var settings = gridOptions || {};
+    var variables = table.variables;
+    var widths = variables.map(function() { return GRID_COLUMN_WIDTH; });
+    var sort = { variable: null, direction: null };
+    var filterText = '';
+    var viewRows = table.rows;
+    var selected = null; // { row, column } in viewRows
+    var hasMore = !!(settings.fetchPage && settings.hasMore);
+    var loading = false;
+    var filterTimer = null;
+
+    var element = document.createElement('div');
+    element.className = 'sparql-results-grid';
+    element.style.cssText = 'font-size: 11px; background: white;';
+
+    var toolbar = document.createElement('div');
+    toolbar.style.cssText = 'display: flex; align-items: center; gap: 6px; padding: 4px 40px 4px 4px; border-bottom: 1px solid #ddd;';
+    var filterInput = document.createElement('input');
+    filterInput.type = 'search';
+    filterInput.placeholder = 'Filter rows';
+    filterInput.setAttribute('data-testid', 'sparql-results-filter');
+    filterInput.style.cssText = 'width: 160px; padding: 2px 4px; border: 1px solid #ccc; border-radius: 3px; font-size: 11px;';
+    var countLabel = document.createElement('span');
+    countLabel.setAttribute('data-testid', 'sparql-results-count');
+    countLabel.style.cssText = 'color: #6b7280;';
+    var buttonStyle = 'padding: 1px 6px; border: 1px solid #ccc; background: #f8f9fa; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    var toolbarButton = function(text, testid, title) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = title;
+        button.setAttribute('data-testid', testid);
+        button.style.cssText = buttonStyle;
+        toolbar.appendChild(button);
+        return button;
+    };
+    toolbar.appendChild(filterInput);
+    toolbar.appendChild(countLabel);
+    var copyCellButton = toolbarButton('Copy cell', 'sparql-results-copy-cell', 'Copy the selected cell (Ctrl+C)');
+    var copyRowButton = toolbarButton('Copy row', 'sparql-results-copy-row', 'Copy the selected row (Ctrl+Shift+C)');
+    var copyAllButton = toolbarButton('Copy rows', 'sparql-results-copy-rows', 'Copy the rows shown, with their header');
+    var loadMoreButton = toolbarButton('Load more', 'sparql-results-load-more', 'Fetch the next page of results');
+
+    var viewport = document.createElement('div');
+    viewport.tabIndex = 0;
+    viewport.setAttribute('data-testid', 'sparql-results-viewport');
+    viewport.style.cssText = 'position: relative; overflow: auto; outline: none;';
+    var header = document.createElement('div');
+    header.style.cssText = 'position: sticky; top: 0; z-index: 1; display: flex; background: #f0f0f0; border-bottom: 1px solid #ddd;';
+    var body = document.createElement('div');
+    body.style.cssText = 'position: relative;';
+    viewport.appendChild(header);
+    viewport.appendChild(body);
+    element.appendChild(toolbar);
+    element.appendChild(viewport);
+
+    function totalWidth() {
+        return widths.reduce(function(sum, width) { return sum + width; }, 0);
+    }
+
+    function renderHeader() {
+        header.style.width = totalWidth() + 'px';
+        header.innerHTML = variables.map(function(variable, index) {
+            var marker = sort.variable === variable ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+            return '<div data-column="' + index + '" title="Sort by ' + escapeGridHtml(variable) + '" style="position: relative; box-sizing: border-box; flex: none; width: ' + widths[index] + 'px; padding: 4px; border-right: 1px solid #ddd; font-weight: bold; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; user-select: none;">' +
+                escapeGridHtml(variable) + marker +
+                '<span data-resize="' + index + '" style="position: absolute; top: 0; right: 0; width: 5px; height: 100%; cursor: col-resize;"></span></div>';
+        }).join('');
+    }
+
+    // Draw the rows in sight, and some either side
+    function renderRows() {
+        var height = viewRows.length * GRID_ROW_HEIGHT;
+        body.style.height = height + 'px';
+        body.style.width = totalWidth() + 'px';
+        viewport.style.height = Math.min(GRID_MAX_HEIGHT, height + GRID_ROW_HEIGHT + 2) + 'px';
+        var first = Math.max(0, Math.floor(viewport.scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+        var last = Math.min(viewRows.length, Math.ceil((viewport.scrollTop + GRID_MAX_HEIGHT) / GRID_ROW_HEIGHT) + GRID_OVERSCAN);
+        var html = '';
+        for (var i = first; i < last; i++) {
+            var row = viewRows[i];
+            html += '<div data-row="' + i + '" style="position: absolute; left: 0; top: ' + (i * GRID_ROW_HEIGHT) + 'px; height: ' + GRID_ROW_HEIGHT + 'px; display: flex; background: ' + (i % 2 ? '#fafafa' : 'white') + ';">';
+            for (var j = 0; j < variables.length; j++) {
+                var term = row[variables[j]];
+                var isSelected = selected && selected.row === i && selected.column === j;
+                html += '<div data-column="' + j + '" title="' + escapeGridHtml(formatTerm(term)) + '" style="box-sizing: border-box; flex: none; width: ' + widths[j] + 'px; padding: 4px; border-right: 1px solid #eee; border-bottom: 1px solid #eee; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;' +
+                    (isSelected ? ' background: #dbeafe; outline: 1px solid #2563eb;' : '') + '">' + escapeGridHtml(termText(term)) + '</div>';
+            }
+            html += '</div>';
+        }
+        body.innerHTML = html;
+    }
+
+    function renderCount() {
+        var total = table.rows.length.toLocaleString() + (hasMore ? '+' : '');
+        countLabel.textContent = (viewRows.length === table.rows.length ? total : viewRows.length.toLocaleString() + ' of ' + total) + ' rows';
+        loadMoreButton.style.display = hasMore ? '' : 'none';
+        loadMoreButton.disabled = loading;
+        loadMoreButton.textContent = loading ? 'Loading…' : 'Load more';
+        copyCellButton.disabled = copyRowButton.disabled = !selected;
+    }
+
+    // Filter and sort the rows again, after a change to either or to the rows
+    function refresh() {
+        var rows = filterTableRows(table.rows, variables, filterText);
+        viewRows = sort.variable ? sortTableRows(rows, sort.variable, sort.direction) : rows;
+        selected = null;
+        renderHeader();
+        renderRows();
+        renderCount();
+    }
+
+    function loadMore() {
+        if (!hasMore || loading) return Promise.resolve();
+        loading = true;
+        renderCount();
+        return Promise.resolve(settings.fetchPage()).then(function(page) {
+            loading = false;
+            hasMore = !!(page && page.more);
+            if (page && page.rows.length) Array.prototype.push.apply(table.rows, page.rows);
+            refresh();
+        }, function(error) {
+            loading = false;
+            renderCount();
+            throw error;
+        });
+    }
+
+    function copy(text, description) {
+        return copyText(text).then(function() {
+            if (settings.onCopy) settings.onCopy(text, description);
+        });
+    }
+
+    function copySelection(wholeRow) {
+        if (!selected) return;
+        var row = viewRows[selected.row];
+        if (wholeRow) {
+            copy(rowsToText(variables, [row]), 'row ' + (selected.row + 1));
+        } else {
+            copy(termText(row[variables[selected.column]]), variables[selected.column] + ' of row ' + (selected.row + 1));
+        }
+    }
+
+    filterInput.addEventListener('input', function() {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(function() {
+            filterText = filterInput.value;
+            viewport.scrollTop = 0;
+            refresh();
+        }, 150);
+    });
+
+    viewport.addEventListener('scroll', function() {
+        renderRows();
+        if (hasMore && !loading && viewport.scrollTop + viewport.clientHeight >= viewport.scrollHeight - GRID_ROW_HEIGHT * 2) {
+            loadMore().catch(function(error) { console.warn('Could not load more results:', error.message); });
+        }
+    });
+
+    header.addEventListener('mousedown', function(e) {
+        var handle = e.target.closest('[data-resize]');
+        if (!handle) return;
+        e.preventDefault();
+        var column = Number(handle.dataset.resize);
+        var startX = e.clientX;
+        var startWidth = widths[column];
+        var move = function(event) {
+            widths[column] = Math.max(GRID_MIN_COLUMN_WIDTH, startWidth + event.clientX - startX);
+            renderHeader();
+            renderRows();
+        };
+        var up = function() {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    });
+
+    // Ascending, descending, then as the store answered
+    header.addEventListener('click', function(e) {
+        if (e.target.closest('[data-resize]')) return;
+        var cell = e.target.closest('[data-column]');
+        if (!cell) return;
+        var variable = variables[Number(cell.dataset.column)];
+        if (sort.variable !== variable) {
+            sort = { variable: variable, direction: 'asc' };
+        } else if (sort.direction === 'asc') {
+            sort.direction = 'desc';
+        } else {
+            sort = { variable: null, direction: null };
+        }
+        refresh();
+    });
+
+    body.addEventListener('click', function(e) {
+        var cell = e.target.closest('[data-column]');
+        var rowElement = e.target.closest('[data-row]');
+        if (!cell || !rowElement) return;
+        selected = { row: Number(rowElement.dataset.row), column: Number(cell.dataset.column) };
+        viewport.focus();
+        renderRows();
+        renderCount();
+    });
+
+    viewport.addEventListener('keydown', function(e) {
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'c' || e.key === 'C') && selected) {
+            e.preventDefault();
+            copySelection(e.shiftKey);
+        }
+    });
+
+    copyCellButton.addEventListener('click', function() { copySelection(false); });
+    copyRowButton.addEventListener('click', function() { copySelection(true); });
+    copyAllButton.addEventListener('click', function() {
+        copy(rowsToText(variables, viewRows, true), viewRows.length + ' rows');
+    });
+    loadMoreButton.addEventListener('click', function() {
+        loadMore().catch(function(error) { console.warn('Could not load more results:', error.message); });
+    });
+
+    refresh();
+    return { element: element, refresh: refresh, loadMore: loadMore };
+}
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+    window.SparqlResultsGrid = {
+        tableFromJson: tableFromJson,
+        tableFromXml: tableFromXml,
+        tableFromCsv: tableFromCsv,
+        tableFromTsv: tableFromTsv,
+        parseResultsTable: parseResultsTable,
+        tableToJson: tableToJson,
+        termText: termText,
+        formatTerm: formatTerm,
+        termNumber: termNumber,
+        compareTerms: compareTerms,
+        sortTableRows: sortTableRows,
+        filterTableRows: filterTableRows,
+        rowsToText: rowsToText,
+        queryPaging: queryPaging,
+        pageQuery: pageQuery,
+        createResultsGrid: createResultsGrid
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        tableFromJson,
+        tableFromXml,
+        tableFromCsv,
+        tableFromTsv,
+        parseResultsTable,
+        tableToJson,
+        termText,
+        formatTerm,
+        termNumber,
+        compareTerms,
+        sortTableRows,
+        filterTableRows,
+        rowsToText,
+        queryPaging,
+        pageQuery,
+        createResultsGrid
+    };
+}
@@ -6,6 +6,16 @@ import { Session } from "./models/session.js";
 import { AuthStore } from "./auth_store.js";
 import { ReplicationManager } from "./replication/replication_manager.js";
 import { RdfStoreAdapter } from "./persistence/rdf_store_adapter.js";
+import { DydraClient } from "./persistence/dydra_client.js";
+import { HttpClient } from "./http.js";
+import { SessionVault } from "./session_vault.js";
+import { WorkspaceStore, DEFAULT_WORKSPACE } from "./workspace_store.js";
+import { ProfileStore } from "./profiles.js";
+import { UnsavedChanges } from "./unsaved_changes.js";
+import { EditHistory } from "./edit_history.js";
+import { RepositoryChanges } from "./repository_changes.js";
+import { AsyncJobs } from "./async_jobs.js";
+import { APP_CONFIG } from "./config.js";
 import { sampleData } from "./sample_data.js";
 
 export class AppState {
@@ -13,20 +23,329 @@ export class AppState {
     this.session = new Session();
     this.session.load();
     this.authStore = new AuthStore();
-    this.adapter = new RdfStoreAdapter({ rdfClient });
+    // The active host profile scopes AuthStore lookups, the session account and the workspace.
+    this.profiles = new ProfileStore();
+    this.authStore.setHost(this.profiles.active().host);
+    this.hostAccounts = new Map();
+    // The open panes, with their drafts, of each host and account left for another host;
+    // restored on return in place of the saved workspace.
+    this.hostPanes = new Map();
+    this.http = new HttpClient({ authStore: this.authStore, session: this.session });
+    this.adapter = new RdfStoreAdapter({
+      rdfClient: rdfClient === undefined ? new DydraClient({ http: this.http }) : rdfClient,
+    });
+    // Sessions stay ephemeral unless the user asks to be kept signed in.
+    this.vault = SessionVault.isSupported() ? new SessionVault(APP_CONFIG.persistentSession) : null;
+    this.persistSession = false;
+    this.vaultQueue = Promise.resolve();
+    this.authStore.onChange(() => this.savePersistentSession());
     this.replication = new ReplicationManager();
+    // Trackers are keyed by host as well as name, so the same account on two hosts keeps
+    // two, and the unsaved edits of either outlast a switch to the other.
     this.accountTrackers = new Map();
     this.repositoryTrackers = new Map();
+    // ETags of account and repository configurations by tracker identifier, one map per
+    // host; sent as If-Match on save.
+    this.hostConfigVersions = new Map();
+    // Panes register their pending edits here, so leaving can offer to save them.
+    this.unsavedChanges = new UnsavedChanges();
+    // ... and record them step by step, for undo and redo within a pane.
+    this.editHistory = new EditHistory();
+    // Open repository panes hear of changes made elsewhere through these subscriptions.
+    this.repositoryChanges = new RepositoryChanges();
+    // Asynchronous queries, polled for their results whichever pane is showing.
+    this.asyncJobs = new AsyncJobs();
     this.openAccounts = new Set();
     this.openRepositories = [];
     this.openViews = [];
+    // The host the open panes belong to.
+    this.panesHost = this.authStore.host;
+    // The workspace is saved as it changes, but only while one is in use: between
+    // beginWorkspace at login and endWorkspace at logout.
+    this.workspaces = new WorkspaceStore();
+    this.workspaceName = DEFAULT_WORKSPACE;
+    this.workspaceActive = false;
+    this.activeTab = null;
+    this.viewDrafts = new Map();
+    // The sample data is there only for an AppState without a client; with one, the
+    // cache holds just the accounts signed in to.
+    const seed = this.adapter.hasClient()
+      ? { accounts: [], repositories: [], queries: [], invitations: [] }
+      : sampleData;
     this.cache = {
-      accounts: sampleData.accounts.map((data) => new Account(data)),
-      repositories: sampleData.repositories.map((data) => new Repository(data)),
-      queries: sampleData.queries.map((data) => new Query(data)),
-      invitations: sampleData.invitations.map((data) => new Invitation(data)),
+      accounts: seed.accounts.map((data) => new Account(data)),
+      repositories: seed.repositories.map((data) => new Repository(data)),
+      queries: seed.queries.map((data) => new Query(data)),
+      invitations: seed.invitations.map((data) => new Invitation(data)),
+    };
+
+  }
+
+  // With a client, its answer stands even when empty, and no answer (no credentials
+  // for the request) is an empty list; a failed or timed-out request rejects the
+  // list* call with its RequestError, for the page to show. `cached()` stands in only
+  // when there is no client.
+  async liveResult(result, cached) {
+    if (this.adapter.hasClient()) return Array.isArray(result) ? result : [];
+    return Array.isArray(result) && result.length ? result : cached();
+  }
+
+  sessionSnapshot() {
+    return { accountName: this.session.accountName, host: this.authStore.host, tokens: this.authStore.state.tokens };
+  }
+
+  // Vault writes are asynchronous, so they are run one after another in the order they
+  // were asked for; otherwise a save still in progress could land after the clear of a
+  // logout which followed it. Answers the operation's result; a failure does not hold
+  // up the operations queued after it.
+  queueVault(operation) {
+    const result = this.vaultQueue.then(operation);
+    this.vaultQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Re-seal the saved session after every AuthStore change; clearing the last
+  // token (logout) ends persistence. Each save takes the AuthStore as it is when its
+  // turn comes.
+  async savePersistentSession() {
+    try {
+      await this.queueVault(async () => {
+        if (!this.persistSession || !this.vault) return;
+        if (this.authStore.listEntries().length) {
+          await this.vault.save(this.sessionSnapshot());
+        } else {
+          this.persistSession = false;
+          await this.vault.clear();
+        }
+      });
+    } catch (error) {
+      console.warn("[AppState] Could not save the persistent session:", error);
+    }
+  }
+
+  async keepSignedIn() {
+    if (!this.vault) return false;
+    this.persistSession = true;
+    await this.savePersistentSession();
+    return true;
+  }
+
+  // Restore AuthStore and the session account from the saved session, if there is one.
+  async restorePersistentSession() {
+    if (!this.vault) return false;
+    let snapshot = null;
+    try {
+      snapshot = await this.vault.restore();
+    } catch (error) {
+      console.warn("[AppState] Could not restore the persistent session:", error);
+    }
+    // Sessions saved before host profiles keyed their tokens by account name alone.
+    const entries = Object.entries(snapshot?.tokens || {})
+      .map(([key, entry]) => ({ ...entry, accountName: entry.accountName || key }));
+    if (!entries.length) return false;
+    entries.forEach(({ accountName, token, config, host }) => {
+      this.authStore.setAuth(accountName, token, config, host);
+    });
+    const current = entries.find((entry) => entry.accountName === snapshot.accountName && (!snapshot.host || entry.host === snapshot.host))
+      || entries.find((entry) => entry.host === snapshot.host)
+      || entries[0];
+    this.authStore.setHost(this.profiles.select(current.host).host);
+    const { accountName } = current;
+    this.setAccountFromConfig(accountName, current.config || {});
+    this.session.login(accountName);
+    this.persistSession = true;
+    this.beginWorkspace();
+    return true;
+  }
+
+  // Answers false when the saved session has expired while the app was in use.
+  async touchPersistentSession() {
+    if (!this.persistSession || !this.vault) return true;
+    return this.queueVault(() => (this.persistSession ? this.vault.touch() : true));
+  }
+
+  // "Sign out everywhere on this device": forget the saved session and its key.
+  async signOutDevice() {
+    this.persistSession = false;
+    await this.queueVault(() => this.vault?.destroy());
+  }
+
+  get configVersions() {
+    const host = this.authStore.host;
+    if (!this.hostConfigVersions.has(host)) this.hostConfigVersions.set(host, new Map());
+    return this.hostConfigVersions.get(host);
+  }
+
+  workspaceScope() {
+    const accountName = this.session.accountName;
+    if (!accountName) return null;
+    return { host: this.authStore.getAuth(accountName)?.host || "", accountName };
+  }
+
+  workspaceSnapshot() {
+    return {
+      openAccounts: this.listOpenAccounts(),
+      openRepositories: this.listOpenRepositories(),
+      openViews: this.listOpenViews(),
+      activeTab: this.activeTab,
+      drafts: Object.fromEntries(this.viewDrafts),
     };
+  }
+
+  applyWorkspace(workspace) {
+    this.panesHost = this.authStore.host;
+    this.openAccounts = new Set(workspace?.openAccounts || []);
+    this.openRepositories = [...(workspace?.openRepositories || [])];
+    this.openViews = [...(workspace?.openViews || [])];
+    this.activeTab = workspace?.activeTab || null;
+    this.viewDrafts = new Map(Object.entries(workspace?.drafts || {}));
+  }
 
+  saveWorkspace() {
+    const scope = this.workspaceScope();
+    if (!this.workspaceActive || !scope) return;
+    this.workspaces.save(scope, this.workspaceName, this.workspaceSnapshot());
+  }
+
+  // Restore the panes the session account left on this host earlier in the session, or
+  // else its current saved workspace, keeping any panes which are already open. Answers
+  // whether there was one.
+  beginWorkspace() {
+    const scope = this.workspaceScope();
+    if (!scope) return false;
+    this.workspaceName = this.workspaces.currentName(scope);
+    const paneKey = `${scope.host}|${scope.accountName}`;
+    const saved = this.hostPanes.get(paneKey) || this.workspaces.load(scope, this.workspaceName);
+    this.hostPanes.delete(paneKey);
+    if (saved) {
+      const open = this.workspaceSnapshot();
+      this.applyWorkspace(saved);
+      open.openAccounts.forEach((accountName) => this.openAccounts.add(accountName));
+      open.openRepositories.forEach(({ accountName, repositoryName }) => this.addOpenRepository(accountName, repositoryName));
+      open.openViews.forEach(({ accountName, repositoryName, viewName }) => this.addOpenView(accountName, repositoryName, viewName));
+    }
+    this.workspaceActive = true;
+    this.saveWorkspace();
+    return Boolean(saved);
+  }
+
+  // Save the workspace a last time and stop tracking it; called before logout closes the panes.
+  endWorkspace() {
+    this.saveWorkspace();
+    this.workspaceActive = false;
+    this.activeTab = null;
+    this.viewDrafts.clear();
+  }
+
+  listWorkspaces() {
+    const scope = this.workspaceScope();
+    return scope ? this.workspaces.list(scope) : [];
+  }
+
+  // Keep the open panes under a new name, which becomes the current workspace.
+  saveWorkspaceAs(name) {
+    const scope = this.workspaceScope();
+    if (!scope || !name) return false;
+    this.workspaceName = name;
+    this.workspaces.save(scope, name, this.workspaceSnapshot());
+    return true;
+  }
+
+  // Save the current workspace and replace the open panes with the named one. A name
+  // which has not been saved yet starts an empty workspace.
+  switchWorkspace(name) {
+    const scope = this.workspaceScope();
+    if (!scope || !name) return false;
+    this.saveWorkspace();
+    this.workspaceName = name;
+    this.applyWorkspace(this.workspaces.load(scope, name));
+    this.workspaces.setCurrent(scope, name);
+    this.saveWorkspace();
+    return true;
+  }
+
+  deleteWorkspace(name) {
+    const scope = this.workspaceScope();
+    if (!scope || !name) return;
+    this.workspaces.remove(scope, name);
+    if (this.workspaceName === name) {
+      this.workspaceName = DEFAULT_WORKSPACE;
+      this.saveWorkspace();
+    }
+  }
+
+  // Only pane tabs ("#tab-...") are remembered.
+  setActiveTab(tabSelector) {
+    if (!tabSelector?.startsWith("#") || tabSelector === this.activeTab) return;
+    this.activeTab = tabSelector;
+    this.saveWorkspace();
+  }
+
+  viewDraftKey(accountName, repositoryName, viewName) {
+    return `${accountName}/${repositoryName}/${viewName}`;
+  }
+
+  getViewDraft(accountName, repositoryName, viewName) {
+    return this.viewDrafts.get(this.viewDraftKey(accountName, repositoryName, viewName)) ?? null;
+  }
+
+  setViewDraft(accountName, repositoryName, viewName, queryText) {
+    this.viewDrafts.set(this.viewDraftKey(accountName, repositoryName, viewName), queryText);
+    this.saveWorkspace();
+  }
+
+  clearViewDraft(accountName, repositoryName, viewName) {
+    if (this.viewDrafts.delete(this.viewDraftKey(accountName, repositoryName, viewName))) {
+      this.saveWorkspace();
+    }
+  }
+
+  activeProfile() {
+    return this.profiles.active();
+  }
+
+  listProfiles() {
+    return this.profiles.list();
+  }
+
+  /**
+   * Work against another host: the profile with this name or host (added when it is
+   * unknown) becomes active. Open panes, the workspace and the session account belong
+   * to a host, so the current panes are set aside, with their drafts, and those of the
+   * new host come back when an account is signed in there: the ones left there in this
+   * session, otherwise its saved workspace. Trackers, configuration ETags and async jobs are kept for every host.
+   * Tokens for every host stay in AuthStore. Answers whether the host changed.
+   */
+  useProfile(nameOrHost) {
+    const profile = this.profiles.select(nameOrHost);
+    if (profile.host === this.authStore.host) return false;
+    if (this.session.isLoggedIn()) {
+      this.hostAccounts.set(this.authStore.host, this.session.accountName);
+    }
+    const scope = this.workspaceScope();
+    if (scope) this.hostPanes.set(`${scope.host}|${scope.accountName}`, this.workspaceSnapshot());
+    this.endWorkspace();
+    // Undo steps are scoped by pane id, which the panes of the new host may share, and
+    // change subscriptions are opened again as repository panes are shown.
+    this.editHistory.clear();
+    this.repositoryChanges.close();
+    this.authStore.setHost(profile.host);
+    this.applyWorkspace(null);
+    const remembered = this.hostAccounts.get(profile.host);
+    const accountName = this.authStore.getAuth(remembered) ? remembered : this.authStore.listAccounts()[0];
+    if (accountName) {
+      this.setAccountFromConfig(accountName, this.authStore.getConfig(accountName) || {});
+      this.session.login(accountName);
+      this.beginWorkspace();
+    } else {
+      this.session.logout();
+    }
+    return true;
+  }
+
+  // The name of the profile for a host, or the host itself.
+  profileName(host) {
+    return this.profiles.find(host)?.name || host;
   }
 
   getCurrentAccount() {
@@ -35,10 +354,11 @@ export class AppState {
   }
 
   async listAccounts() {
-    const accounts = await this.adapter.listAccounts();
-    return accounts?.length ? accounts : this.cache.accounts;
+    return this.liveResult(await this.adapter.listAccounts(), () => this.cache.accounts);
   }
 
+  // With a client the cache holds only the accounts signed in to, from their
+  // configurations at login; any other comes from the client.
   async getAccount(name) {
     if (!name) return null;
     const cached = this.cache.accounts.find((account) => account.friendlyId === name);
@@ -47,12 +367,12 @@ export class AppState {
   }
 
   async listRepositories(accountName = null) {
-    const repos = await this.adapter.listRepositories(accountName);
-    if (repos?.length) return repos;
-    if (!accountName) return this.cache.repositories;
-    const account = await this.getAccount(accountName);
-    if (!account) return [];
-    return this.cache.repositories.filter((repo) => repo.accountId === account.id);
+    return this.liveResult(await this.adapter.listRepositories(accountName), async () => {
+      if (!accountName) return this.cache.repositories;
+      const account = await this.getAccount(accountName);
+      if (!account) return [];
+      return this.cache.repositories.filter((repo) => repo.accountId === account.id);
+    });
   }
 
   async getRepository(accountName, repoName) {
@@ -61,11 +381,11 @@ export class AppState {
   }
 
   async listQueries(accountName, repoName) {
-    const queries = await this.adapter.listQueries(accountName, repoName);
-    if (queries?.length) return queries;
-    const repository = await this.getRepository(accountName, repoName);
-    if (!repository) return [];
-    return this.cache.queries.filter((query) => query.repositoryId === repository.id);
+    return this.liveResult(await this.adapter.listQueries(accountName, repoName), async () => {
+      const repository = await this.getRepository(accountName, repoName);
+      if (!repository) return [];
+      return this.cache.queries.filter((query) => query.repositoryId === repository.id);
+    });
   }
 
   async getQuery(accountName, repoName, queryName) {
@@ -74,8 +394,7 @@ export class AppState {
   }
 
   async listInvitations() {
-    const invitations = await this.adapter.listInvitations();
-    return invitations?.length ? invitations : this.cache.invitations;
+    return this.liveResult(await this.adapter.listInvitations(), () => this.cache.invitations);
   }
 
   getAuthToken(accountName) {
@@ -111,6 +430,7 @@ export class AppState {
   addOpenAccount(accountName) {
     if (!accountName) return;
     this.openAccounts.add(accountName);
+    this.saveWorkspace();
   }
 
   addOpenRepository(accountName, repositoryName) {
@@ -120,6 +440,7 @@ export class AppState {
     );
     if (!exists) {
       this.openRepositories.push({ accountName, repositoryName });
+      this.saveWorkspace();
     }
   }
 
@@ -138,6 +459,7 @@ export class AppState {
     );
     if (!exists) {
       this.openViews.push({ accountName, repositoryName, viewName });
+      this.saveWorkspace();
     }
   }
 
@@ -149,11 +471,17 @@ export class AppState {
     this.openViews = this.openViews.filter(
       (item) => !(item.accountName === accountName && item.repositoryName === repositoryName && item.viewName === viewName)
     );
+    this.viewDrafts.delete(this.viewDraftKey(accountName, repositoryName, viewName));
+    this.saveWorkspace();
+  }
+
+  trackerKey(...names) {
+    return `${this.authStore.host}|${names.join("/")}`;
   }
 
   ensureAccountTracker(accountName, config = {}) {
     if (!accountName) return null;
-    const existing = this.accountTrackers.get(accountName);
+    const existing = this.accountTrackers.get(this.trackerKey(accountName));
     if (existing) {
       this.replication.replaceState(existing, config);
       return existing;
@@ -165,13 +493,13 @@ export class AppState {
       persistentProps: Account._persistentProperties,
       editableProps: Account._editableProperties,
     });
-    this.accountTrackers.set(accountName, tracker);
+    this.accountTrackers.set(this.trackerKey(accountName), tracker);
     return tracker;
   }
 
   ensureRepositoryTracker(accountName, repositoryName, config = {}) {
     if (!accountName || !repositoryName) return null;
-    const key = `${accountName}/${repositoryName}`;
+    const key = this.trackerKey(accountName, repositoryName);
     const existing = this.repositoryTrackers.get(key);
     if (existing) {
       this.replication.replaceState(existing, config);
@@ -189,19 +517,22 @@ export class AppState {
   }
 
   getAccountTracker(accountName) {
-    return this.accountTrackers.get(accountName) || null;
+    return this.accountTrackers.get(this.trackerKey(accountName)) || null;
   }
 
   getRepositoryTracker(accountName, repositoryName) {
-    const key = `${accountName}/${repositoryName}`;
-    return this.repositoryTrackers.get(key) || null;
+    return this.repositoryTrackers.get(this.trackerKey(accountName, repositoryName)) || null;
   }
 
   removeOpenAccount(accountName) {
     if (!accountName) return;
     this.openAccounts.delete(accountName);
+    this.openRepositories
+      .filter((item) => item.accountName === accountName)
+      .forEach(({ repositoryName }) => this.repositoryChanges.unwatch(accountName, repositoryName));
     this.openRepositories = this.openRepositories.filter((item) => item.accountName !== accountName);
-    this.accountTrackers.delete(accountName);
+    this.accountTrackers.delete(this.trackerKey(accountName));
+    this.saveWorkspace();
   }
 
   removeOpenRepository(accountName, repositoryName) {
@@ -209,6 +540,8 @@ export class AppState {
     this.openRepositories = this.openRepositories.filter(
       (item) => !(item.accountName === accountName && item.repositoryName === repositoryName)
     );
-    this.repositoryTrackers.delete(`${accountName}/${repositoryName}`);
+    this.repositoryTrackers.delete(this.trackerKey(accountName, repositoryName));
+    this.repositoryChanges.unwatch(accountName, repositoryName);
+    this.saveWorkspace();
   }
 }
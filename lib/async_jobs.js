@@ -0,0 +1,192 @@
+// Asynchronous query jobs. A query sent with `AcceptAsynchronous: notify` is answered
+// with 202 and the job's Location; the job is recorded here and its location polled,
+// with a growing interval, until the store answers with the result (200, or a redirect
+// to it) or gives up on the job. The result is kept with the job for the editor which
+// ran the query. The jobs outlive the editors and panes, so that a job started in one
+// pane still completes, and is listed, after switching to another.
+
+const DEFAULT_POLLING = { initialDelay: 2000, maxDelay: 30000, factor: 1.5 };
+
+// Statuses which no longer change
+const FINISHED = new Set(["complete", "failed", "cancelled"]);
+
+export const pollingDelay = (attempt, { initialDelay, maxDelay, factor } = DEFAULT_POLLING) =>
+  Math.min(maxDelay, Math.round(initialDelay * Math.pow(factor, attempt)));
+
+export class AsyncJobs {
+  constructor({ fetch = (...args) => globalThis.fetch(...args), polling = {}, now = () => Date.now() } = {}) {
+    this.fetch = fetch;
+    this.polling = { ...DEFAULT_POLLING, ...polling };
+    this.now = now;
+    this.entries = new Map();
+    this.timers = new Map();
+    this.listeners = new Set();
+    this.sequence = 0;
+  }
+
+  // `listener(event, job)` hears "added", "updated", "complete" and "removed".
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event, job) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event, job);
+      } catch (error) {
+        console.warn("[AsyncJobs] Listener failed", error);
+      }
+    });
+  }
+
+  // Newest first
+  list() {
+    return [...this.entries.values()].sort((a, b) => b.submittedAt - a.submittedAt);
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  pendingCount() {
+    return this.list().filter((job) => !FINISHED.has(job.status)).length;
+  }
+
+  /**
+   * Record the job at `location` and start polling it. `accept` is the media type to ask
+   * the result in, `owner` identifies the editor which is to show it and `label` names
+   * the job in the panel.
+   */
+  track({ location, query = "", accept = "application/sparql-results+json", token = null, owner = null, label = "" }) {
+    this.sequence += 1;
+    const job = {
+      id: `job-${this.sequence}`,
+      location,
+      query,
+      accept,
+      token,
+      owner,
+      label: label || location,
+      status: "pending",
+      submittedAt: this.now(),
+      finishedAt: null,
+      polls: 0,
+      result: null,
+      error: null,
+      delivered: false,
+    };
+    this.entries.set(job.id, job);
+    this.emit("added", job);
+    this.schedule(job);
+    return job;
+  }
+
+  schedule(job) {
+    const delay = pollingDelay(job.polls, this.polling);
+    this.timers.set(job.id, setTimeout(() => {
+      this.timers.delete(job.id);
+      this.poll(job.id);
+    }, delay));
+  }
+
+  headers(job, extra = {}) {
+    return { ...(job.token ? { Authorization: job.token } : {}), ...extra };
+  }
+
+  // Ask for the job's result once; answers the job.
+  async poll(id) {
+    const job = this.entries.get(id);
+    if (!job || FINISHED.has(job.status)) return job;
+    job.polls += 1;
+    let response;
+    try {
+      response = await this.fetch(job.location, { method: "GET", headers: this.headers(job, { Accept: job.accept }) });
+    } catch (error) {
+      // Unreachable for now; try again later
+      job.error = error.message;
+      this.emit("updated", job);
+      this.schedule(job);
+      return job;
+    }
+    if (job.status !== "pending") return job;
+    if (response.status === 202 || response.status === 204) {
+      job.error = null;
+      this.emit("updated", job);
+      this.schedule(job);
+    } else if (response.ok) {
+      job.result = {
+        body: await response.text(),
+        contentType: response.headers.get("Content-Type") || job.accept,
+        etag: response.headers.get("ETag") || "",
+      };
+      this.finish(job, "complete");
+    } else {
+      const text = await response.text().catch(() => "");
+      job.error = response.status === 404 || response.status === 410
+        ? "The job is no longer known to the store"
+        : `${response.status} ${response.statusText}${text ? `: ${text.trim().slice(0, 200)}` : ""}`;
+      this.finish(job, "failed");
+    }
+    return job;
+  }
+
+  finish(job, status) {
+    clearTimeout(this.timers.get(job.id));
+    this.timers.delete(job.id);
+    job.status = status;
+    job.finishedAt = this.now();
+    this.emit(status === "complete" ? "complete" : "updated", job);
+  }
+
+  // The owner has shown the result.
+  markDelivered(id) {
+    const job = this.entries.get(id);
+    if (job) job.delivered = true;
+  }
+
+  // Show a completed job's result again: its owner's editor, if one is open, hears
+  // "complete" once more and shows it. Answers whether an editor took it.
+  reopen(id) {
+    const job = this.entries.get(id);
+    if (!job || job.status !== "complete") return false;
+    job.delivered = false;
+    this.emit("complete", job);
+    return job.delivered;
+  }
+
+  // Completed jobs whose result no editor has shown yet, for `owner`.
+  undelivered(owner) {
+    return this.list().filter((job) => job.owner === owner && job.status === "complete" && !job.delivered).reverse();
+  }
+
+  // Stop polling and ask the store to drop the job (DELETE of its location).
+  async cancel(id) {
+    const job = this.entries.get(id);
+    if (!job || FINISHED.has(job.status)) return job;
+    const response = await this.fetch(job.location, { method: "DELETE", headers: this.headers(job) });
+    if (!response.ok && response.status !== 404 && response.status !== 410) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    this.finish(job, "cancelled");
+    return job;
+  }
+
+  remove(id) {
+    const job = this.entries.get(id);
+    if (!job) return;
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    this.entries.delete(id);
+    this.emit("removed", job);
+  }
+
+  clearFinished() {
+    this.list().filter((job) => FINISHED.has(job.status)).forEach((job) => this.remove(job.id));
+  }
+
+  // Forget every job, at logout or on a profile switch; the store keeps running them.
+  close() {
+    this.list().forEach((job) => this.remove(job.id));
+  }
+}
@@ -1,6 +1,6 @@
 import { AuthStore } from "./auth_store.js";
 
-const normalizeHost = (host) => {
+export const normalizeHost = (host) => {
   let baseUrl = host.trim();
   if (!baseUrl) {
     return "";
@@ -1,35 +1,69 @@
+// Tokens are keyed by host and account name, so the same account on two Dydra
+// instances keeps two entries. Lookups by account name alone answer the entry for
+// the active host (set from the current profile); while no host is set they answer
+// the first entry with that name.
+const entryKey = (host, accountName) => `${host || ""}|${accountName}`;
+
 export class AuthStore {
   constructor() {
     this.state = { tokens: {} };
+    this.host = "";
+    this.listeners = new Set();
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  setHost(host) {
+    this.host = host || "";
+    this.notify();
+  }
+
+  getToken(accountName, host = this.host) {
+    return this.getAuth(accountName, host)?.token || null;
   }
 
-  getToken(accountName) {
-    return this.state.tokens[accountName]?.token || null;
+  getConfig(accountName, host = this.host) {
+    return this.getAuth(accountName, host)?.config || null;
   }
 
-  getConfig(accountName) {
-    return this.state.tokens[accountName]?.config || null;
+  getAuth(accountName, host = this.host) {
+    if (host) return this.state.tokens[entryKey(host, accountName)] || null;
+    return this.listEntries().find((entry) => entry.accountName === accountName) || null;
   }
 
-  getAuth(accountName) {
-    return this.state.tokens[accountName] || null;
+  setAuth(accountName, token, config = {}, host = this.host) {
+    this.state.tokens[entryKey(host, accountName)] = { accountName, token, config, host };
+    this.notify();
   }
 
-  setAuth(accountName, token, config = {}, host = "") {
-    this.state.tokens[accountName] = { token, config, host };
+  // Account names with a token for the host (all hosts while none is set).
+  listAccounts(host = this.host) {
+    return this.listEntries()
+      .filter((entry) => !host || entry.host === host)
+      .map((entry) => entry.accountName);
   }
 
-  listAccounts() {
-    return Object.keys(this.state.tokens);
+  listEntries() {
+    return Object.values(this.state.tokens);
   }
 
   clear() {
     this.state.tokens = {};
+    this.notify();
   }
 
-  clearAccount(accountName) {
-    if (accountName && this.state.tokens[accountName]) {
-      delete this.state.tokens[accountName];
+  clearAccount(accountName, host = this.host) {
+    const entry = this.getAuth(accountName, host);
+    if (entry) {
+      delete this.state.tokens[entryKey(entry.host, accountName)];
+      this.notify();
     }
   }
 }
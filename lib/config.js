@@ -1,3 +1,6 @@
+// Defaults for every deployment. At startup app.js and admin-app.js merge the JSON
+// served at RUNTIME_CONFIG_URL over these (see lib/runtime_config.js), so modules
+// should read APP_CONFIG when they need a value rather than copy it at import time.
 export const APP_CONFIG = {
   baseHost: "dydra.com",
   blogHost: "blog.dydra.com",
@@ -5,4 +8,44 @@ export const APP_CONFIG = {
   requireSignupInvite: true,
   showAccountBalances: false,
   basePath: "/ui",
+  // Dydra instances offered by the header profile switcher. Add entries such as
+  // { name: "staging", host: "staging.example.com" } or { name: "local", host: "http://localhost:8080" }.
+  // The page's own host and any host logged in to are added as they are used.
+  profiles: [
+    { name: "production", host: "dydra.com" },
+  ],
+  // "Keep me signed in": lifetime of the encrypted session saved on this device (ms).
+  persistentSession: {
+    idleTimeout: 8 * 60 * 60 * 1000,
+    maxAge: 14 * 24 * 60 * 60 * 1000,
+  },
+  // Single sign-on through an OpenID Connect issuer (authorization code + PKCE).
+  // The login pages offer it once issuer and clientId are set.
+  sso: {
+    issuer: "",
+    clientId: "",
+    scope: "openid profile email",
+    accountClaim: "preferred_username",
+  },
+  // Replication websocket. Empty uses /ws on the repository's host (wss:, or ws: for
+  // an http: host); set e.g. "ws://localhost:8080/ws" to test against a local server.
+  websocketUrl: "",
+  // Feature toggles, queried through isFeatureEnabled(name).
+  features: {},
 };
+
+/**
+ * Answer whether a feature is switched on. Toggles live under `features`; the older
+ * top-level flags (`requireSignupInvite`, `showAccountBalances`) answer for their own
+ * names unless `features` overrides them.
+ */
+export const isFeatureEnabled = (name) => {
+  if (Object.hasOwn(APP_CONFIG.features || {}, name)) return Boolean(APP_CONFIG.features[name]);
+  return APP_CONFIG[name] === true;
+};
+
+export const listFeatures = () => ({
+  requireSignupInvite: APP_CONFIG.requireSignupInvite,
+  showAccountBalances: APP_CONFIG.showAccountBalances,
+  ...APP_CONFIG.features,
+});
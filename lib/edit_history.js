@@ -0,0 +1,152 @@
+import { valuesEqual } from "./replication/graph-object.js";
+
+// Per-pane undo and redo. Each step is a delta array in the GraphObject form,
+// { name: [newValue, oldValue] }, for one target: a pane's tracker or another object
+// whose fields stand for pane state, such as a collaboration table. Undoing assigns
+// the old values through the target, redoing the new ones, so a tracker records the
+// step in its own deltas just as it does for a typed change.
+//
+// Keys are pane ids, as in UnsavedChanges. Typing into one field produces a change per
+// keystroke; changes to the same fields of the same target within `coalesceWindow`
+// milliseconds extend the last step rather than adding one.
+
+export class EditHistory {
+  constructor({ limit = 100, coalesceWindow = 1000, now = () => Date.now() } = {}) {
+    this.limit = limit;
+    this.coalesceWindow = coalesceWindow;
+    this.now = now;
+    this.stacks = new Map();
+    this.listeners = new Set();
+  }
+
+  stack(scope) {
+    let stack = this.stacks.get(scope);
+    if (!stack) {
+      stack = { undo: [], redo: [], open: null };
+      this.stacks.set(scope, stack);
+    }
+    return stack;
+  }
+
+  /**
+   * Add the `deltas` made to `target` as a step of the pane `scope`. Fields whose new
+   * and old values are equal are dropped; a step which then changes nothing is not
+   * added. Recording clears the steps which were undone. Answers the step, or null.
+   */
+  record(scope, target, deltas, { label = null } = {}) {
+    const changes = Object.entries(deltas).filter(([, [value, old]]) => !valuesEqual(value, old));
+    if (!changes.length) return null;
+    const stack = this.stack(scope);
+    const time = this.now();
+    stack.redo = [];
+    const last = stack.open;
+    if (last && last === stack.undo[stack.undo.length - 1] && last.target === target &&
+        time - last.time <= this.coalesceWindow && sameFields(last.deltas, changes)) {
+      changes.forEach(([name, [value]]) => { last.deltas[name][0] = value; });
+      last.time = time;
+      if (Object.values(last.deltas).every(([value, old]) => valuesEqual(value, old))) {
+        stack.undo.pop();
+        stack.open = null;
+      }
+      this.notify(scope);
+      return last;
+    }
+    const step = { target, label, time, deltas: Object.fromEntries(changes.map(([name, values]) => [name, [...values]])) };
+    stack.undo.push(step);
+    if (stack.undo.length > this.limit) stack.undo.shift();
+    stack.open = step;
+    this.notify(scope);
+    return step;
+  }
+
+  /**
+   * Run `change`, which assigns to `target`, and record what it did to `fields`.
+   * Answers the step, or null if the fields are unchanged.
+   */
+  track(scope, target, fields, change, options = {}) {
+    const before = Object.fromEntries(fields.map((name) => [name, target[name]]));
+    change();
+    const deltas = Object.fromEntries(fields.map((name) => [name, [target[name], before[name]]]));
+    return this.record(scope, target, deltas, options);
+  }
+
+  canUndo(scope) {
+    return Boolean(this.stacks.get(scope)?.undo.length);
+  }
+
+  canRedo(scope) {
+    return Boolean(this.stacks.get(scope)?.redo.length);
+  }
+
+  // Restore the old values of the pane's last step. Answers the step, or null.
+  undo(scope) {
+    const stack = this.stacks.get(scope);
+    const step = stack?.undo.pop();
+    if (!step) return null;
+    stack.open = null;
+    Object.entries(step.deltas).forEach(([name, [, old]]) => { step.target[name] = old; });
+    stack.redo.push(step);
+    this.notify(scope);
+    return step;
+  }
+
+  // Reassert the new values of the step undone last. Answers the step, or null.
+  redo(scope) {
+    const stack = this.stacks.get(scope);
+    const step = stack?.redo.pop();
+    if (!step) return null;
+    stack.open = null;
+    Object.entries(step.deltas).forEach(([name, [value]]) => { step.target[name] = value; });
+    stack.undo.push(step);
+    this.notify(scope);
+    return step;
+  }
+
+  // The pane's steps, oldest first: { done, undone }.
+  entries(scope) {
+    const stack = this.stacks.get(scope);
+    return { done: [...(stack?.undo || [])], undone: [...(stack?.redo || [])].reverse() };
+  }
+
+  // Forget the pane's steps - once saved or discarded, they no longer apply. With a
+  // `target`, only its steps are dropped.
+  clear(scope = null, target = null) {
+    if (scope === null) {
+      const scopes = [...this.stacks.keys()];
+      this.stacks.clear();
+      scopes.forEach((key) => this.notify(key));
+      return;
+    }
+    const stack = this.stacks.get(scope);
+    if (!stack) return;
+    if (target) {
+      stack.undo = stack.undo.filter((step) => step.target !== target);
+      stack.redo = stack.redo.filter((step) => step.target !== target);
+      if (stack.open?.target === target) stack.open = null;
+    } else {
+      this.stacks.delete(scope);
+    }
+    this.notify(scope);
+  }
+
+  // Call `listener(scope)` whenever a pane's steps change; answers a function which stops.
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(scope) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(scope);
+      } catch (error) {
+        console.warn("[EditHistory] Listener failed:", error);
+      }
+    });
+  }
+}
+
+const sameFields = (deltas, changes) => {
+  const names = Object.keys(deltas);
+  return names.length === changes.length && changes.every(([name]) => names.includes(name));
+};
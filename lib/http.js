@@ -0,0 +1,329 @@
+export const DEFAULT_TIMEOUT = 30000;
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY = 500;
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * Base class for every failure reported by HttpClient. `status` is the HTTP status
+ * (0 when no response arrived) and `body` the response text, when there was one.
+ */
+export class RequestError extends Error {
+  constructor(message, { url = "", method = "GET", status = 0, statusText = "", body = "", cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.method = method;
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    if (cause) this.cause = cause;
+  }
+}
+
+// 401 and 403: missing, expired or insufficient credentials.
+export class AuthError extends RequestError {
+}
+
+// 404 and 410.
+export class NotFoundError extends RequestError {
+}
+
+// 409 and 412: the resource changed underneath the request.
+export class ConflictError extends RequestError {
+}
+
+// 429. `retryAfter` is the delay in milliseconds the server asked for, if any.
+export class RateLimitError extends RequestError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+// 5xx.
+export class ServerError extends RequestError {
+}
+
+// The request did not complete within its timeout.
+export class TimeoutError extends RequestError {
+}
+
+// The caller aborted the request through its signal.
+export class CancelledError extends RequestError {
+}
+
+// No response arrived: DNS, CORS, connection reset and the like.
+export class NetworkError extends RequestError {
+}
+
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const readBody = async (response) => {
+  try {
+    return await response.text();
+  } catch (error) {
+    return "";
+  }
+};
+
+/**
+ * Answer the typed error for a response which is not ok.
+ */
+export const errorForResponse = async (response, { url = response.url, method = "GET" } = {}) => {
+  const body = await readBody(response);
+  const detail = body && body.length < 200 ? ` - ${body}` : "";
+  const status = response.statusText ? `${response.status} ${response.statusText}` : `${response.status}`;
+  const message = `${method} ${url} failed: ${status}${detail}`;
+  const details = { url, method, status: response.status, statusText: response.statusText, body };
+  switch (true) {
+    case response.status === 401 || response.status === 403:
+      return new AuthError(message, details);
+    case response.status === 404 || response.status === 410:
+      return new NotFoundError(message, details);
+    case response.status === 409 || response.status === 412:
+      return new ConflictError(message, details);
+    case response.status === 429:
+      return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(response.headers.get("retry-after")) });
+    case response.status >= 500:
+      return new ServerError(message, details);
+    default:
+      return new RequestError(message, details);
+  }
+};
+
+const isRetryable = (error) =>
+  error instanceof NetworkError ||
+  error instanceof TimeoutError ||
+  error instanceof RateLimitError ||
+  error instanceof ServerError;
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+/**
+ * HttpClient is the single request path for Studio and Admin. It resolves the host
+ * and Bearer token for an account from the AuthStore, bounds each attempt with a
+ * timeout, honours a caller's AbortSignal, retries idempotent requests with
+ * exponential backoff and reports failures as RequestError subclasses.
+ *
+ * Paths are resolved against the account's host; absolute URLs are used as given.
+ * Pass `auth: { host, token }` to act with credentials which are not (yet) in the
+ * store, and `auth: null` for an anonymous request.
+ *
+ * Requests go through the `fetch` option, the global fetch unless given.
+ *
+ * When a request made with stored credentials answers 401, the client calls
+ * `onUnauthorized({ accountName, error })`, which should refresh the account's
+ * entry in the AuthStore and answer true, or answer false to give up. Requests
+ * issued while that is pending wait for it, and the failed request is replayed
+ * once with the new token.
+ */
+export class HttpClient {
+  constructor({
+    authStore = null,
+    session = null,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    onUnauthorized = null,
+    fetch = (...args) => globalThis.fetch(...args),
+  } = {}) {
+    this.authStore = authStore;
+    this.fetch = fetch;
+    this.session = session;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.onUnauthorized = onUnauthorized;
+    this.pendingReauthentication = null;
+  }
+
+  // Prefer the credentials of the named account, otherwise act as the session account.
+  authFor(accountName = null) {
+    const direct = accountName ? this.authStore?.getAuth(accountName) : null;
+    if (direct?.token && direct?.host) return direct;
+    const current = this.session?.accountName ? this.authStore?.getAuth(this.session.accountName) : null;
+    return current?.token && current?.host ? current : null;
+  }
+
+  // The account whose credentials authFor answers.
+  accountFor(accountName = null) {
+    if (accountName && this.authStore?.getAuth(accountName)?.token) return accountName;
+    return this.session?.accountName || accountName;
+  }
+
+  resolve(path, auth) {
+    if (/^https?:\/\//i.test(path)) return path;
+    const host = auth?.host || (typeof window !== "undefined" ? window.location.origin : "");
+    return `${host}${path}`;
+  }
+
+  /**
+   * Ask onUnauthorized for new credentials. Concurrent callers share the one prompt.
+   */
+  reauthenticate(accountName, error) {
+    if (!this.pendingReauthentication) {
+      this.pendingReauthentication = Promise.resolve()
+        .then(() => this.onUnauthorized({ accountName, error }))
+        .catch((reason) => {
+          console.warn("[HttpClient] re-authentication failed:", reason);
+          return false;
+        })
+        .finally(() => {
+          this.pendingReauthentication = null;
+        });
+    }
+    return this.pendingReauthentication;
+  }
+
+  /**
+   * Perform a request and answer the ok Response, or throw a RequestError.
+   */
+  async request(path, {
+    accountName = null,
+    auth = undefined,
+    method = "GET",
+    headers = {},
+    body = undefined,
+    json = undefined,
+    accept = "application/json",
+    timeout = this.timeout,
+    retries = undefined,
+    signal = null,
+    ...fetchOptions
+  } = {}) {
+    const upperMethod = method.toUpperCase();
+    const stored = auth === undefined;
+    if (stored && this.pendingReauthentication) {
+      await this.pendingReauthentication;
+    }
+    let credentials = stored ? this.authFor(accountName) : auth;
+    if (stored && !credentials) {
+      throw new AuthError(`Not authenticated${accountName ? ` as ${accountName}` : ""}.`, { url: path, method: upperMethod, status: 401 });
+    }
+    const requestHeaders = { Accept: accept, ...headers };
+    let requestBody = body;
+    if (json !== undefined) {
+      requestHeaders["Content-Type"] = "application/json";
+      requestBody = JSON.stringify(json);
+    }
+    const attempts = 1 + (IDEMPOTENT_METHODS.has(upperMethod) ? (retries ?? this.retries) : 0);
+    const send = (sendCredentials) => {
+      const sendHeaders = { ...requestHeaders };
+      if (sendCredentials?.token) {
+        sendHeaders.Authorization = `Bearer ${sendCredentials.token}`;
+      }
+      return this.send(this.resolve(path, sendCredentials), {
+        ...fetchOptions,
+        method: upperMethod,
+        headers: sendHeaders,
+        body: requestBody,
+      }, { timeout, signal, attempts });
+    };
+
+    try {
+      return await send(credentials);
+    } catch (error) {
+      if (!stored || !this.onUnauthorized || !(error instanceof AuthError) || error.status !== 401) throw error;
+      const reauthenticated = await this.reauthenticate(this.accountFor(accountName), error);
+      credentials = reauthenticated ? this.authFor(accountName) : null;
+      if (!credentials) throw error;
+      return send(credentials);
+    }
+  }
+
+  /**
+   * Send a request, repeating it up to `attempts` times while the failure is transient.
+   */
+  async send(url, options, { timeout, signal, attempts }) {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await this.attempt(url, options, { timeout, signal });
+      } catch (error) {
+        if (attempt + 1 >= attempts || !isRetryable(error)) throw error;
+        const backoff = this.retryDelay * 2 ** attempt;
+        const delay = error instanceof RateLimitError && error.retryAfter !== null ? error.retryAfter : backoff;
+        try {
+          await sleep(delay, signal);
+        } catch (reason) {
+          throw new CancelledError(`${options.method} ${url} was cancelled.`, { url, method: options.method, cause: reason });
+        }
+      }
+    }
+  }
+
+  async attempt(url, options, { timeout, signal }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+      : null;
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal?.addEventListener("abort", onAbort, { once: true });
+    }
+    const details = { url, method: options.method };
+    try {
+      const response = await this.fetch(url, { ...options, signal: controller.signal });
+      if (!response.ok) {
+        throw await errorForResponse(response, details);
+      }
+      return response;
+    } catch (error) {
+      if (error instanceof RequestError) throw error;
+      if (timedOut) {
+        throw new TimeoutError(`${options.method} ${url} timed out after ${timeout}ms.`, { ...details, cause: error });
+      }
+      if (signal?.aborted) {
+        throw new CancelledError(`${options.method} ${url} was cancelled.`, { ...details, cause: error });
+      }
+      throw new NetworkError(`${options.method} ${url} failed: ${error.message}`, { ...details, cause: error });
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Perform a request and answer the parsed JSON body, or null for an empty body.
+   */
+  async json(path, options = {}) {
+    const response = await this.request(path, options);
+    if (response.status === 204) return null;
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Perform a request and answer the body text.
+   */
+  async text(path, options = {}) {
+    const response = await this.request(path, { accept: "text/plain", ...options });
+    return response.text();
+  }
+}
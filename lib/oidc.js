@@ -0,0 +1,150 @@
+// Single sign-on through an OpenID Connect issuer: authorization-code flow with PKCE
+// (RFC 7636) for a public browser client. startSsoLogin records the pending request
+// and answers the authorization URL to visit; finishSsoLogin completes the exchange
+// when the issuer redirects back with `code` and `state`.
+
+const PENDING_KEY = "dydra.sso";
+
+const metadataCache = new Map();
+
+const defaultStorage = () => (typeof window !== "undefined" ? window.sessionStorage : null);
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, "-")
+  .replace(/\//g, "_")
+  .replace(/=+$/, "");
+
+const randomString = (byteLength = 32) => base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+const decodeJwtPayload = (jwt) => {
+  const payload = String(jwt || "").split(".")[1];
+  if (!payload) return {};
+  const padded = payload.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(payload.length / 4) * 4, "=");
+  const text = new TextDecoder().decode(Uint8Array.from(atob(padded), (c) => c.charCodeAt(0)));
+  return JSON.parse(text);
+};
+
+export const isSsoConfigured = (sso) => Boolean(sso?.issuer && sso?.clientId);
+
+export const createPkcePair = async () => {
+  const verifier = randomString(48);
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  return { verifier, challenge: base64Url(digest) };
+};
+
+export const discoverIssuer = async (issuer) => {
+  const key = issuer.replace(/\/$/, "");
+  if (metadataCache.has(key)) return metadataCache.get(key);
+  const response = await fetch(`${key}/.well-known/openid-configuration`, {
+    headers: { Accept: "application/json" },
+  });
+  if (!response.ok) {
+    throw new Error(`SSO discovery failed: ${response.status} ${response.statusText}`);
+  }
+  const metadata = await response.json();
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint) {
+    throw new Error("SSO issuer metadata lacks an authorization or token endpoint.");
+  }
+  metadataCache.set(key, metadata);
+  return metadata;
+};
+
+/**
+ * Answer whether the location is the issuer's redirect back to a login started here.
+ */
+export const isSsoCallback = (location, storage = defaultStorage()) => {
+  const params = new URLSearchParams(location?.search || "");
+  return Boolean(storage?.getItem(PENDING_KEY)) && params.has("state") && (params.has("code") || params.has("error"));
+};
+
+/**
+ * Record a pending login and answer the issuer URL to send the browser to.
+ * `host` is the Dydra host the token will be used against; `returnTo` the app path
+ * to show afterwards.
+ */
+export const startSsoLogin = async ({ sso, host, redirectUri, returnTo = null, storage = defaultStorage() }) => {
+  if (!isSsoConfigured(sso)) {
+    throw new Error("Single sign-on is not configured.");
+  }
+  const metadata = await discoverIssuer(sso.issuer);
+  const { verifier, challenge } = await createPkcePair();
+  const state = randomString(16);
+  const nonce = randomString(16);
+  storage.setItem(PENDING_KEY, JSON.stringify({ state, nonce, verifier, host, redirectUri, returnTo }));
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: sso.clientId,
+    redirect_uri: redirectUri,
+    scope: sso.scope || "openid",
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  }).toString();
+  return url.toString();
+};
+
+/**
+ * Exchange the authorization code from the redirect for tokens. Answers
+ * `{ accountName, token, claims, host, returnTo }`; throws when the redirect carries
+ * an error, does not match the pending login, or the exchange fails.
+ */
+export const finishSsoLogin = async ({ sso, params, storage = defaultStorage() }) => {
+  const pending = JSON.parse(storage.getItem(PENDING_KEY) || "null");
+  storage.removeItem(PENDING_KEY);
+  if (!pending) {
+    throw new Error("No single sign-on login is in progress.");
+  }
+  if (params.get("state") !== pending.state) {
+    throw new Error("Single sign-on response does not match the pending login.");
+  }
+  if (params.get("error")) {
+    throw new Error(`Single sign-on failed: ${params.get("error_description") || params.get("error")}`);
+  }
+  const metadata = await discoverIssuer(sso.issuer);
+  const response = await fetch(metadata.token_endpoint, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: params.get("code"),
+      redirect_uri: pending.redirectUri,
+      client_id: sso.clientId,
+      code_verifier: pending.verifier,
+    }).toString(),
+  });
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new Error(`Single sign-on token exchange failed: ${response.status}${errorText ? ` - ${errorText}` : ""}`);
+  }
+  const tokens = await response.json();
+  if (!tokens.access_token) {
+    throw new Error("Identity provider did not return an access token.");
+  }
+  // The id_token comes straight from the token endpoint over TLS, so its claims are
+  // read without verifying the signature; issuer and nonce must still match.
+  const claims = tokens.id_token ? decodeJwtPayload(tokens.id_token) : {};
+  if (tokens.id_token) {
+    if (metadata.issuer && claims.iss !== metadata.issuer) {
+      throw new Error("Single sign-on id_token was issued by an unexpected issuer.");
+    }
+    if (claims.nonce !== pending.nonce) {
+      throw new Error("Single sign-on id_token does not match the pending login.");
+    }
+  }
+  const accountName = claims[sso.accountClaim || "preferred_username"] || claims.sub;
+  if (!accountName) {
+    throw new Error("Identity provider did not identify an account.");
+  }
+  return {
+    accountName,
+    token: tokens.access_token,
+    claims,
+    host: pending.host,
+    returnTo: pending.returnTo,
+  };
+};
@@ -0,0 +1,189 @@
+import { PersistenceAdapter } from "./adapter.js";
+import { NotFoundError } from "../http.js";
+import { Account } from "../models/account.js";
+import { Repository } from "../models/repository.js";
+import { Query } from "../models/query.js";
+import { Invitation } from "../models/invitation.js";
+
+const accountPath = (accountName) => `/system/accounts/${encodeURIComponent(accountName)}`;
+
+const repositoryPath = (accountName, repositoryName) =>
+  `${accountPath(accountName)}/repositories/${encodeURIComponent(repositoryName)}`;
+
+const baseName = (name) => (name && name.includes("/") ? name.split("/").pop() : name);
+
+// The service answers list requests with a bare array, a wrapped array, or an object keyed by name.
+const normalizeList = (payload, key) => {
+  if (Array.isArray(payload)) return payload;
+  if (payload && Array.isArray(payload[key])) return payload[key];
+  if (payload && Array.isArray(payload.items)) return payload.items;
+  if (payload && typeof payload === "object") {
+    return Object.entries(payload).map(([name, value]) => (
+      value && typeof value === "object" ? { name, ...value } : name
+    ));
+  }
+  return [];
+};
+
+const toAccount = (accountName, config = {}) => new Account({
+  id: config.id || accountName,
+  friendlyId: accountName,
+  name: accountName,
+  email: config.email,
+  fullname: config.fullname || [config.firstname, config.familyname].filter(Boolean).join(" ") || accountName,
+  homepage: config.homepage,
+  blog: config.blog,
+  company: config.company,
+  balance: config.balance || 0,
+});
+
+const toRepository = (accountName, data = {}) => {
+  const entry = typeof data === "string" ? { name: data } : data;
+  const name = baseName(entry.name || entry.key || entry.id || entry.friendlyId);
+  return new Repository({
+    id: `${accountName}/${name}`,
+    accountId: accountName,
+    name,
+    friendlyId: name,
+    summary: entry.summary || entry.abstract || "",
+    description: entry.description || "",
+    homepage: entry.homepage || "",
+    quadCount: entry.quads || entry.quad_count || entry.statements || 0,
+    diskSize: entry.disk_size || entry.size || "",
+    license: entry.license || "Unspecified",
+  });
+};
+
+const toQuery = (accountName, repositoryName, data = {}, queryText = "") => {
+  const entry = typeof data === "string" ? { name: data } : data;
+  const name = baseName(entry.name || entry.id || entry.key);
+  return new Query({
+    id: `${accountName}/${repositoryName}/${name}`,
+    repositoryId: `${accountName}/${repositoryName}`,
+    name,
+    friendlyId: name,
+    summary: entry.summary || "",
+    queryText: queryText || entry.query || entry.queryText || "",
+  });
+};
+
+const toInvitation = (data = {}) => {
+  const entry = typeof data === "string" ? { email: data } : data;
+  return new Invitation({
+    id: entry.id || entry.email,
+    email: entry.email,
+    inviteCode: entry.invite_code || entry.inviteCode || entry.code || "",
+    httpReferrer: entry.http_referrer || entry.httpReferrer || entry.referrer || "",
+    accountName: entry.account_name || entry.accountName || entry.account || "",
+  });
+};
+
+/**
+ * DydraClient reads accounts, repositories, views and invitations from the
+ * `/system/accounts/...` service endpoints through an HttpClient, on behalf of the
+ * authenticated accounts in its AuthStore. It serves as the rdfClient behind
+ * RdfStoreAdapter.
+ *
+ * Each method answers `null` when it has no credentials for the request, and the
+ * `get` methods also when the service does not know the named resource. Any other
+ * failure rejects with the HttpClient's RequestError, so that callers can tell a
+ * failed request apart from an empty list.
+ */
+export class DydraClient extends PersistenceAdapter {
+  constructor({ http }) {
+    super();
+    this.http = http;
+  }
+
+  authFor(accountName = null) {
+    return this.http.authFor(accountName);
+  }
+
+  // Made with the stored credentials of the account, or of the session account when
+  // there is none, so that a 401 goes through the HttpClient's re-authentication.
+  async request(accountName, path, { accept = "application/json" } = {}) {
+    if (!this.authFor(accountName)) return null;
+    return accept === "application/json"
+      ? this.http.json(path, { accountName })
+      : this.http.text(path, { accountName, accept });
+  }
+
+  // As request, but a resource the service does not know answers null.
+  async find(accountName, path, options) {
+    try {
+      return await this.request(accountName, path, options);
+    } catch (error) {
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
+  }
+
+  async getAccountByName(accountName) {
+    if (!accountName) return null;
+    const config = await this.find(accountName, `${accountPath(accountName)}/configuration`);
+    return config ? toAccount(accountName, config) : null;
+  }
+
+  // RdfStoreAdapter delegates under this name.
+  async getAccount(accountName) {
+    return this.getAccountByName(accountName);
+  }
+
+  async listAccounts() {
+    const data = await this.request(null, "/system/accounts");
+    if (!data) return null;
+    return normalizeList(data, "accounts")
+      .map((entry) => (typeof entry === "string" ? entry : entry.id || entry.name || entry.friendlyId))
+      .filter(Boolean)
+      .map((accountName) => toAccount(accountName));
+  }
+
+  async listRepositories(accountName) {
+    if (!accountName) return null;
+    const data = await this.request(accountName, `${accountPath(accountName)}/repositories`);
+    if (!data) return null;
+    return normalizeList(data, "repositories")
+      .map((entry) => toRepository(accountName, entry))
+      .filter((repository) => repository.friendlyId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getRepository(accountName, repositoryName) {
+    if (!accountName || !repositoryName) return null;
+    const config = await this.find(
+      accountName,
+      `${repositoryPath(accountName, repositoryName)}/configuration`
+    );
+    return config ? toRepository(accountName, { ...config, name: repositoryName }) : null;
+  }
+
+  async listQueries(accountName, repositoryName) {
+    if (!accountName || !repositoryName) return null;
+    const config = await this.request(
+      accountName,
+      `${repositoryPath(accountName, repositoryName)}/configuration`
+    );
+    if (!config) return null;
+    return normalizeList(config.views || [], "views")
+      .map((entry) => toQuery(accountName, repositoryName, entry))
+      .filter((query) => query.friendlyId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getQuery(accountName, repositoryName, queryName) {
+    if (!accountName || !repositoryName || !queryName) return null;
+    const name = baseName(queryName);
+    const queryText = await this.find(
+      accountName,
+      `${repositoryPath(accountName, repositoryName)}/views/${encodeURIComponent(name)}`,
+      { accept: "application/sparql-query" }
+    );
+    return queryText === null ? null : toQuery(accountName, repositoryName, { name }, queryText);
+  }
+
+  async listInvitations() {
+    const data = await this.request(null, "/invitations");
+    if (!data) return null;
+    return normalizeList(data, "invitations").map((entry) => toInvitation(entry));
+  }
+}
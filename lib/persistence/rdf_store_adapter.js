@@ -6,6 +6,10 @@ export class RdfStoreAdapter extends PersistenceAdapter {
     this.rdfClient = rdfClient;
   }
 
+  hasClient() {
+    return Boolean(this.rdfClient);
+  }
+
   async getAccountByName(name) {
     if (!this.rdfClient) {
       return null;
@@ -0,0 +1,88 @@
+// Host profiles: named Dydra instances (production, staging, a local server) which the
+// Studio can work against. Profiles come from APP_CONFIG.profiles; the host serving
+// the page and any other host logged in to are added as ad-hoc profiles named after
+// the host. The active profile and the ad-hoc ones are remembered in localStorage.
+
+import { APP_CONFIG } from "./config.js";
+import { normalizeHost } from "./auth.js";
+
+const STORAGE_KEY = "dydra.profiles";
+
+const defaultStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+const defaultHost = () => (typeof window !== "undefined" ? window.location.host : "");
+
+const displayHost = (host) => host.replace(/^https:\/\//i, "");
+
+export class ProfileStore {
+  constructor({ profiles = APP_CONFIG.profiles || [], storage = defaultStorage(), currentHost = defaultHost() } = {}) {
+    this.storage = storage;
+    this.configured = profiles
+      .filter((profile) => profile?.host)
+      .map((profile) => ({ name: profile.name || displayHost(normalizeHost(profile.host)), host: normalizeHost(profile.host) }));
+    const saved = this.read();
+    this.custom = [];
+    this.custom = (saved.custom || []).filter((profile) => profile?.host && !this.find(profile.host));
+    const initial = this.find(saved.active) || this.find(currentHost) || this.add(currentHost) || this.configured[0];
+    this.activeHost = initial?.host || "";
+  }
+
+  read() {
+    try {
+      return JSON.parse(this.storage?.getItem(STORAGE_KEY) || "{}") || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  write() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({ active: this.activeHost, custom: this.custom }));
+    } catch (error) {
+      console.warn("[ProfileStore] Could not save profiles:", error);
+    }
+  }
+
+  list() {
+    return [...this.configured, ...this.custom];
+  }
+
+  // Look a profile up by name or host.
+  find(nameOrHost) {
+    if (!nameOrHost) return null;
+    const profiles = this.list();
+    return profiles.find((profile) => profile.name === nameOrHost)
+      || profiles.find((profile) => profile.host === normalizeHost(nameOrHost))
+      || null;
+  }
+
+  add(host) {
+    const normalized = normalizeHost(host || "");
+    if (!normalized) return null;
+    const profile = { name: displayHost(normalized), host: normalized };
+    this.custom.push(profile);
+    this.write();
+    return profile;
+  }
+
+  active() {
+    return this.find(this.activeHost) || { name: displayHost(this.activeHost), host: this.activeHost };
+  }
+
+  /**
+   * Make the profile with this name or host the active one, adding a profile for a
+   * host which is not known yet. Answers the profile.
+   */
+  select(nameOrHost) {
+    const profile = this.find(nameOrHost) || this.add(nameOrHost);
+    if (!profile) return this.active();
+    this.activeHost = profile.host;
+    this.write();
+    return profile;
+  }
+
+  // The host as the login form shows it.
+  displayHost(profile = this.active()) {
+    return displayHost(profile.host);
+  }
+}
@@ -12,6 +12,8 @@ const messages = {
         'The mutating operation was attempted in a "readonly" transaction.',
     TransactionInactiveError:
         "A request was placed against a transaction which is currently not active, or which is finished.",
+    MergeConflictError:
+        "A replicated change conflicts with a local change to the same field.",
 };
 
 class GraphDatabaseError extends Error {
@@ -41,3 +43,32 @@ export class ReadOnlyError extends GraphDatabaseError {
 
 export class TransactionInactiveError extends GraphDatabaseError {
 }
+
+/**
+ Signalled when replicated deltas change fields which also have local changes, to different values.
+ The handler resolves it per field - or wholesale, by superseding the local changes with the
+ replicated state or by retaining them.
+ @property {GraphObject} object
+ @property {Array<{name, base, local, remote}>} conflicts
+ @property {Object} remoteDeltas
+ */
+export class MergeConflictError extends GraphDatabaseError {
+  constructor (object, conflicts = [], remoteDeltas = {}) {
+    super();
+    this.object = object;
+    this.conflicts = conflicts;
+    this.remoteDeltas = remoteDeltas;
+  }
+
+  resolve (resolutions) {
+    return (this.object.merge(this.remoteDeltas, resolutions));
+  }
+
+  supersede () {
+    return (this.resolve(Object.fromEntries(this.conflicts.map(function(conflict) { return ([conflict.name, 'remote']); }))));
+  }
+
+  retain () {
+    return (this.resolve(Object.fromEntries(this.conflicts.map(function(conflict) { return ([conflict.name, 'local']); }))));
+  }
+}
@@ -81,23 +81,35 @@ to return the operation result or signal an exception.
 */
 
 import {GraphEnvironment} from './graph-environment.js';
+import {JsonLdEnvironment} from './jsonld-environment.js';
 import {GraphObject} from './graph-object.js';
-import {NotFoundError} from './errors.js';
+import {NotFoundError, MergeConflictError} from './errors.js';
 import {makeUUIDString} from './revision-identifier.js';
 
-if (typeof window === 'undefined') {
-  var WebSocket = require('ws'); // Import 'ws' library for Node.js
+/**
+ Return the WebSocket class for a database: its webSocketClass option, else GraphDatabase.WebSocket,
+ else the global one - the browser's, or Node's from version 22. The package has no dependencies,
+ so under older Node versions the caller must supply a class, e.g. the 'ws' package's WebSocket,
+ as the webSocketClass option or as GraphDatabase.WebSocket; without one this throws.
+ @param {GraphDatabase} database
+ @returns {function}
+ */
+function webSocketClass(database) {
+  var webSocket = database.webSocketClass || GraphDatabase.WebSocket || globalThis.WebSocket;
+  if (!webSocket) {
+    throw (new Error("GraphDatabase: no WebSocket class; pass the webSocketClass option or set GraphDatabase.WebSocket"));
+  }
+  return (webSocket);
 }
-const now = Date.now();
 
 /**
  openWebSocket connects a database instance to its remote store over a websocket connection.
- The location is supplied to the database when it is instantiated.
- This is invoked in the database constructor, which binds the new websocket when accepting an onopen
- event through the promise's resove operator.
+ The URL is the database's websocketURL(). This is invoked by the database's connect operator,
+ which binds the new websocket when accepting an onopen event through the promise's resolve operator.
 
  Ány communication which appears as onmessage event is delegated to an database onmessage operator.
- An onclose just clears the websocket binding.
+ A failure to open rejects the promise; a close after opening is reported to the database,
+ which reconnects unless it was closed deliberately.
  Other events are just logged.
 */
 
@@ -106,35 +118,33 @@ const now = Date.now();
  * 
  * @param {GraphDatabase} database - The database instance.
  * @returns {Promise<WebSocket>} - A promise that resolves to the WebSocket instance.
+ * @throws {Error} - If there is no WebSocket class.
  */
 function openWebSocket(database) {
-  var location = database.location;
-  console.log("GraphDatabase.openWebSocket: location", location);
+  var WebSocket = webSocketClass(database);
+  var wsURL = database.websocketURL();
+  console.log("GraphDatabase.openWebSocket: url", wsURL);
   var p = new Promise(function (resolve, reject) {
-    var url = new URL(location);
-    var host = url.host;
-    var wsURL = 'wss://' + host + '/ws'; // just /ws
     var websocket = null;
-
-    console.log("GraphDatabase.openWebSocket: url", wsURL);
+    var opened = false;
     try {
-      if (typeof window !== 'undefined' && window.WebSocket) {
-        websocket = new window.WebSocket(wsURL); // Use browser WebSocket
-      } else {
-        websocket = new WebSocket(wsURL); // Use 'ws' library WebSocket
-      }
+      websocket = new WebSocket(wsURL);
     } catch(e) {
       console.log('openWebSocket.new failed: ', e);
-      return (null);
+      reject(e);
+      return;
     }
-    console.log("GraphDatabase.openWebSocket: websocket", websocket);
     websocket.onerror = function(event) {
       console.log("GraphDatabase.openWebSocket: error ", event, websocket);
-      reject(event);
+      if (!opened) { reject(event); }
     };
-    websocket.onclose = function() {
+    websocket.onclose = function(event) {
       console.log("GraphDatabase.openWebSocket: onclose");
-      database.websocket = null;
+      if (opened) {
+        database.onclose(websocket, event);
+      } else {
+        reject(event);
+      }
     }
     websocket.onmessage = function (event) {
       // console.log("GraphDatabase.openWebSocket: onmessage", event)
@@ -142,19 +152,34 @@ function openWebSocket(database) {
     };
     websocket.onopen = function (event) {
       console.log("GraphDatabase.openWebSocket: onopen", websocket, event);
+      opened = true;
       resolve(websocket);
     };
   });
   return (p);
 }
 
+/**
+ Return the delay before reconnection attempt `attempt` (counting from zero): it grows by `factor`
+ from `initialDelay` up to `maxDelay`, less a random part of up to `jitter` of itself so that
+ clients which lost the same server do not return in step.
+ @param {number} attempt
+ @param {Object} [options]
+ @param {function} [random=Math.random]
+ @returns {number} - milliseconds
+ */
+export function backoffDelay(attempt, {initialDelay = 1000, maxDelay = 30000, factor = 2, jitter = 0.5} = {}, random = Math.random) {
+  var delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+  return (Math.round(delay * (1 - jitter * random())));
+}
+
 // extract the request line, headers and body from a websocket response.
 
 /**
  * Parse the request line, headers, and body from a WebSocket response.
  * 
  * @param {string} document - The response document.
- * @param {Object} [options={hasResponseLine: true}] - Parsing options.
+ * @param {Object} [options={hasResponseLine: true}] - Parsing options; a base URL resolves a request's path.
  * @returns {Request|Response} - The parsed request or response.
  */
 function onmessage_parse(document, options = {hasResponseLine: true}) {
@@ -216,7 +241,8 @@ function onmessage_parse(document, options = {hasResponseLine: true}) {
   var headers = parseHeaders();
   // console.log("GraphDatabase.parse_response: headers", headers);
   if (responseLine.method) {
-    return (new Request(responseLine.path, {method: responseLine.method, headers: headers,
+    var url = (options.base ? new URL(responseLine.path, options.base).href : responseLine.path);
+    return (new Request(url, {method: responseLine.method, headers: headers,
                                             body: parseBody()}));
   } else {
     return (new Response(parseBody(), {status: responseLine.statusCode, statusText: responseLine.reasonPhrase,
@@ -242,6 +268,10 @@ var resp = onmessage_parse("HTTP/1.1 200 OK\r\nContent-Type: application/n-quads
  @property {string} revision - The current revision of the database
  @property {GraphEnvironment} environment - The environment to be used to translate between
   remote representation and namte objects.
+ @property {string} connectionState - closed, connecting, open, reconnecting or failed
+ @property {Set} subscriptions - The replication dispositions requested on each (re)connection
+ @property {function} webSocketClass - The WebSocket implementation, if not the global one
+ @property {Set} replicationListeners - Told of each message the store replicates, see onReplication
  */
 export class GraphDatabase { 
   constructor(name, location, authentication, options = {}) {
@@ -262,37 +292,211 @@ export class GraphDatabase {
     this.wildCard = this.environment.createWildCard();
     this.cacheStrategy = options.cacheStrategy || 'lazy';
     this.ensureReplicator();
-    options.asynchronous = false;
-    if (location) {
-      // console.log("GraphDatabase: options.asynchronous", options.asynchronous);
-      if (options.asynchronous) {
-        // console.log("GraphDatabase: opening asyncronous connection");
-        try {
-          openWebSocket(this).then(function(websocket) {
-            thisDatabase.setWebsocket(websocket);
-          });
-        } catch(e) { console.log("GraphDatabase.openWebSocket failed: ", e); }
+    this.websocketOption = options.websocketURL || null;
+    this.webSocketClass = options.webSocketClass || null;
+    this.reconnectOptions = Object.assign({}, GraphDatabase.reconnectOptions, options.reconnect);
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.connection = null;
+    this.connected = false;
+    this.closing = false;
+    this.connectionState = 'closed';
+    this.connectionListeners = new Set();
+    this.replicationListeners = new Set();
+    this.subscriptions = new Set([this.disposition]);
+    this.conflictHandler = options.onconflict || null;
+    if (location && options.asynchronous) {
+      this.connect();
+    }
+  }
+
+  /**
+   Return the websocket URL: the websocketURL option (a string, or a function of the database),
+   else GraphDatabase.websocketURL, else /ws on the location's host, over ws: for an http:
+   location and wss: otherwise.
+   @returns {string}
+   */
+  websocketURL() {
+    var designator = this.websocketOption || GraphDatabase.websocketURL;
+    if (typeof designator === 'function') {
+      designator = designator(this);
+    }
+    if (designator) {
+      return (new URL(designator.toString(), this.location).href);
+    }
+    var url = new URL(this.location);
+    return ((url.protocol === 'http:' ? 'ws://' : 'wss://') + url.host + '/ws');
+  }
+
+  /**
+   Register a listener for connection state changes. It is called with the new state,
+   a detail object (attempt and delay while reconnecting, the error on failure) and the database.
+   @param {function} listener
+   @returns {function} - removes the listener again
+   */
+  onConnectionStateChange(listener) {
+    this.connectionListeners.add(listener);
+    return () => this.connectionListeners.delete(listener);
+  }
+
+  /**
+   Register a listener for the messages the store replicates to this database, other than
+   the reflections of its own patches. It is called with a copy of the parsed message, a
+   Request for a request replayed from another client or a Response for a replicated
+   change, and the database, before the handler for the message's media type.
+   @param {function} listener
+   @returns {function} - removes the listener again
+   */
+  onReplication(listener) {
+    this.replicationListeners.add(listener);
+    return () => this.replicationListeners.delete(listener);
+  }
+
+  setConnectionState(state, detail = {}) {
+    this.connectionState = state;
+    this.connectionListeners.forEach((listener) => {
+      try {
+        listener(state, detail, this);
+      } catch (e) { console.log("GraphDatabase.setConnectionState: listener failed", e); }
+    });
+  }
+
+  /**
+   Open the websocket connection, unless it is open or opening already.
+   When it opens, replay the subscriptions and, after a reconnection, catch up on
+   the changes made meanwhile. A failure schedules the next attempt.
+   @returns {Promise<WebSocket>} - resolves to null if the attempt failed
+   @throws {Error} - If there is no WebSocket class; nothing is attempted
+   */
+  connect() {
+    if (this.connection) {
+      return (this.connection);
+    }
+    var thisDatabase = this;
+    var opening = openWebSocket(this);
+    this.closing = false;
+    this.setConnectionState(this.reconnectAttempt > 0 ? 'reconnecting' : 'connecting', {attempt: this.reconnectAttempt});
+    this.connection = opening.then(function(websocket) {
+      var reconnected = thisDatabase.connected;
+      if (thisDatabase.closing) {
+        websocket.close();
+        return (null);
+      }
+      thisDatabase.connected = true;
+      thisDatabase.reconnectAttempt = 0;
+      thisDatabase.setWebsocket(websocket);
+      thisDatabase.setConnectionState('open');
+      if (reconnected) {
+        thisDatabase.catchUp();
       }
+      return (websocket);
+    }, function(error) {
+      thisDatabase.connection = null;
+      thisDatabase.scheduleReconnect(error);
+      return (null);
+    });
+    return (this.connection);
+  }
+
+  /**
+   Accept the close of an open websocket and reconnect unless the database was closed.
+   */
+  onclose(websocket, event) {
+    if (this.websocket !== websocket) {
+      return;
+    }
+    this.websocket = null;
+    this.connection = null;
+    if (this.closing) {
+      this.setConnectionState('closed');
+    } else {
+      this.scheduleReconnect(event);
     }
   }
 
-  setWebsocket(websocket) {
-    console.log("GraphDatabase.setWebsocket: ", websocket);
-    this.websocket = websocket;
+  scheduleReconnect(reason) {
+    if (this.closing || this.reconnectTimer) {
+      return;
+    }
+    var attempt = this.reconnectAttempt;
+    if (attempt >= this.reconnectOptions.maxAttempts) {
+      this.setConnectionState('failed', {attempt: attempt, error: reason});
+      return;
+    }
+    var delay = backoffDelay(attempt, this.reconnectOptions);
+    this.reconnectAttempt = attempt + 1;
+    this.setConnectionState('reconnecting', {attempt: this.reconnectAttempt, delay: delay, error: reason});
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   Compose a request for the websocket: a request line for the location's path plus the
+   suffix, the given headers and authorization.
+   */
+  websocketRequest(method, suffix, headers = {}) {
     var url = new URL(this.location);
-    var path = url.pathname;
     var CRLF = '\r\n';
-    var method = 'PUT';
-    var requestLine = `${method} ${path}/disposition HTTP/1.0`;
-    var headers = "";
-     headers += `Content-Disposition: replicate=${this.disposition}` + CRLF;
-     headers += `ETag: ${this.baseETag}` + CRLF;
+    var data = `${method} ${url.pathname}${suffix} HTTP/1.0` + CRLF;
+    Object.entries(headers).forEach(function([name, value]) {
+      data += `${name}: ${value}` + CRLF;
+    });
     if (this.authentication) {
-      headers += "Authorization: Basic " + btoa(":" + this.authentication) + CRLF;
+      data += "Authorization: Basic " + btoa(":" + this.authentication) + CRLF;
+    }
+    return (data + CRLF);
+  }
+
+  /**
+   Ask the store to replicate changes under this disposition, now if connected and again
+   on each reconnection.
+   @param {string} [disposition=this.disposition]
+   */
+  subscribe(disposition = this.disposition) {
+    this.subscriptions.add(disposition);
+    if (this.websocket) {
+      this.sendSubscription(disposition);
+    }
+  }
+
+  unsubscribe(disposition = this.disposition) {
+    if (this.subscriptions.delete(disposition) && this.websocket) {
+      this.websocket.send(this.websocketRequest('DELETE', '/disposition',
+                                                {'Content-Disposition': `replicate=${disposition}`,
+                                                 'ETag': this.baseETag}));
+    }
+  }
+
+  sendSubscription(disposition) {
+    this.websocket.send(this.websocketRequest('PUT', '/disposition',
+                                              {'Content-Disposition': `replicate=${disposition}`,
+                                               'ETag': this.baseETag}));
+  }
+
+  /**
+   After a reconnection, ask the store for the revisions committed since the last one seen,
+   so that the changes missed while disconnected arrive as ordinary replication messages.
+   @param {string} [revision=this.revision]
+   */
+  catchUp(revision = this.revision) {
+    if (!this.websocket || !revision || revision === 'HEAD') {
+      return (false);
     }
-    var data = requestLine + CRLF + headers + CRLF;
-    // console.log("GraphDatabase.setWebsocket.send: data:", data);
-    websocket.send(data);
+    this.websocket.send(this.websocketRequest('GET', `/revisions?since=${encodeURIComponent(revision)}`,
+                                              {'Content-Disposition': `replicate=${this.disposition}`,
+                                               'ETag': this.baseETag}));
+    return (true);
+  }
+
+  /**
+   Bind an open websocket and replay the subscriptions over it.
+   */
+  setWebsocket(websocket) {
+    console.log("GraphDatabase.setWebsocket: ", websocket);
+    this.websocket = websocket;
+    this.subscriptions.forEach((disposition) => this.sendSubscription(disposition));
     return(websocket);
   }
 
@@ -300,19 +504,29 @@ export class GraphDatabase {
     // if there is some handler for the given media type, delegate to that to handle the message
     try {
       // console.log("onmessage: ", data);
-      var response = onmessage_parse(data);
+      var response = onmessage_parse(data, {hasResponseLine: true, base: this.location});
       var contentType;
       var match;
       var etag = response.headers.get('ETag');
       if (etag && this.revisions.find(function(p) { return (etag == p.revision); })) {
         console.log("onmessage: reflected", etag, data);
       } else {
+        this.replicationListeners.forEach((listener) => {
+          try {
+            listener(response.clone(), this);
+          } catch (e) { console.log("GraphDatabase.onmessage: listener failed", e); }
+        });
         if ((contentType = response.headers.get('Content-Type')) &&
             (match = contentType.match(/([^;]+)(?:;.*)?/))) {
-          var handler = onmessage[match[1]];
+          var handler = onmessage[match[1]] || (this.replicationListeners.size ? onmessage['*/*'] : null);
           // console.log("onmessage: contentType ", contentType, handler);
           if (handler) {
-            handler(this, response);
+            var result = handler(this, response);
+            if (etag) {
+              // the latest revision seen, from which to catch up after a reconnection
+              this.revision = etag;
+            }
+            return (result);
           } else {
             throw (new Error(`GraphDatabase.onmessage: no handler defined for media type: ${contentType}`));
           }
@@ -325,11 +539,32 @@ export class GraphDatabase {
     }
   }
 
-  close({abort = false}) {
-    if (this.websocket) {
-      this.websocket.close();
+  /**
+   Handle a MergeConflictError between a replicated change and local changes.
+   The onconflict option, if given, decides; otherwise the replicated state supersedes the local change.
+   @param {MergeConflictError} error
+   */
+  onconflict(error) {
+    if (this.conflictHandler) {
+      return (this.conflictHandler(error, this));
     }
+    console.log("GraphDatabase.onconflict: superseding local changes", error.conflicts);
+    return (error.supersede());
+  }
+
+  close({abort = false} = {}) {
+    this.closing = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    var websocket = this.websocket;
     this.websocket = null;
+    this.connection = null;
+    if (websocket) {
+      websocket.close();
+    }
+    this.setConnectionState('closed');
     if (abort && this.replicator) {  // Use single replicator
       this.replicator.rollbackObjects();
     }
@@ -359,7 +594,7 @@ export class GraphDatabase {
     if (this.replicator) {
       throw new Error('Database already has a replicator');
     }
-    this.replicator = new GraphDatabaseReplicator(options);
+    this.replicator = new GraphDatabaseReplicator(options.name || this.name, options);
     this.replicator.database = this;
     return this.replicator;
   }
@@ -380,7 +615,7 @@ export class GraphDatabase {
    */
   cloneReplicator() {
     var replicator = this.getReplicator();
-    var clone = Object.assign(Object.create(GraphReplicator.prototype, {}), replicator);
+    var clone = Object.assign(Object.create(GraphDatabaseReplicator.prototype, {}), replicator);
     clone.transaction = null;
     return (clone);
   }
@@ -396,7 +631,7 @@ export class GraphDatabase {
    * @returns {GraphDatabaseTransaction} - The new transaction.
    */
   newTransaction(options = {}) {
-    return new GraphDatabaseTransaction(this, options);
+    return new GraphDatabaseTransaction(this, [], options);
   }
 
   makeUUID() { // override
@@ -429,7 +664,7 @@ export class GraphDatabase {
     var id = object.getIdentifier();
     var deleteEntry = [id, this.wildCard, this.wildCard];
     patch.delete.push(deleteEntry);
-    console.log("GraphDatabaseReplicator.put", object._state, patch, request);
+    console.log("GraphDatabase.put", object._state, patch);
     return ( this.patchProperties(patch, options, continuation) );
   }
 
@@ -536,10 +771,11 @@ export class GraphDatabase {
    * Generate a deletion patch for the object.
    * 
    * @param {GraphObject} object - The object to delete.
+   * @param {Object} [options={}] - Additional options.
    * @param {function} [continuation] - The continuation function.
    * @returns {Promise} - A promise that resolves when the operation is complete.
    */
-  async delete(object, continuation) {
+  async delete(object, options = {}, continuation) {
 
      // collect the current state
      var patch = object.asNewPatch();
@@ -547,7 +783,7 @@ export class GraphDatabase {
      var posts = patch.post;
      patch.post = [];
      patch.delete = posts;
-     console.log("GraphDatabaseReplicator.delete", object._state, patch, request);
+     console.log("GraphDatabase.delete", object._state, patch);
      return ( this.patchProperties(patch, options, continuation) );
    }
 
@@ -576,7 +812,23 @@ export class GraphDatabase {
   async patch(content, options, continuation) {
     // the state manipulation aspect, but without the transport
     var revision = {patch: content, name: Date.now(), revision: options.etag};
-    this.patchProperties(content, options, continuation)
+    this.noteRevision(revision);
+    await this.patchProperties(content, options, continuation);
+    return (revision);
+  }
+
+  /**
+   Record a revision written by this client, so that the store's replication of it is
+   recognized as a reflection. A revision without an ETag cannot be recognized.
+   @param {Object} revision - {revision: etag, ...}
+   */
+  noteRevision(revision) {
+    if (revision.revision) {
+      this.revisions.push(revision);
+      if (this.revisions.length > GraphDatabase.revisionLimit) {
+        this.revisions.shift();
+      }
+    }
     return (revision);
   }
 
@@ -600,7 +852,89 @@ GraphDatabase.open = function(name, location, authentication, options = {}) {
 }
 // permit configuration
 GraphDatabase.graphDatabaseClass = GraphDatabase;
-GraphDatabase.graphEnvironmentClass = GraphEnvironment;
+GraphDatabase.graphEnvironmentClass = JsonLdEnvironment;
+// the default websocket URL (a string or a function of the database); null derives it from the location
+GraphDatabase.websocketURL = null;
+GraphDatabase.reconnectOptions = {initialDelay: 1000, maxDelay: 30000, factor: 2, jitter: 0.5, maxAttempts: Infinity};
+// the WebSocket class for all databases; null uses the global one
+GraphDatabase.WebSocket = null;
+// the number of own revisions kept to recognize their replication
+GraphDatabase.revisionLimit = 64;
+
+/**
+ A GraphDatabase for a store which accepts patches over HTTP.
+ A patch is sent to the location as a multipart/related PATCH, one part per operation as
+ encoded by the environment, with the transaction's revision as ETag and its disposition as
+ Content-Disposition. The store replicates it under that ETag to the other subscribers.
+ A get retrieves the subject's description as N-Quads from the location's SPARQL endpoint.
+ @property {function} fetch - The fetch implementation: the fetch option, else the global one
+ */
+export class HttpGraphDatabase extends GraphDatabase {
+  constructor(name, location, authentication, options = {}) {
+    super(name, location, authentication, options);
+    this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+  }
+
+  requestHeaders(headers = {}) {
+    if (this.authentication) {
+      headers['Authorization'] = "Basic " + btoa(":" + this.authentication);
+    }
+    return (headers);
+  }
+
+  /**
+   Send the patch and pass the response to the continuation.
+   @param {{delete: Array, post: Array, put: Array}} content
+   @param {Object} [options]
+   @param {string} [options.contentDisposition]
+   @param {string} [options.etag]
+   @param {function} [continuation]
+   @returns {Promise<Response>}
+   */
+  async patchProperties(content, options = {}, continuation) {
+    var {contentType, body} = this.environment.encodePatch(content);
+    var headers = {'Content-Type': contentType};
+    if (options.contentDisposition) {
+      headers['Content-Disposition'] = `replicate=${options.contentDisposition}`;
+    }
+    if (options.etag) {
+      headers['ETag'] = options.etag;
+    }
+    var response = await this.fetch(this.location, {method: 'PATCH', headers: this.requestHeaders(headers), body: body});
+    if (continuation) {
+      continuation(response);
+    }
+    return (response);
+  }
+
+  /**
+   Retrieve the statements about a subject, at a revision other than HEAD if given,
+   and pass them to the continuation as a graph.
+   @param {Object} options
+   @param {string} options.subject
+   @param {string} [options.revision]
+   @param {function} [continuation]
+   @returns {Promise<Graph>}
+   */
+  async getProperties(options, continuation) {
+    var url = new URL(`${this.location}/sparql`);
+    url.searchParams.set('query', `DESCRIBE <${options.subject}>`);
+    if (options.revision && options.revision !== 'HEAD') {
+      url.searchParams.set('revision', options.revision);
+    }
+    var response = await this.fetch(url.href, {headers: this.requestHeaders({'Accept': 'application/n-quads'})});
+    if (response.status == 404) {
+      throw (new NotFoundError(`HttpGraphDatabase.getProperties: not found: ${options.subject}`));
+    } else if (!response.ok) {
+      throw (new Error(`HttpGraphDatabase.getProperties: ${response.status} ${response.statusText} for ${options.subject}`));
+    }
+    var graph = this.environment.decode(await response.text(), response.headers.get('Content-Type') || 'application/n-quads');
+    if (continuation) {
+      continuation(graph);
+    }
+    return (graph);
+  }
+}
 
 /**
  Define the handlers for Websocket messages specific to the message content type
@@ -617,7 +951,6 @@ onmessage['application/n-quads'] = function(db, response) {
 onmessage['multipart/related'] = function(db, response) {
   // decode the multipart document as patches to the objects described by the
   // respective subjects
-  var thisDatabase = this;
   response.text().then(function(document) {
     try {
       var contentType = response.headers.get('Content-Type');
@@ -625,7 +958,7 @@ onmessage['multipart/related'] = function(db, response) {
       patch = db.environment.decode(document, contentType);
       if (patch) {
         var deltas = null;
-        deltas = db.environment.computeDeltas(patch, thisDatabase.replicator);
+        deltas = db.environment.computeDeltas(patch, db.replicator);
         if (deltas) {
           // console.log("onmessage.multipart: deltas", deltas);
           var gottenObjects = deltas.map(function(perIdDeltas) {
@@ -634,7 +967,12 @@ onmessage['multipart/related'] = function(db, response) {
             var object = db.findObject(id);
             // console.log("onmessage.multipart: found:", object);
             if (object) {
-              object.onupdate(deltas);
+              try {
+                object.onupdate(deltas);
+              } catch (error) {
+                if (!(error instanceof MergeConflictError)) { throw error; }
+                db.onconflict(error);
+              }
             } else {
               object = perIdDeltas['object'];
               // console.log("onmessage.multipart: created", object); 
@@ -666,8 +1004,10 @@ onmessage['multipart/related'] = function(db, response) {
 
  @property {string} revisionID
  @property {string} disposition
- @property {Array} replicators
+ @property {GraphDatabaseReplicator} replicator
  @property {GraphDatabase} database
+ @property {function} oncomplete - called with the store's response once a commit succeeds
+ @property {function} onerror - called with the response or error when a commit fails
  */
 export class GraphDatabaseTransaction { 
   constructor(database, names = [], options = {}) {
@@ -677,11 +1017,13 @@ export class GraphDatabaseTransaction {
       names = [names];
     }
     this.database = database;
-    this.revisionId = database.makeUUID();
+    this.revisionID = database.makeUUID();
     this.parentRevisionID = "HEAD";
     this.disposition = options.disposition || database.disposition;
 
-    this.replicator = database.getReplicator()
+    this.replicator = database.getReplicator();
+    this.oncomplete = null;
+    this.onerror = null;
 
     //console.log('GraphDatabaseTransaction.constructed');
     //console.log(this);
@@ -690,69 +1032,94 @@ export class GraphDatabaseTransaction {
 
   /**
    Commmit accumulated changes to the remote store.
-   Iterate over the owned object stores, collect their delete/post/put patches,
-   delegate to the database with this collected patch.
-   When that completes, clear the state on all registered objects and
+   Collect the delete/post/put patch from the replicator and delegate to the database
+   with this collected patch.
+   When that succeeds, clear the state on all attached objects and
    record the new revision id in the database.
 
    This returns no additional asynchronous control thread as, when invoked from
    a control thread in the database, this invocation is either already in an
    asynchronous, as a promise's then function.
-   For an explicit invocation from the application thread return a request
-   instance which can bind an onsuccess property to recieve control when the
-   patch request completes.
+   For an explicit invocation from the application thread, bind the transaction's
+   oncomplete and onerror properties, pass a continuation, or use commitAwait.
+   @param {function} [continuation] - called with the store's response
+   @param {function} [failure] - called with the error should the request fail
    */
-  commit() {
+  commit(continuation = null, failure = null) {
     console.log(`GDBTransaction.commit @${this.revisionID}`, this);
-    // iterate over the owned stores;
-    // for each, get its delta graph
-    var posts = [];
-    var puts = [];
-    var deletes = [];
-    this.replicators.forEach(function(replicator) {
-      var patch = replicator.asPatch();
-      deletes = deletes.concat(patch.delete ? patch.delete : []);
-      posts = posts.concat(patch.post ? patch.post : []);
-      puts = puts.concat(patch.put ? patch.put : []);
-    });
+    var patch = this.replicator.asPatch();
+    var deletes = patch.delete || [];
+    var posts = patch.post || [];
+    var puts = patch.put || [];
     // pass the collected operations through to the remote Graph
     var thisTransaction = this;
 
-    var p = this.database.patch({delete: deletes, post: posts, put: puts},
-                                {contentDisposition: this.disposition,
-                                 etag: this.revisionID},
-                                function(response) {
-                                  thisTransaction.cleanObjects();
-                                  if (response.onsuccess) {
-                                    response.onsuccess(new SuccessEvent("success", "commit", response.result));
-                                  }
-                                  // console.log("commit response", response);
-                                  // console.log("headers", response.headers);
-                                  // for (var [k,v] of response.headers.entries()) {console.log([k,v])};
-                                  var etag = response.headers.get("etag");
-                                  if (etag) {
-                                    thisTransaction.database.revision = etag;
-                                  }
-                                  console.log(`GDBTransaction.commit @${thisTransaction.revisionID} complete`);
-                                  return (response) ;
-                                });
+    this.database.patch({delete: deletes, post: posts, put: puts},
+                        {contentDisposition: this.disposition,
+                         etag: this.revisionID},
+                        function(response) {
+                          if (response.ok) {
+                            thisTransaction.cleanObjects();
+                            var etag = response.headers.get("etag");
+                            if (etag) {
+                              thisTransaction.database.revision = etag;
+                            }
+                            console.log(`GDBTransaction.commit @${thisTransaction.revisionID} complete`);
+                            if (thisTransaction.oncomplete) {
+                              thisTransaction.oncomplete(response);
+                            }
+                          } else if (thisTransaction.onerror) {
+                            thisTransaction.onerror(response);
+                          }
+                          if (continuation) {
+                            continuation(response);
+                          }
+                          return (response);
+                        })
+      .catch(function(error) {
+        console.log(`GDBTransaction.commit @${thisTransaction.revisionID} failed`, error);
+        if (thisTransaction.onerror) {
+          thisTransaction.onerror(error);
+        }
+        if (failure) {
+          failure(error);
+        }
+      });
     return (thisTransaction);
   }
 
+  /**
+   Commit and return the store's response, or signal an exception if the store refused
+   the patch or could not be reached.
+   @returns {Promise<Response>}
+   */
+  async commitAwait() {
+    var thisTransaction = this;
+    return await new Promise(function(resolve, reject) {
+      thisTransaction.commit(function(response) {
+        if (response.ok) {
+          resolve(response);
+        } else {
+          reject(new Error(`GraphDatabaseTransaction.commit: ${response.status} ${response.statusText}`));
+        }
+      }, reject);
+    });
+  }
+
   /**
    Upon commit completion, set all attached objects to clean.
    */
   cleanObjects () {
-    this.replicators.forEach(function (replicator) { replicator.cleanObjects(); });
+    this.replicator.cleanObjects();
   }
 
   /**
-   Abort a transaction by delegating to the transaction's object stores to
+   Abort a transaction by delegating to the transaction's replicator to
    roll back changes in all attached objects
    */
   abort() {
     // revert all attached objects
-    this.replicators.forEach(function(replicator) { replicator.rollbackObjects(); });
+    this.replicator.rollbackObjects();
     return (this);
   }
 
@@ -803,7 +1170,7 @@ export class GraphDatabaseReplicator {
       var objects = thisReplicator.objects;
       var attachChild = function(child) {
         if (child instanceof GraphObject) {
-          thisReplicator.attach(object);
+          thisReplicator.attach(child);
         } else if (child instanceof Array) {
           child.forEach(attachChild);
         }
@@ -840,7 +1207,7 @@ export class GraphDatabaseReplicator {
   }
 
   /**
-   Roll back changes in all attached objects.
+   Roll back changes in all attached objects, which remain attached.
    */
   rollbackObjects() {
     // no walking. it enumerates all attached instances
@@ -851,7 +1218,6 @@ export class GraphDatabaseReplicator {
       object.rollback();
     };
     this.objects.forEach(function(object, id) {rollbackObject(object);});
-    this.objects = new Map();
     return (this);
   }
   
@@ -910,7 +1276,7 @@ export class GraphDatabaseReplicator {
       posts = posts.concat(patch.post || []);
       puts = puts.concat(patch.put || []);
     }
-    this.objects.forEach(objectAsPAtch);
+    this.objects.forEach(objectAsPatch);
     // console.log('asPatch: deletes,posts,puts', deletes, posts, puts);
     // do not convert the abstract form. let the database delegate that to its environment,
     // do NOT clean. leave that to the transaction when it commits.
@@ -921,6 +1287,7 @@ export class GraphDatabaseReplicator {
 
 }
 if (typeof window !== "undefined") {
+  window.HttpGraphDatabase = HttpGraphDatabase;
   window.GraphDatabaseReplicator = GraphDatabaseReplicator;
   window.GraphDatabaseTransaction = GraphDatabaseTransaction;
   window.GraphDatabase = GraphDatabase;
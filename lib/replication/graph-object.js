@@ -31,6 +31,8 @@ For GraphObject instances, when the object is attached,
 - side-effect the state.
 */
 
+import { MergeConflictError } from "./errors.js";
+
 /**
  Encapsulate an error due to an invalid operation.
  @extends Error
@@ -283,10 +285,77 @@ export class GraphObject {
    */
   onupdate(deltas) {
     console.debug('GraphObject.onupdate', this);
+    if (Object.keys(this._deltas || {}).length > 0) {
+      // keep the local changes; a conflicting one signals a MergeConflictError
+      this.merge(deltas);
+      return;
+    }
     this.rollforward(deltas);
     this.setStateClean(); 
    }
 
+  /**
+   * Given deltas from the store, return the conflicts with local changes: one entry for
+   * each field which was changed locally and which the store changed to another value.
+   * 
+   * @param {Object} remoteDeltas - The store's delta array, {name: [remoteValue, baseValue]}.
+   * @returns {Array<{name, base, local, remote}>}
+   */
+  findConflicts(remoteDeltas) {
+    var localDeltas = this._deltas || {};
+    return (Object.entries(remoteDeltas)
+            .filter(function([name, values]) {
+              return (localDeltas[name] && !valuesEqual(localDeltas[name][0], values[0]));
+            })
+            .map(function([name, values]) {
+              return ({name: name, base: localDeltas[name][1], local: localDeltas[name][0], remote: values[0]});
+            }));
+  }
+
+  /**
+   * Merge deltas from the store with the local changes.
+   * A field changed only in the store rolls forward and one changed only locally keeps its change.
+   * A field changed on both sides to different values is resolved by resolutions[name]:
+   * 'remote' rolls the local change back and the store's value forward, while 'local' keeps
+   * the local value, now as a change against the store's value.
+   * 
+   * @param {Object} remoteDeltas - The store's delta array.
+   * @param {Object} [resolutions={}] - 'local' or 'remote' by field name.
+   * @returns {Object} - The local deltas which remain.
+   * @throws {MergeConflictError} - If a conflict has no resolution.
+   */
+  merge(remoteDeltas, resolutions = {}) {
+    var unresolved = this.findConflicts(remoteDeltas).filter(function(conflict) {
+      return (!['local', 'remote'].includes(resolutions[conflict.name]));
+    });
+    if (unresolved.length > 0) {
+      throw new MergeConflictError(this, unresolved, remoteDeltas);
+    }
+    var remaining = {};
+    var superseded = {};
+    var forward = {};
+    Object.entries(this._deltas || {}).forEach(function([name, values]) {
+      var remote = remoteDeltas[name];
+      if (!remote) {
+        remaining[name] = values;
+      } else if (resolutions[name] == 'local' && !valuesEqual(values[0], remote[0])) {
+        remaining[name] = [values[0], remote[0]];
+      } else {
+        superseded[name] = values;
+      }
+    });
+    Object.entries(remoteDeltas).forEach(function([name, values]) {
+      if (!remaining.hasOwnProperty(name)) {
+        forward[name] = values;
+      }
+    });
+    this.rollback(superseded);
+    this.rollforward(forward);
+    this._deltas = remaining;
+    this._state = (Object.keys(remaining).length > 0) ? GraphObject.stateModified : GraphObject.stateClean;
+    return (remaining);
+  }
+
   /**
    * Remove fields from the instance.
    * 
@@ -520,10 +589,11 @@ GraphObject.ensureClass = function(className) {
   classInstance = this.getClass(className);
   if (!classInstance) {
     if ((typeof className == 'string') && className.match(/^[a-zA-Z0-9_]+$/)) {
-      classInstance = window[className];
-      if (!classInstance) { // unknown class, define it
+      classInstance = globalThis[className];
+      if (!(classInstance instanceof Function && classInstance.prototype instanceof GraphObject)) { // unknown class, define it
         console.log("GraphObject.ensureClass: ", "unknown class", className);
-        classInstance = eval `class ${className} extends GraphObject {}`;
+        // a computed key names the class
+        classInstance = ({[className]: class extends GraphObject {}})[className];
         //Object.setPrototypeOf(classInstance.prototype, GraphObject.prototype);
         //Object.setPrototypeOf(classInstance, GraphObject);
       }
@@ -564,6 +634,8 @@ GraphObject.createObject = function(className, identifier, state = {}) {
     console.log("GraphObject.createObject: instance", instance, handler);
     //var proxy = instance.createProxy(instance, handler);
     var proxy = new Proxy(instance, handler);
+    // the handler shadows the instance's identifier, so set it through the proxy
+    proxy.setIdentifier(identifier);
     console.log("GraphObject.createObject: proxy", proxy);
     // console.log('graph-environment.createObject: instance', typeof(instance), instance);
     // console.log('graph-environment.createObject: proxy', typeof(proxy), proxy);
@@ -821,6 +893,19 @@ GraphObject.persistentProperties = function() {
   }
 }
 
+/**
+ * Compare two field values: identical, or alike arrays and objects.
+ * 
+ * @returns {boolean}
+ */
+export function valuesEqual(a, b) {
+  if (a === b) { return (true); }
+  if (a && b && typeof(a) == 'object' && typeof(b) == 'object') {
+    return (JSON.stringify(a) === JSON.stringify(b));
+  }
+  return (false);
+}
+
 GraphObject._persistentProperties = null;
 GraphObject._editableProperties = null;
 
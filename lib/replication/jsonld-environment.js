@@ -0,0 +1,886 @@
+// Copyright (c) 2019 datagraph gmbh
+
+/**
+ @overview
+
+ A concrete GraphEnvironment which needs no RDF library. Field names map to IRIs
+ through a JSON-LD context, terms are plain objects in the manner of RDF/JS
+ ({termType, value} plus the lexicalForm which GraphEnvironment expects), and graphs
+ are {statements} lists. Patches encode as N-Quads or TriG, either as a single
+ document or as a multipart/related message with one part per operation, and
+ replication messages decode back into per-subject deltas for GraphObject.onupdate.
+
+ A multipart/related part names its operation in an X-HTTP-Method-Override header
+ (DELETE, POST or PUT) or, failing that, in its Content-Disposition; a part without
+ either is taken as POST.
+
+ @typedef {Object} Term
+ @property {string} termType - NamedNode, BlankNode, Literal or DefaultGraph
+ @property {string} value
+ @typedef {{statements: Statement[]}} Graph
+ @typedef {{delete: Graph, post: Graph, put: Graph}} PatchGraph
+ */
+
+import { GraphEnvironment } from "./graph-environment.js";
+import { GraphObject } from "./graph-object.js";
+
+export const RDF_TYPE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#type";
+export const RDF_LANG_STRING = "http://www.w3.org/1999/02/22-rdf-syntax-ns#langString";
+const XSD = "http://www.w3.org/2001/XMLSchema#";
+export const XSD_STRING = `${XSD}string`;
+
+const NUMERIC_TYPES = ["integer", "decimal", "double", "float", "long", "int", "short", "byte",
+  "nonNegativeInteger", "positiveInteger", "negativeInteger", "nonPositiveInteger",
+  "unsignedLong", "unsignedInt", "unsignedShort", "unsignedByte"].map((name) => `${XSD}${name}`);
+
+const PATCH_OPERATIONS = ["delete", "post", "put"];
+
+const CRLF = "\r\n";
+
+/**
+ A statement's components, together with the graph it belongs to.
+ */
+export class Statement {
+  constructor(subject, predicate, object, graph) {
+    this.subject = subject;
+    this.predicate = predicate;
+    this.object = object;
+    this.graph = graph;
+  }
+}
+
+/**
+ Map GraphObject fields to IRIs through a JSON-LD context and translate between
+ instance deltas and N-Quads/TriG patches.
+ @extends GraphEnvironment
+ @property {Object} context - The expanded context: term definitions by field name and by IRI
+ @property {Promise} ready - Settles once a context given by URL has been retrieved
+ */
+export class JsonLdEnvironment extends GraphEnvironment {
+  /**
+   @param {Object} options
+   @param {(string|URL)} options.location - The store location; the default base IRI
+   @param {(string|URL|Object)} [options.context] - A JSON-LD context, or its URL
+   @param {string} [options.graph] - The graph for patch statements (default graph when absent)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.graph = options.graph || null;
+    this.blankNodeCounter = 0;
+  }
+
+  /**
+   Accept a context document (or its `@context`), or retrieve one by URL, expand its
+   term definitions against `@base`, `@vocab` and its prefixes and bind it as the
+   environment's context. Each definition is reachable by field name and by IRI.
+   @param {(string|URL|Object)} context
+   */
+  resolveContext(context) {
+    const base = this.location.endsWith("/") ? this.location : `${this.location}/`;
+    this.context = { "@base": base };
+    this.ready = Promise.resolve(this.context);
+    if (!context) return;
+    if (typeof context === "string" || context instanceof URL) {
+      this.ready = fetch(context.toString(), { headers: { Accept: "application/ld+json, application/json" } })
+        .then((response) => {
+          if (!response.ok) throw new Error(`JsonLdEnvironment: context ${context}: ${response.status}`);
+          return response.json();
+        })
+        .then((document) => {
+          this.context = expandContext(document, base);
+          return this.context;
+        });
+      return;
+    }
+    if (typeof context !== "object") {
+      throw new TypeError(`resolveContext: invalid context: ${context}`);
+    }
+    this.context = expandContext(context, base);
+  }
+
+  createWildCard() {
+    return null;
+  }
+
+  /**
+   Return the identifier of the first subject in the graph.
+   @param {Graph} graph
+   */
+  graphResourceID(graph) {
+    return this.graphResourceIDs(graph)[0] || null;
+  }
+
+  /**
+   Return the identifiers of all subjects in the graph, in order of appearance.
+   @param {Graph} graph
+   */
+  graphResourceIDs(graph) {
+    return [...new Set(graph.statements.map((statement) => termIdentifier(statement.subject)))];
+  }
+
+  /**
+   Given a field name, return the IRI for it: the context's definition, else the name
+   expanded against `@vocab` or the base IRI.
+   @param {string} fieldName
+   @returns {string}
+   */
+  findNameIdentifier(fieldName) {
+    if (fieldName === "@type") return RDF_TYPE;
+    const def = this.context[fieldName];
+    if (def && def["@id"]) return def["@id"];
+    const vocab = this.context["@vocab"];
+    const identifier = vocab ? `${vocab}${fieldName}` : new URL(fieldName, this.baseIRI).href;
+    const definition = { "@id": identifier, name: fieldName };
+    this.context[fieldName] = definition;
+    this.context[identifier] = definition;
+    return identifier;
+  }
+
+  /**
+   Given an IRI, return the field name for it.
+   @param {(string|Term)} iri
+   @returns {string}
+   */
+  findIdentifierName(iri) {
+    const value = typeof iri === "string" ? iri : iri.value;
+    if (value === RDF_TYPE) return "@type";
+    return super.findIdentifierName(value);
+  }
+
+  createNamedNode(identifier) {
+    const value = new URL(identifier, this.baseIRI || undefined).href;
+    return { termType: "NamedNode", value, lexicalForm: value };
+  }
+
+  createAnonymousNode(label) {
+    const value = label || `b${++this.blankNodeCounter}`;
+    return { termType: "BlankNode", value, lexicalForm: `_:${value}` };
+  }
+
+  /**
+   Create a literal term. Without a datatype it follows the JavaScript type: integers
+   are xsd:integer, other numbers xsd:double, booleans xsd:boolean and dates xsd:dateTime.
+   @param {*} value
+   @param {Object} [options]
+   @param {string} [options.datatype] - The datatype IRI
+   @param {string} [options.language] - A language tag, which makes an rdf:langString
+   */
+  createLiteral(value, options = {}) {
+    let datatype = options.datatype || null;
+    let lexical;
+    if (value instanceof Date) {
+      lexical = value.toISOString();
+      datatype = datatype || `${XSD}dateTime`;
+    } else if (typeof value === "number") {
+      lexical = String(value);
+      datatype = datatype || (Number.isInteger(value) ? `${XSD}integer` : `${XSD}double`);
+    } else if (typeof value === "boolean") {
+      lexical = String(value);
+      datatype = datatype || `${XSD}boolean`;
+    } else {
+      lexical = String(value);
+    }
+    const language = options.language ? options.language.toLowerCase() : "";
+    datatype = language ? RDF_LANG_STRING : (datatype || XSD_STRING);
+    return {
+      termType: "Literal",
+      value: lexical,
+      lexicalForm: lexical,
+      language,
+      datatype: { termType: "NamedNode", value: datatype, lexicalForm: datatype },
+    };
+  }
+
+  createDefaultGraph() {
+    return { termType: "DefaultGraph", value: "", lexicalForm: "" };
+  }
+
+  createStatement(subject, predicate, object, context) {
+    return new Statement(subject, predicate, object, context || this.createDefaultGraph());
+  }
+
+  createGraph(statements = [], options = {}) {
+    return { statements: [...statements], ...options };
+  }
+
+  /**
+   Return the term for an identifier: "_:label" names a blank node, anything else an IRI.
+   @param {string} identifier
+   */
+  identifierTerm(identifier) {
+    return String(identifier).startsWith("_:")
+      ? this.createAnonymousNode(String(identifier).slice(2))
+      : this.createNamedNode(identifier);
+  }
+
+  /**
+   Return the object term for a field value, as the field's definition directs:
+   `"@type": "@id"` (or a GraphObject value) makes a reference, another `@type` a typed
+   literal and `@language` a language-tagged string.
+   @param {string} fieldName
+   @param {*} value
+   */
+  valueTerm(fieldName, value) {
+    if (value instanceof GraphObject || (value && typeof value.getIdentifier === "function")) {
+      return this.identifierTerm(value.getIdentifier());
+    }
+    const def = this.fieldDefinition(fieldName) || {};
+    const type = def["@type"];
+    if (fieldName === "@type") {
+      return this.createNamedNode(this.context[value]?.["@id"] || value);
+    }
+    if (type === "@id" || type === "@vocab") {
+      return this.identifierTerm(type === "@vocab" ? (this.context[value]?.["@id"] || value) : value);
+    }
+    return this.createLiteral(value, { datatype: type, language: def["@language"] });
+  }
+
+  /**
+   Return the field value for an object term: the identifier of a reference, or the
+   JavaScript value of a literal.
+   @param {Term} term
+   */
+  termValue(term) {
+    if (term.termType !== "Literal") return termIdentifier(term);
+    const datatype = term.datatype?.value || XSD_STRING;
+    if (NUMERIC_TYPES.includes(datatype)) return Number(term.value);
+    if (datatype === `${XSD}boolean`) return term.value === "true" || term.value === "1";
+    if (datatype === `${XSD}dateTime` || datatype === `${XSD}date`) {
+      const date = new Date(term.value);
+      return Number.isNaN(date.getTime()) ? term.value : date;
+    }
+    return term.value;
+  }
+
+  /**
+   Turn an abstract patch, whose entries are [identifier, fieldName, value], into
+   one graph of statements for each operation.
+   @param {{delete: Array, post: Array, put: Array}} patch
+   @returns {PatchGraph}
+   */
+  computePatchGraph(patch) {
+    const graphTerm = this.graph ? this.createNamedNode(this.graph) : this.createDefaultGraph();
+    const result = {};
+    PATCH_OPERATIONS.forEach((operation) => {
+      const statements = (patch[operation] || []).map(([identifier, fieldName, value]) => {
+        if (identifier === null || fieldName === null || value === null || value === undefined) {
+          throw new Error(`JsonLdEnvironment: a ${operation} statement must be concrete: ${identifier} ${fieldName}`);
+        }
+        return this.createStatement(
+          this.identifierTerm(identifier),
+          this.createNamedNode(this.findNameIdentifier(fieldName)),
+          this.valueTerm(fieldName, value),
+          graphTerm,
+        );
+      });
+      result[operation] = this.createGraph(statements);
+    });
+    return result;
+  }
+
+  /**
+   Return the graph which describes an object's current persistent state, including
+   its type when the context names its class.
+   @param {GraphObject} object
+   @returns {Graph}
+   */
+  computeObjectGraph(object) {
+    const patch = object.asNewPatch();
+    const identifier = object.getIdentifier();
+    const className = object._self ? object._self.constructor.name : object.constructor.name;
+    const typeDef = this.context[className];
+    if (typeDef && typeDef["@id"]) {
+      patch.post.unshift([identifier, "@type", typeDef["@id"]]);
+    }
+    return this.computePatchGraph(patch).post;
+  }
+
+  /**
+   Serialize a graph as N-Quads (or N-Triples) or TriG.
+   @param {Graph} graph
+   @param {string} [mediaType="application/n-quads"]
+   @returns {string}
+   */
+  encode(graph, mediaType = "application/n-quads") {
+    switch (baseMediaType(mediaType)) {
+    case "application/n-quads":
+      return graph.statements.map((statement) => `${formatStatement(statement, true)} .\n`).join("");
+    case "application/n-triples":
+      return graph.statements.map((statement) => `${formatStatement(statement, false)} .\n`).join("");
+    case "application/trig":
+      return formatTriG(graph.statements);
+    default:
+      throw new Error(`JsonLdEnvironment.encode: unsupported media type: ${mediaType}`);
+    }
+  }
+
+  /**
+   Encode an abstract patch as a multipart/related message with one part for each
+   operation which has statements, each part in `mediaType`.
+   @param {{delete: Array, post: Array, put: Array}} patch
+   @param {Object} [options]
+   @param {string} [options.mediaType="application/n-quads"] - application/n-quads or application/trig
+   @param {string} [options.boundary]
+   @returns {{contentType: string, body: string}}
+   */
+  encodePatch(patch, { mediaType = "application/n-quads", boundary = `patch-${Date.now().toString(36)}` } = {}) {
+    const graphs = this.computePatchGraph(patch);
+    const parts = PATCH_OPERATIONS
+      .filter((operation) => graphs[operation].statements.length > 0)
+      .map((operation) => [
+        `--${boundary}`,
+        `Content-Type: ${mediaType}`,
+        `X-HTTP-Method-Override: ${operation.toUpperCase()}`,
+        "",
+        this.encode(graphs[operation], mediaType),
+      ].join(CRLF));
+    return {
+      contentType: `multipart/related; boundary=${boundary}; type="${mediaType}"`,
+      body: `${parts.join(CRLF)}${CRLF}--${boundary}--${CRLF}`,
+    };
+  }
+
+  /**
+   Parse a document: N-Quads, N-Triples or TriG into a graph, multipart/related into
+   one graph for each operation.
+   @param {string} document
+   @param {string} contentType
+   @returns {(Graph|PatchGraph)}
+   */
+  decode(document, contentType = "application/n-quads") {
+    const mediaType = baseMediaType(contentType);
+    switch (mediaType) {
+    case "multipart/related":
+      return this.decodeMultipart(document, contentType);
+    case "application/n-quads":
+    case "application/n-triples":
+    case "text/plain":
+      return this.createGraph(parseNQuads(document, this));
+    case "application/trig":
+    case "text/turtle":
+      return this.createGraph(parseTriG(document, this));
+    default:
+      throw new Error(`JsonLdEnvironment.decode: unsupported media type: ${contentType}`);
+    }
+  }
+
+  decodeMultipart(document, contentType) {
+    const boundary = mediaTypeParameter(contentType, "boundary");
+    if (!boundary) {
+      throw new Error(`JsonLdEnvironment.decode: multipart without boundary: ${contentType}`);
+    }
+    const result = { delete: this.createGraph(), post: this.createGraph(), put: this.createGraph() };
+    const delimiter = `--${boundary}`;
+    document.split(delimiter).slice(1).forEach((part) => {
+      if (part.startsWith("--")) return; // the closing delimiter
+      const { headers, body } = parsePart(part);
+      const operation = partOperation(headers);
+      const partType = headers["content-type"] || "application/n-quads";
+      const graph = this.decode(body, partType);
+      result[operation].statements.push(...graph.statements);
+    });
+    return result;
+  }
+
+  /**
+   Compute per-subject deltas from a graph (whose statements assert field values) or
+   from a decoded patch (whose statements delete, add or replace them). Answers an
+   array of [identifier, deltas] entries, where deltas maps each field to
+   [newValue, oldValue]; an entry's `object` is the attached instance, or a new instance
+   when the statements type the subject with a known class.
+   @param {(Graph|PatchGraph)} content
+   @param {GraphDatabaseReplicator} [replicator]
+   @returns {Array}
+   */
+  computeDeltas(content, replicator = null) {
+    const operations = content.statements
+      ? { post: content.statements, delete: [], put: [] }
+      : { delete: content.delete?.statements || [], post: content.post?.statements || [], put: content.put?.statements || [] };
+    const subjects = new Map();
+    const subjectEntry = (statement) => {
+      const identifier = termIdentifier(statement.subject);
+      if (!subjects.has(identifier)) subjects.set(identifier, { types: [], operations: { delete: {}, post: {}, put: {} } });
+      return subjects.get(identifier);
+    };
+    PATCH_OPERATIONS.forEach((operation) => {
+      operations[operation].forEach((statement) => {
+        const entry = subjectEntry(statement);
+        const name = this.findIdentifierName(statement.predicate);
+        if (name === "@type") {
+          if (operation !== "delete") entry.types.push(statement.object.value);
+          return;
+        }
+        (entry.operations[operation][name] ||= []).push(this.termValue(statement.object));
+      });
+    });
+
+    return [...subjects.entries()].map(([identifier, entry]) => {
+      const existing = replicator?.findObject ? replicator.findObject(identifier) : null;
+      const object = existing || this.createTypedObject(identifier, entry.types);
+      const deltas = {};
+      const names = new Set(PATCH_OPERATIONS.flatMap((operation) => Object.keys(entry.operations[operation])));
+      names.forEach((name) => {
+        const oldValue = existing ? existing[name] : undefined;
+        const multiple = this.isMultiValued(name);
+        let values = oldValue === undefined || oldValue === null ? [] : (Array.isArray(oldValue) ? [...oldValue] : [oldValue]);
+        if (entry.operations.put[name]) values = [];
+        (entry.operations.delete[name] || []).forEach((removed) => {
+          values = values.filter((value) => !sameValue(value, removed));
+        });
+        const added = [...(entry.operations.put[name] || []), ...(entry.operations.post[name] || [])];
+        values = multiple || values.length + added.length > 1 && !existing
+          ? [...values, ...added]
+          : (added.length ? added.slice(-1) : values);
+        const newValue = multiple || values.length > 1 ? values : values[0];
+        deltas[name] = [newValue, oldValue];
+      });
+      const result = [identifier, deltas];
+      result.object = object;
+      return result;
+    });
+  }
+
+  /**
+   Given a graph, instantiate the description of `identifier` (by default the first
+   subject): a new instance of the class its type names, with the described state.
+   @param {Graph} graph
+   @param {string} [identifier]
+   */
+  computeGraphObject(graph, identifier = this.graphResourceID(graph)) {
+    return this.computeGraphObjects(graph, [identifier])[0] || null;
+  }
+
+  /**
+   Given a graph and a list of identifiers, instantiate their descriptions.
+   @param {Graph} graph
+   @param {Array} identifiers - The sought identifiers
+   */
+  computeGraphObjects(graph, identifiers = this.graphResourceIDs(graph)) {
+    const sought = new Set(identifiers);
+    const subset = this.createGraph(graph.statements.filter((statement) => sought.has(termIdentifier(statement.subject))));
+    return this.computeDeltas(subset)
+      .filter((entry) => entry.object)
+      .map((entry) => {
+        entry.object.oncreate(entry[1]);
+        return entry.object;
+      });
+  }
+
+  // A field holds several values when its definition declares a @set or @list container.
+  isMultiValued(fieldName) {
+    const container = this.context[fieldName]?.["@container"];
+    return container === "@set" || container === "@list";
+  }
+
+  // Instantiate a subject whose type the context maps to a registered GraphObject class.
+  createTypedObject(identifier, types) {
+    for (const type of types) {
+      const className = this.context[type]?.name;
+      if (className && GraphObject.getClass(className)) {
+        return GraphObject.createObject(className, identifier);
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ Expand a JSON-LD context into definitions keyed by term and by IRI. String definitions,
+ compact IRIs ("foaf:name"), @vocab-relative and base-relative IRIs are all resolved,
+ as are compact @type IRIs.
+ @param {Object} document - A context, or a document with an @context
+ @param {string} base - The base IRI unless the context sets @base
+ @returns {Object}
+ */
+export function expandContext(document, base) {
+  const source = Array.isArray(document["@context"])
+    ? Object.assign({}, ...document["@context"].filter((item) => typeof item === "object"))
+    : (document["@context"] || document);
+  const context = { "@base": source["@base"] ? new URL(source["@base"], base).href : base };
+  if (source["@vocab"]) context["@vocab"] = source["@vocab"];
+  if (source["@language"]) context["@language"] = source["@language"];
+
+  const prefixes = {};
+  Object.entries(source).forEach(([term, def]) => {
+    if (term.startsWith("@")) return;
+    const iri = typeof def === "string" ? def : def?.["@id"];
+    if (typeof iri === "string" && /[#/:]$/.test(iri)) prefixes[term] = iri;
+  });
+  const expand = (value) => {
+    if (!value || value.startsWith("@")) return value;
+    const colon = value.indexOf(":");
+    if (colon > 0) {
+      const prefix = value.slice(0, colon);
+      if (prefixes[prefix] && !value.startsWith(`${prefix}://`)) return `${prefixes[prefix]}${value.slice(colon + 1)}`;
+      if (/^[a-z][a-z0-9+.-]*$/i.test(prefix)) return value;
+    }
+    if (context["@vocab"] && !value.includes("/")) return `${context["@vocab"]}${value}`;
+    return new URL(value, context["@base"]).href;
+  };
+
+  Object.entries(source).forEach(([term, def]) => {
+    if (term.startsWith("@") || def === null) return;
+    const definition = typeof def === "string" ? { "@id": def } : { ...def };
+    definition["@id"] = expand(definition["@id"] || term);
+    if (definition["@type"]) definition["@type"] = expand(definition["@type"]);
+    definition.name = term;
+    context[term] = definition;
+    if (!context[definition["@id"]]) context[definition["@id"]] = definition;
+  });
+  return context;
+}
+
+// The identifier by which a subject is known: its IRI, or "_:label" for a blank node.
+function termIdentifier(term) {
+  return term.termType === "BlankNode" ? `_:${term.value}` : term.value;
+}
+
+function sameValue(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a && typeof a.getIdentifier === "function") return a.getIdentifier() === b;
+  return a === b;
+}
+
+function baseMediaType(contentType) {
+  return String(contentType).split(";")[0].trim().toLowerCase();
+}
+
+function mediaTypeParameter(contentType, name) {
+  const match = String(contentType).match(new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, "i"));
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+function parsePart(part) {
+  const text = part.replace(/^\r?\n/, "");
+  const separator = text.match(/\r?\n\r?\n/);
+  const head = separator ? text.slice(0, separator.index) : "";
+  const body = separator ? text.slice(separator.index + separator[0].length) : text;
+  const headers = {};
+  head.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^([^:]+):\s*(.*)$/);
+    if (match) headers[match[1].trim().toLowerCase()] = match[2].trim();
+  });
+  return { headers, body: body.replace(/\r?\n$/, "") };
+}
+
+function partOperation(headers) {
+  const designator = (headers["x-http-method-override"] || headers["content-disposition"] || "post")
+    .split(/[;=\s]/)[0]
+    .toLowerCase();
+  return PATCH_OPERATIONS.includes(designator) ? designator : "post";
+}
+
+// Serialization
+
+function escapeIRI(value) {
+  return value.replace(/[\u0000- <>"{}|^`\\]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0").toUpperCase()}`);
+}
+
+function escapeString(value) {
+  return value.replace(/["\\\n\r\t\b\f]/g, (char) => ({
+    '"': '\\"', "\\": "\\\\", "\n": "\\n", "\r": "\\r", "\t": "\\t", "\b": "\\b", "\f": "\\f",
+  })[char]);
+}
+
+function formatTerm(term) {
+  switch (term.termType) {
+  case "NamedNode":
+    return `<${escapeIRI(term.value)}>`;
+  case "BlankNode":
+    return `_:${term.value}`;
+  case "Literal": {
+    const lexical = `"${escapeString(term.value)}"`;
+    if (term.language) return `${lexical}@${term.language}`;
+    const datatype = term.datatype?.value;
+    return datatype && datatype !== XSD_STRING ? `${lexical}^^<${escapeIRI(datatype)}>` : lexical;
+  }
+  default:
+    throw new Error(`JsonLdEnvironment: cannot serialize term: ${JSON.stringify(term)}`);
+  }
+}
+
+function formatStatement(statement, withGraph) {
+  const terms = [statement.subject, statement.predicate, statement.object];
+  if (withGraph && statement.graph && statement.graph.termType !== "DefaultGraph") {
+    terms.push(statement.graph);
+  }
+  return terms.map(formatTerm).join(" ");
+}
+
+// TriG with one block per graph, predicates grouped by subject.
+function formatTriG(statements) {
+  const graphs = new Map();
+  statements.forEach((statement) => {
+    const graphKey = statement.graph && statement.graph.termType !== "DefaultGraph" ? formatTerm(statement.graph) : "";
+    if (!graphs.has(graphKey)) graphs.set(graphKey, new Map());
+    const subjects = graphs.get(graphKey);
+    const subjectKey = formatTerm(statement.subject);
+    if (!subjects.has(subjectKey)) subjects.set(subjectKey, new Map());
+    const predicates = subjects.get(subjectKey);
+    const predicateKey = formatTerm(statement.predicate);
+    if (!predicates.has(predicateKey)) predicates.set(predicateKey, []);
+    predicates.get(predicateKey).push(formatTerm(statement.object));
+  });
+  return [...graphs.entries()].map(([graphKey, subjects]) => {
+    const body = [...subjects.entries()].map(([subjectKey, predicates]) => {
+      const lines = [...predicates.entries()].map(([predicateKey, objects]) => `${predicateKey} ${objects.join(", ")}`);
+      return `  ${subjectKey} ${lines.join(" ;\n    ")} .`;
+    }).join("\n");
+    return `${graphKey ? `${graphKey} ` : ""}{\n${body}\n}\n`;
+  }).join("");
+}
+
+// Parsing
+
+const TOKEN_PATTERNS = [
+  ["ws", /^(?:\s+|#[^\n]*)/],
+  ["iri", /^<([^>]*)>/],
+  ["blank", /^_:((?:[\w-]|\.(?=[\w-]))+)/],
+  ["longString", /^("""|''')((?:[^\\]|\\.)*?)\1/],
+  ["string", /^(["'])((?:(?!\1)[^\\\n]|\\.)*)\1/],
+  ["keyword", /^@(?:prefix|base)\b/],
+  ["language", /^@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/],
+  ["datatypeMark", /^\^\^/],
+  ["number", /^[+-]?(?:\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)/],
+  ["pname", /^([A-Za-z][\w-]*)?:((?:[\w\-%:]|\.(?=[\w\-%:]))*)/],
+  ["keyword", /^(?:PREFIX\b|BASE\b|GRAPH\b|true\b|false\b|a\b)/i],
+  ["punctuation", /^[.;,{}[\]()]/],
+];
+
+function tokenize(text) {
+  const tokens = [];
+  let rest = text;
+  while (rest.length) {
+    let matched = false;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      const match = rest.match(pattern);
+      if (!match) continue;
+      matched = true;
+      rest = rest.slice(match[0].length);
+      if (type !== "ws") tokens.push({ type, text: match[0], match });
+      break;
+    }
+    if (!matched) {
+      throw new SyntaxError(`JsonLdEnvironment: unexpected input: ${rest.slice(0, 40)}`);
+    }
+  }
+  return tokens;
+}
+
+function unescapeString(value) {
+  return value.replace(/\\(?:u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|(.))/g, (match, u4, u8, char) => {
+    if (u4 || u8) return String.fromCodePoint(parseInt(u4 || u8, 16));
+    return { t: "\t", n: "\n", r: "\r", b: "\b", f: "\f" }[char] ?? char;
+  });
+}
+
+function unescapeIRI(value) {
+  return value.replace(/\\u([0-9a-fA-F]{4})|\\U([0-9a-fA-F]{8})/g, (match, u4, u8) => String.fromCodePoint(parseInt(u4 || u8, 16)));
+}
+
+/**
+ Parse N-Quads (or N-Triples) into statements.
+ @param {string} text
+ @param {JsonLdEnvironment} env
+ @returns {Statement[]}
+ */
+export function parseNQuads(text, env) {
+  const statements = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const tokens = tokenize(line);
+    if (!tokens.length) return;
+    if (tokens[tokens.length - 1].text !== ".") {
+      throw new SyntaxError(`JsonLdEnvironment: line ${index + 1}: statement does not end with "."`);
+    }
+    const reader = new TokenReader(tokens.slice(0, -1), env, {});
+    const subject = reader.term();
+    const predicate = reader.term();
+    const object = reader.term();
+    const graph = reader.done() ? env.createDefaultGraph() : reader.term();
+    if (!reader.done()) {
+      throw new SyntaxError(`JsonLdEnvironment: line ${index + 1}: too many terms`);
+    }
+    statements.push(env.createStatement(subject, predicate, object, graph));
+  });
+  return statements;
+}
+
+/**
+ Parse TriG (and so Turtle) into statements. Prefix and base declarations, predicate
+ and object lists, numeric and boolean shorthand and graph blocks are understood;
+ collections and blank node property lists are not.
+ @param {string} text
+ @param {JsonLdEnvironment} env
+ @returns {Statement[]}
+ */
+export function parseTriG(text, env) {
+  const statements = [];
+  const reader = new TokenReader(tokenize(text), env, {});
+  const defaultGraph = env.createDefaultGraph();
+
+  const readTriples = (graph) => {
+    const subject = reader.term();
+    do {
+      if (reader.peekText(".") || reader.peekText("}")) break;
+      const predicate = reader.predicate();
+      do {
+        statements.push(env.createStatement(subject, predicate, reader.term(), graph));
+      } while (reader.accept(","));
+    } while (reader.accept(";"));
+  };
+
+  while (!reader.done()) {
+    if (reader.directive()) continue;
+    if (reader.acceptKeyword("graph")) {
+      const graph = reader.term();
+      reader.expect("{");
+      readBlock(graph);
+      continue;
+    }
+    if (reader.accept("{")) {
+      readBlock(defaultGraph);
+      continue;
+    }
+    const label = reader.term();
+    if (reader.accept("{")) {
+      readBlock(label);
+      continue;
+    }
+    reader.push(label);
+    readTriples(defaultGraph);
+    reader.expect(".");
+  }
+  return statements;
+
+  function readBlock(graph) {
+    while (!reader.accept("}")) {
+      readTriples(graph);
+      if (!reader.accept(".")) {
+        reader.expect("}");
+        return;
+      }
+    }
+  }
+}
+
+class TokenReader {
+  constructor(tokens, env, prefixes) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.env = env;
+    this.prefixes = prefixes;
+    this.pushed = null;
+    this.base = env.baseIRI;
+  }
+
+  done() {
+    return !this.pushed && this.index >= this.tokens.length;
+  }
+
+  peekText(text) {
+    return !this.pushed && this.tokens[this.index]?.text === text;
+  }
+
+  accept(text) {
+    if (!this.peekText(text)) return false;
+    this.index += 1;
+    return true;
+  }
+
+  acceptKeyword(keyword) {
+    const token = this.tokens[this.index];
+    if (this.pushed || token?.type !== "keyword" || token.text.toLowerCase() !== keyword) return false;
+    this.index += 1;
+    return true;
+  }
+
+  expect(text) {
+    if (!this.accept(text)) {
+      throw new SyntaxError(`JsonLdEnvironment: expected "${text}", found "${this.tokens[this.index]?.text ?? "end of input"}"`);
+    }
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    if (!token) throw new SyntaxError("JsonLdEnvironment: unexpected end of input");
+    this.index += 1;
+    return token;
+  }
+
+  push(term) {
+    this.pushed = term;
+  }
+
+  // @prefix/PREFIX and @base/BASE; answers whether one was read.
+  directive() {
+    const token = this.tokens[this.index];
+    if (token?.type !== "keyword") return false;
+    const keyword = token.text.toLowerCase();
+    if (keyword !== "@prefix" && keyword !== "prefix" && keyword !== "@base" && keyword !== "base") return false;
+    this.index += 1;
+    if (keyword.endsWith("prefix")) {
+      const name = this.next();
+      if (name.type !== "pname" || name.match[2]) throw new SyntaxError(`JsonLdEnvironment: invalid prefix: ${name.text}`);
+      this.prefixes[name.match[1] || ""] = this.iri(this.next());
+    } else {
+      this.base = this.iri(this.next());
+    }
+    if (keyword.startsWith("@")) this.expect(".");
+    return true;
+  }
+
+  iri(token) {
+    if (token.type === "iri") return new URL(unescapeIRI(token.match[1]), this.base || undefined).href;
+    if (token.type === "pname") {
+      const namespace = this.prefixes[token.match[1] || ""];
+      if (namespace === undefined) throw new SyntaxError(`JsonLdEnvironment: undefined prefix: ${token.text}`);
+      return `${namespace}${token.match[2].replace(/\\(.)/g, "$1")}`;
+    }
+    throw new SyntaxError(`JsonLdEnvironment: expected an IRI, found "${token.text}"`);
+  }
+
+  predicate() {
+    if (this.acceptKeyword("a")) return this.env.createNamedNode(RDF_TYPE);
+    return this.env.createNamedNode(this.iri(this.next()));
+  }
+
+  term() {
+    if (this.pushed) {
+      const term = this.pushed;
+      this.pushed = null;
+      return term;
+    }
+    const token = this.next();
+    switch (token.type) {
+    case "iri":
+    case "pname":
+      return this.env.createNamedNode(this.iri(token));
+    case "blank":
+      return this.env.createAnonymousNode(token.match[1]);
+    case "string":
+    case "longString": {
+      const value = unescapeString(token.match[2]);
+      if (this.tokens[this.index]?.type === "language") {
+        return this.env.createLiteral(value, { language: this.next().match[1] });
+      }
+      if (this.tokens[this.index]?.type === "datatypeMark") {
+        this.index += 1;
+        return this.env.createLiteral(value, { datatype: this.iri(this.next()) });
+      }
+      return this.env.createLiteral(value);
+    }
+    case "number": {
+      const datatype = /[eE]/.test(token.text) ? "double" : token.text.includes(".") ? "decimal" : "integer";
+      return this.env.createLiteral(token.text, { datatype: `${XSD}${datatype}` });
+    }
+    case "keyword":
+      if (/^(true|false)$/i.test(token.text)) {
+        return this.env.createLiteral(token.text.toLowerCase(), { datatype: `${XSD}boolean` });
+      }
+      break;
+    default:
+      break;
+    }
+    throw new SyntaxError(`JsonLdEnvironment: unsupported term: "${token.text}"`);
+  }
+}
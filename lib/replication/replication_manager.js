@@ -1,4 +1,4 @@
-import { GraphObject } from "./graph-object.js";
+import { GraphObject, valuesEqual } from "./graph-object.js";
 
 export class ReplicationManager {
   constructor() {
@@ -34,4 +34,22 @@ export class ReplicationManager {
     obj._replicator = this.localReplicator;
     obj.setStateClean();
   }
+
+  // The changes in a fresh `state` against the object's stored values: for a field with a
+  // local change, the value before that change.
+  remoteDeltas(obj, state = {}) {
+    const local = obj.deltas() || {};
+    const deltas = {};
+    obj.persistentProperties().forEach((name) => {
+      if (!Object.hasOwn(state, name)) return;
+      const base = local[name] ? local[name][1] : obj[name];
+      if (!valuesEqual(state[name], base)) deltas[name] = [state[name], base];
+    });
+    return deltas;
+  }
+
+  // Merge a fresh state into the object, keeping local changes; see GraphObject#merge.
+  mergeState(obj, state = {}, resolutions = {}) {
+    return obj.merge(this.remoteDeltas(obj, state), resolutions);
+  }
 }
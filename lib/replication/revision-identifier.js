@@ -1,45 +1,159 @@
 // Copyright (c) 2019 datagraph gmbh
 
+/**
+ Revision identifiers are time-ordered UUIDs: version 1, with a 100-nanosecond timestamp since
+ the Gregorian epoch, and version 7, with a millisecond unix timestamp followed by a counter.
+ The high bit of byte 6 - the top of the version nibble - records whether the identifier marks
+ an insertion or a deletion.
+
+ A UUID is an array of 16 byte values; the functions which read one accept its string form as
+ well, as do parseUUID and compareUUIDs. Everything here is module-local: nothing is installed
+ globally or on a prototype.
 
-// orignally used
-// https://github.com/kelektiv/node-uuid
-// via
-// import * as $uuid from 'https://wzrd.in/standalone/uuid%2Fv1@latest';
-// but that server was not reliable
-import * as $uuid from './lib/uuid-v1.mjs';
+ The version 1 generator was originally taken from https://github.com/kelektiv/node-uuid.
+ */
 
-//var sha1Lib = require('js-sha1');
-//var uuidLib = require('uuid/v1');
+import {DataError} from './errors.js';
 
-var UUIDStateEnum = {
+export var UUIDStateEnum = {
   insert: 0x00,
   delete: 0x80,
 };
 
-var RSIDTypeEnum = {sha1: 1, sha256: 2};
-var RSIDType = RSIDTypeEnum.sha1;
-var RSIDLength = 20;
 var IDNode = [0x01, 0x02, 0x03, 0x04, 0x05, 0x06];
 
+// 100-nanosecond intervals between the Gregorian epoch (1582-10-15) and the unix epoch
+var GregorianOffset = 122192928000000000n;
+
+var byteToHex = [];
+for (var i = 0; i < 256; ++i) {
+  byteToHex[i] = (i + 0x100).toString(16).substring(1);
+}
+
+var UUIDPattern = /([0-9a-f]{8})-?([0-9a-f]{4})-?([0-9a-f]{4})-?([0-9a-f]{4})-?([0-9a-f]{12})/i;
+
+function randomBytes(count) {
+  var bytes = new Uint8Array(count);
+  if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    for (var i = 0; i < count; i++) {
+      bytes[i] = Math.floor(Math.random() * 0x100);
+    }
+  }
+  return (bytes);
+}
+
+// generator state: the previous timestamps and the clock sequence
+var lastV1MSecs = 0;
+var lastV1NSecs = 0;
+var clockSequence = null;
+var lastV7MSecs = 0;
+var v7Counter = 0;
+
+/**
+ Write a version 1 UUID into the buffer.
+ Per RFC 4122 4.2.1.2, uuids generated within the same millisecond count up in `nsecs`, and the
+ clock sequence is bumped should the clock regress.
+ */
+function writeV1(buffer, {msecs, nsecs, node = IDNode, clockseq}) {
+  if (clockSequence === null) {
+    var seed = randomBytes(2);
+    clockSequence = ((seed[0] << 8) | seed[1]) & 0x3fff;
+  }
+  var clock = (clockseq !== undefined) ? clockseq : clockSequence;
+  var ticks = (nsecs !== undefined) ? nsecs : lastV1NSecs + 1;
+  var dt = (msecs - lastV1MSecs) + (ticks - lastV1NSecs) / 10000;
+  if (dt < 0 && clockseq === undefined) {
+    clock = (clock + 1) & 0x3fff;
+  }
+  if ((dt < 0 || msecs > lastV1MSecs) && nsecs === undefined) {
+    ticks = 0;
+  }
+  if (ticks >= 10000) {
+    throw new DataError("Cannot create more than 10M version 1 uuids/sec");
+  }
+  lastV1MSecs = msecs;
+  lastV1NSecs = ticks;
+  clockSequence = clock;
+
+  var gregorian = msecs + 12219292800000;
+  var tl = ((gregorian & 0xfffffff) * 10000 + ticks) % 0x100000000;
+  var tmh = (gregorian / 0x100000000 * 10000) & 0xfffffff;
+  buffer[0] = tl >>> 24 & 0xff;
+  buffer[1] = tl >>> 16 & 0xff;
+  buffer[2] = tl >>> 8 & 0xff;
+  buffer[3] = tl & 0xff;
+  buffer[4] = tmh >>> 8 & 0xff;
+  buffer[5] = tmh & 0xff;
+  buffer[6] = tmh >>> 24 & 0x0f | 0x10;
+  buffer[7] = tmh >>> 16 & 0xff;
+  buffer[8] = clock >>> 8 | 0x80;
+  buffer[9] = clock & 0xff;
+  for (var n = 0; n < 6; n++) {
+    buffer[10 + n] = node[n];
+  }
+  return (buffer);
+}
+
 /**
- Encode a ZUUID given a millisecond timestamp and a buffer.
+ Write a version 7 UUID into the buffer.
+ Per RFC 9562 6.2, uuids generated within the same millisecond count up in the twelve bits
+ which follow the version; should they run out, the timestamp moves on by a millisecond. A
+ clock which goes back leaves the timestamp where it was, so that the identifiers keep ascending.
+ */
+function writeV7(buffer, {msecs}) {
+  if (msecs > lastV7MSecs) {
+    lastV7MSecs = msecs;
+    v7Counter = 0;
+  } else if (v7Counter < 0xfff) {
+    v7Counter += 1;
+  } else {
+    lastV7MSecs += 1;
+    v7Counter = 0;
+  }
+  var random = randomBytes(8);
+  var stamp = lastV7MSecs;
+  for (var i = 5; i >= 0; i--) {
+    buffer[i] = stamp % 0x100;
+    stamp = Math.floor(stamp / 0x100);
+  }
+  buffer[6] = 0x70 | (v7Counter >>> 8);
+  buffer[7] = v7Counter & 0xff;
+  buffer[8] = 0x80 | (random[0] & 0x3f);
+  for (var n = 1; n < 8; n++) {
+    buffer[8 + n] = random[n];
+  }
+  return (buffer);
+}
+
+/**
+ Encode a UUID given a millisecond timestamp and a buffer.
  The current time is used as the default timestamp.
- Given a null buffer, return a hex-string-encoded UUD.
+ Given a null buffer, return a hex-string-encoded UUID.
  @param {Object} options
- @param {number} options.msec - the Date value to encode as millisecnds
+ @param {number} options.msecs - the Date value to encode as milliseconds
+ @param {number} options.version - 1 (the default) or 7
+ @param {number} options.nsecs - for version 1, the 100-nanosecond count within the millisecond
+ @param {Array} options.node - for version 1, the six-byte node identifier
+ @param {number} options.clockseq - for version 1, the fourteen-bit clock sequence
  @param {(Array|null)} buffer - an array into which to store the UUID
  */
-export function makeUUID({msecs = (new Date().getTime())} = {}, buffer = []) {
-  //if (msecs === undefined) { msecs = new Date().getTime(); }
-  var uuid = $uuid.v1({node: IDNode, msecs: msecs}, buffer);
-  return( uuid );
+export function makeUUID({msecs = Date.now(), version = 1, nsecs, node, clockseq} = {}, buffer = []) {
+  var bytes = buffer || [];
+  switch (version) {
+  case 1: writeV1(bytes, {msecs, nsecs, node, clockseq}); break;
+  case 7: writeV7(bytes, {msecs}); break;
+  default: throw new DataError(`Unsupported uuid version: ${version}`);
+  }
+  return (buffer ? bytes : uuidString(bytes));
 }
+
 /**
- Return a hex-string-encoded version 1 UUID for the current time.
+ Return a hex-string-encoded UUID for the current time, version 1 unless the options say otherwise.
  */
-export function makeUUIDString() {
-  var msecs = new Date().getTime();
-  return ($uuid.v1({node: IDNode, msecs: msecs}, null));
+export function makeUUIDString({version = 1} = {}) {
+  return (makeUUID({version: version}, null));
 }
 
 /**
@@ -47,130 +161,183 @@ export function makeUUIDString() {
  @param {Array} uuid
  */
 export function copyUUID(uuid) {
-  return( uuid.slice() );
-}
-
-// comparisons
-// https://stackoverflow.com/questions/7837456/how-to-compare-arrays-in-javascript/14853974
-// Warn if overriding existing method
-if(Array.prototype.equals)
-    console.warn("Overriding existing Array.prototype.equals. Possible causes: New API defines the method, there's a framework conflict or you've got double inclusions in your code.");
-// attach the .equals method to Array's prototype to call it on any array
-/**
- Define equals for arrays
- */
-Array.prototype.equals = function (array) {
-    // if the other array is a falsy value, return
-    if (!array)
-        return false;
-
-    // compare lengths - can save a lot of time 
-    if (this.length != array.length)
-        return false;
-
-    for (var i = 0, l=this.length; i < l; i++) {
-        // Check if we have nested arrays
-        if (this[i] instanceof Array && array[i] instanceof Array) {
-            // recurse into the nested arrays
-            if (!this[i].equals(array[i]))
-                return false;       
-        }           
-        else if (this[i] != array[i]) { 
-            // Warning - two different object instances will never be equal: {x:20} != {x:20}
-            return false;   
-        }           
-    }       
-    return true;
-}
-// Hide method from for-in loops
-Object.defineProperty(Array.prototype, "equals", {enumerable: false});
-
-/**
- Return (UUIDStateEnum.delete : UUIDStateEnum.insert ) as oer the UUID state.
+  return (uuidBytes(uuid).slice());
+}
+
+/**
+ Return the hex-string form of a UUID.
  @param {Array} uuid
  */
-function UUIDState(uuid) {
-  return( (uuid[6] & 0x80) ? UUIDStateEnum.delete : UUIDStateEnum.insert );
+export function uuidString(uuid) {
+  if (typeof uuid === 'string') {
+    return (uuid);
+  }
+  var hex = Array.from(uuid, function(byte) { return (byteToHex[byte]); });
+  return ([hex.slice(0, 4).join(''), hex.slice(4, 6).join(''), hex.slice(6, 8).join(''),
+           hex.slice(8, 10).join(''), hex.slice(10, 16).join('')].join('-'));
 }
 
-// https://github.com/krassif/node-uuid/commit/a9aac0e56f6c78b80454e9686e2eebcbbf724d45
 /**
- Extract the uuid timestamp
+ Parse a UUID from its string form, returning its bytes.
+ Accepts the plain form, with or without hyphens, a `urn:uuid:` IRI or an entity tag, and the
+ form formatUUID produces, in which case the state its sign notes is restored.
+ @param {string} text
+ @throws {DataError} if the text holds no UUID
  */
-function UUIDTimestamp(b) {
-    var msec = 0, nsec = 0;
-    var i = 0;
+export function parseUUID(text) {
+  var source = String(text).trim().replace(/^W\//, '').replace(/^"|"$/g, '').replace(/^urn:uuid:/i, '');
+  var match = UUIDPattern.exec(source);
+  if (!match || match.index !== 0) {
+    throw new DataError(`Not a uuid: ${text}`);
+  }
+  var hex = match.slice(1).join('');
+  var bytes = [];
+  for (var i = 0; i < 16; i++) {
+    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  if (source.charAt(match[0].length) === '-') {
+    setUUIDState(bytes, UUIDStateEnum.delete);
+  }
+  return (bytes);
+}
 
-    // inspect version at offset 6
-    if ((b[i+6]&0x10)!=0x10) {
-      throw new Error("uuid version 1 expected"); }
+/**
+ Answer the bytes of a UUID given either form.
+ */
+function uuidBytes(uuid) {
+  return ((typeof uuid === 'string') ? parseUUID(uuid) : uuid);
+}
 
-    // 'time_low'
-    var tl = 0;
-    tl |= ( b[i++] & 0xff ) << 24;
-    tl |= ( b[i++] & 0xff ) << 16;
-    tl |= ( b[i++] & 0xff ) << 8;
-    tl |=   b[i++] & 0xff ;
+/**
+ Return the UUID version, 1 or 7 for revision identifiers, disregarding the state bit.
+ @param {(Array|string)} uuid
+ */
+export function uuidVersion(uuid) {
+  return ((uuidBytes(uuid)[6] & 0x70) >>> 4);
+}
 
-      // `time_mid`
-      var tmh = 0;
-      tmh |= ( b[i++] & 0xff ) << 8;
-      tmh |=   b[i++] & 0xff;
+/**
+ Return the UUID timestamp as 100-nanosecond intervals since the unix epoch.
+ Version 7 UUIDs have no finer resolution than a millisecond.
+ @param {Array} b
+ @returns {bigint}
+ */
+function UUIDTicks(b) {
+  switch (uuidVersion(b)) {
+  case 1: {
+    var time = (BigInt(b[6] & 0x0f) << 56n) | (BigInt(b[7]) << 48n) |
+               (BigInt(b[4]) << 40n) | (BigInt(b[5]) << 32n) |
+               (BigInt(b[0]) << 24n) | (BigInt(b[1]) << 16n) | (BigInt(b[2]) << 8n) | BigInt(b[3]);
+    return (time - GregorianOffset);
+  }
+  case 7: {
+    var msecs = 0n;
+    for (var i = 0; i < 6; i++) {
+      msecs = (msecs << 8n) | BigInt(b[i]);
+    }
+    return (msecs * 10000n);
+  }
+  default:
+    throw new DataError(`uuid version 1 or 7 expected: ${uuidString(b)}`);
+  }
+}
 
-      // `time_high_minus_version`
-      tmh |= ( b[i++] & 0xf ) << 24; 
-      tmh |= ( b[i++] & 0xff ) << 16;
+/**
+ Return the UUID timestamp as unix milliseconds, with version 1's sub-millisecond fraction.
+ @param {(Array|string)} uuid
+ */
+export function uuidTimestamp(uuid) {
+  var ticks = UUIDTicks(uuidBytes(uuid));
+  return (Number(ticks / 10000n) + Number(ticks % 10000n) / 10000);
+}
 
-      // account for the sign bit
-      msec = 1.0 * ( ( tl >>> 1 ) * 2 + ( ( tl & 0x7fffffff ) % 2 ) ) / 10000.0;
-      msec += 1.0 * ( ( tmh >>> 1 ) * 2 + ( ( tmh & 0x7fffffff ) % 2 ) ) * 0x100000000 / 10000.0;
-      
-      // Per 4.1.4 - Convert from Gregorian epoch to unix epoch
-    msec -= 12219292800000;
-      
-    // getting the nsec. they are not needed now though 
-    // nsec = ( tl & 0xfffffff ) % 10000;
+/**
+ Order two UUIDs by time; for equal times, version 7 by its counter and then either by their
+ remaining bytes, and an insertion before a deletion. Answers a negative number, zero or a
+ positive number, for use with Array.prototype.sort.
+ @param {(Array|string)} left
+ @param {(Array|string)} right
+ */
+export function compareUUIDs(left, right) {
+  var a = uuidBytes(left);
+  var b = uuidBytes(right);
+  var ta = UUIDTicks(a);
+  var tb = UUIDTicks(b);
+  if (ta !== tb) {
+    return ((ta < tb) ? -1 : 1);
+  }
+  for (var i = 6; i < 16; i++) {
+    var byteA = (i === 6) ? a[i] & 0x7f : a[i];
+    var byteB = (i === 6) ? b[i] & 0x7f : b[i];
+    if (byteA !== byteB) {
+      return (byteA - byteB);
+    }
+  }
+  return ((a[6] & 0x80) - (b[6] & 0x80));
+}
 
+/**
+ Return true if two UUIDs have the same bytes, state included.
+ @param {(Array|string)} left
+ @param {(Array|string)} right
+ */
+export function equalUUIDs(left, right) {
+  if (!left || !right) {
+    return (false);
+  }
+  var a = uuidBytes(left);
+  var b = uuidBytes(right);
+  return (a.length === b.length && a.every(function(byte, i) { return (byte === b[i]); }));
+}
 
-    return msec;
+/**
+ Return (UUIDStateEnum.delete : UUIDStateEnum.insert ) as per the UUID state.
+ @param {Array} uuid
+ */
+function UUIDState(uuid) {
+  return ((uuid[6] & 0x80) ? UUIDStateEnum.delete : UUIDStateEnum.insert);
 }
 
 /**
+ Set the UUID state in place.
  @param {Array} uuid
- @param {UUIDStateEnun} state
+ @param {UUIDStateEnum} state
  */
 export function setUUIDState(uuid, state) {
-  switch(state) {
-    case UUIDStateEnum.insert : uuid[6] = (uuid[6] & 0x7f); break;
-    case UUIDStateEnum.delete : uuid[6] = (uuid[6] | 0x80); break;
+  switch (state) {
+  case UUIDStateEnum.insert: uuid[6] = (uuid[6] & 0x7f); break;
+  case UUIDStateEnum.delete: uuid[6] = (uuid[6] | 0x80); break;
   }
-  return( uuid );
+  return (uuid);
 }
 
 /**
  */
 export function resetUUIDState(uuid) {
-  setUUIDState(uuid, UUIDStateEnum.insert);
+  return (setUUIDState(uuid, UUIDStateEnum.insert));
 }
 
 /**
  */
 export function isInsertUUID(uuid) {
-  return( UUIDState(uuid) == UUIDStateEnum.insert );
+  return (UUIDState(uuidBytes(uuid)) == UUIDStateEnum.insert);
 }
 
 /**
  */
 export function isDeleteUUID(uuid) {
-  return( UUIDState(uuid) == UUIDStateEnum.delete );
+  return (UUIDState(uuidBytes(uuid)) == UUIDStateEnum.delete);
 }
 
 /**
+ Return the UUID without its state, followed by `+` for an insertion or `-` for a deletion and
+ its time, as in `1ef8c6a2-...-010203040506+2024-10-01T12:00:00.000Z`. parseUUID reads it back.
+ @param {(Array|string)} uuid
  */
 export function formatUUID(uuid) {
-  var isInsert = isInsertUUID(uuid);
-  var cleanUUID = setUUIDState(copyUUID(uuid), UUIDStateEnum.insert);
-  var timestamp = UUIDTimestamp(uuid);
-  var dateTime = new Date(timestamp);
-  return( `${cleanUUID}${isInsert ? '+' : '-'}${dateTime.toISOString()}` );
+  var bytes = uuidBytes(uuid);
+  var isInsert = isInsertUUID(bytes);
+  var cleanUUID = resetUUIDState(copyUUID(bytes));
+  var dateTime = new Date(Math.floor(uuidTimestamp(bytes)));
+  return (`${uuidString(cleanUUID)}${isInsert ? '+' : '-'}${dateTime.toISOString()}`);
 }
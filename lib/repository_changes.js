@@ -0,0 +1,93 @@
+// Live changes to the repositories open in the Studio. Each watched repository has an
+// HttpGraphDatabase whose websocket subscribes to it, and each message the store
+// replicates for it is described as a change: data imported, the repository cleared,
+// its settings changed or one of its views saved or deleted. The panes of a repository
+// share its database, which is closed once the repository is no longer watched.
+
+import { HttpGraphDatabase } from "./replication/graph-database.js";
+import { APP_CONFIG } from "./config.js";
+
+const repositoryKey = (accountName, repositoryName) => `${accountName}/${repositoryName}`;
+
+/**
+ * Describe a replicated message as `{ kind, revision, view, deleted }`. A request replayed
+ * from another client says what it did by its method and path: a view's path is a view
+ * change, `.../configuration` a settings change and any other DELETE clears the
+ * repository. Everything else, replicated patches included, changed the data.
+ */
+export const describeRepositoryChange = (message) => {
+  const revision = message.headers.get("ETag") || null;
+  const method = message instanceof Request ? message.method : null;
+  const path = message.url ? new URL(message.url).pathname : "";
+  const view = /\/views\/([^/]+)$/.exec(path);
+  if (view) {
+    return { kind: "view", revision, view: decodeURIComponent(view[1]), deleted: method === "DELETE" };
+  }
+  if (/\/configuration$/.test(path)) return { kind: "settings", revision, view: null, deleted: false };
+  if (method === "DELETE") return { kind: "clear", revision, view: null, deleted: false };
+  return { kind: "data", revision, view: null, deleted: false };
+};
+
+export class RepositoryChanges {
+  /**
+   * `options` are passed on to each database (the tests give a fetch and a WebSocket
+   * class); the websocket URL is APP_CONFIG.websocketUrl unless they name one.
+   */
+  constructor({ databaseClass = HttpGraphDatabase, options = {} } = {}) {
+    this.databaseClass = databaseClass;
+    this.options = options;
+    this.watched = new Map();
+  }
+
+  database(accountName, repositoryName) {
+    return this.watched.get(repositoryKey(accountName, repositoryName))?.database || null;
+  }
+
+  /**
+   * Call `listener(change, database)` for each change to the repository at
+   * `<host>/<account>/<repository>`, connecting to it on first use. Answers
+   * `{ database, stop }`; `stop()` removes the listener and leaves the connection open.
+   */
+  watch({ accountName, repositoryName, host, token }, listener) {
+    const key = repositoryKey(accountName, repositoryName);
+    let entry = this.watched.get(key);
+    if (!entry) {
+      const location = `${host}/${encodeURIComponent(accountName)}/${encodeURIComponent(repositoryName)}`;
+      const database = new this.databaseClass(key, location, token, {
+        disposition: key,
+        websocketURL: APP_CONFIG.websocketUrl || null,
+        ...this.options,
+      });
+      entry = { database, listeners: new Set() };
+      database.onReplication((message) => {
+        const change = describeRepositoryChange(message);
+        entry.listeners.forEach((each) => each(change, database));
+      });
+      this.watched.set(key, entry);
+      database.connect();
+    }
+    entry.listeners.add(listener);
+    return { database: entry.database, stop: () => entry.listeners.delete(listener) };
+  }
+
+  // Record the ETag answered by a write of this client, so that its replication passes
+  // as a reflection rather than as a change.
+  noteLocalRevision(accountName, repositoryName, etag) {
+    this.database(accountName, repositoryName)?.noteRevision({ revision: etag, name: Date.now() });
+  }
+
+  // Stop watching the repository and close its connection.
+  unwatch(accountName, repositoryName) {
+    const key = repositoryKey(accountName, repositoryName);
+    const entry = this.watched.get(key);
+    if (!entry) return;
+    this.watched.delete(key);
+    entry.listeners.clear();
+    entry.database.close();
+  }
+
+  close() {
+    [...this.watched.values()].forEach(({ database }) => database.close());
+    this.watched.clear();
+  }
+}
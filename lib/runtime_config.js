@@ -0,0 +1,154 @@
+// Per-deployment settings loaded at startup. The Studio and Admin bootstraps fetch a
+// JSON document from a well-known URL, check it against CONFIG_SCHEMA and merge what
+// is valid over the defaults in APP_CONFIG, so one build serves several deployments.
+// Invalid settings are reported and left at their defaults; a missing document leaves
+// every default in place.
+
+import { APP_CONFIG } from "./config.js";
+import { HttpClient } from "./http.js";
+
+// A page can point elsewhere with <meta name="jsui-config-url" content="...">.
+export const RUNTIME_CONFIG_URL = "/ui/config.json";
+
+const LOAD_TIMEOUT = 5000;
+
+const string = { type: "string" };
+const boolean = { type: "boolean" };
+const duration = { type: "number", minimum: 0 };
+
+// A subset of JSON Schema: type, properties, additionalProperties, items, required, minimum.
+export const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    baseHost: string,
+    blogHost: string,
+    docsHost: string,
+    basePath: { type: "string", pattern: "^(/[^/]+)*$" },
+    websocketUrl: { type: "string", pattern: "^(wss?://.+)?$" },
+    requireSignupInvite: boolean,
+    showAccountBalances: boolean,
+    profiles: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["host"],
+        additionalProperties: false,
+        properties: { name: string, host: string },
+      },
+    },
+    persistentSession: {
+      type: "object",
+      additionalProperties: false,
+      properties: { idleTimeout: duration, maxAge: duration },
+    },
+    sso: {
+      type: "object",
+      additionalProperties: false,
+      properties: { issuer: string, clientId: string, scope: string, accountClaim: string },
+    },
+    features: {
+      type: "object",
+      additionalProperties: boolean,
+    },
+  },
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+};
+
+// Answer the valid part of `value`, or undefined when nothing of it is valid, and
+// push a message for each setting which is dropped.
+const sanitize = (value, schema, path, errors) => {
+  const actual = typeOf(value);
+  if (actual !== schema.type) {
+    errors.push(`${path}: expected ${schema.type}, found ${actual}`);
+    return undefined;
+  }
+  if (schema.type === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be at least ${schema.minimum}`);
+    return undefined;
+  }
+  if (schema.type === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: does not match ${schema.pattern}`);
+    return undefined;
+  }
+  if (schema.type === "array") {
+    return value
+      .map((item, index) => sanitize(item, schema.items, `${path}[${index}]`, errors))
+      .filter((item) => item !== undefined);
+  }
+  if (schema.type === "object") {
+    const missing = (schema.required || []).filter((key) => !Object.hasOwn(value, key));
+    if (missing.length) {
+      errors.push(`${path}: missing ${missing.join(", ")}`);
+      return undefined;
+    }
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const itemSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (!itemSchema) {
+        errors.push(`${path}.${key}: unknown setting`);
+        return;
+      }
+      const clean = sanitize(item, itemSchema, `${path}.${key}`, errors);
+      if (clean !== undefined) result[key] = clean;
+    });
+    return result;
+  }
+  return value;
+};
+
+/**
+ * Check a runtime configuration against CONFIG_SCHEMA. Answers `{ config, errors }`,
+ * where `config` holds only the valid settings.
+ */
+export const validateConfig = (overrides, schema = CONFIG_SCHEMA) => {
+  const errors = [];
+  const config = sanitize(overrides, schema, "config", errors) || {};
+  return { config, errors };
+};
+
+/**
+ * Merge `overrides` into `target` in place: objects are merged key by key, anything
+ * else (arrays included) replaces the default.
+ */
+export const mergeConfig = (target, overrides) => {
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (typeOf(value) === "object" && typeOf(target[key]) === "object") {
+      mergeConfig(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+};
+
+export const runtimeConfigUrl = () => {
+  const meta = typeof document !== "undefined" ? document.querySelector('meta[name="jsui-config-url"]') : null;
+  return meta?.content || RUNTIME_CONFIG_URL;
+};
+
+/**
+ * Fetch the deployment's configuration and merge its valid settings into APP_CONFIG.
+ * Answers `{ loaded, errors }`; never throws, since the defaults always work.
+ */
+export const loadRuntimeConfig = async ({ url = runtimeConfigUrl(), http = new HttpClient({ retries: 0, timeout: LOAD_TIMEOUT }), target = APP_CONFIG } = {}) => {
+  let overrides = null;
+  try {
+    overrides = await http.json(url, { auth: null, cache: "no-cache" });
+  } catch (error) {
+    if (error.name !== "NotFoundError") {
+      console.warn("[Config] Could not load runtime configuration from", url, error.message);
+    }
+    return { loaded: false, errors: [] };
+  }
+  if (overrides === null) return { loaded: false, errors: [] };
+  const { config, errors } = validateConfig(overrides);
+  errors.forEach((message) => console.warn("[Config] Ignoring invalid setting", message));
+  mergeConfig(target, config);
+  return { loaded: true, errors };
+};
@@ -0,0 +1,108 @@
+// Saving the changes of several panes at once ("Save all"). The items are unsaved-change
+// entries in the order to save them. Where the store can take their writes as one
+// transaction, each item prepares its write and the writes go out together, so that
+// either every item is saved or none is; otherwise the items are saved one after the
+// other and each succeeds or fails on its own. An item which fails is rolled back
+// through its discard, unless the batch is told to keep its changes; the changes rolled
+// back are in the report, so that they can be restored. The answer reports what became
+// of each item.
+
+export class SaveBatch {
+  /**
+   * `items` are `{ key, label, save, discard, prepare }`. `save()` saves an item on its
+   * own; `discard()` rolls it back and answers the changes it dropped; `prepare()`
+   * answers `{ request, complete(result) }` for its part of a transaction, or null when it
+   * has nothing left to write. `transaction(requests)`, when given, writes the requests
+   * together and answers one result for each, or throws to refuse them all. With
+   * `rollback` false a failed item keeps its changes.
+   */
+  constructor(items, { transaction = null, rollback = true } = {}) {
+    this.items = items;
+    this.transaction = transaction;
+    this.rollback = rollback;
+  }
+
+  get transactional() {
+    return Boolean(this.transaction) && this.items.every((item) => typeof item.prepare === "function");
+  }
+
+  /**
+   * Save the items. Answers `{ transactional, results }`, with one
+   * `{ key, label, status, detail, error, discarded }` for each item in order; the
+   * status is "saved" or "failed", the detail is what the item's save answered and
+   * `discarded` what a failed item's discard answered (null if it was kept).
+   */
+  async commit() {
+    const transactional = this.transactional;
+    const results = transactional ? await this.commitTransaction() : await this.commitInOrder();
+    return { transactional, results };
+  }
+
+  async commitInOrder() {
+    const results = [];
+    for (const item of this.items) {
+      try {
+        results.push(this.saved(item, await item.save()));
+      } catch (error) {
+        results.push(this.failed(item, error));
+      }
+    }
+    return results;
+  }
+
+  // Items which cannot prepare their write fail alone; the prepared writes then stand or
+  // fall together.
+  async commitTransaction() {
+    const results = new Map();
+    const prepared = [];
+    for (const item of this.items) {
+      try {
+        const part = await item.prepare();
+        if (part) {
+          prepared.push({ item, part });
+        } else {
+          results.set(item, this.saved(item, null));
+        }
+      } catch (error) {
+        results.set(item, this.failed(item, error));
+      }
+    }
+    if (prepared.length) {
+      let answers = null;
+      try {
+        answers = await this.transaction(prepared.map(({ part }) => part.request));
+      } catch (error) {
+        prepared.forEach(({ item }) => results.set(item, this.failed(item, error)));
+      }
+      if (answers) {
+        prepared.forEach(({ item, part }, index) => {
+          // The store holds the write by now, so a failure here is not the item's.
+          let detail = null;
+          try {
+            detail = part.complete(answers[index]);
+          } catch (error) {
+            console.warn("[SaveBatch] Could not complete", item.key, error);
+          }
+          results.set(item, this.saved(item, detail));
+        });
+      }
+    }
+    return this.items.map((item) => results.get(item));
+  }
+
+  saved(item, detail) {
+    return { key: item.key, label: item.label, status: "saved", detail: detail ?? null, error: null, discarded: null };
+  }
+
+  failed(item, error) {
+    let discarded = null;
+    if (this.rollback) {
+      try {
+        discarded = item.discard() ?? null;
+      } catch (discardError) {
+        console.warn("[SaveBatch] Could not roll back", item.key, discardError);
+      }
+    }
+    return { key: item.key, label: item.label, status: "failed", detail: null, error, discarded };
+  }
+}
@@ -0,0 +1,150 @@
+// Encrypted, opt-in persistence for the contents of an AuthStore.
+//
+// Tokens and account configurations are sealed with AES-GCM under a key created
+// as non-extractable, so the raw key never leaves WebCrypto; the key itself and
+// the ciphertext live in IndexedDB. A record expires after `idleTimeout` without
+// activity or `maxAge` after it was created, whichever comes first.
+
+const DATABASE_NAME = "dydra.vault";
+const KEY_STORE = "keys";
+const SESSION_STORE = "sessions";
+const RECORD_ID = "current";
+const CHANNEL_NAME = "dydra.session";
+
+const HOUR = 60 * 60 * 1000;
+export const DEFAULT_IDLE_TIMEOUT = 8 * HOUR;
+export const DEFAULT_MAX_AGE = 14 * 24 * HOUR;
+
+// Write lastUsedAt at most this often.
+const TOUCH_INTERVAL = 60 * 1000;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  const request = indexedDB.open(DATABASE_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(KEY_STORE);
+    request.result.createObjectStore(SESSION_STORE);
+  };
+  return requestResult(request);
+};
+
+export class SessionVault {
+  constructor({ idleTimeout = DEFAULT_IDLE_TIMEOUT, maxAge = DEFAULT_MAX_AGE } = {}) {
+    this.idleTimeout = idleTimeout;
+    this.maxAge = maxAge;
+    this.lastTouched = 0;
+    this.channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(CHANNEL_NAME) : null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== "undefined" && Boolean(globalThis.crypto?.subtle);
+  }
+
+  async transaction(storeName, mode, operation) {
+    const db = await openDatabase();
+    try {
+      const store = db.transaction(storeName, mode).objectStore(storeName);
+      return await requestResult(operation(store));
+    } finally {
+      db.close();
+    }
+  }
+
+  async key() {
+    const existing = await this.transaction(KEY_STORE, "readonly", (store) => store.get(RECORD_ID));
+    if (existing) return existing;
+    const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+    await this.transaction(KEY_STORE, "readwrite", (store) => store.put(key, RECORD_ID));
+    return key;
+  }
+
+  isExpired(record, now = Date.now()) {
+    return now - record.createdAt > this.maxAge || now - record.lastUsedAt > this.idleTimeout;
+  }
+
+  /**
+   * Seal the snapshot `{ accountName, tokens }`. A record which already exists keeps
+   * its creation time, so re-saving never extends the absolute lifetime.
+   */
+  async save(snapshot) {
+    const key = await this.key();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(snapshot));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+    const existing = await this.transaction(SESSION_STORE, "readonly", (store) => store.get(RECORD_ID));
+    const now = Date.now();
+    const createdAt = existing && !this.isExpired(existing, now) ? existing.createdAt : now;
+    await this.transaction(SESSION_STORE, "readwrite", (store) => store.put({ iv, data, createdAt, lastUsedAt: now }, RECORD_ID));
+    this.lastTouched = now;
+  }
+
+  /**
+   * Answer the saved snapshot, or null when there is none, it has expired, or it
+   * cannot be decrypted. Expired and unreadable records are removed.
+   */
+  async restore() {
+    const record = await this.transaction(SESSION_STORE, "readonly", (store) => store.get(RECORD_ID));
+    if (!record) return null;
+    if (this.isExpired(record)) {
+      await this.clear();
+      return null;
+    }
+    try {
+      const key = await this.key();
+      const plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: record.iv }, key, record.data);
+      const snapshot = JSON.parse(new TextDecoder().decode(plaintext));
+      await this.touch({ force: true });
+      return snapshot;
+    } catch (error) {
+      console.warn("[SessionVault] Discarding unreadable session:", error);
+      await this.clear();
+      return null;
+    }
+  }
+
+  /**
+   * Record activity. Answers false when the saved session has meanwhile expired.
+   */
+  async touch({ force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - this.lastTouched < TOUCH_INTERVAL) return true;
+    const record = await this.transaction(SESSION_STORE, "readonly", (store) => store.get(RECORD_ID));
+    if (!record) return true;
+    if (this.isExpired(record, now)) {
+      await this.clear();
+      return false;
+    }
+    this.lastTouched = now;
+    await this.transaction(SESSION_STORE, "readwrite", (store) => store.put({ ...record, lastUsedAt: now }, RECORD_ID));
+    return true;
+  }
+
+  async clear() {
+    await this.transaction(SESSION_STORE, "readwrite", (store) => store.delete(RECORD_ID));
+    this.lastTouched = 0;
+  }
+
+  /**
+   * Delete the saved session and the key, and tell other tabs of this origin to sign out.
+   */
+  async destroy() {
+    await new Promise((resolve) => {
+      const request = indexedDB.deleteDatabase(DATABASE_NAME);
+      request.onsuccess = resolve;
+      request.onerror = resolve;
+      request.onblocked = resolve;
+    });
+    this.lastTouched = 0;
+    this.channel?.postMessage({ type: "sign-out" });
+  }
+
+  onSignOut(callback) {
+    this.channel?.addEventListener("message", (event) => {
+      if (event.data?.type === "sign-out") callback();
+    });
+  }
+}
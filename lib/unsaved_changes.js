@@ -0,0 +1,62 @@
+// Unsaved changes across the Studio. The account and repository trackers, the
+// collaboration tables and the view editors each register an entry which can tell
+// whether it holds changes and can save or discard them; navigation, logout and page
+// unload ask the registry before anything is dropped.
+//
+// Keys are pane ids, or a pane id and a suffix ("<paneId>/collaboration"), so the
+// changes within one pane can be asked for on their own.
+
+export class UnsavedChanges {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Register `{ label, isDirty, save, discard }` under `key`, replacing any entry with
+   * that key. `isDirty` is asked on demand and `save` may be async. Answers a function
+   * which removes the entry again.
+   */
+  register(key, entry) {
+    const registered = { ...entry, key };
+    this.entries.set(key, registered);
+    return () => {
+      if (this.entries.get(key) === registered) this.entries.delete(key);
+    };
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  unregister(key) {
+    this.entries.delete(key);
+  }
+
+  // The entries with changes; with a `scope`, only those for that pane.
+  pending(scope = null) {
+    return [...this.entries.values()].filter((entry) => {
+      if (scope && entry.key !== scope && !entry.key.startsWith(`${scope}/`)) return false;
+      try {
+        return Boolean(entry.isDirty());
+      } catch (error) {
+        console.warn("[UnsavedChanges] Could not check", entry.key, error);
+        return false;
+      }
+    });
+  }
+
+  hasPending(scope = null) {
+    return this.pending(scope).length > 0;
+  }
+
+  // Save the entries in turn; the first failure stops the rest and is thrown.
+  async save(entries = this.pending()) {
+    for (const entry of entries) {
+      await entry.save();
+    }
+  }
+
+  discard(entries = this.pending()) {
+    entries.forEach((entry) => entry.discard());
+  }
+}
@@ -0,0 +1,86 @@
+// Saved workspaces: the open account, repository and view panes, the active tab and
+// the unsaved text of each view editor. Workspaces are kept in localStorage per host
+// and account, so signing in as the same account on the same host brings its panes
+// back; each scope holds any number of named workspaces and remembers the current one.
+
+const STORAGE_KEY = "dydra.workspaces";
+
+export const DEFAULT_WORKSPACE = "default";
+
+const defaultStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+const scopeKey = ({ host, accountName }) => `${host || ""}|${accountName}`;
+
+export class WorkspaceStore {
+  constructor({ storage = defaultStorage() } = {}) {
+    this.storage = storage;
+  }
+
+  read() {
+    try {
+      return JSON.parse(this.storage?.getItem(STORAGE_KEY) || "{}") || {};
+    } catch (error) {
+      console.warn("[WorkspaceStore] Discarding unreadable workspaces:", error);
+      return {};
+    }
+  }
+
+  write(data) {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+      console.warn("[WorkspaceStore] Could not save workspaces:", error);
+    }
+  }
+
+  scope(scope) {
+    return this.read()[scopeKey(scope)] || { current: DEFAULT_WORKSPACE, workspaces: {} };
+  }
+
+  updateScope(scope, update) {
+    const data = this.read();
+    const key = scopeKey(scope);
+    data[key] = update(data[key] || { current: DEFAULT_WORKSPACE, workspaces: {} });
+    this.write(data);
+  }
+
+  currentName(scope) {
+    return this.scope(scope).current || DEFAULT_WORKSPACE;
+  }
+
+  list(scope) {
+    return Object.keys(this.scope(scope).workspaces).sort();
+  }
+
+  /**
+   * Answer the named workspace `{ openAccounts, openRepositories, openViews, activeTab,
+   * drafts, savedAt }`, or null when there is none.
+   */
+  load(scope, name = this.currentName(scope)) {
+    return this.scope(scope).workspaces[name] || null;
+  }
+
+  /**
+   * Save a workspace under `name` and make it the current one for the scope.
+   */
+  save(scope, name, workspace) {
+    this.updateScope(scope, (entry) => ({
+      current: name,
+      workspaces: { ...entry.workspaces, [name]: { ...workspace, savedAt: Date.now() } },
+    }));
+  }
+
+  setCurrent(scope, name) {
+    this.updateScope(scope, (entry) => ({ ...entry, current: name }));
+  }
+
+  remove(scope, name) {
+    this.updateScope(scope, (entry) => {
+      const { [name]: removed, ...workspaces } = entry.workspaces;
+      return {
+        current: entry.current === name ? DEFAULT_WORKSPACE : entry.current,
+        workspaces,
+      };
+    });
+  }
+}
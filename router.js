@@ -6,19 +6,30 @@ const normalizePath = (value) => {
   return value;
 };
 
+const escapeSegment = (segment) => segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Segments are literal text, `:name`, an optional `:name?`, or a wildcard (`*`, or
+// `:name*` to name it) which matches the rest of the path, slashes included. The
+// optional and wildcard forms also match when the segment is absent altogether.
 const compileRoute = (path) => {
   const keys = [];
   const pattern = path
     .split("/")
-    .map((segment) => {
-      if (segment.startsWith(":")) {
-        keys.push(segment.slice(1));
-        return "([^/]+)";
+    .map((segment, index) => {
+      const separator = index === 0 ? "" : "/";
+      const param = segment.match(/^:([^?*]+)([?*]?)$/);
+      if (segment === "*" || param?.[2] === "*") {
+        keys.push(param ? param[1] : "wildcard");
+        return `(?:${separator}(.*))?`;
+      }
+      if (param) {
+        keys.push(param[1]);
+        return param[2] === "?" ? `(?:${separator}([^/]+))?` : `${separator}([^/]+)`;
       }
-      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return `${separator}${escapeSegment(segment)}`;
     })
-    .join("/");
-  return { regex: new RegExp(`^${pattern}$`), keys };
+    .join("");
+  return { regex: new RegExp(`^${pattern || "/"}$`), keys };
 };
 
 const matchRoute = (path, route) => {
@@ -27,13 +38,61 @@ const matchRoute = (path, route) => {
   if (!match) return null;
   const params = {};
   keys.forEach((key, index) => {
-    params[key] = decodeURIComponent(match[index + 1]);
+    // An optional segment which is absent leaves its parameter out.
+    if (match[index + 1] !== undefined) {
+      params[key] = decodeURIComponent(match[index + 1]);
+    }
   });
   return params;
 };
 
+// Split "/path?a=1#frag" into the path to match, its query parameters and fragment.
+const splitLocation = (value) => {
+  const hashIndex = value.indexOf("#");
+  const hash = hashIndex < 0 ? "" : value.slice(hashIndex + 1);
+  const rest = hashIndex < 0 ? value : value.slice(0, hashIndex);
+  const index = rest.indexOf("?");
+  if (index < 0) return { path: rest || DEFAULT_ROUTE, query: {}, hash };
+  return {
+    path: rest.slice(0, index) || DEFAULT_ROUTE,
+    query: Object.fromEntries(new URLSearchParams(rest.slice(index + 1))),
+    hash,
+  };
+};
+
+// Add `query` (over any parameters already in `value`) and `hash` to a path.
+// Parameters whose value is null or undefined are dropped.
+const formatLocation = (value, query = null, hash = null) => {
+  if (!query && hash === null) return value;
+  const parts = splitLocation(value);
+  const params = new URLSearchParams();
+  Object.entries({ ...parts.query, ...query }).forEach(([key, item]) => {
+    if (item !== null && item !== undefined) params.append(key, String(item));
+  });
+  const search = params.toString();
+  const fragment = hash === null ? parts.hash : hash;
+  return `${parts.path}${search ? `?${search}` : ""}${fragment ? `#${fragment}` : ""}`;
+};
+
 export class Router {
-  constructor(routes = [], onNotFound, { basePath = "", updateLocation = true, onRouteChange } = {}) {
+  /**
+   * Routes are `{ path, handler, meta, beforeEnter }`. Before a handler runs, the
+   * `beforeEach` guard and then the route's own `beforeEnter` are called with the
+   * route context `{ params, path, query, hash, fullPath, meta }`. A guard answers true (or
+   * nothing) to continue, false to stay where the router is, or a path to redirect to.
+   * A guard which throws also keeps the router where it is; `onGuardError(error, ctx)`
+   * hears of it.
+   *
+   * navigate, goBack and goForward answer a promise of whether the path was entered
+   * (navigate in hash mode of nothing, as the hashchange event routes the path).
+   */
+  constructor(routes = [], onNotFound, {
+    basePath = "",
+    updateLocation = true,
+    onRouteChange,
+    beforeEach = null,
+    onGuardError = null,
+  } = {}) {
     this.routes = routes.map((route) => ({
       ...route,
       compiled: compileRoute(route.path),
@@ -43,7 +102,12 @@ export class Router {
     this.basePath = basePath.replace(/\/$/, "");
     this.updateLocation = updateLocation;
     this.onRouteChange = onRouteChange;
+    this.beforeEach = beforeEach;
+    this.onGuardError = onGuardError;
     this.currentPath = null;
+    this.currentQuery = {};
+    this.currentHash = "";
+    this.currentFullPath = null;
     this.historyStack = [];
     this.historyIndex = -1;
     this.isHistoryNavigation = false;
@@ -74,7 +138,7 @@ export class Router {
     } else if (rawPath.endsWith(".html")) {
       rawPath = rawPath.replace(/\.html$/, "");
     }
-    return normalizePath(this.stripBasePath(rawPath));
+    return normalizePath(`${this.stripBasePath(rawPath)}${window.location.search}${window.location.hash}`);
   }
 
   findRoute(path) {
@@ -87,26 +151,70 @@ export class Router {
     return null;
   }
 
-  handlePath(path) {
+  // Answer true to enter the route, false to stay, or the path to redirect to.
+  async runGuards(route, ctx) {
+    for (const guard of [this.beforeEach, route.beforeEnter]) {
+      if (!guard) continue;
+      const result = await guard(ctx);
+      if (result === false || typeof result === "string") return result;
+    }
+    return true;
+  }
+
+  // `record` adds the path to the in-app history once the guards let it through.
+  // Answers whether the path (or the one a guard redirected to) was entered.
+  async handlePath(path, { record = false, replace = false } = {}) {
     console.log("[Router] handlePath() called with:", path);
-    const normalized = normalizePath(path);
+    const fullPath = normalizePath(path);
+    const { path: normalized, query, hash } = splitLocation(fullPath);
     console.log("[Router] Normalized to:", normalized);
-    this.currentPath = normalized;
     const match = this.findRoute(normalized);
     console.log("[Router] Route match found:", !!match, match ? match.route.path : "none");
     if (match) {
+      const ctx = { params: match.params, path: normalized, query, hash, fullPath, meta: match.route.meta || {} };
+      let verdict;
+      try {
+        verdict = await this.runGuards(match.route, ctx);
+      } catch (error) {
+        console.error("[Router] Guard failed for", fullPath, error);
+        if (this.onGuardError) this.onGuardError(error, ctx);
+        verdict = false;
+      }
+      if (verdict !== true) {
+        console.log("[Router] Navigation to", fullPath, verdict === false ? "cancelled" : `redirected to ${verdict}`);
+        this.isHistoryNavigation = false;
+        if (typeof verdict === "string") {
+          // The redirect takes the place the refused path would have had in the history.
+          return this.navigate(verdict, { replace: record ? replace : true });
+        }
+        return false;
+      }
+      if (record) this.recordHistory(fullPath, { replace });
+      this.setCurrent(normalized, query, hash, fullPath);
       console.log("[Router] Calling route handler for:", match.route.path);
-      match.route.handler({ params: match.params, path: normalized });
+      match.route.handler(ctx);
       console.log("[Router] Route handler completed");
-    } else if (this.onNotFound) {
-      console.log("[Router] No route match, calling onNotFound");
-      this.onNotFound({ path: normalized });
+    } else {
+      if (record) this.recordHistory(fullPath, { replace });
+      this.setCurrent(normalized, query, hash, fullPath);
+      if (this.onNotFound) {
+        console.log("[Router] No route match, calling onNotFound");
+        this.onNotFound({ path: normalized, query, hash, fullPath });
+      }
     }
     if (this.onRouteChange) {
-      console.log("[Router] Calling onRouteChange with:", normalized);
-      this.onRouteChange(normalized);
+      console.log("[Router] Calling onRouteChange with:", fullPath);
+      this.onRouteChange(fullPath);
     }
     this.isHistoryNavigation = false;
+    return true;
+  }
+
+  setCurrent(path, query, hash, fullPath) {
+    this.currentPath = path;
+    this.currentQuery = query;
+    this.currentHash = hash;
+    this.currentFullPath = fullPath;
   }
 
   recordHistory(path, { replace = false } = {}) {
@@ -129,59 +237,65 @@ export class Router {
     return this.historyIndex >= 0 && this.historyIndex < this.historyStack.length - 1;
   }
 
-  goBack() {
-    if (!this.canGoBack()) return;
-    this.historyIndex -= 1;
-    this.isHistoryNavigation = true;
-    this.handlePath(this.historyStack[this.historyIndex]);
+  async goBack() {
+    if (!this.canGoBack()) return false;
+    return this.goToHistory(this.historyIndex - 1);
+  }
+
+  async goForward() {
+    if (!this.canGoForward()) return false;
+    return this.goToHistory(this.historyIndex + 1);
   }
 
-  goForward() {
-    if (!this.canGoForward()) return;
-    this.historyIndex += 1;
+  // A path the guards refuse leaves the in-app history where it was.
+  async goToHistory(index) {
+    const previous = this.historyIndex;
+    this.historyIndex = index;
     this.isHistoryNavigation = true;
-    this.handlePath(this.historyStack[this.historyIndex]);
+    const entered = await this.handlePath(this.historyStack[index]);
+    if (!entered) this.historyIndex = previous;
+    return entered;
   }
 
-  navigate(path, { replace = false } = {}) {
+  // `query` adds parameters to the path (replacing any of the same name already in
+  // it) and `hash` sets its fragment, e.g. navigate(viewPath, { query: { revision } }).
+  async navigate(path, { replace = false, query = null, hash = null } = {}) {
     console.log("[Router] navigate() called with path:", path, "replace:", replace);
-    const normalized = normalizePath(path);
+    const normalized = normalizePath(formatLocation(path, query, hash));
     console.log("[Router] Normalized path:", normalized);
     console.log("[Router] updateLocation:", this.updateLocation);
     if (!this.updateLocation) {
       const target = this.stripBasePath(normalized);
       console.log("[Router] updateLocation is false, handling path directly:", target);
-      if (!this.isHistoryNavigation) {
-        this.recordHistory(target, { replace });
-      }
-      this.handlePath(target);
-      return;
+      return this.handlePath(target, { record: !this.isHistoryNavigation, replace });
     }
     const targetPath = this.basePath && !normalized.startsWith(this.basePath)
       ? `${this.basePath}${normalized}`
       : normalized;
     if (this.useHash) {
+      // The hashchange event routes the new hash.
       if (replace) {
         window.location.replace(`#${normalized}`);
       } else {
         window.location.hash = normalized;
       }
-      return;
+      return undefined;
     }
+    const previous = `${window.location.pathname}${window.location.search}${window.location.hash}`;
     if (replace) {
       window.history.replaceState({}, "", targetPath);
     } else {
       window.history.pushState({}, "", targetPath);
     }
-    this.handlePopState();
+    const entered = await this.handlePopState();
+    // The location changes before the guards run; one they refuse is put back.
+    if (!entered) window.history.replaceState({}, "", previous);
+    return entered;
   }
 
-  handlePopState() {
+  async handlePopState() {
     const path = this.getCurrentPath();
-    if (!this.isHistoryNavigation) {
-      this.recordHistory(path, { replace: true });
-    }
-    this.handlePath(path);
+    return this.handlePath(path, { record: !this.isHistoryNavigation, replace: true });
   }
 
   handleLinkClick(event) {
@@ -234,7 +348,7 @@ export class Router {
       return;
     }
     // Skip links to actual files (e.g. .html, .css, .js) — let the browser navigate
-    if (/\.\w+$/.test(href.split("?")[0])) {
+    if (/\.\w+$/.test(href.split(/[?#]/)[0])) {
       console.log("[Router] Skipping: link points to a file:", href);
       return;
     }
@@ -244,13 +358,19 @@ export class Router {
     console.log("[Router] Navigation initiated");
   }
 
-  start() {
+  // initialPath routes the first render somewhere other than the current location,
+  // e.g. an SSO redirect which arrives at the entry page with a query string.
+  start({ initialPath = null } = {}) {
     console.log("[Router] Router.start() called");
     window.addEventListener("popstate", this.handlePopState);
     window.addEventListener("hashchange", this.handlePopState);
     console.log("[Router] Attaching document click listener (BUBBLE phase)");
     document.addEventListener("click", this.handleLinkClick, false); // Explicitly bubble phase
-    this.handlePopState();
+    if (initialPath) {
+      this.navigate(initialPath, { replace: true });
+    } else {
+      this.handlePopState();
+    }
     console.log("[Router] Router initialization complete");
   }
 }
@@ -0,0 +1,116 @@
+import { test, expect } from '@playwright/test';
+import { AsyncJobs, pollingDelay } from '../lib/async_jobs.js';
+
+/**
+ * Asynchronous query jobs: polling a job's location until its result is there, and
+ * cancelling it. These run in Node only.
+ *
+ *   npx playwright test tests/async-jobs.spec.js
+ */
+
+const LOCATION = 'https://store.test/jhacker/foaf/jobs/1';
+const POLLING = { initialDelay: 10, maxDelay: 10, factor: 1 };
+
+// Answers the queued responses in turn, the last one from then on
+const scriptedFetch = (responses) => {
+  const requests = [];
+  const fetch = async (url, init = {}) => {
+    requests.push({ url, method: init.method || 'GET', headers: init.headers || {} });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    return typeof next === 'function' ? next() : next;
+  };
+  return { fetch, requests };
+};
+
+const until = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test.describe('Asynchronous jobs', () => {
+  test('polls a job until its result is there and keeps it for its owner', async () => {
+    const result = '{"head":{"vars":["s"]},"results":{"bindings":[]}}';
+    const { fetch, requests } = scriptedFetch([
+      () => new Response(null, { status: 202 }),
+      () => new Response(result, { status: 200, headers: { 'Content-Type': 'application/sparql-results+json' } }),
+    ]);
+    const jobs = new AsyncJobs({ fetch, polling: POLLING });
+    const events = [];
+    jobs.subscribe((event, job) => events.push(`${event}:${job.status}`));
+
+    const job = jobs.track({ location: LOCATION, token: 'Bearer secret', owner: 'jhacker/foaf/q', label: 'q' });
+    expect(jobs.pendingCount()).toBe(1);
+    await until(() => job.status !== 'pending');
+
+    expect(job.status).toBe('complete');
+    expect(job.polls).toBe(2);
+    expect(job.result).toEqual({ body: result, contentType: 'application/sparql-results+json', etag: '' });
+    expect(requests[0].headers).toEqual({ Authorization: 'Bearer secret', Accept: 'application/sparql-results+json' });
+    expect(events).toEqual(['added:pending', 'updated:pending', 'complete:complete']);
+
+    expect(jobs.undelivered('jhacker/foaf/q')).toEqual([job]);
+    expect(jobs.undelivered('jhacker/foaf/other')).toEqual([]);
+    jobs.markDelivered(job.id);
+    expect(jobs.undelivered('jhacker/foaf/q')).toEqual([]);
+    jobs.close();
+  });
+
+  test('reopens a completed result only through the editor which owns it', async () => {
+    const { fetch } = scriptedFetch([
+      () => new Response('<svg onload="alert(1)"/>', { status: 200, headers: { 'Content-Type': 'image/svg+xml' } }),
+    ]);
+    const jobs = new AsyncJobs({ fetch, polling: POLLING });
+    const job = jobs.track({ location: LOCATION, owner: 'jhacker/foaf/q' });
+    await until(() => job.status === 'complete');
+    jobs.markDelivered(job.id);
+
+    // No editor of the owner is open
+    expect(jobs.reopen(job.id)).toBe(false);
+    expect(jobs.undelivered('jhacker/foaf/q')).toEqual([job]);
+
+    const shown = [];
+    jobs.subscribe((event, reopened) => {
+      if (event !== 'complete' || reopened.owner !== 'jhacker/foaf/q') return;
+      shown.push(reopened.id);
+      jobs.markDelivered(reopened.id);
+    });
+    expect(jobs.reopen(job.id)).toBe(true);
+    expect(shown).toEqual([job.id]);
+    expect(jobs.reopen('job-unknown')).toBe(false);
+    jobs.close();
+  });
+
+  test('fails a job the store no longer knows', async () => {
+    const { fetch } = scriptedFetch([() => new Response('', { status: 404, statusText: 'Not Found' })]);
+    const jobs = new AsyncJobs({ fetch, polling: POLLING });
+    const job = jobs.track({ location: LOCATION });
+    await until(() => job.status !== 'pending');
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('The job is no longer known to the store');
+    jobs.close();
+  });
+
+  test('cancels a running job with a DELETE of its location and stops polling it', async () => {
+    const { fetch, requests } = scriptedFetch([() => new Response(null, { status: 202 })]);
+    const jobs = new AsyncJobs({ fetch, polling: { initialDelay: 1000, maxDelay: 1000, factor: 1 } });
+    const job = jobs.track({ location: LOCATION, token: 'Bearer secret' });
+
+    await jobs.cancel(job.id);
+    expect(job.status).toBe('cancelled');
+    expect(requests).toEqual([{ url: LOCATION, method: 'DELETE', headers: { Authorization: 'Bearer secret' } }]);
+    expect(jobs.pendingCount()).toBe(0);
+
+    jobs.clearFinished();
+    expect(jobs.list()).toEqual([]);
+  });
+
+  test('polls less often the longer a job runs', () => {
+    const polling = { initialDelay: 2000, maxDelay: 30000, factor: 1.5 };
+    expect(pollingDelay(0, polling)).toBe(2000);
+    expect(pollingDelay(1, polling)).toBe(3000);
+    expect(pollingDelay(20, polling)).toBe(30000);
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import { EditHistory } from '../lib/edit_history.js';
+import { ReplicationManager } from '../lib/replication/replication_manager.js';
+
+/**
+ * Per-pane undo and redo over tracker deltas. These run in Node only.
+ *
+ *   npx playwright test tests/edit-history.spec.js
+ */
+
+const setup = () => {
+  let now = 0;
+  const clock = { advance: (ms) => { now += ms; } };
+  const history = new EditHistory({ coalesceWindow: 1000, now: () => now });
+  const tracker = new ReplicationManager().ensureObject({
+    className: 'HistoryAccount',
+    identifier: 'account:jhacker',
+    state: { firstname: 'James', permissible_ip_addresses: ['10.0.0.1'] },
+    persistentProps: ['firstname', 'permissible_ip_addresses'],
+  });
+  return { history, tracker, clock };
+};
+
+test.describe('Edit history', () => {
+  test('coalesces typing into one step per field', () => {
+    const { history, tracker, clock } = setup();
+    ['Jim', 'Jimm', 'Jimmy'].forEach((value) => {
+      clock.advance(200);
+      history.track('pane', tracker, ['firstname'], () => { tracker.firstname = value; });
+    });
+    clock.advance(5000);
+    history.track('pane', tracker, ['firstname'], () => { tracker.firstname = 'Jimmy H.'; });
+
+    const { done } = history.entries('pane');
+    expect(done.map((step) => step.deltas)).toEqual([
+      { firstname: ['Jimmy', 'James'] },
+      { firstname: ['Jimmy H.', 'Jimmy'] },
+    ]);
+  });
+
+  test('undoes and redoes through the tracker deltas', () => {
+    const { history, tracker, clock } = setup();
+    history.track('pane', tracker, ['firstname'], () => { tracker.firstname = 'Jim'; });
+    clock.advance(5000);
+    history.track('pane', tracker, ['permissible_ip_addresses'], () => { tracker.permissible_ip_addresses = ['10.0.0.1', '10.0.0.2']; });
+
+    expect(history.undo('pane').deltas).toHaveProperty('permissible_ip_addresses');
+    expect(tracker.permissible_ip_addresses).toEqual(['10.0.0.1']);
+    expect(tracker.deltas()).toEqual({ firstname: ['Jim', 'James'] });
+
+    history.undo('pane');
+    expect(tracker.firstname).toBe('James');
+    expect(tracker.deltas()).toEqual({});
+    expect(history.canUndo('pane')).toBe(false);
+
+    history.redo('pane');
+    expect(tracker.deltas()).toEqual({ firstname: ['Jim', 'James'] });
+    expect(history.entries('pane').undone).toHaveLength(1);
+
+    history.track('pane', tracker, ['firstname'], () => { tracker.firstname = 'Jimmy'; });
+    expect(history.canRedo('pane')).toBe(false);
+  });
+
+  test('skips changes which change nothing and clears by target', () => {
+    const { history, tracker } = setup();
+    const table = { collaborators: [] };
+    expect(history.track('pane', tracker, ['firstname'], () => { tracker.firstname = 'James'; })).toBeNull();
+    history.track('pane', tracker, ['firstname'], () => { tracker.firstname = 'Jim'; });
+    history.record('pane', table, { collaborators: [[{ account: 'ann', read: true, write: false }], []] }, { label: 'Collaborators' });
+    const changes = [];
+    history.onChange((scope) => changes.push(scope));
+
+    history.clear('pane', table);
+    expect(history.entries('pane').done.map((step) => step.target)).toEqual([tracker]);
+    expect(changes).toEqual(['pane']);
+  });
+});
@@ -0,0 +1,195 @@
+import { JsonLdEnvironment } from '../lib/replication/jsonld-environment.js';
+
+/**
+ * In-memory graph store for exercising lib/replication in Node, without a browser or
+ * a server. It speaks the protocol of HttpGraphDatabase:
+ *
+ * - fetch(url, init) accepts a multipart/related PATCH of the repository location: it
+ *   applies the DELETE, POST and PUT parts to its statements, answers 204 with the
+ *   request's ETag as the new revision and replicates the patch to the websockets
+ *   subscribed to its Content-Disposition. A GET of <location>/sparql with a
+ *   `DESCRIBE <iri>` query answers the subject's statements as N-Quads.
+ * - WebSocket is a class to give the database as its webSocketClass option. The store
+ *   reads the database's requests from it: PUT and DELETE of <path>/disposition with
+ *   Content-Disposition: replicate=<name> subscribe and unsubscribe, and a GET of
+ *   <path>/revisions?since=<etag> replays the patches committed after that revision.
+ *
+ * patch() commits a change as if made by another client and replay() passes on another
+ * client's request to the subscribers; drop() loses the open connections and refuse()
+ * makes new ones fail, to exercise reconnection.
+ */
+
+const CRLF = '\r\n';
+
+const parseMessage = (data) => {
+  const [head, ...rest] = data.split(`${CRLF}${CRLF}`);
+  const [requestLine, ...headerLines] = head.split(CRLF);
+  const [method, path] = requestLine.split(' ');
+  const headers = new Headers(headerLines.map((line) => {
+    const index = line.indexOf(':');
+    return [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+  }));
+  return { method, path, headers, body: rest.join(`${CRLF}${CRLF}`) };
+};
+
+const dispositionName = (headers) => (headers.get('Content-Disposition') || '').replace(/^replicate=/, '');
+
+export function createFakeGraphStore({ location = 'https://store.test/jhacker/contacts', context = {} } = {}) {
+  const environment = new JsonLdEnvironment({ location, context });
+  const path = new URL(location).pathname;
+  const statements = new Map();
+  const revisions = [];
+  const sockets = new Set();
+  const requests = [];
+  let refusing = false;
+  let revisionCount = 0;
+
+  const key = (statement) => environment.encode(environment.createGraph([statement]));
+
+  // Apply a decoded patch: delete, then replace per subject and predicate, then add.
+  const apply = (patch) => {
+    patch.delete.statements.forEach((statement) => statements.delete(key(statement)));
+    patch.put.statements.forEach((statement) => {
+      [...statements].forEach(([line, existing]) => {
+        if (existing.subject.value === statement.subject.value && existing.predicate.value === statement.predicate.value) {
+          statements.delete(line);
+        }
+      });
+    });
+    [...patch.put.statements, ...patch.post.statements].forEach((statement) => statements.set(key(statement), statement));
+  };
+
+  const replicationMessage = ({ revision, disposition, contentType, body }) => [
+    'HTTP/1.1 200 OK',
+    `Content-Type: ${contentType}`,
+    `ETag: ${revision}`,
+    `Content-Disposition: replicate=${disposition}`,
+    '',
+    body,
+  ].join(CRLF);
+
+  const commit = ({ contentType, body, revision = `revision-${++revisionCount}`, disposition }) => {
+    apply(environment.decode(body, contentType));
+    const entry = { revision, disposition, contentType, body };
+    revisions.push(entry);
+    sockets.forEach((socket) => {
+      if (socket.subscriptions.has(disposition)) socket.deliver(replicationMessage(entry));
+    });
+    return entry;
+  };
+
+  const receive = (socket, data) => {
+    const message = parseMessage(data);
+    requests.push({ method: message.method, path: message.path, headers: message.headers, websocket: true });
+    const url = new URL(message.path, location);
+    if (url.pathname === `${path}/disposition`) {
+      if (message.method === 'PUT') socket.subscriptions.add(dispositionName(message.headers));
+      if (message.method === 'DELETE') socket.subscriptions.delete(dispositionName(message.headers));
+    } else if (url.pathname === `${path}/revisions` && message.method === 'GET') {
+      const since = url.searchParams.get('since');
+      const index = revisions.findIndex((entry) => entry.revision === since);
+      revisions.slice(index + 1)
+        .filter((entry) => socket.subscriptions.has(entry.disposition))
+        .forEach((entry) => socket.deliver(replicationMessage(entry)));
+    }
+  };
+
+  class FakeWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = FakeWebSocket.CONNECTING;
+      this.subscriptions = new Set();
+      setTimeout(() => {
+        if (refusing) {
+          this.readyState = FakeWebSocket.CLOSED;
+          this.onerror?.({ type: 'error' });
+          this.onclose?.({ type: 'close', code: 1006 });
+          return;
+        }
+        this.readyState = FakeWebSocket.OPEN;
+        sockets.add(this);
+        this.onopen?.({ type: 'open' });
+      }, 0);
+    }
+
+    send(data) {
+      if (this.readyState !== FakeWebSocket.OPEN) throw new Error('FakeWebSocket: not open');
+      receive(this, data);
+    }
+
+    deliver(data) {
+      setTimeout(() => {
+        if (this.readyState === FakeWebSocket.OPEN) this.onmessage?.({ type: 'message', data });
+      }, 0);
+    }
+
+    close(code = 1000) {
+      if (this.readyState === FakeWebSocket.CLOSED) return;
+      this.readyState = FakeWebSocket.CLOSED;
+      sockets.delete(this);
+      setTimeout(() => this.onclose?.({ type: 'close', code }), 0);
+    }
+  }
+  FakeWebSocket.CONNECTING = 0;
+  FakeWebSocket.OPEN = 1;
+  FakeWebSocket.CLOSED = 3;
+
+  const fetch = async (input, init = {}) => {
+    const url = new URL(input);
+    const method = (init.method || 'GET').toUpperCase();
+    const headers = new Headers(init.headers);
+    requests.push({ method, path: url.pathname + url.search, headers, body: init.body });
+    if (method === 'PATCH' && url.href === new URL(location).href) {
+      const { revision } = commit({
+        contentType: headers.get('Content-Type'),
+        body: init.body,
+        revision: headers.get('ETag') || undefined,
+        disposition: dispositionName(headers),
+      });
+      return new Response(null, { status: 204, headers: { ETag: revision } });
+    }
+    if (method === 'GET' && url.pathname === `${path}/sparql`) {
+      const match = /DESCRIBE\s+<([^>]+)>/i.exec(url.searchParams.get('query') || '');
+      const described = [...statements.values()].filter((statement) => match && statement.subject.value === match[1]);
+      return new Response(environment.encode(environment.createGraph(described)), {
+        status: 200,
+        headers: { 'Content-Type': 'application/n-quads' },
+      });
+    }
+    return new Response('not found', { status: 404 });
+  };
+
+  return {
+    location,
+    environment,
+    requests,
+    revisions,
+    fetch,
+    WebSocket: FakeWebSocket,
+    // The statements as sorted N-Quads lines.
+    quads: () => [...statements.keys()].map((line) => line.trim()).sort(),
+    load: (nquads) => {
+      environment.decode(nquads, 'application/n-quads').statements.forEach((statement) => statements.set(key(statement), statement));
+    },
+    // Commit an abstract patch ({delete, post, put} of [id, field, value]) as another client.
+    patch: (patch, { disposition = 'contacts', revision } = {}) => {
+      const { contentType, body } = environment.encodePatch(patch);
+      return commit({ contentType, body, revision, disposition });
+    },
+    // Deliver a request ({method, path, headers, body}) as the store replays it to subscribers.
+    replay: ({ method, path: requestPath, headers = {}, body = '' }, { disposition = 'contacts' } = {}) => {
+      const message = [
+        `${method} ${requestPath} HTTP/1.1`,
+        ...Object.entries({ ...headers, 'Content-Disposition': `replicate=${disposition}` }).map(([name, value]) => `${name}: ${value}`),
+        '',
+        body,
+      ].join(CRLF);
+      sockets.forEach((socket) => {
+        if (socket.subscriptions.has(disposition)) socket.deliver(message);
+      });
+    },
+    subscribers: (disposition) => [...sockets].filter((socket) => socket.subscriptions.has(disposition)).length,
+    drop: () => [...sockets].forEach((socket) => socket.close(1006)),
+    refuse: (value = true) => { refusing = value; },
+  };
+}
@@ -0,0 +1,174 @@
+import { test, expect } from '@playwright/test';
+import { createFakeGraphStore } from './fake-graph-store.js';
+import { HttpGraphDatabase, backoffDelay } from '../lib/replication/graph-database.js';
+import { JsonLdEnvironment } from '../lib/replication/jsonld-environment.js';
+import { GraphObject } from '../lib/replication/graph-object.js';
+
+/**
+ * Transactions, replicators and replication of lib/replication against the in-memory
+ * fake store. These run in Node only.
+ *
+ *   npx playwright test tests/graph-database.spec.js
+ */
+
+class Friend extends GraphObject {
+  static _persistentProperties = ['name', 'age', 'knows'];
+}
+GraphObject.setClass('Friend', Friend);
+
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+const XSD_INTEGER = 'http://www.w3.org/2001/XMLSchema#integer';
+const LOCATION = 'https://store.test/jhacker/contacts';
+const BASE = `${LOCATION}/`;
+const CONTEXT = {
+  foaf: FOAF,
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  Friend: 'foaf:Person',
+  name: 'foaf:name',
+  age: { '@id': 'foaf:age', '@type': 'xsd:integer' },
+  knows: { '@id': 'foaf:knows', '@type': '@id', '@container': '@set' },
+};
+
+const database = (store, options = {}) => new HttpGraphDatabase('contacts', LOCATION, null, {
+  environment: new JsonLdEnvironment({ location: LOCATION, context: CONTEXT }),
+  fetch: store.fetch,
+  webSocketClass: store.WebSocket,
+  reconnect: { initialDelay: 10, jitter: 0 },
+  ...options,
+});
+
+const connected = async (store, options) => {
+  const db = database(store, options);
+  await db.connect();
+  return db;
+};
+
+const attachAnn = (db) => db.getReplicator().attach(
+  GraphObject.createObject('Friend', `${BASE}ann`, { name: 'Ann', age: 41, knows: [] }));
+
+const ageQuad = (age) => `<${BASE}ann> <${FOAF}age> "${age}"^^<${XSD_INTEGER}> .`;
+
+test.describe('Graph database', () => {
+  let store;
+  let databases;
+
+  test.beforeEach(() => {
+    store = createFakeGraphStore({ location: LOCATION, context: CONTEXT });
+    store.load(`<${BASE}ann> <${FOAF}name> "Ann" .\n${ageQuad(41)}\n`);
+    databases = [];
+  });
+
+  test.afterEach(() => {
+    databases.forEach((db) => db.close());
+  });
+
+  test('attaches objects with what they reach and stops tracking them once detached', () => {
+    const db = database(store);
+    const bob = GraphObject.createObject('Friend', `${BASE}bob`, { name: 'Bob', age: 7, knows: [] });
+    const ann = GraphObject.createObject('Friend', `${BASE}ann`, { name: 'Ann', age: 41, knows: [bob] });
+
+    db.getReplicator().attach(ann);
+    expect(db.findObject(`${BASE}ann`)).toBe(ann);
+    expect(db.findObject(`${BASE}bob`)).toBe(bob);
+    ann.age = 42;
+    expect(ann.deltas()).toEqual({ age: [42, 41] });
+
+    db.getReplicator().detach(ann);
+    expect(db.findObject(`${BASE}ann`)).toBeUndefined();
+    expect(db.findObject(`${BASE}bob`)).toBeUndefined();
+    ann.name = 'Annie';
+    expect(ann.deltas()).not.toHaveProperty('name');
+
+    db.getReplicator().attach(ann);
+    expect(ann.deltas()).toEqual({});
+    expect(ann.state()).toBe(GraphObject.stateClean);
+  });
+
+  test('commits changes as a patch which the store replicates to other databases', async () => {
+    const [db, other] = await Promise.all([connected(store), connected(store)]);
+    databases.push(db, other);
+    const ann = attachAnn(db);
+    const otherAnn = attachAnn(other);
+
+    ann.age = 42;
+    const transaction = db.newTransaction();
+    const response = await transaction.commitAwait();
+
+    expect(response.status).toBe(204);
+    const patch = store.requests.find((request) => request.method === 'PATCH');
+    expect(patch.headers.get('Content-Disposition')).toBe('replicate=contacts');
+    expect(patch.headers.get('ETag')).toBe(transaction.revisionID);
+    expect(store.quads()).toContain(ageQuad(42));
+    expect(store.quads()).not.toContain(ageQuad(41));
+    expect(ann.deltas()).toEqual({});
+    expect(ann.state()).toBe(GraphObject.stateClean);
+    expect(db.revision).toBe(transaction.revisionID);
+
+    await expect.poll(() => otherAnn.age).toBe(42);
+    expect(otherAnn.state()).toBe(GraphObject.stateClean);
+  });
+
+  test('keeps the changes when the store refuses the commit', async () => {
+    const db = database(store, { fetch: async () => new Response('conflict', { status: 409, statusText: 'Conflict' }) });
+    const ann = attachAnn(db);
+    ann.age = 42;
+
+    await expect(db.newTransaction().commitAwait()).rejects.toThrow('409 Conflict');
+    expect(ann.deltas()).toEqual({ age: [42, 41] });
+  });
+
+  test('aborts by rolling back the attached objects', () => {
+    const db = database(store);
+    const ann = attachAnn(db);
+    ann.name = 'Annie';
+    ann.age = 50;
+
+    db.newTransaction().abort();
+    expect([ann.name, ann.age]).toEqual(['Ann', 41]);
+    expect(ann.deltas()).toEqual({});
+    expect(db.findObject(`${BASE}ann`)).toBe(ann);
+    expect(store.requests).toHaveLength(0);
+  });
+
+  test('grows the reconnection delay up to its limit, less the jitter', () => {
+    const options = { initialDelay: 100, maxDelay: 1000, factor: 2, jitter: 0.5 };
+    expect([0, 1, 2, 3, 10].map((attempt) => backoffDelay(attempt, options, () => 0))).toEqual([100, 200, 400, 800, 1000]);
+    expect(backoffDelay(2, options, () => 1)).toBe(200);
+  });
+
+  test('fails to connect at once, and without trying, when there is no WebSocket class', () => {
+    const global = globalThis.WebSocket;
+    delete globalThis.WebSocket;
+    try {
+      const db = database(store, { webSocketClass: null });
+      expect(() => db.connect()).toThrow('no WebSocket class');
+      expect(db.connectionState).toBe('closed');
+      expect(db.connection).toBeNull();
+    } finally {
+      if (global) globalThis.WebSocket = global;
+    }
+  });
+
+  test('reconnects, replays its subscription and catches up on missed revisions', async () => {
+    const db = await connected(store);
+    databases.push(db);
+    const ann = attachAnn(db);
+    const states = [];
+    db.onConnectionStateChange((state) => states.push(state));
+
+    store.patch({ delete: [[`${BASE}ann`, 'age', 41]], post: [[`${BASE}ann`, 'age', 42]] });
+    await expect.poll(() => ann.age).toBe(42);
+    expect(db.revision).toBe(store.revisions[0].revision);
+
+    store.refuse();
+    store.drop();
+    await expect.poll(() => states.filter((state) => state === 'reconnecting').length).toBeGreaterThan(1);
+    store.patch({ delete: [[`${BASE}ann`, 'age', 42]], post: [[`${BASE}ann`, 'age', 43]] });
+    store.refuse(false);
+
+    await expect.poll(() => ann.age).toBe(43);
+    expect(db.connectionState).toBe('open');
+    expect(store.subscribers('contacts')).toBe(1);
+    expect(store.requests.some((request) => request.path === `/jhacker/contacts/revisions?since=${store.revisions[0].revision}`)).toBe(true);
+  });
+});
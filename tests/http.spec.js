@@ -0,0 +1,211 @@
+import { test, expect } from '@playwright/test';
+import {
+  HttpClient,
+  RequestError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  CancelledError,
+  NetworkError,
+} from '../lib/http.js';
+import { AuthStore } from '../lib/auth_store.js';
+
+/**
+ * The shared HTTP client: credentials from the AuthStore, retries with backoff, the
+ * mapping of failures to RequestError subclasses, timeouts, cancellation and the
+ * replay of a request after re-authentication. These run in Node only.
+ *
+ *   npx playwright test tests/http.spec.js
+ */
+
+const HOST = 'https://store.test';
+
+// Answers the queued responses in turn, the last one from then on
+const scriptedFetch = (responses) => {
+  const requests = [];
+  const fetch = async (url, init = {}) => {
+    requests.push({ url, method: init.method, headers: init.headers || {}, at: Date.now() });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    return typeof next === 'function' ? next(url, init) : next;
+  };
+  return { fetch, requests };
+};
+
+// Never answers; rejects as fetch does once the request's signal aborts
+const hangingFetch = async (url, init) => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+});
+
+const signedIn = (token = 'secret') => {
+  const authStore = new AuthStore();
+  authStore.setAuth('jhacker', token, {}, HOST);
+  return { authStore, session: { accountName: 'jhacker' } };
+};
+
+test.describe('HttpClient', () => {
+  test('resolves paths against the account host and sends its token', async () => {
+    const { fetch, requests } = scriptedFetch([new Response('{"name":"foaf"}', { status: 200 })]);
+    const http = new HttpClient({ ...signedIn(), fetch });
+
+    expect(await http.json('/jhacker/foaf', { accountName: 'jhacker' })).toEqual({ name: 'foaf' });
+    expect(requests[0].url).toBe(`${HOST}/jhacker/foaf`);
+    expect(requests[0].headers).toEqual({ Accept: 'application/json', Authorization: 'Bearer secret' });
+  });
+
+  test('fails without a request when there are no credentials', async () => {
+    const { fetch, requests } = scriptedFetch([new Response('', { status: 200 })]);
+    const http = new HttpClient({ authStore: new AuthStore(), session: { accountName: null }, fetch });
+
+    await expect(http.request('/jhacker/foaf', { accountName: 'jhacker' })).rejects.toBeInstanceOf(AuthError);
+    expect(requests).toHaveLength(0);
+  });
+
+  test('retries an idempotent request with growing delays while the failure is transient', async () => {
+    const { fetch, requests } = scriptedFetch([
+      new Response('', { status: 503 }),
+      new Response('', { status: 502 }),
+      new Response('ok', { status: 200 }),
+    ]);
+    const http = new HttpClient({ ...signedIn(), fetch, retries: 2, retryDelay: 20 });
+
+    const response = await http.request('/jhacker/foaf');
+    expect(await response.text()).toBe('ok');
+    expect(requests).toHaveLength(3);
+    expect(requests[1].at - requests[0].at).toBeGreaterThanOrEqual(15);
+    expect(requests[2].at - requests[1].at).toBeGreaterThanOrEqual(35);
+  });
+
+  test('gives up after the last retry and does not retry other methods or other failures', async () => {
+    const failing = scriptedFetch([new Response('', { status: 500 })]);
+    const http = new HttpClient({ ...signedIn(), fetch: failing.fetch, retries: 2, retryDelay: 1 });
+    await expect(http.request('/jhacker/foaf')).rejects.toBeInstanceOf(ServerError);
+    expect(failing.requests).toHaveLength(3);
+
+    const posting = scriptedFetch([new Response('', { status: 500 })]);
+    const poster = new HttpClient({ ...signedIn(), fetch: posting.fetch, retries: 2, retryDelay: 1 });
+    await expect(poster.request('/jhacker/foaf', { method: 'POST', body: 'x' })).rejects.toBeInstanceOf(ServerError);
+    expect(posting.requests).toHaveLength(1);
+
+    const missing = scriptedFetch([new Response('', { status: 404 })]);
+    const reader = new HttpClient({ ...signedIn(), fetch: missing.fetch, retries: 2, retryDelay: 1 });
+    await expect(reader.request('/jhacker/foaf')).rejects.toBeInstanceOf(NotFoundError);
+    expect(missing.requests).toHaveLength(1);
+  });
+
+  test('waits as long as a 429 asks before retrying', async () => {
+    const { fetch, requests } = scriptedFetch([
+      new Response('', { status: 429, headers: { 'Retry-After': '0' } }),
+      new Response('ok', { status: 200 }),
+    ]);
+    const http = new HttpClient({ ...signedIn(), fetch, retries: 1, retryDelay: 5000 });
+
+    await http.request('/jhacker/foaf');
+    expect(requests).toHaveLength(2);
+    expect(requests[1].at - requests[0].at).toBeLessThan(1000);
+  });
+
+  test('reports each failing status as its RequestError subclass', async () => {
+    const cases = [
+      [400, RequestError],
+      [401, AuthError],
+      [403, AuthError],
+      [404, NotFoundError],
+      [410, NotFoundError],
+      [409, ConflictError],
+      [412, ConflictError],
+      [429, RateLimitError],
+      [500, ServerError],
+      [503, ServerError],
+    ];
+    for (const [status, ErrorClass] of cases) {
+      const { fetch } = scriptedFetch([new Response('Nope', { status, headers: { 'Retry-After': '2' } })]);
+      const http = new HttpClient({ ...signedIn(), fetch, retries: 0 });
+      const error = await http.request('/jhacker/foaf', { auth: { host: HOST, token: 'secret' } }).catch((reason) => reason);
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error.name).toBe(ErrorClass.name);
+      expect(error.status).toBe(status);
+      expect(error.body).toBe('Nope');
+      expect(error.url).toBe(`${HOST}/jhacker/foaf`);
+      if (status === 429) expect(error.retryAfter).toBe(2000);
+    }
+
+    const { fetch } = scriptedFetch([() => Promise.reject(new TypeError('fetch failed'))]);
+    const offline = new HttpClient({ ...signedIn(), fetch, retries: 0 });
+    const error = await offline.request('/jhacker/foaf').catch((reason) => reason);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.status).toBe(0);
+  });
+
+  test('ends an attempt which takes longer than its timeout', async () => {
+    const http = new HttpClient({ ...signedIn(), fetch: hangingFetch, retries: 0 });
+    const error = await http.request('/jhacker/foaf', { timeout: 20 }).catch((reason) => reason);
+    expect(error).toBeInstanceOf(TimeoutError);
+  });
+
+  test('stops when the caller aborts, during a request or while waiting to retry', async () => {
+    const http = new HttpClient({ ...signedIn(), fetch: hangingFetch, retries: 0 });
+    const controller = new AbortController();
+    const pending = http.request('/jhacker/foaf', { signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toBeInstanceOf(CancelledError);
+
+    const { fetch, requests } = scriptedFetch([new Response('', { status: 503 })]);
+    const retrying = new HttpClient({ ...signedIn(), fetch, retries: 2, retryDelay: 5000 });
+    const waiting = new AbortController();
+    const retried = retrying.request('/jhacker/foaf', { signal: waiting.signal });
+    setTimeout(() => waiting.abort(), 20);
+    await expect(retried).rejects.toBeInstanceOf(CancelledError);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('asks once for new credentials on 401 and replays the waiting requests with them', async () => {
+    const credentials = signedIn('expired');
+    const { fetch, requests } = scriptedFetch([(url, init) => (
+      init.headers.Authorization === 'Bearer fresh'
+        ? new Response('ok', { status: 200 })
+        : new Response('', { status: 401 })
+    )]);
+    const prompts = [];
+    const http = new HttpClient({
+      ...credentials,
+      fetch,
+      onUnauthorized: async ({ accountName }) => {
+        prompts.push(accountName);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        credentials.authStore.setAuth(accountName, 'fresh', {}, HOST);
+        return true;
+      },
+    });
+
+    const responses = await Promise.all([
+      http.request('/jhacker/foaf', { accountName: 'jhacker' }),
+      http.request('/jhacker/foaf/views', { accountName: 'jhacker' }),
+    ]);
+    expect(await Promise.all(responses.map((response) => response.text()))).toEqual(['ok', 'ok']);
+    expect(prompts).toEqual(['jhacker']);
+    expect(requests.filter((request) => request.headers.Authorization === 'Bearer fresh')).toHaveLength(2);
+  });
+
+  test('lets the 401 through when re-authentication is declined or credentials were given', async () => {
+    const { fetch, requests } = scriptedFetch([new Response('', { status: 401 })]);
+    let prompts = 0;
+    const http = new HttpClient({
+      ...signedIn(),
+      fetch,
+      onUnauthorized: async () => {
+        prompts += 1;
+        return false;
+      },
+    });
+
+    await expect(http.request('/jhacker/foaf')).rejects.toBeInstanceOf(AuthError);
+    expect(prompts).toBe(1);
+    expect(requests).toHaveLength(1);
+
+    await expect(http.request('/jhacker/foaf', { auth: { host: HOST, token: 'given' } })).rejects.toBeInstanceOf(AuthError);
+    expect(prompts).toBe(1);
+  });
+});
@@ -0,0 +1,116 @@
+import { test, expect } from '@playwright/test';
+import { JsonLdEnvironment } from '../lib/replication/jsonld-environment.js';
+import { GraphObject } from '../lib/replication/graph-object.js';
+
+/**
+ * The JSON-LD graph environment: context expansion, patch encoding and decoding
+ * replication messages into per-subject deltas. These run in Node only.
+ *
+ *   npx playwright test tests/jsonld-environment.spec.js
+ */
+
+class Contact extends GraphObject {
+  static _persistentProperties = ['name', 'age', 'knows'];
+}
+GraphObject.setClass('Contact', Contact);
+
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+const BASE = 'https://dydra.com/jhacker/contacts/';
+
+const environment = () => new JsonLdEnvironment({
+  location: 'https://dydra.com/jhacker/contacts',
+  context: {
+    foaf: FOAF,
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    Contact: 'foaf:Person',
+    name: 'foaf:name',
+    age: { '@id': 'foaf:age', '@type': 'xsd:integer' },
+    knows: { '@id': 'foaf:knows', '@type': '@id', '@container': '@set' },
+  },
+});
+
+test.describe('JSON-LD graph environment', () => {
+  test('maps fields to IRIs through the context', () => {
+    const env = environment();
+    expect(env.baseIRI).toBe(BASE);
+    expect(env.findNameIdentifier('name')).toBe(`${FOAF}name`);
+    expect(env.findIdentifierName(`${FOAF}age`)).toBe('age');
+    expect(env.fieldType('age')).toBe('http://www.w3.org/2001/XMLSchema#integer');
+    expect(env.findNameIdentifier('nickname')).toBe(`${BASE}nickname`);
+  });
+
+  test('encodes a patch as multipart N-Quads', () => {
+    const env = environment();
+    const { contentType, body } = env.encodePatch({
+      delete: [[`${BASE}ann`, 'name', 'Anne']],
+      post: [[`${BASE}ann`, 'name', 'Ann "A."'], [`${BASE}ann`, 'age', 42]],
+    }, { boundary: 'b1' });
+
+    expect(contentType).toBe('multipart/related; boundary=b1; type="application/n-quads"');
+    expect(body).toBe([
+      '--b1',
+      'Content-Type: application/n-quads',
+      'X-HTTP-Method-Override: DELETE',
+      '',
+      `<${BASE}ann> <${FOAF}name> "Anne" .\n`,
+      '--b1',
+      'Content-Type: application/n-quads',
+      'X-HTTP-Method-Override: POST',
+      '',
+      `<${BASE}ann> <${FOAF}name> "Ann \\"A.\\"" .\n<${BASE}ann> <${FOAF}age> "42"^^<http://www.w3.org/2001/XMLSchema#integer> .\n`,
+      '--b1--',
+      '',
+    ].join('\r\n'));
+  });
+
+  test('round-trips TriG with the graph as a block', () => {
+    const env = new JsonLdEnvironment({ location: 'https://dydra.com/jhacker/contacts', graph: 'urn:dydra:default' });
+    const graph = env.computePatchGraph({ post: [[`${BASE}ann`, 'name', 'Ann'], [`${BASE}ann`, 'name', 'Annie']] }).post;
+    const trig = env.encode(graph, 'application/trig');
+
+    expect(trig).toBe(`<urn:dydra:default> {\n  <${BASE}ann> <${BASE}name> "Ann", "Annie" .\n}\n`);
+    const decoded = env.decode(trig, 'application/trig');
+    expect(env.encode(decoded)).toBe(env.encode(graph));
+  });
+
+  test('decodes a replication message into deltas for an attached object', () => {
+    const env = environment();
+    const ann = GraphObject.createObject('Contact', `${BASE}ann`, { name: 'Anne', age: 41, knows: [] });
+    const replicator = { findObject: (id) => (id === ann.getIdentifier() ? ann : null) };
+    const message = [
+      '--m',
+      'Content-Disposition: delete',
+      '',
+      `<${BASE}ann> <${FOAF}age> "41"^^<http://www.w3.org/2001/XMLSchema#integer> .`,
+      '--m',
+      'Content-Disposition: post',
+      'Content-Type: application/n-triples',
+      '',
+      `<${BASE}ann> <${FOAF}age> "42"^^<http://www.w3.org/2001/XMLSchema#integer> .`,
+      `<${BASE}ann> <${FOAF}knows> <${BASE}bob> .`,
+      '--m--',
+    ].join('\n');
+
+    const deltas = env.computeDeltas(env.decode(message, 'multipart/related; boundary="m"'), replicator);
+    expect(deltas).toHaveLength(1);
+    expect(deltas[0][0]).toBe(`${BASE}ann`);
+    expect(deltas[0][1]).toEqual({ age: [42, 41], knows: [[`${BASE}bob`], []] });
+    expect(deltas[0].object).toBe(ann);
+  });
+
+  test('instantiates typed subjects from a graph', () => {
+    const env = environment();
+    const graph = env.decode([
+      '@prefix foaf: <http://xmlns.com/foaf/0.1/> .',
+      '<bob> a foaf:Person ; foaf:name "Bob" ; foaf:age 7 .',
+      '<carol> foaf:name "Carol" .',
+    ].join('\n'), 'text/turtle');
+
+    const objects = env.computeGraphObjects(graph);
+    expect(objects).toHaveLength(1);
+    expect(objects[0]).toBeInstanceOf(Contact);
+    expect(objects[0].getIdentifier()).toBe(`${BASE}bob`);
+    expect([objects[0].name, objects[0].age]).toEqual(['Bob', 7]);
+    expect(env.encode(env.computeObjectGraph(objects[0]))).toContain(`<${BASE}bob> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <${FOAF}Person> .`);
+  });
+});
@@ -0,0 +1,86 @@
+import { test, expect } from '@playwright/test';
+import { createFakeGraphStore } from './fake-graph-store.js';
+import { RepositoryChanges } from '../lib/repository_changes.js';
+
+/**
+ * Live change notifications for the repositories open in the Studio, against the
+ * in-memory fake store. These run in Node only.
+ *
+ *   npx playwright test tests/repository-changes.spec.js
+ */
+
+const HOST = 'https://store.test';
+const REPOSITORY = { accountName: 'jhacker', repositoryName: 'foaf', host: HOST, token: 'secret' };
+const DISPOSITION = 'jhacker/foaf';
+const SYSTEM_PATH = '/system/accounts/jhacker/repositories/foaf';
+
+test.describe('Repository changes', () => {
+  let store;
+  let changes;
+
+  test.beforeEach(() => {
+    store = createFakeGraphStore({ location: `${HOST}/jhacker/foaf` });
+    changes = new RepositoryChanges({
+      options: { fetch: store.fetch, webSocketClass: store.WebSocket, reconnect: { initialDelay: 10, jitter: 0 } },
+    });
+  });
+
+  test.afterEach(() => {
+    changes.close();
+  });
+
+  test('describes what other clients did to the repository', async () => {
+    const heard = [];
+    const { database } = changes.watch(REPOSITORY, (change) => heard.push(change));
+    await database.connect();
+    expect(store.subscribers(DISPOSITION)).toBe(1);
+
+    store.replay({ method: 'PUT', path: `${SYSTEM_PATH}/views/people`, headers: { 'Content-Type': 'application/sparql-query' }, body: 'SELECT * WHERE { ?s ?p ?o }' }, { disposition: DISPOSITION });
+    store.replay({ method: 'DELETE', path: `${SYSTEM_PATH}/views/people` }, { disposition: DISPOSITION });
+    store.replay({ method: 'POST', path: `${SYSTEM_PATH}/configuration`, headers: { 'Content-Type': 'application/json' }, body: '{"description":"Friends"}' }, { disposition: DISPOSITION });
+    store.replay({ method: 'DELETE', path: '/jhacker/foaf/service' }, { disposition: DISPOSITION });
+    const { revision } = store.patch({ post: [['https://store.test/jhacker/foaf/ann', 'http://xmlns.com/foaf/0.1/name', 'Ann']] }, { disposition: DISPOSITION });
+
+    await expect.poll(() => heard.length).toBe(5);
+    expect(heard.map(({ kind, view, deleted }) => [kind, view, deleted])).toEqual([
+      ['view', 'people', false],
+      ['view', 'people', true],
+      ['settings', null, false],
+      ['clear', null, false],
+      ['data', null, false],
+    ]);
+    expect(heard[4].revision).toBe(revision);
+  });
+
+  test('shares one connection per repository and closes it when unwatched', async () => {
+    const first = [];
+    const second = [];
+    const one = changes.watch(REPOSITORY, (change) => first.push(change));
+    const two = changes.watch(REPOSITORY, (change) => second.push(change));
+    expect(two.database).toBe(one.database);
+    await one.database.connect();
+
+    two.stop();
+    store.replay({ method: 'DELETE', path: '/jhacker/foaf/service' }, { disposition: DISPOSITION });
+    await expect.poll(() => first.length).toBe(1);
+    expect(second).toHaveLength(0);
+
+    changes.unwatch('jhacker', 'foaf');
+    expect(one.database.connectionState).toBe('closed');
+    expect(changes.database('jhacker', 'foaf')).toBeNull();
+    await expect.poll(() => store.subscribers(DISPOSITION)).toBe(0);
+  });
+
+  test('passes over the reflections of writes noted as local by their ETag', async () => {
+    const heard = [];
+    const { database } = changes.watch(REPOSITORY, (change) => heard.push(change));
+    await database.connect();
+
+    changes.noteLocalRevision('jhacker', 'foaf', 'revision-local');
+    store.patch({ post: [['https://store.test/jhacker/foaf/ann', 'http://xmlns.com/foaf/0.1/name', 'Ann']] }, { disposition: DISPOSITION, revision: 'revision-local' });
+    store.patch({ post: [['https://store.test/jhacker/foaf/bob', 'http://xmlns.com/foaf/0.1/name', 'Bob']] }, { disposition: DISPOSITION, revision: 'revision-other' });
+
+    await expect.poll(() => heard.length).toBe(1);
+    expect(heard[0].revision).toBe('revision-other');
+  });
+});
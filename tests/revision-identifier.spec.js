@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import {
+  UUIDStateEnum, makeUUID, makeUUIDString, parseUUID, uuidString, uuidVersion, uuidTimestamp,
+  compareUUIDs, equalUUIDs, setUUIDState, isInsertUUID, isDeleteUUID, formatUUID,
+} from '../lib/replication/revision-identifier.js';
+
+/**
+ * Time-ordered revision identifiers. These run in Node only.
+ *
+ *   npx playwright test tests/revision-identifier.spec.js
+ */
+
+const MSECS = Date.UTC(2024, 9, 1, 12, 0, 0);
+
+test.describe('Revision identifiers', () => {
+  test('generates version 1 and 7 uuids which carry their time', () => {
+    const v1 = makeUUID({ msecs: MSECS, nsecs: 5 });
+    const v7 = makeUUID({ msecs: MSECS, version: 7 });
+
+    expect(uuidVersion(v1)).toBe(1);
+    expect(uuidVersion(v7)).toBe(7);
+    expect(uuidTimestamp(v1)).toBe(MSECS + 0.0005);
+    expect(uuidTimestamp(v7)).toBe(MSECS);
+    expect(uuidString(v1)).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-1[0-9a-f]{3}-[89ab][0-9a-f]{3}-010203040506$/);
+    expect(makeUUIDString({ version: 7 })).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(() => makeUUID({ version: 4 })).toThrow('Unsupported uuid version: 4');
+  });
+
+  test('orders uuids by time, also within one millisecond', () => {
+    const first = makeUUID({ msecs: MSECS + 10, version: 7 });
+    const second = makeUUID({ msecs: MSECS + 10, version: 7 });
+    const later = makeUUID({ msecs: MSECS + 11, version: 7 });
+    const v1 = makeUUID({ msecs: MSECS - 1 });
+    const shuffled = [later, second, uuidString(v1), first];
+
+    expect(shuffled.sort(compareUUIDs)).toEqual([uuidString(v1), first, second, later]);
+    expect(compareUUIDs(first, uuidString(first))).toBe(0);
+    expect(Array.prototype.equals).toBeUndefined();
+  });
+
+  test('records insertion and deletion in the state bit', () => {
+    const uuid = makeUUID({ msecs: MSECS });
+    expect(isInsertUUID(uuid)).toBe(true);
+
+    const deleted = setUUIDState(uuid.slice(), UUIDStateEnum.delete);
+    expect(isDeleteUUID(deleted)).toBe(true);
+    expect(uuidVersion(deleted)).toBe(1);
+    expect(uuidTimestamp(deleted)).toBe(uuidTimestamp(uuid));
+    expect(equalUUIDs(deleted, uuid)).toBe(false);
+    expect(equalUUIDs(setUUIDState(deleted, UUIDStateEnum.insert), uuid)).toBe(true);
+  });
+
+  test('parses the forms it formats', () => {
+    const uuid = makeUUID({ msecs: MSECS });
+    const text = uuidString(uuid);
+    const deleted = setUUIDState(uuid.slice(), UUIDStateEnum.delete);
+
+    expect(parseUUID(text)).toEqual(uuid);
+    expect(parseUUID(`urn:uuid:${text.toUpperCase()}`)).toEqual(uuid);
+    expect(parseUUID(`W/"${text.replace(/-/g, '')}"`)).toEqual(uuid);
+    expect(formatUUID(deleted)).toBe(`${text}-2024-10-01T12:00:00.000Z`);
+    expect(parseUUID(formatUUID(deleted))).toEqual(deleted);
+    expect(parseUUID(formatUUID(uuid))).toEqual(uuid);
+    expect(() => parseUUID('HEAD')).toThrow('Not a uuid: HEAD');
+  });
+});
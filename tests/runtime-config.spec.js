@@ -0,0 +1,102 @@
+import { test, expect } from '@playwright/test';
+import http from 'node:http';
+import { validateConfig, mergeConfig, loadRuntimeConfig } from '../lib/runtime_config.js';
+
+/**
+ * Runtime configuration: schema validation, merging over defaults and loading from a URL.
+ * These run in Node only; no browser is needed.
+ *
+ *   npx playwright test tests/runtime-config.spec.js
+ */
+
+const defaults = () => ({
+  baseHost: 'dydra.com',
+  basePath: '/ui',
+  requireSignupInvite: true,
+  persistentSession: { idleTimeout: 1000, maxAge: 2000 },
+  sso: { issuer: '', clientId: '', scope: 'openid' },
+  profiles: [{ name: 'production', host: 'dydra.com' }],
+  features: {},
+});
+
+// Serve `body` as JSON (or answer `status` without a body) on a random port.
+async function serveConfig({ status = 200, body = null } = {}) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === null ? '' : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/ui/config.json`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test.describe('Runtime configuration', () => {
+  test('keeps valid settings and reports invalid ones', () => {
+    const { config, errors } = validateConfig({
+      baseHost: 'staging.example.com',
+      basePath: 'ui/',
+      requireSignupInvite: 'no',
+      persistentSession: { idleTimeout: -5, maxAge: 60000 },
+      profiles: [{ name: 'staging', host: 'staging.example.com' }, { name: 'broken' }],
+      features: { charts: true, jobs: 'yes' },
+      colour: 'blue',
+    });
+
+    expect(config).toEqual({
+      baseHost: 'staging.example.com',
+      persistentSession: { maxAge: 60000 },
+      profiles: [{ name: 'staging', host: 'staging.example.com' }],
+      features: { charts: true },
+    });
+    expect(errors).toEqual([
+      'config.basePath: does not match ^(/[^/]+)*$',
+      'config.requireSignupInvite: expected boolean, found string',
+      'config.persistentSession.idleTimeout: must be at least 0',
+      'config.profiles[1]: missing host',
+      'config.features.jobs: expected boolean, found string',
+      'config.colour: unknown setting',
+    ]);
+  });
+
+  test('rejects a document which is not an object', () => {
+    expect(validateConfig(['dydra.com'])).toEqual({ config: {}, errors: ['config: expected object, found array'] });
+  });
+
+  test('merges nested settings and replaces arrays', () => {
+    const merged = mergeConfig(defaults(), {
+      sso: { issuer: 'https://idp.example.com' },
+      profiles: [{ name: 'local', host: 'http://localhost:8080' }],
+    });
+    expect(merged.sso).toEqual({ issuer: 'https://idp.example.com', clientId: '', scope: 'openid' });
+    expect(merged.profiles).toEqual([{ name: 'local', host: 'http://localhost:8080' }]);
+    expect(merged.persistentSession).toEqual({ idleTimeout: 1000, maxAge: 2000 });
+  });
+
+  test('loads the document from its URL over the defaults', async () => {
+    const server = await serveConfig({ body: { basePath: '/studio', features: { charts: true }, sso: { clientId: 42 } } });
+    try {
+      const target = defaults();
+      const result = await loadRuntimeConfig({ url: server.url, target });
+      expect(result.loaded).toBe(true);
+      expect(result.errors).toEqual(['config.sso.clientId: expected string, found number']);
+      expect(target.basePath).toBe('/studio');
+      expect(target.features).toEqual({ charts: true });
+      expect(target.sso.clientId).toBe('');
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('keeps the defaults when there is no document', async () => {
+    const server = await serveConfig({ status: 404 });
+    try {
+      const target = defaults();
+      expect(await loadRuntimeConfig({ url: server.url, target })).toEqual({ loaded: false, errors: [] });
+      expect(target).toEqual(defaults());
+    } finally {
+      await server.close();
+    }
+  });
+});
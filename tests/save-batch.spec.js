@@ -0,0 +1,146 @@
+import { test, expect } from '@playwright/test';
+import { SaveBatch } from '../lib/save_batch.js';
+import { ReplicationManager } from '../lib/replication/replication_manager.js';
+
+/**
+ * "Save all" over several trackers, one after the other or in one transaction, and the
+ * rollback of the items which fail. These run in Node only.
+ *
+ *   npx playwright test tests/save-batch.spec.js
+ */
+
+const setup = () => {
+  const replication = new ReplicationManager();
+  const saved = [];
+  const transactions = [];
+  const item = (name, { fails = null, unprepared = false } = {}) => {
+    const tracker = replication.ensureObject({
+      className: 'BatchRepository',
+      identifier: `repository:jhacker/${name}`,
+      state: { description: name },
+      persistentProps: ['description'],
+    });
+    tracker.description = `${name}, edited`;
+    const update = () => ({ path: `/system/accounts/jhacker/repositories/${name}/configuration`, config: { description: tracker.description } });
+    const entry = {
+      key: name,
+      label: `Repository jhacker/${name}`,
+      tracker,
+      fails,
+      save: async () => {
+        if (entry.fails) throw new Error(entry.fails);
+        saved.push(update());
+        tracker.setStateClean();
+        return { changedElsewhere: false };
+      },
+      prepare: async () => {
+        if (unprepared) throw new Error(`cancelled, ${entry.label} was changed by someone else`);
+        return {
+          request: update(),
+          complete: (result) => {
+            tracker.setStateClean();
+            return { changedElsewhere: false, result };
+          },
+        };
+      },
+      discard: () => tracker.rollback(),
+    };
+    return entry;
+  };
+  // Writes the requests together, or refuses them all
+  const transaction = ({ refuse = null } = {}) => async (requests) => {
+    transactions.push(requests);
+    if (refuse) throw new Error(refuse);
+    return requests.map(({ config }) => ({ ...config, saved: true }));
+  };
+  return { item, saved, transactions, transaction };
+};
+
+const statuses = (report) => report.results.map((result) => [result.key, result.status]);
+
+test.describe('Save batch', () => {
+  test('saves in order and rolls back the items which fail, reporting what was dropped', async () => {
+    const { item, saved } = setup();
+    const items = [item('alpha'), item('beta', { fails: '500 Internal Server Error' }), item('gamma')];
+
+    const report = await new SaveBatch(items).commit();
+
+    expect(report.transactional).toBe(false);
+    expect(statuses(report)).toEqual([['alpha', 'saved'], ['beta', 'failed'], ['gamma', 'saved']]);
+    expect(report.results[1].error.message).toBe('500 Internal Server Error');
+    expect(report.results[0].detail).toEqual({ changedElsewhere: false });
+    expect(report.results[1].discarded).toEqual({ description: ['beta, edited', 'beta'] });
+    expect(saved.map((request) => request.config.description)).toEqual(['alpha, edited', 'gamma, edited']);
+    expect(items.map(({ tracker }) => tracker.description)).toEqual(['alpha, edited', 'beta', 'gamma, edited']);
+    expect(items.map(({ tracker }) => tracker.deltas())).toEqual([{}, {}, {}]);
+  });
+
+  test('keeps the changes of the items which fail when told not to roll back', async () => {
+    const { item } = setup();
+    const failing = item('alpha', { fails: 'NetworkError' });
+
+    const report = await new SaveBatch([failing], { rollback: false }).commit();
+
+    expect(statuses(report)).toEqual([['alpha', 'failed']]);
+    expect(report.results[0].discarded).toBeNull();
+    expect(failing.tracker.deltas()).toEqual({ description: ['alpha, edited', 'alpha'] });
+  });
+
+  test('saves the rolled back changes once they are restored and the batch runs again', async () => {
+    const { item, saved } = setup();
+    const failing = item('alpha', { fails: 'NetworkError' });
+    const { results: [failed] } = await new SaveBatch([failing]).commit();
+    expect(failing.tracker.deltas()).toEqual({});
+
+    Object.entries(failed.discarded).forEach(([name, [value]]) => {
+      failing.tracker[name] = value;
+    });
+    failing.fails = null;
+    const report = await new SaveBatch([failing]).commit();
+
+    expect(statuses(report)).toEqual([['alpha', 'saved']]);
+    expect(saved.map((request) => request.config.description)).toEqual(['alpha, edited']);
+    expect(failing.tracker.deltas()).toEqual({});
+  });
+
+  test('writes every item in one transaction when the store offers it', async () => {
+    const { item, saved, transactions, transaction } = setup();
+    const items = [item('alpha'), item('beta')];
+
+    const report = await new SaveBatch(items, { transaction: transaction() }).commit();
+
+    expect(report.transactional).toBe(true);
+    expect(statuses(report)).toEqual([['alpha', 'saved'], ['beta', 'saved']]);
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].map((request) => request.config.description)).toEqual(['alpha, edited', 'beta, edited']);
+    expect(report.results[1].detail.result).toEqual({ description: 'beta, edited', saved: true });
+    expect(saved).toHaveLength(0);
+    expect(items.map(({ tracker }) => tracker.deltas())).toEqual([{}, {}]);
+  });
+
+  test('rolls back every item when the store refuses the transaction', async () => {
+    const { item, transaction } = setup();
+    const items = [item('alpha'), item('beta')];
+
+    const report = await new SaveBatch(items, { transaction: transaction({ refuse: '412 Precondition Failed' }) }).commit();
+
+    expect(statuses(report)).toEqual([['alpha', 'failed'], ['beta', 'failed']]);
+    expect(report.results.map((result) => result.error.message)).toEqual(['412 Precondition Failed', '412 Precondition Failed']);
+    expect(report.results.map((result) => result.discarded)).toEqual([
+      { description: ['alpha, edited', 'alpha'] }, { description: ['beta, edited', 'beta'] },
+    ]);
+    expect(items.map(({ tracker }) => tracker.description)).toEqual(['alpha', 'beta']);
+  });
+
+  test('leaves an item which cannot prepare out of the transaction', async () => {
+    const { item, transactions, transaction } = setup();
+    const items = [item('alpha', { unprepared: true }), item('beta')];
+
+    const report = await new SaveBatch(items, { transaction: transaction() }).commit();
+
+    expect(statuses(report)).toEqual([['alpha', 'failed'], ['beta', 'saved']]);
+    expect(report.results[0].error.message).toContain('changed by someone else');
+    expect(transactions[0].map((request) => request.path)).toEqual(['/system/accounts/jhacker/repositories/beta/configuration']);
+    expect(items[0].tracker.description).toBe('alpha');
+  });
+});
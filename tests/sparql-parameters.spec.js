@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import {
+  scanSparqlParameters, validateSparqlParameter, encodeSparqlParameter,
+  recentSparqlParameterValues, rememberSparqlParameterValues,
+} from '../js/sparql-parameters.js';
+
+/**
+ * Parameter detection and encoding for the SPARQL editor (js/sparql-parameters.js). These
+ * run in Node only.
+ *
+ *   npx playwright test tests/sparql-parameters.spec.js
+ */
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+};
+
+test.describe('SPARQL parameters', () => {
+  test('finds $ parameters and declared ? parameters with their types', () => {
+    const query = `
+      # @param ?person iri
+      # @param $since <${XSD}date>
+      # @param $label rdf:langString
+      PREFIX foaf: <http://xmlns.com/foaf/0.1/#$notAParameter>
+      SELECT ?name WHERE {
+        ?person foaf:name ?name ; foaf:age ?age ; foaf:made ?doc .
+        ?doc <http://purl.org/dc/terms/created> ?created .
+        FILTER (?created >= $since && ?age > xsd:integer($minimum) && LANG(?name) = "$ignored")
+        FILTER (isIRI($homepage))
+      }
+      LIMIT 10 # $nor`;
+
+    expect(scanSparqlParameters(query)).toEqual([
+      { name: 'person', type: 'iri', declared: true },
+      { name: 'since', type: 'xsd:date', declared: true },
+      { name: 'minimum', type: 'xsd:integer', declared: false },
+      { name: 'homepage', type: 'iri', declared: false },
+      { name: 'label', type: 'rdf:langString', declared: true },
+    ]);
+    expect(scanSparqlParameters('SELECT * WHERE { ?s ?p $o }')).toEqual([{ name: 'o', type: null, declared: false }]);
+  });
+
+  test('validates values for their type', () => {
+    expect(validateSparqlParameter('xsd:date', '2024-10-01')).toBeNull();
+    expect(validateSparqlParameter('xsd:date', '2024-13-01')).toBe('Enter a date as YYYY-MM-DD');
+    expect(validateSparqlParameter('xsd:integer', '4.5')).toBe('Enter a whole number');
+    expect(validateSparqlParameter('iri', 'not an iri')).toBe('Enter an absolute IRI');
+    expect(validateSparqlParameter('rdf:langString', 'Hallo', '')).toBe('Enter a language tag, such as en or de-CH');
+    expect(validateSparqlParameter('xsd:integer', '')).toBeNull();
+    expect(validateSparqlParameter(null, 'anything')).toBeNull();
+  });
+
+  test('encodes values as RDF terms', () => {
+    expect(encodeSparqlParameter('iri', 'https://example.org/ann')).toBe('<https://example.org/ann>');
+    expect(encodeSparqlParameter('xsd:date', '2024-10-01')).toBe(`"2024-10-01"^^<${XSD}date>`);
+    expect(encodeSparqlParameter('xsd:dateTime', '2024-10-01T12:30')).toBe(`"2024-10-01T12:30:00"^^<${XSD}dateTime>`);
+    expect(encodeSparqlParameter('xsd:integer', ' 42 ')).toBe(`"42"^^<${XSD}integer>`);
+    expect(encodeSparqlParameter('rdf:langString', 'Grüezi "mitenand"', 'de-CH')).toBe('"Grüezi \\"mitenand\\""@de-ch');
+    expect(encodeSparqlParameter('literal', 'a\nb')).toBe('"a\\nb"');
+    expect(encodeSparqlParameter(null, '<https://example.org/ann>')).toBe('<https://example.org/ann>');
+  });
+
+  test('remembers recent values per view, newest first', () => {
+    const storage = memoryStorage();
+    rememberSparqlParameterValues('views/people', { since: '2024-01-01' }, storage);
+    rememberSparqlParameterValues('views/people', { since: '2024-10-01', label: { value: 'Ann', language: 'en' } }, storage);
+    rememberSparqlParameterValues('views/people', { since: '2024-01-01' }, storage);
+
+    expect(recentSparqlParameterValues('views/people', storage)).toEqual({
+      since: ['2024-01-01', '2024-10-01'],
+      label: [{ value: 'Ann', language: 'en' }],
+    });
+    expect(recentSparqlParameterValues('views/places', storage)).toEqual({});
+  });
+});
@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import {
+  createQueryRuns, formatElapsed, cancelledRunMessage, cancelAsyncJobRequest,
+} from '../js/sparql-query-runs.js';
+
+/**
+ * The SPARQL editor's running query: cancelling it, its timeout, and the cancel request
+ * for an asynchronous job (js/sparql-query-runs.js). These run in Node only.
+ *
+ *   npx playwright test tests/sparql-query-runs.spec.js
+ */
+
+const JOB = 'https://store.test/jhacker/foaf/jobs/1';
+
+// Never answers; rejects as fetch does once the request's signal aborts
+const hangingFetch = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+});
+
+test.describe('SPARQL query runs', () => {
+  test('cancel aborts the running request once and tells why', async () => {
+    const cancellations = [];
+    const runs = createQueryRuns({ onCancel: (reason) => cancellations.push(reason) });
+    const run = runs.start();
+    const request = hangingFetch(run.controller.signal);
+
+    expect(runs.cancel('cancelled')).toBe(true);
+    await expect(request).rejects.toThrow('aborted');
+    expect(run.reason).toBe('cancelled');
+    expect(runs.cancel('cancelled')).toBe(false);
+    expect(cancellations).toEqual(['cancelled']);
+
+    runs.finish(run);
+    expect(runs.current()).toBeNull();
+    expect(runs.cancel('cancelled')).toBe(false);
+  });
+
+  test('a run which exceeds its timeout is cancelled as timed out', async () => {
+    const cancellations = [];
+    const runs = createQueryRuns({ getTimeout: () => 0.02, onCancel: (reason, run) => cancellations.push([reason, run.timeout]) });
+    const run = runs.start();
+
+    await expect(hangingFetch(run.controller.signal)).rejects.toThrow('aborted');
+    expect(run.reason).toBe('timeout');
+    expect(cancellations).toEqual([['timeout', 0.02]]);
+    runs.finish(run);
+  });
+
+  test('a run which finishes in time is not aborted, and no timeout means none', async () => {
+    const timed = createQueryRuns({ getTimeout: () => 0.02 });
+    const run = timed.start();
+    timed.finish(run);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    expect(run.controller.signal.aborted).toBe(false);
+    expect(run.reason).toBeNull();
+
+    const unlimited = createQueryRuns({ getTimeout: () => 0 });
+    const open = unlimited.start();
+    expect(open.timeoutTimer).toBeNull();
+    unlimited.finish(open);
+  });
+
+  test('only the latest run is current', () => {
+    const runs = createQueryRuns();
+    const first = runs.start();
+    const second = runs.start();
+    runs.finish(first);
+    expect(runs.current()).toBe(second);
+    runs.cancel('cancelled');
+    expect(second.controller.signal.aborted).toBe(true);
+    expect(first.controller.signal.aborted).toBe(false);
+    runs.finish(second);
+  });
+
+  test('formats the elapsed time and the message for an aborted run', () => {
+    expect(formatElapsed(1234)).toBe('1.2s');
+    expect(formatElapsed(59949)).toBe('59.9s');
+    expect(formatElapsed(125000)).toBe('2m 5s');
+    expect(cancelledRunMessage({ reason: 'cancelled', timeout: 0 }, 3400)).toBe('Query cancelled after 3.4s');
+    expect(cancelledRunMessage({ reason: 'timeout', timeout: 30 }, 30050)).toBe('Query timed out after 30.1s (timeout 30s)');
+  });
+
+  test('cancels an asynchronous job on the server with DELETE of its location', async () => {
+    const requests = [];
+    const answering = (status) => async (url, init) => {
+      requests.push({ url, method: init.method, headers: init.headers });
+      return new Response(null, { status });
+    };
+
+    await cancelAsyncJobRequest(JOB, { token: 'Bearer secret', fetch: answering(204) });
+    expect(requests).toEqual([{ url: JOB, method: 'DELETE', headers: { Authorization: 'Bearer secret' } }]);
+
+    await expect(cancelAsyncJobRequest(JOB, { fetch: answering(410) })).resolves.toBeUndefined();
+    await expect(cancelAsyncJobRequest(JOB, { fetch: answering(500) })).rejects.toThrow('500');
+  });
+});
@@ -0,0 +1,78 @@
+import { test, expect } from '@playwright/test';
+import {
+  columnKind, defaultChartSpec, niceTicks, histogramBins, chartData, renderChartSvg,
+} from '../js/sparql-results-chart.js';
+
+/**
+ * Charts of SELECT results (js/sparql-results-chart.js): column detection, what each chart
+ * plots and the SVG drawn. These run in Node only.
+ *
+ *   npx playwright test tests/sparql-results-chart.spec.js
+ */
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const typed = (value, type) => ({ type: 'literal', value, datatype: XSD + type });
+const plain = (value) => ({ type: 'literal', value });
+
+const sales = {
+  variables: ['day', 'region', 'amount'],
+  rows: [
+    { day: typed('2024-01-01', 'date'), region: plain('north'), amount: typed('10', 'integer') },
+    { day: typed('2024-01-02', 'date'), region: plain('south'), amount: typed('4.5', 'decimal') },
+    { day: typed('2024-01-02', 'date'), region: plain('north'), amount: typed('7', 'integer') },
+    { day: typed('2024-01-03', 'date'), region: plain('north'), amount: typed('1', 'integer') },
+  ],
+};
+
+test.describe('SPARQL results chart', () => {
+  test('tells numbers and dates from their datatypes and picks a chart to start from', () => {
+    expect(columnKind(sales.rows, 'day')).toBe('date');
+    expect(columnKind(sales.rows, 'amount')).toBe('number');
+    expect(columnKind(sales.rows, 'region')).toBe('text');
+    // untyped values, as CSV gives them
+    expect(columnKind([{ n: plain('3') }, { n: plain('-1.5e2') }], 'n')).toBe('number');
+    expect(columnKind([{ n: plain('3') }, { n: plain('three') }], 'n')).toBe('text');
+    expect(columnKind([{ y: typed('2020', 'gYear') }], 'y')).toBe('date');
+
+    expect(defaultChartSpec(sales)).toEqual({ type: 'line', x: 'day', y: 'amount', series: null });
+    expect(defaultChartSpec({ variables: ['n'], rows: [{ n: typed('1', 'integer') }] }).type).toBe('histogram');
+  });
+
+  test('sums bars by category and splits series', () => {
+    const data = chartData(sales, { type: 'bar', x: 'region', y: 'amount', series: null });
+    expect(data.categories).toEqual(['north', 'south']);
+    expect(data.series).toEqual([{ name: 'amount', points: [{ x: 0, y: 18, label: 'north' }, { x: 1, y: 4.5, label: 'south' }] }]);
+
+    const lines = chartData(sales, { type: 'line', x: 'day', y: 'amount', series: 'region' });
+    expect(lines.xKind).toBe('date');
+    expect(lines.series.map((series) => [series.name, series.points.length])).toEqual([['north', 3], ['south', 1]]);
+    expect(lines.series[0].points[0].x).toBe(Date.UTC(2024, 0, 1));
+
+    expect(chartData(sales, { type: 'pie', x: 'region', y: 'amount' }).slices).toEqual([
+      { label: 'north', value: 18 }, { label: 'south', value: 4.5 },
+    ]);
+  });
+
+  test('rounds ticks and bins', () => {
+    expect(niceTicks(-2, 5, 5)).toEqual([-2, 0, 2, 4, 6]);
+    expect(niceTicks(0, 950, 5)).toEqual([0, 200, 400, 600, 800, 1000]);
+    expect(histogramBins([1, 2, 2, 3, 9])).toEqual([
+      { from: 0, to: 2, count: 1 }, { from: 2, to: 4, count: 3 }, { from: 4, to: 6, count: 0 },
+      { from: 6, to: 8, count: 0 }, { from: 8, to: 10, count: 1 },
+    ]);
+  });
+
+  test('draws each chart as SVG', () => {
+    const count = (svg, element) => (svg.match(new RegExp('<' + element + '\\b', 'g')) || []).length;
+    const bar = renderChartSvg(sales, { type: 'bar', x: 'region', y: 'amount', series: 'region' });
+    expect(bar.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(count(bar, 'rect')).toBe(1 + 2 + 2); // background, two bars, two legend keys
+    expect(bar).toContain('<title>north · north: 18</title>');
+
+    expect(count(renderChartSvg(sales, { type: 'line', x: 'day', y: 'amount', series: 'region' }), 'polyline')).toBe(2);
+    expect(count(renderChartSvg(sales, { type: 'scatter', x: 'day', y: 'amount' }), 'circle')).toBe(4);
+    expect(count(renderChartSvg(sales, { type: 'pie', x: 'region', y: 'amount' }), 'path')).toBe(2);
+    expect(count(renderChartSvg(sales, { type: 'histogram', x: 'amount' }), 'title')).toBe(histogramBins([10, 4.5, 7, 1]).length);
+    expect(renderChartSvg(sales, { type: 'bar', x: 'region', y: 'region' })).toContain('Nothing to chart');
+  });
+});
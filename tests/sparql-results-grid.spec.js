@@ -0,0 +1,79 @@
+import { test, expect } from '@playwright/test';
+import {
+  tableFromJson, tableFromCsv, tableFromTsv, sortTableRows, filterTableRows, rowsToText, pageQuery,
+} from '../js/sparql-results-grid.js';
+
+/**
+ * Reading SELECT results into the results grid's table, sorting, filtering and paging them
+ * (js/sparql-results-grid.js). These run in Node only.
+ *
+ *   npx playwright test tests/sparql-results-grid.spec.js
+ */
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+test.describe('SPARQL results grid', () => {
+  test('reads CSV and TSV results into the same table as JSON', () => {
+    const csv = tableFromCsv('name,age,friend\r\n"Smith, ""Jo""",42,_:b0\r\nAda,,\r\n');
+    expect(csv.variables).toEqual(['name', 'age', 'friend']);
+    expect(csv.rows).toEqual([
+      { name: { type: 'literal', value: 'Smith, "Jo"' }, age: { type: 'literal', value: '42' }, friend: { type: 'bnode', value: 'b0' } },
+      { name: { type: 'literal', value: 'Ada' } },
+    ]);
+
+    const tsv = tableFromTsv('?s\t?label\t?n\n<http://example.org/a>\t"Tab\\there"@en\t7\n_:b1\t"1.5"^^<' + XSD + 'decimal>\t\n');
+    expect(tsv.variables).toEqual(['s', 'label', 'n']);
+    expect(tsv.rows).toEqual([
+      {
+        s: { type: 'uri', value: 'http://example.org/a' },
+        label: { type: 'literal', value: 'Tab\there', 'xml:lang': 'en' },
+        n: { type: 'literal', value: '7', datatype: XSD + 'integer' },
+      },
+      { s: { type: 'bnode', value: 'b1' }, label: { type: 'literal', value: '1.5', datatype: XSD + 'decimal' } },
+    ]);
+
+    const data = { head: { vars: ['s'] }, results: { bindings: [{ s: { type: 'uri', value: 'http://example.org/a' } }] } };
+    expect(tableFromJson(data).rows).toBe(data.results.bindings);
+  });
+
+  test('sorts numbers numerically with unbound values last, and filters by text', () => {
+    const integer = (value) => ({ type: 'literal', value, datatype: XSD + 'integer' });
+    const rows = [{ n: integer('10'), s: { type: 'literal', value: 'ten' } }, { s: { type: 'literal', value: 'none' } }, { n: integer('9') }, { n: integer('100') }];
+
+    expect(sortTableRows(rows, 'n', 'asc').map((row) => row.n?.value)).toEqual(['9', '10', '100', undefined]);
+    expect(sortTableRows(rows, 'n', 'desc').map((row) => row.n?.value)).toEqual(['100', '10', '9', undefined]);
+    expect(filterTableRows(rows, ['n', 's'], 'TEN')).toEqual([rows[0]]);
+    expect(filterTableRows(rows, ['n', 's'], '10')).toEqual([rows[0], rows[3]]);
+    expect(rowsToText(['n', 's'], rows.slice(0, 2), true)).toBe('n\ts\n10\tten\n\tnone');
+  });
+
+  test('pages a SELECT query by rewriting its trailing LIMIT and OFFSET', () => {
+    const query = 'PREFIX ex: <http://example.org/#limit>\nSELECT ?s WHERE { ?s ?p "LIMIT 5" } ORDER BY ?s';
+    expect(pageQuery(query, 0, 100)).toEqual({ query: query + '\nLIMIT 100', limit: 100, offset: 0 });
+    expect(pageQuery(query, 100, 100).query).toBe(query + '\nLIMIT 100 OFFSET 100');
+
+    // Within the query's own limit and offset
+    const limited = 'SELECT ?s WHERE { { SELECT ?s WHERE { ?s ?p ?o } LIMIT 3 } } LIMIT 250 OFFSET 20';
+    expect(pageQuery(limited, 0, 100).query).toBe('SELECT ?s WHERE { { SELECT ?s WHERE { ?s ?p ?o } LIMIT 3 } }\nLIMIT 100 OFFSET 20');
+    expect(pageQuery(limited, 200, 100)).toEqual({
+      query: 'SELECT ?s WHERE { { SELECT ?s WHERE { ?s ?p ?o } LIMIT 3 } }\nLIMIT 50 OFFSET 220', limit: 50, offset: 220,
+    });
+    expect(pageQuery(limited, 250, 100)).toBeNull();
+
+    expect(pageQuery('CONSTRUCT WHERE { ?s ?p ?o }', 0, 100)).toBeNull();
+  });
+
+  test('pages a SELECT query before its trailing VALUES clause', () => {
+    const query = 'SELECT ?s ?name WHERE { ?s <http://xmlns.com/foaf/0.1/name> ?name }';
+    const values = 'VALUES (?name) { ("Ann") ("{Bob}") }';
+    expect(pageQuery(`${query}\n${values}`, 0, 100)).toEqual({ query: `${query}\nLIMIT 100\n${values}`, limit: 100, offset: 0 });
+
+    // Its own limit and offset stand before the VALUES clause too
+    const limited = `${query} LIMIT 150 OFFSET 10 VALUES ?s { <http://example.org/a> }`;
+    expect(pageQuery(limited, 100, 100).query).toBe(`${query}\nLIMIT 50 OFFSET 110\nVALUES ?s { <http://example.org/a> }`);
+
+    // A VALUES block within the pattern is not trailing
+    const inline = 'SELECT ?s WHERE { VALUES ?s { <http://example.org/a> } }';
+    expect(pageQuery(inline, 0, 100).query).toBe(`${inline}\nLIMIT 100`);
+  });
+});
@@ -0,0 +1,80 @@
+import { test, expect } from '@playwright/test';
+import { startStubIdp } from './stub-idp.js';
+import { startSsoLogin, finishSsoLogin, isSsoCallback } from '../lib/oidc.js';
+
+/**
+ * SSO login mode (authorization code + PKCE) against the local stub identity provider.
+ * These run in Node only; no browser is needed.
+ *
+ *   npx playwright test tests/sso.spec.js
+ */
+
+const REDIRECT_URI = 'http://localhost:8080/ui/user';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+// Follow the authorization URL to the stub, which redirects back at once.
+async function authorize(authorizationUrl) {
+  const response = await fetch(authorizationUrl, { redirect: 'manual' });
+  expect(response.status).toBe(302);
+  return new URL(response.headers.get('location'));
+}
+
+test.describe('SSO login', () => {
+  let idp;
+  let sso;
+
+  test.beforeAll(async () => {
+    idp = await startStubIdp({ account: 'playwright' });
+    sso = { issuer: idp.issuer, clientId: idp.clientId, scope: 'openid profile', accountClaim: 'preferred_username' };
+  });
+
+  test.afterAll(async () => {
+    await idp.close();
+  });
+
+  test('exchanges the authorization code for an access token', async () => {
+    const storage = memoryStorage();
+    const authorizationUrl = await startSsoLogin({
+      sso, host: 'https://dydra.com', redirectUri: REDIRECT_URI, returnTo: '/account/playwright', storage,
+    });
+    const params = new URL(authorizationUrl).searchParams;
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+    const callback = await authorize(authorizationUrl);
+    expect(callback.origin + callback.pathname).toBe(REDIRECT_URI);
+    expect(isSsoCallback(callback, storage)).toBe(true);
+
+    const result = await finishSsoLogin({ sso, params: callback.searchParams, storage });
+    expect(result.accountName).toBe('playwright');
+    expect(result.token).toMatch(/^stub-/);
+    expect(result.host).toBe('https://dydra.com');
+    expect(result.returnTo).toBe('/account/playwright');
+    expect(isSsoCallback(callback, storage)).toBe(false);
+  });
+
+  test('rejects a response whose state does not match', async () => {
+    const storage = memoryStorage();
+    const authorizationUrl = await startSsoLogin({ sso, host: 'https://dydra.com', redirectUri: REDIRECT_URI, storage });
+    const callback = await authorize(authorizationUrl);
+    callback.searchParams.set('state', 'forged');
+    await expect(finishSsoLogin({ sso, params: callback.searchParams, storage })).rejects.toThrow(/does not match/);
+  });
+
+  test('fails the exchange when the code verifier is wrong', async () => {
+    const storage = memoryStorage();
+    const authorizationUrl = await startSsoLogin({ sso, host: 'https://dydra.com', redirectUri: REDIRECT_URI, storage });
+    const pending = JSON.parse(storage.getItem('dydra.sso'));
+    storage.setItem('dydra.sso', JSON.stringify({ ...pending, verifier: 'not-the-verifier' }));
+    const callback = await authorize(authorizationUrl);
+    await expect(finishSsoLogin({ sso, params: callback.searchParams, storage })).rejects.toThrow(/token exchange failed: 400/);
+  });
+});
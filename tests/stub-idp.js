@@ -0,0 +1,109 @@
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+
+/**
+ * Minimal OpenID Connect identity provider for exercising the SSO login mode
+ * (lib/oidc.js) without a real issuer.
+ *
+ * - /.well-known/openid-configuration answers the discovery document
+ * - /authorize redirects straight back to redirect_uri with a code, as if the
+ *   user had signed in as `account`
+ * - /token exchanges the code after checking client_id, redirect_uri and the
+ *   PKCE code_verifier, and answers an access token and an unsigned id_token
+ *
+ * It also runs standalone for manual testing against the UI:
+ *   node tests/stub-idp.js 9400 playwright
+ * then set APP_CONFIG.sso = { issuer: 'http://127.0.0.1:9400', clientId: 'jsui', ... }.
+ */
+
+const base64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const unsignedJwt = (claims) =>
+  `${base64Url(JSON.stringify({ alg: 'none', typ: 'JWT' }))}.${base64Url(JSON.stringify(claims))}.`;
+
+export async function startStubIdp({ port = 0, account = 'playwright', clientId = 'jsui' } = {}) {
+  const codes = new Map();
+  let issuer = '';
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Accept, Content-Type',
+      ...headers,
+    });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    if (req.method === 'OPTIONS') {
+      send(res, 204, '');
+    } else if (url.pathname === '/.well-known/openid-configuration') {
+      send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        code_challenge_methods_supported: ['S256'],
+      }, { 'Content-Type': 'application/json' });
+    } else if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      const redirect = new URL(params.get('redirect_uri'));
+      if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+        redirect.searchParams.set('error', 'invalid_request');
+      } else {
+        const code = randomBytes(12).toString('hex');
+        codes.set(code, {
+          challenge: params.get('code_challenge'),
+          redirectUri: params.get('redirect_uri'),
+          nonce: params.get('nonce'),
+        });
+        redirect.searchParams.set('code', code);
+      }
+      redirect.searchParams.set('state', params.get('state'));
+      send(res, 302, '', { Location: redirect.toString() });
+    } else if (url.pathname === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(body);
+        const grant = codes.get(form.get('code'));
+        codes.delete(form.get('code'));
+        const verified = grant
+          && form.get('client_id') === clientId
+          && form.get('redirect_uri') === grant.redirectUri
+          && base64Url(createHash('sha256').update(form.get('code_verifier') || '').digest()) === grant.challenge;
+        if (!verified) {
+          send(res, 400, { error: 'invalid_grant' }, { 'Content-Type': 'application/json' });
+          return;
+        }
+        const now = Math.floor(Date.now() / 1000);
+        send(res, 200, {
+          token_type: 'Bearer',
+          access_token: `stub-${randomBytes(12).toString('hex')}`,
+          expires_in: 3600,
+          id_token: unsignedJwt({
+            iss: issuer, aud: clientId, sub: `user-${account}`, preferred_username: account,
+            nonce: grant.nonce, iat: now, exp: now + 3600,
+          }),
+        }, { 'Content-Type': 'application/json' });
+      });
+    } else {
+      send(res, 404, 'Not found');
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+  return {
+    issuer,
+    clientId,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+if (process.argv[1]?.endsWith('stub-idp.js')) {
+  const [port = '9400', account = 'playwright'] = process.argv.slice(2);
+  startStubIdp({ port: Number(port), account }).then(({ issuer }) => {
+    console.log(`Stub identity provider listening at ${issuer}`);
+  });
+}
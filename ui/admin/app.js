@@ -1,6 +1,8 @@
 import { AdminLayoutView } from "./layout.js";
 import { APP_CONFIG } from "../../lib/config.js";
+import { watchPersistentSession } from "../utils.js";
 import { BasePage } from "../pages/base_page.js";
+import { openReauthenticationDialog } from "../components/login.js";
 
 class AdminNotFoundPage extends BasePage {
   async renderContent() {
@@ -14,6 +16,9 @@ export class AdminApp {
     this.router = router;
     this.layout = new AdminLayoutView();
     this.root = document.getElementById("app");
+    // Expired tokens are renewed in place and the failed requests replayed.
+    this.state.http.onUnauthorized = (context) => openReauthenticationDialog(this, context);
+    watchPersistentSession(this);
   }
 
   setRouter(router) {
@@ -28,6 +33,7 @@ export class AdminApp {
       loggedIn: [
         `<a href="${basePath}/user" data-external>User</a>`,
         `<a href="#" data-action="logout">Log out</a>`,
+        `<a href="#" data-action="logout-device" data-testid="admin-logout-device-link">Sign out everywhere on this device</a>`,
       ],
       loggedOut: [],
     };
@@ -75,6 +81,7 @@ export class AdminApp {
   handleLogout() {
     this.state.authStore.clear();
     this.state.session.logout();
+    this.state.isAdmin = undefined;
     this.router.navigate("/login", { replace: true });
   }
 
@@ -90,6 +97,18 @@ export class AdminApp {
         this.handleLogout();
       }, true);
     }
+    const deviceButton = this.root.querySelector('[data-action="logout-device"]');
+    if (deviceButton && deviceButton.dataset.logoutHandlerAttached !== "true") {
+      deviceButton.dataset.logoutHandlerAttached = "true";
+      deviceButton.addEventListener("click", async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+        // Admin panes hold no unsaved changes, so there is nothing to confirm first.
+        await this.state.signOutDevice();
+        this.handleLogout();
+      }, true);
+    }
   }
 
   initializeTabs() {
@@ -175,7 +194,7 @@ export class AdminApp {
     const input = bar.querySelector("#location-input");
     if (!display || !input) return;
 
-    const currentPath = this.router?.currentPath || "/";
+    const currentPath = this.router?.currentFullPath || "/";
     display.textContent = currentPath;
     input.value = currentPath;
     input.style.display = "none";
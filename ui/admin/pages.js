@@ -1,7 +1,9 @@
 import { BasePage } from "../pages/base_page.js";
-import { escapeHtml, joinHtml } from "../utils.js";
+import { escapeHtml, joinHtml, loginRedirectTarget, safeNextPath } from "../utils.js";
 import { APP_CONFIG } from "../../lib/config.js";
 import { authenticateAccount } from "../../lib/auth.js";
+import { isSsoConfigured } from "../../lib/oidc.js";
+import { beginSsoLogin, completeSsoLogin } from "../components/login.js";
 
 const BASE_PATH = APP_CONFIG.basePath || "";
 const ADMIN_PATH = `${BASE_PATH}/admin`;
@@ -14,6 +16,57 @@ const getAuth = (state) => {
   return state.authStore.getAuth(accountName);
 };
 
+// --- Helper: requests as the session account, through the AuthStore, so that a 401
+// asks for new credentials and replays the request ---
+
+const NO_CACHE = { cache: "no-store", headers: { "Cache-Control": "no-cache" } };
+
+const adminRequest = (state, path, options = {}) =>
+  state.http.request(path, { accountName: state.session?.accountName, ...options });
+
+const adminJson = (state, path, options = {}) =>
+  state.http.json(path, { accountName: state.session?.accountName, ...options });
+
+const adminText = (state, path, options = {}) =>
+  state.http.text(path, { accountName: state.session?.accountName, ...options });
+
+// --- Helper: does the account administer the service? (any authenticated user may enter) ---
+
+const checkAdministrator = async (app, accountName, auth) => {
+  try {
+    const userConfig = await app.state.http.json(
+      `/system/users/${encodeURIComponent(accountName)}/configuration`,
+      { auth }
+    );
+    return userConfig?.administrator_of === "http://dydra.com"
+      || (Array.isArray(userConfig?.administrator_of) && userConfig.administrator_of.includes("http://dydra.com"));
+  } catch (e) {
+    console.warn("Could not determine admin status:", e.message);
+    return false;
+  }
+};
+
+const showAdminLoginSuccess = (app, accountName, isAdmin, returnTo = loginRedirectTarget(app)) => {
+  // Navigate first (back to the deep link which asked for the login, if any), then
+  // show success message after page renders
+  const roleLabel = isAdmin ? "admin" : "user";
+  const successMessage = `Authenticated as ${accountName} (${roleLabel})`;
+  app.router.navigate(returnTo || "/", { replace: true });
+  setTimeout(() => {
+    app.showLocationMessage?.(successMessage, 3000);
+  }, 100);
+};
+
+// Whether the session account administers the service; asks once when that is not
+// known yet, e.g. after a restored "keep me signed in" session.
+export const ensureAdministrator = async (app) => {
+  if (app.state.isAdmin === undefined) {
+    const accountName = app.state.session.accountName;
+    app.state.isAdmin = await checkAdministrator(app, accountName, app.state.getAuthContext(accountName));
+  }
+  return Boolean(app.state.isAdmin);
+};
+
 // --- Login ---
 
 export class AdminLoginPage extends BasePage {
@@ -47,6 +100,7 @@ export class AdminLoginPage extends BasePage {
             <li class="string optional"><label>Host</label><input type="text" name="host" placeholder="dydra.com" data-testid="admin-login-host-input" /></li>
             <li class="string optional"><label>Username</label><input type="text" name="login" value="${escapeHtml(lastUsername)}" data-testid="admin-login-username-input" /></li>
             <li class="password optional"><label>Password or Token</label><input type="password" name="password" data-testid="admin-login-password-input" /></li>
+            <li class="boolean optional remember-me"><label><input type="checkbox" name="remember" data-testid="admin-login-remember-checkbox" /> Keep me signed in on this device</label></li>
           </ol>
         </fieldset>
         <fieldset class="buttons">
@@ -55,6 +109,8 @@ export class AdminLoginPage extends BasePage {
           </ol>
         </fieldset>
       </form>
+      ${isSsoConfigured(APP_CONFIG.sso) ? `
+      <p class="sso-login"><button type="button" class="sso-login-btn" data-testid="admin-login-sso-btn">Sign in with SSO</button></p>` : ""}
     `;
   }
 
@@ -67,9 +123,13 @@ export class AdminLoginPage extends BasePage {
 
     const hostField = form.querySelector('[name="host"]');
     if (hostField) {
-      hostField.value = new URLSearchParams(window.location.search).get("host") || window.location.host;
+      hostField.value = new URLSearchParams(window.location.search).get("host") || app.state.profiles.displayHost();
     }
 
+    document.querySelector(".sso-login-btn")?.addEventListener("click", () => {
+      beginSsoLogin(app, { host: hostField?.value, errorBox, errorText });
+    });
+
     form.addEventListener("submit", async (e) => {
       e.preventDefault();
       const host = form.querySelector('[name="host"]').value;
@@ -86,37 +146,17 @@ export class AdminLoginPage extends BasePage {
         app.showLocationMessage?.("Checking privileges\u2026", 30000);
 
         // Step 2: check admin privileges (but allow any authenticated user)
-        let isAdmin = false;
-        try {
-          const userConfigUrl = `${result.baseUrl}/system/users/${encodeURIComponent(accountName)}/configuration`;
-          const userResp = await fetch(userConfigUrl, {
-            method: "GET",
-            headers: {
-              Accept: "application/json",
-              Authorization: `Bearer ${result.token}`,
-            },
-          });
-
-          if (userResp.ok) {
-            const userConfig = await userResp.json();
-            isAdmin = userConfig.administrator_of === "http://dydra.com"
-              || (Array.isArray(userConfig.administrator_of) && userConfig.administrator_of.includes("http://dydra.com"));
-          }
-        } catch (e) {
-          console.warn("Could not determine admin status:", e.message);
-        }
+        const isAdmin = await checkAdministrator(app, accountName, { host: result.baseUrl, token: result.token });
 
         // Store auth, admin status, and navigate
+        app.state.useProfile(result.baseUrl);
         app.state.authStore.setAuth(accountName, result.token, result.config, result.baseUrl);
         app.state.session.login(accountName);
         app.state.isAdmin = isAdmin;
-        // Navigate first, then show success message after page renders
-        const roleLabel = isAdmin ? "admin" : "user";
-        const successMessage = `Authenticated as ${accountName} (${roleLabel})`;
-        app.router.navigate("/");
-        setTimeout(() => {
-          app.showLocationMessage?.(successMessage, 3000);
-        }, 100);
+        if (form.querySelector('[name="remember"]')?.checked) {
+          await app.state.keepSignedIn();
+        }
+        showAdminLoginSuccess(app, accountName, isAdmin);
       } catch (error) {
         app.showLocationMessage?.(error.message || "Login failed.", 5000);
         if (errorBox && errorText) {
@@ -128,6 +168,30 @@ export class AdminLoginPage extends BasePage {
   }
 }
 
+// --- SSO callback ---
+
+export class AdminSsoCallbackPage extends AdminLoginPage {
+  async afterRender() {
+    const app = this.context?.app;
+    if (!app) return;
+    app.showLocationMessage?.("Completing single sign-on\u2026", 30000);
+    const result = await completeSsoLogin(app);
+    if (result.error) {
+      await super.afterRender();
+      app.showLocationMessage?.(result.error.message, 5000);
+      const errorBox = document.getElementById("login-error");
+      const errorText = document.getElementById("login-error-text");
+      if (errorBox && errorText) {
+        errorBox.style.display = "block";
+        errorText.textContent = result.error.message;
+      }
+      return;
+    }
+    app.showLocationMessage?.("Checking privileges\u2026", 30000);
+    app.state.isAdmin = await checkAdministrator(app, result.accountName, app.state.getAuthContext(result.accountName));
+    showAdminLoginSuccess(app, result.accountName, app.state.isAdmin, safeNextPath(result.returnTo));
+  }
+}
 // --- Dashboard with Tabs ---
 
 export class AdminDashboardPage extends BasePage {
@@ -249,21 +313,13 @@ export class AdminDashboardPage extends BasePage {
   async renderAccountsPane(auth) {
     if (!auth) return "<p>Not authenticated.</p>";
 
-    const url = `${auth.host}/system/accounts?_=${Date.now()}`;
-    const resp = await fetch(url, {
-      cache: "no-store",
-      headers: {
-        Accept: "application/json",
-        Authorization: `Bearer ${auth.token}`,
-        "Cache-Control": "no-cache",
-      },
-    });
-
-    if (!resp.ok) {
-      return `<p>Error loading accounts: ${resp.status}</p>`;
+    let data;
+    try {
+      data = await adminJson(this.state, `/system/accounts?_=${Date.now()}`, NO_CACHE);
+    } catch (error) {
+      return `<p>Error loading accounts: ${escapeHtml(error.message)}</p>`;
     }
-
-    const data = await resp.json();
+    data = data || [];
     // Handle array of objects with id field, array of strings, or object with keys
     const accounts = Array.isArray(data)
       ? data.map((item) => typeof item === "string" ? item : (item.id || item.name || item.friendlyId))
@@ -329,28 +385,24 @@ export class AdminDashboardPage extends BasePage {
 
     // Get repositories for each checked account
     const rows = [];
+    const failures = [];
     for (const accountName of checkedAccountsList) {
       try {
-        const reposUrl = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories?_=${Date.now()}`;
-        const reposResp = await fetch(reposUrl, {
-          cache: "no-store",
-          headers: {
-            Accept: "application/json",
-            Authorization: `Bearer ${auth.token}`,
-            "Cache-Control": "no-cache",
-          },
-        });
-        if (reposResp.ok) {
-          const reposData = await reposResp.json();
-          // Handle array of objects with id field, array of strings, or object with keys
-          const repoNames = Array.isArray(reposData)
-            ? reposData.map((item) => typeof item === "string" ? item : (item.id || item.name || item.friendlyId))
-            : Object.keys(reposData);
-          for (const repoName of repoNames) {
-            rows.push({ accountName, repoName });
-          }
+        const reposData = await adminJson(
+          this.state,
+          `/system/accounts/${encodeURIComponent(accountName)}/repositories?_=${Date.now()}`,
+          NO_CACHE
+        ) || [];
+        // Handle array of objects with id field, array of strings, or object with keys
+        const repoNames = Array.isArray(reposData)
+          ? reposData.map((item) => typeof item === "string" ? item : (item.id || item.name || item.friendlyId))
+          : Object.keys(reposData);
+        for (const repoName of repoNames) {
+          rows.push({ accountName, repoName });
         }
-      } catch (e) { /* skip */ }
+      } catch (error) {
+        failures.push({ accountName, error });
+      }
     }
 
     // Sort by account/repo path
@@ -371,6 +423,9 @@ export class AdminDashboardPage extends BasePage {
         </span>
         Repositories
       </h2>
+      ${failures.map(({ accountName, error }) => `
+        <p class="admin-load-error">Error loading repositories for ${escapeHtml(accountName)}: ${escapeHtml(error.message)}</p>
+      `).join("")}
       <div class="scrollable-list" style="max-height:400px;overflow-y:auto;border:1px solid #ccc;">
         <table class="admin" style="width:100%;">
           <thead style="position:sticky;top:0;background:#eee;z-index:1;">
@@ -403,7 +458,12 @@ export class AdminDashboardPage extends BasePage {
 
   async renderInvitationsPane() {
     const isAdmin = this.context?.app?.state?.isAdmin;
-    const invitations = await this.state.listInvitations();
+    let invitations;
+    try {
+      invitations = await this.state.listInvitations();
+    } catch (error) {
+      return `<h2>Invitations</h2><p>Error loading invitations: ${escapeHtml(error.message)}</p>`;
+    }
     return `
       <h2>
         ${isAdmin ? `<span class="action"><button type="button" class="admin-new-invite-btn" data-testid="admin-new-invite-btn" style="font-size:13px;padding:2px 8px;cursor:pointer;">New</button></span>` : ""}
@@ -854,27 +914,20 @@ export class AdminDashboardPage extends BasePage {
 
     // Fetch service_history for each selected repository
     const allEntries = [];
+    const failures = [];
     for (const { accountName, repoName } of reposToQuery) {
       try {
-        const url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repoName)}/service_history?_=${Date.now()}`;
-        const resp = await fetch(url, {
-          cache: "no-store",
-          headers: {
-            Accept: "application/json",
-            Authorization: `Bearer ${auth.token}`,
-            "Cache-Control": "no-cache",
-          },
-        });
-        if (resp.ok) {
-          const contentType = resp.headers.get("content-type");
-          if (contentType && contentType.includes("application/json")) {
-            const data = await resp.json();
-            if (Array.isArray(data)) {
-              allEntries.push(...data);
-            }
-          }
+        const data = await adminJson(
+          this.state,
+          `/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repoName)}/service_history?_=${Date.now()}`,
+          NO_CACHE
+        );
+        if (Array.isArray(data)) {
+          allEntries.push(...data);
         }
-      } catch (e) { /* skip */ }
+      } catch (error) {
+        failures.push({ accountName, repoName, error });
+      }
     }
 
     // Sort entries
@@ -905,6 +958,9 @@ export class AdminDashboardPage extends BasePage {
         </span>
         Query History
       </h2>
+      ${failures.map(({ accountName, repoName, error }) => `
+        <p class="admin-load-error">Error loading query history for ${escapeHtml(accountName)}/${escapeHtml(repoName)}: ${escapeHtml(error.message)}</p>
+      `).join("")}
       <div class="history-tabs-container">
         <div class="history-tabs-bar">
           <button type="button" class="history-tab active" data-history-tab="table" title="Table">
@@ -972,25 +1028,9 @@ export class AdminDashboardPage extends BasePage {
 
     let allEntries = [];
     try {
-      const url = `${auth.host}/system/service_history/transactions?_=${Date.now()}`;
-      const resp = await fetch(url, {
-        cache: "no-store",
-        headers: {
-          Accept: "application/json",
-          Authorization: `Bearer ${auth.token}`,
-          "Cache-Control": "no-cache",
-        },
-      });
-      if (resp.ok) {
-        const contentType = resp.headers.get("content-type");
-        if (contentType && contentType.includes("application/json")) {
-          const json = await resp.json();
-          // Response is paginated: { data: [...] }
-          allEntries = Array.isArray(json) ? json : (json.data || []);
-        }
-      } else {
-        return `<h2>Transaction History</h2><p>Error loading transactions: ${resp.status}</p>`;
-      }
+      const json = await adminJson(this.state, `/system/service_history/transactions?_=${Date.now()}`, NO_CACHE);
+      // Response is paginated: { data: [...] }
+      allEntries = Array.isArray(json) ? json : (json?.data || []);
     } catch (e) {
       return `<h2>Transaction History</h2><p>Error: ${escapeHtml(e.message)}</p>`;
     }
@@ -1067,24 +1107,8 @@ export class AdminDashboardPage extends BasePage {
     const { offset, limit } = this.importHistoryPaging;
     let allEntries = [];
     try {
-      const url = `${auth.host}/system/service_history/imports?offset=${offset}&limit=${limit}&_=${Date.now()}`;
-      const resp = await fetch(url, {
-        cache: "no-store",
-        headers: {
-          Accept: "application/json",
-          Authorization: `Bearer ${auth.token}`,
-          "Cache-Control": "no-cache",
-        },
-      });
-      if (resp.ok) {
-        const contentType = resp.headers.get("content-type");
-        if (contentType && contentType.includes("application/json")) {
-          const json = await resp.json();
-          allEntries = Array.isArray(json) ? json : (json.data || []);
-        }
-      } else {
-        return `<h2>Import History</h2><p>Error loading import history: ${resp.status}</p>`;
-      }
+      const json = await adminJson(this.state, `/system/service_history/imports?offset=${offset}&limit=${limit}&_=${Date.now()}`, NO_CACHE);
+      allEntries = Array.isArray(json) ? json : (json?.data || []);
     } catch (e) {
       return `<h2>Import History</h2><p>Error: ${escapeHtml(e.message)}</p>`;
     }
@@ -1280,30 +1304,22 @@ export class AdminDashboardPage extends BasePage {
           if (img) img.style.opacity = "0.3";
 
           try {
-            const resp = await fetch(`${auth.host}/system/accounts/${encodeURIComponent(accountName)}`, {
+            const resp = await adminRequest(this.state, `/system/accounts/${encodeURIComponent(accountName)}`, {
               method: "DELETE",
-              headers: {
-                Accept: "application/n-triples",
-                Authorization: `Bearer ${auth.token}`,
-              },
+              accept: "application/n-triples",
             });
-            if (resp.ok || resp.status === 200 || resp.status === 204) {
-              // Parse N-Triples response if available
-              const ntriples = await resp.text();
-              if (ntriples.trim()) {
-                this.showDeleteResultDialog(ntriples, () => {
-                  this.checkedAccounts.delete(accountName);
-                  btn.closest("tr")?.remove();
-                  this.refreshRepositoriesPane(auth);
-                });
-              } else {
+            // Parse N-Triples response if available
+            const ntriples = await resp.text();
+            if (ntriples.trim()) {
+              this.showDeleteResultDialog(ntriples, () => {
                 this.checkedAccounts.delete(accountName);
                 btn.closest("tr")?.remove();
                 this.refreshRepositoriesPane(auth);
-              }
+              });
             } else {
-              const errorText = await resp.text();
-              alert(`Failed to delete account (${resp.status}): ${errorText}`);
+              this.checkedAccounts.delete(accountName);
+              btn.closest("tr")?.remove();
+              this.refreshRepositoriesPane(auth);
             }
           } catch (error) {
             alert(`Error deleting account: ${error.message}`);
@@ -1384,26 +1400,18 @@ export class AdminDashboardPage extends BasePage {
           if (img) img.style.opacity = "0.3";
 
           try {
-            const resp = await fetch(`${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repoName)}`, {
+            const resp = await adminRequest(this.state, `/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repoName)}`, {
               method: "DELETE",
-              headers: {
-                Accept: "application/n-triples",
-                Authorization: `Bearer ${auth.token}`,
-              },
+              accept: "application/n-triples",
             });
-            if (resp.ok || resp.status === 200 || resp.status === 204) {
-              // Parse N-Triples response if available
-              const ntriples = await resp.text();
-              if (ntriples.trim()) {
-                this.showDeleteResultDialog(ntriples, () => {
-                  btn.closest("tr")?.remove();
-                });
-              } else {
+            // Parse N-Triples response if available
+            const ntriples = await resp.text();
+            if (ntriples.trim()) {
+              this.showDeleteResultDialog(ntriples, () => {
                 btn.closest("tr")?.remove();
-              }
+              });
             } else {
-              const errorText = await resp.text();
-              alert(`Failed to delete repository (${resp.status}): ${errorText}`);
+              btn.closest("tr")?.remove();
             }
           } catch (error) {
             alert(`Error deleting repository: ${error.message}`);
@@ -1454,24 +1462,14 @@ export class AdminDashboardPage extends BasePage {
             const signature = link.dataset.signature;
             const timestamp = link.dataset.timestamp;
             const repository = link.dataset.repository;
-            const currentAuth = getAuth(this.state);
-            if (!currentAuth) return;
+            if (!getAuth(this.state)) return;
             try {
-              const resp = await fetch(
-                `${currentAuth.host}/system/service_history/queries/${encodeURIComponent(account)}/${encodeURIComponent(signature)}`,
-                {
-                  headers: {
-                    Accept: "application/sparql-query",
-                    Authorization: `Bearer ${currentAuth.token}`,
-                  },
-                }
+              const queryText = await adminText(
+                this.state,
+                `/system/service_history/queries/${encodeURIComponent(account)}/${encodeURIComponent(signature)}`,
+                { accept: "application/sparql-query" }
               );
-              if (resp.ok) {
-                const queryText = await resp.text();
-                this.showQueryTextDialog(signature, queryText, timestamp, account, repository);
-              } else {
-                alert(`Failed to retrieve query (${resp.status})`);
-              }
+              this.showQueryTextDialog(signature, queryText, timestamp, account, repository);
             } catch (err) {
               alert(`Error: ${err.message}`);
             }
@@ -1487,24 +1485,14 @@ export class AdminDashboardPage extends BasePage {
             const timestamp = point.dataset.timestamp;
             const repository = point.dataset.repository;
             if (!account || !signature) return;
-            const currentAuth = getAuth(this.state);
-            if (!currentAuth) return;
+            if (!getAuth(this.state)) return;
             try {
-              const resp = await fetch(
-                `${currentAuth.host}/system/service_history/queries/${encodeURIComponent(account)}/${encodeURIComponent(signature)}`,
-                {
-                  headers: {
-                    Accept: "application/sparql-query",
-                    Authorization: `Bearer ${currentAuth.token}`,
-                  },
-                }
+              const queryText = await adminText(
+                this.state,
+                `/system/service_history/queries/${encodeURIComponent(account)}/${encodeURIComponent(signature)}`,
+                { accept: "application/sparql-query" }
               );
-              if (resp.ok) {
-                const queryText = await resp.text();
-                this.showQueryTextDialog(signature, queryText, timestamp, account, repository);
-              } else {
-                alert(`Failed to retrieve query (${resp.status})`);
-              }
+              this.showQueryTextDialog(signature, queryText, timestamp, account, repository);
             } catch (err) {
               alert(`Error: ${err.message}`);
             }
@@ -1668,19 +1656,8 @@ export class AdminDashboardPage extends BasePage {
             e.preventDefault();
             const email = link.dataset.email;
             try {
-              const resp = await fetch(`${auth.host}/invitations`, {
-                method: "POST",
-                headers: {
-                  "Content-Type": "application/json",
-                  Authorization: `Bearer ${auth.token}`,
-                },
-                body: JSON.stringify({ email }),
-              });
-              if (resp.ok) {
-                alert(`Invitation sent to ${email}`);
-              } else {
-                alert(`Failed to send invitation (${resp.status})`);
-              }
+              await adminRequest(this.state, "/invitations", { method: "POST", accept: "*/*", json: { email } });
+              alert(`Invitation sent to ${email}`);
             } catch (error) {
               alert(`Error: ${error.message}`);
             }
@@ -1693,17 +1670,8 @@ export class AdminDashboardPage extends BasePage {
             const email = link.dataset.email;
             if (!confirm(`Delete invitation for ${email}?`)) return;
             try {
-              const resp = await fetch(`${auth.host}/invitations/${encodeURIComponent(email)}`, {
-                method: "DELETE",
-                headers: {
-                  Authorization: `Bearer ${auth.token}`,
-                },
-              });
-              if (resp.ok) {
-                link.closest("tr")?.remove();
-              } else {
-                alert(`Failed to delete invitation (${resp.status})`);
-              }
+              await adminRequest(this.state, `/invitations/${encodeURIComponent(email)}`, { method: "DELETE", accept: "*/*" });
+              link.closest("tr")?.remove();
             } catch (error) {
               alert(`Error: ${error.message}`);
             }
@@ -1830,34 +1798,21 @@ export class AdminDashboardPage extends BasePage {
       if (!name) return;
       close();
       try {
-        const url = `${auth.host}/system/accounts`;
-        const resp = await fetch(url, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${auth.token}`,
-          },
-          body: JSON.stringify({ name }),
-        });
-        if (resp.ok || resp.status === 201) {
-          // Add new account to checked set
-          this.checkedAccounts.add(name);
-          // Clear loaded state so pane will refresh
-          const accountsPane = document.getElementById("admin-accounts");
-          if (accountsPane) {
-            accountsPane.dataset.loaded = "false";
-          }
-          // Reload the accounts pane directly
-          await this.loadPaneContent("admin-accounts", auth);
-          // Also refresh repositories if loaded
-          const reposPane = document.getElementById("admin-repositories");
-          if (reposPane && reposPane.dataset.loaded === "true") {
-            reposPane.dataset.loaded = "false";
-            await this.loadPaneContent("admin-repositories", auth);
-          }
-        } else {
-          const errorText = await resp.text();
-          alert(`Failed to create account (${resp.status}): ${errorText}`);
+        await adminRequest(this.state, "/system/accounts", { method: "POST", accept: "*/*", json: { name } });
+        // Add new account to checked set
+        this.checkedAccounts.add(name);
+        // Clear loaded state so pane will refresh
+        const accountsPane = document.getElementById("admin-accounts");
+        if (accountsPane) {
+          accountsPane.dataset.loaded = "false";
+        }
+        // Reload the accounts pane directly
+        await this.loadPaneContent("admin-accounts", auth);
+        // Also refresh repositories if loaded
+        const reposPane = document.getElementById("admin-repositories");
+        if (reposPane && reposPane.dataset.loaded === "true") {
+          reposPane.dataset.loaded = "false";
+          await this.loadPaneContent("admin-repositories", auth);
         }
       } catch (error) {
         alert(`Failed to create account: ${error.message}`);
@@ -1875,19 +1830,8 @@ export class AdminDashboardPage extends BasePage {
     // First, fetch list of accounts for the dropdown
     let accounts = [];
     try {
-      const url = `${auth.host}/system/accounts?_=${Date.now()}`;
-      const resp = await fetch(url, {
-        cache: "no-store",
-        headers: {
-          Accept: "application/json",
-          Authorization: `Bearer ${auth.token}`,
-          "Cache-Control": "no-cache",
-        },
-      });
-      if (resp.ok) {
-        const data = await resp.json();
-        accounts = Array.isArray(data) ? data : Object.keys(data).map((k) => ({ name: k }));
-      }
+      const data = await adminJson(this.state, `/system/accounts?_=${Date.now()}`, NO_CACHE) || [];
+      accounts = Array.isArray(data) ? data : Object.keys(data).map((k) => ({ name: k }));
     } catch (e) {
       alert(`Error loading accounts: ${e.message}`);
       return;
@@ -1936,27 +1880,18 @@ export class AdminDashboardPage extends BasePage {
       if (!accountName || !repoName) return;
       close();
       try {
-        const url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories`;
-        const resp = await fetch(url, {
+        await adminRequest(this.state, `/system/accounts/${encodeURIComponent(accountName)}/repositories`, {
           method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${auth.token}`,
-          },
-          body: JSON.stringify({ name: repoName }),
+          accept: "*/*",
+          json: { name: repoName },
         });
-        if (resp.ok || resp.status === 201) {
-          // Clear loaded state so pane will refresh
-          const reposPane = document.getElementById("admin-repositories");
-          if (reposPane) {
-            reposPane.dataset.loaded = "false";
-          }
-          // Reload the repositories pane directly
-          await this.loadPaneContent("admin-repositories", auth);
-        } else {
-          const errorText = await resp.text();
-          alert(`Failed to create repository (${resp.status}): ${errorText}`);
+        // Clear loaded state so pane will refresh
+        const reposPane = document.getElementById("admin-repositories");
+        if (reposPane) {
+          reposPane.dataset.loaded = "false";
         }
+        // Reload the repositories pane directly
+        await this.loadPaneContent("admin-repositories", auth);
       } catch (error) {
         alert(`Failed to create repository: ${error.message}`);
       }
@@ -2002,27 +1937,15 @@ export class AdminDashboardPage extends BasePage {
       if (!email) return;
       close();
       try {
-        const resp = await fetch(`${auth.host}/invitations`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${auth.token}`,
-          },
-          body: JSON.stringify({ email }),
-        });
-        if (resp.ok) {
-          alert(`Invitation sent to ${email}`);
-          // Clear loaded state so pane will refresh
-          const invitationsPane = document.getElementById("admin-invitations");
-          if (invitationsPane) {
-            invitationsPane.dataset.loaded = "false";
-          }
-          // Reload the invitations pane directly
-          await this.loadPaneContent("admin-invitations", auth);
-        } else {
-          const errorText = await resp.text();
-          alert(`Failed to send invitation (${resp.status}): ${errorText}`);
+        await adminRequest(this.state, "/invitations", { method: "POST", accept: "*/*", json: { email } });
+        alert(`Invitation sent to ${email}`);
+        // Clear loaded state so pane will refresh
+        const invitationsPane = document.getElementById("admin-invitations");
+        if (invitationsPane) {
+          invitationsPane.dataset.loaded = "false";
         }
+        // Reload the invitations pane directly
+        await this.loadPaneContent("admin-invitations", auth);
       } catch (error) {
         alert(`Error: ${error.message}`);
       }
@@ -2038,17 +1961,11 @@ export class AdminDashboardPage extends BasePage {
   async showAccountDetails(accountName, auth) {
     let config = {};
     try {
-      const url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/configuration?_=${Date.now()}`;
-      const resp = await fetch(url, {
-        cache: "no-store",
-        headers: {
-          Accept: "application/json",
-          Authorization: `Bearer ${auth.token}`,
-          "Cache-Control": "no-cache",
-        },
-      });
-      if (resp.ok) config = await resp.json();
-    } catch (e) { /* ignore */ }
+      config = await adminJson(this.state, `/system/accounts/${encodeURIComponent(accountName)}/configuration?_=${Date.now()}`, NO_CACHE) || {};
+    } catch (e) {
+      alert(`Error loading account ${accountName}: ${e.message}`);
+      return;
+    }
 
     const fields = Object.entries(config).filter(([k]) => k !== "accessToken");
 
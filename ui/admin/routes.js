@@ -1,5 +1,6 @@
 import {
   AdminLoginPage,
+  AdminSsoCallbackPage,
   AdminDashboardPage,
   ManageAccountsPage,
   ManageAccountPage,
@@ -14,19 +15,16 @@ export const buildAdminRoutes = ({ app }) => [
   { path: "/login", handler: (ctx) => {
     app.renderPage(new AdminLoginPage({ ...ctx, state: app.state }));
   }},
-  { path: "/", handler: (ctx) => {
-    if (!app.state.session?.isLoggedIn()) {
-      app.router.navigate("/login", { replace: true });
-      return;
-    }
-    app.renderPage(new AdminDashboardPage({ ...ctx, state: app.state }));
+  { path: "/oauth/callback", handler: (ctx) => {
+    app.renderPage(new AdminSsoCallbackPage({ ...ctx, state: app.state }));
   }},
-  { path: "/manage/accounts", handler: (ctx) => app.renderPage(new ManageAccountsPage({ ...ctx, state: app.state })) },
-  { path: "/manage/accounts/:account_name", handler: (ctx) => app.renderPage(new ManageAccountPage({ ...ctx, state: app.state })) },
-  { path: "/manage/repositories", handler: (ctx) => app.renderPage(new ManageRepositoriesPage({ ...ctx, state: app.state })) },
-  { path: "/invitations", handler: (ctx) => app.renderPage(new AdminInvitationsPage({ ...ctx, state: app.state })) },
-  { path: "/invite", handler: (ctx) => app.renderPage(new AdminInviteNewPage({ ...ctx, state: app.state })) },
-  { path: "/history/queries", handler: (ctx) => app.renderPage(new QueryHistoryPage({ ...ctx, state: app.state })) },
-  { path: "/history/transactions", handler: (ctx) => app.renderPage(new TransactionHistoryPage({ ...ctx, state: app.state })) },
+  { path: "/", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new AdminDashboardPage({ ...ctx, state: app.state })) },
+  { path: "/manage/accounts", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new ManageAccountsPage({ ...ctx, state: app.state })) },
+  { path: "/manage/accounts/:account_name", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new ManageAccountPage({ ...ctx, state: app.state })) },
+  { path: "/manage/repositories", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new ManageRepositoriesPage({ ...ctx, state: app.state })) },
+  { path: "/invitations", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new AdminInvitationsPage({ ...ctx, state: app.state })) },
+  { path: "/invite", meta: { requiresAuth: true, requiresAdmin: true }, handler: (ctx) => app.renderPage(new AdminInviteNewPage({ ...ctx, state: app.state })) },
+  { path: "/history/queries", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new QueryHistoryPage({ ...ctx, state: app.state })) },
+  { path: "/history/transactions", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new TransactionHistoryPage({ ...ctx, state: app.state })) },
   { path: "/logout", handler: () => app.handleLogout() },
 ];
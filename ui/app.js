@@ -1,6 +1,10 @@
 import { LayoutView } from "./components/layout.js";
-import { NotFoundPage } from "./pages/index.js";
+import { AsyncJobsView } from "./components/async_jobs.js";
+import { openReauthenticationDialog } from "./components/login.js";
+import { NotFoundPage, confirmUnsavedChanges, openSaveReport, saveAllPanes, switchProfile, switchWorkspace } from "./pages/index.js";
 import { APP_CONFIG } from "../lib/config.js";
+import { DEFAULT_WORKSPACE } from "../lib/workspace_store.js";
+import { escapeHtml, watchPersistentSession } from "./utils.js";
 
 export class App {
   constructor({ state, router = null }) {
@@ -8,8 +12,43 @@ export class App {
     this.router = router;
     this.layout = new LayoutView();
     this.root = document.getElementById("app");
+    // Expired tokens are renewed in place and the failed requests replayed.
+    this.state.http.onUnauthorized = (context) => openReauthenticationDialog(this, context);
+    watchPersistentSession(this);
     // Map to store editor API instances by pane ID
     this.editorInstances = new Map();
+    // Asynchronous queries are listed under the tabs bar, whichever pane ran them.
+    this.asyncJobsView = new AsyncJobsView();
+    this.state.asyncJobs.subscribe(() => this.updateAsyncJobs());
+    // Remember the active tab for the saved workspace, however the tab was chosen.
+    this.root?.addEventListener("click", (event) => {
+      const link = event.target.closest("[data-tab-link]");
+      if (link && !event.target.closest("[data-tab-action]")) {
+        this.state.setActiveTab(link.getAttribute("href"));
+      }
+      if (event.target.closest('[data-action="save-all"]')) {
+        this.saveAll();
+      }
+      if (event.target.closest('[data-action="async-jobs"]')) {
+        this.toggleAsyncJobs();
+      }
+      const jobAction = event.target.closest("[data-job-action]");
+      if (jobAction) {
+        this.handleAsyncJobAction(jobAction.dataset.jobAction, jobAction.dataset.jobId);
+      }
+    });
+    // The browser offers only its own prompt when the page itself is closed or reloaded.
+    window.addEventListener("beforeunload", (event) => {
+      if (!this.state.unsavedChanges.hasPending()) return;
+      event.preventDefault();
+      event.returnValue = "";
+    });
+  }
+
+  // Ask about unsaved changes (in the pane `scope`, or anywhere) before `action`;
+  // answers true when it is fine to go ahead.
+  confirmUnsavedChanges({ scope = null, action } = {}) {
+    return confirmUnsavedChanges(this, { scope, action });
   }
 
   setRouter(router) {
@@ -25,18 +64,32 @@ export class App {
     const isLoggedIn = this.state.session?.isLoggedIn();
     // Check if we're on the login page by checking current path or window location
     const currentPath = this.router?.currentPath || this.router?.getCurrentPath?.() || window.location.pathname;
-    const normalizedPath = currentPath.replace(/\/index\.html$/, "").replace(basePath, "") || "/";
+    const normalizedPath = currentPath.split(/[?#]/)[0].replace(/\/index\.html$/, "").replace(basePath, "") || "/";
     const isLoginPage = normalizedPath === "/login" || normalizedPath.endsWith("/login");
     
+    const profiles = this.state.listProfiles();
+    const activeHost = this.state.activeProfile().host;
+    const profileSwitcher = profiles.length > 1
+      ? `<select class="profile-switcher" data-action="switch-profile" data-testid="profile-switcher" title="Dydra instance">${profiles.map((profile) => `<option value="${escapeHtml(profile.host)}"${profile.host === activeHost ? " selected" : ""}>${escapeHtml(profile.name)}</option>`).join("")}</select>`
+      : "";
+    // The session account's named workspaces, with entries to keep the open panes under
+    // a new name and to delete the current one.
+    const workspaceName = this.state.workspaceName;
+    const workspaceNames = [...new Set([...this.state.listWorkspaces(), workspaceName])].sort();
+    const workspaceSwitcher = `<select class="workspace-switcher" data-action="switch-workspace" data-testid="workspace-switcher" title="Workspace">${workspaceNames.map((name) => `<option value="${escapeHtml(name)}"${name === workspaceName ? " selected" : ""}>${escapeHtml(name)}</option>`).join("")}<option value="" data-workspace-action="save-as">Save as\u2026</option>${workspaceName !== DEFAULT_WORKSPACE ? `<option value="" data-workspace-action="delete">Delete ${escapeHtml(workspaceName)}</option>` : ""}</select>`;
+
     return {
       global: [
+        ...(profileSwitcher ? [profileSwitcher] : []),
         //`<a href="http://${baseHost}/" class="dydra-link-home">Home</a>`,
         `<a href="https://dydra.com/about" class="dydra-link-about" data-external target="_blank">About</a>`,
         `<a href="http://${docsHost}/" class="dydra-link-docs" target="_blank">Docs</a>`,
         `<a href="http://${blogHost}/" class="dydra-link-blog" target="_blank">Blog</a>`,
       ],
       loggedIn: [
+        workspaceSwitcher,
         `<a href="#" class="dydra-link-logout" data-action="logout" data-testid="logout-link">Logout</a>`,
+        `<a href="#" class="dydra-link-logout-device" data-action="logout-device" data-testid="logout-device-link" title="Also forget the saved session on this device">Sign out everywhere on this device</a>`,
         `<a href="${basePath}/admin" class="dydra-link-admin" data-external target="_blank">Admin</a>`,
       ],
       loggedOut: [
@@ -79,8 +132,11 @@ export class App {
       this.initializeLocationBar();
       this.initializePaneNav();
       this.initializeLogoutButton();
+      this.initializeProfileSwitcher();
+      this.initializeWorkspaceSwitcher();
       console.log("[App] Calling page.afterRender()");
       await page.afterRender();
+      this.updateAsyncJobs();
       console.log("[App] Page initialization complete");
     } catch (error) {
       console.error("[App] Error in renderPage:", error);
@@ -133,6 +189,7 @@ export class App {
     // Update active link
     allLinks.forEach((l) => l.classList.remove("active"));
     link.classList.add("active");
+    this.state.setActiveTab(tabSelector);
 
     // Update body class
     const bodyClass = link.getAttribute("data-body-class");
@@ -167,11 +224,19 @@ export class App {
     this.router.navigate(`${basePath}/account/${current.friendlyId}`, { replace: true });
   }
 
-  handleLogout() {
+  // `force` skips the unsaved-changes prompt, for a session which has already ended.
+  async handleLogout({ force = false } = {}) {
     console.log("[Logout] handleLogout() called");
+    if (!force && !(await this.confirmUnsavedChanges({ action: "log out" }))) {
+      console.log("[Logout] Cancelled, unsaved changes kept");
+      return;
+    }
     
     // Store account name before clearing state (to preserve it for login form pre-fill)
     const accountName = this.state.session?.accountName;
+
+    // Save the workspace before its panes are closed, so the next login restores them
+    this.state.endWorkspace();
     
     // Close all view panes first (they depend on repositories)
     const openViews = this.state.listOpenViews();
@@ -246,6 +311,8 @@ export class App {
     // Clear authentication tokens for all accounts
     console.log("[Logout] Clearing auth store");
     this.state.authStore.clear();
+    this.state.hostPanes.clear();
+    this.state.asyncJobs.close();
     
     // Clear session state (this preserves accountName for login form pre-fill)
     console.log("[Logout] Clearing session");
@@ -275,6 +342,8 @@ export class App {
     ].map((link) => `<li>${link}</li>`).join('');
 
     nav.innerHTML = linksHtml;
+    this.initializeProfileSwitcher();
+    this.initializeWorkspaceSwitcher();
 
     // Re-initialize logout button handler if logged in
     if (isLoggedIn) {
@@ -289,7 +358,7 @@ export class App {
     const input = bar.querySelector("#location-input");
     if (!display || !input) return;
 
-    const currentPath = this.router?.currentPath || this.router?.getCurrentPath?.() || "/";
+    const currentPath = this.router?.currentFullPath || this.router?.getCurrentPath?.() || "/";
     display.textContent = currentPath;
     input.value = currentPath;
     input.style.display = "none";
@@ -381,6 +450,34 @@ export class App {
     });
   }
 
+  initializeProfileSwitcher() {
+    const select = this.root.querySelector('[data-action="switch-profile"]');
+    if (!select || select.dataset.profileHandlerAttached === "true") return;
+    select.dataset.profileHandlerAttached = "true";
+    select.addEventListener("change", () => switchProfile(this, select.value));
+  }
+
+  initializeWorkspaceSwitcher() {
+    const select = this.root.querySelector('[data-action="switch-workspace"]');
+    if (!select || select.dataset.workspaceHandlerAttached === "true") return;
+    select.dataset.workspaceHandlerAttached = "true";
+    select.addEventListener("change", async () => {
+      const action = select.selectedOptions[0]?.dataset.workspaceAction;
+      if (action === "save-as") {
+        const name = window.prompt("Save the open panes as the workspace named:")?.trim();
+        if (name) this.state.saveWorkspaceAs(name);
+      } else if (action === "delete") {
+        const name = this.state.workspaceName;
+        if (confirm(`Delete the workspace "${name}"? The open panes are kept in the "${DEFAULT_WORKSPACE}" workspace.`)) {
+          this.state.deleteWorkspace(name);
+        }
+      } else {
+        await switchWorkspace(this, select.value);
+      }
+      this.updateHeaderLinks();
+    });
+  }
+
   initializeLogoutButton() {
     console.log("[Logout] initializeLogoutButton called");
     const logoutButton = this.root.querySelector('[data-action="logout"]');
@@ -416,6 +513,20 @@ export class App {
     } else {
       console.warn("[Logout] Logout button not found!");
     }
+    const deviceButton = this.root.querySelector('[data-action="logout-device"]');
+    if (deviceButton && deviceButton.dataset.logoutHandlerAttached !== "true") {
+      deviceButton.dataset.logoutHandlerAttached = "true";
+      deviceButton.addEventListener("click", async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+        // Ask about unsaved changes before the saved session is destroyed, so that
+        // cancelling leaves the device signed in.
+        if (!(await this.confirmUnsavedChanges({ action: "log out" }))) return;
+        await this.state.signOutDevice();
+        await this.handleLogout({ force: true });
+      }, true);
+    }
   }
 
   initializeTabs() {
@@ -747,8 +858,10 @@ export class App {
       });
   }
 
-  closePane({ tabType, tabId, accountName, repositoryName, viewName, nextTabHref }) {
+  async closePane({ tabType, tabId, accountName, repositoryName, viewName, nextTabHref }) {
     if (!this.state) return;
+    if (!(await this.confirmUnsavedChanges({ scope: tabId, action: "close this tab" }))) return;
+    this.state.editHistory.clear(tabId);
     
     let paneId;
     if (tabType === "account" && accountName) {
@@ -858,11 +971,83 @@ export class App {
   }
 
   async savePane({ tabType, tabId, accountName, repositoryName }) {
-    if (window.saveAccountPane && tabType === "account") {
-      await window.saveAccountPane(accountName);
+    try {
+      let result = null;
+      if (window.saveAccountPane && tabType === "account") {
+        result = await window.saveAccountPane(accountName);
+      }
+      if (window.saveRepositoryPane && tabType === "repository") {
+        result = await window.saveRepositoryPane(accountName, repositoryName);
+      }
+      if (result?.changedElsewhere) {
+        this.showLocationMessage("Saved, together with changes made by someone else", 5000);
+      }
+    } catch (error) {
+      console.error("[App] Save failed:", error);
+      this.showLocationMessage(`Save failed: ${error.message}`, 5000);
     }
-    if (window.saveRepositoryPane && tabType === "repository") {
-      await window.saveRepositoryPane(accountName, repositoryName);
+  }
+
+  // The jobs button shows once there are asynchronous queries, with the number still
+  // running; an open popover is redrawn as they change.
+  updateAsyncJobs() {
+    const button = this.root?.querySelector('[data-action="async-jobs"]');
+    if (!button) return;
+    const jobs = this.state.asyncJobs.list();
+    const running = this.state.asyncJobs.pendingCount();
+    button.hidden = jobs.length === 0;
+    button.textContent = running ? `Jobs (${running})` : "Jobs";
+    button.classList.toggle("running", running > 0);
+    const popover = button.parentElement.querySelector(".async-jobs-popover");
+    if (popover && jobs.length) {
+      popover.outerHTML = this.asyncJobsView.render(jobs);
+    } else if (popover) {
+      popover.remove();
+      button.setAttribute("aria-expanded", "false");
+    }
+  }
+
+  toggleAsyncJobs() {
+    const button = this.root?.querySelector('[data-action="async-jobs"]');
+    if (!button) return;
+    const popover = button.parentElement.querySelector(".async-jobs-popover");
+    if (popover) {
+      popover.remove();
+    } else {
+      button.insertAdjacentHTML("afterend", this.asyncJobsView.render(this.state.asyncJobs.list()));
+    }
+    button.setAttribute("aria-expanded", popover ? "false" : "true");
+  }
+
+  async handleAsyncJobAction(action, id) {
+    const jobs = this.state.asyncJobs;
+    if (action === "cancel") {
+      try {
+        await jobs.cancel(id);
+      } catch (error) {
+        this.showLocationMessage(`Could not cancel the job: ${error.message}`, 5000);
+      }
+    } else if (action === "open") {
+      // Only the editor which ran the query shows the result, as any other result of its own;
+      // the store's response is never opened as a page of the Studio's origin.
+      if (!jobs.reopen(id)) {
+        this.showLocationMessage("Open the view which ran the query to see its result", 5000);
+      }
+    } else if (action === "remove") {
+      jobs.remove(id);
+    } else if (action === "clear") {
+      jobs.clearFinished();
+    }
+  }
+
+  // Save every open account and repository pane with changes, then report on each.
+  async saveAll() {
+    const report = await saveAllPanes(this);
+    if (!report.results.length) {
+      this.showLocationMessage("Nothing to save", 3000);
+    } else {
+      openSaveReport(this, report);
     }
+    return report;
   }
 }
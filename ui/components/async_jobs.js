@@ -0,0 +1,47 @@
+import { escapeHtml } from "../utils.js";
+
+// The asynchronous query jobs (AppState#asyncJobs) as a popover under the tabs bar,
+// newest first: what each job is, how long it has run or took, and what can be done
+// with it - cancel it while it runs, open its result once complete, or remove it.
+const STATUS_LABELS = {
+  pending: "Running",
+  complete: "Complete",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+const formatDuration = (milliseconds) => {
+  const seconds = Math.max(0, Math.round(milliseconds / 1000));
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+export class AsyncJobsView {
+  render(jobs = [], { now = Date.now() } = {}) {
+    const items = jobs.map((job) => {
+      const duration = formatDuration((job.finishedAt || now) - job.submittedAt);
+      const actions = [
+        job.status === "pending" ? `<button type="button" data-job-action="cancel" data-job-id="${escapeHtml(job.id)}" data-testid="async-job-cancel">Cancel</button>` : "",
+        job.status === "complete" ? `<button type="button" data-job-action="open" data-job-id="${escapeHtml(job.id)}" data-testid="async-job-open">Open result</button>` : "",
+        job.status !== "pending" ? `<button type="button" data-job-action="remove" data-job-id="${escapeHtml(job.id)}" data-testid="async-job-remove">Remove</button>` : "",
+      ].join("");
+      return `
+        <li class="async-job ${escapeHtml(job.status)}" data-testid="async-job" data-status="${escapeHtml(job.status)}" data-job-id="${escapeHtml(job.id)}">
+          <span class="async-job-label" title="${escapeHtml(job.location)}">${escapeHtml(job.label)}</span>
+          <span class="async-job-status">${escapeHtml(STATUS_LABELS[job.status] || job.status)} · ${escapeHtml(duration)}</span>
+          ${job.error ? `<span class="async-job-error">${escapeHtml(job.error)}</span>` : ""}
+          <span class="async-job-actions">${actions}</span>
+        </li>
+      `;
+    });
+    return `
+      <div class="async-jobs-popover" data-testid="async-jobs-popover" role="dialog" aria-label="Asynchronous query jobs">
+        ${items.length
+          ? `<ol class="async-jobs-list">${items.join("")}</ol>`
+          : '<p class="async-jobs-empty">No asynchronous queries.</p>'}
+        <div class="async-jobs-actions">
+          <button type="button" data-job-action="clear" data-testid="async-jobs-clear" ${jobs.some((job) => job.status !== "pending") ? "" : "disabled"}>Clear finished</button>
+        </div>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,31 @@
+import { escapeHtml } from "../utils.js";
+
+// The replication connection of a GraphDatabase as a small badge: live, connecting,
+// reconnecting (with the wait before the next attempt) or offline.
+const LABELS = {
+  open: "Live",
+  connecting: "Connecting…",
+  reconnecting: "Reconnecting…",
+  failed: "Offline",
+  closed: "Offline",
+};
+
+export class ConnectionStatusView {
+  render(state = "closed", detail = {}) {
+    const label = state === "reconnecting" && detail.delay
+      ? `Reconnecting in ${Math.ceil(detail.delay / 1000)}s`
+      : LABELS[state] || state;
+    const title = detail.error ? "The connection to the store was lost" : label;
+    return `<span class="connection-status connection-${escapeHtml(state)}" data-testid="connection-status" data-state="${escapeHtml(state)}" title="${escapeHtml(title)}">${escapeHtml(label)}</span>`;
+  }
+
+  // Keep `element` showing the database's state; answers a function which stops.
+  watch(element, database) {
+    const update = (state, detail = {}) => {
+      if (!element.isConnected) return;
+      element.innerHTML = this.render(state, detail);
+    };
+    update(database.connectionState);
+    return database.onConnectionStateChange(update);
+  }
+}
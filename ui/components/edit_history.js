@@ -0,0 +1,60 @@
+import { escapeHtml } from "../utils.js";
+
+// A pane's edit history as a small popover: undo and redo buttons over the list of
+// steps, oldest first, each with the fields it changed. Undone steps stay listed,
+// greyed, until a new change replaces them.
+const SECRET_FIELD = /password/i;
+const MAX_VALUE_LENGTH = 40;
+
+export const formatHistoryValue = (name, value) => {
+  if (SECRET_FIELD.test(name)) return value ? "••••••" : "(empty)";
+  let text;
+  if (Array.isArray(value)) {
+    text = value.map((item) => (item && typeof item === "object" ? JSON.stringify(item) : String(item))).join(", ");
+  } else if (value && typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = value === null || value === undefined ? "" : String(value);
+  }
+  if (!text) return "(empty)";
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+};
+
+const formatHistoryTime = (time) => new Date(time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+export class EditHistoryView {
+  /**
+   * `entries` is EditHistory#entries for the pane. `labelFor(name, step)` names a field
+   * and `format(name, value, step)` shows a value; both default to the plain field.
+   */
+  render({ done = [], undone = [] } = {}, { labelFor = (name) => name, format = formatHistoryValue } = {}) {
+    const renderStep = (step, state) => {
+      const changes = Object.entries(step.deltas).map(([name, [value, old]]) => `
+        <li class="edit-history-change" data-field="${escapeHtml(name)}">
+          <span class="edit-history-field">${escapeHtml(labelFor(name, step))}</span>
+          <span class="edit-history-value old">${escapeHtml(format(name, old, step))}</span>
+          <span class="edit-history-arrow" aria-hidden="true">→</span>
+          <span class="edit-history-value new">${escapeHtml(format(name, value, step))}</span>
+        </li>
+      `).join("");
+      return `
+        <li class="edit-history-entry ${state}" data-testid="edit-history-entry" data-state="${state}">
+          <time class="edit-history-time">${escapeHtml(formatHistoryTime(step.time))}</time>
+          <ul class="edit-history-changes">${changes}</ul>
+        </li>
+      `;
+    };
+    const items = [...done.map((step) => renderStep(step, "done")), ...undone.map((step) => renderStep(step, "undone"))];
+    return `
+      <div class="edit-history-popover" data-testid="edit-history-popover" role="dialog" aria-label="Edit history">
+        <div class="edit-history-actions">
+          <button type="button" data-history-action="undo" data-testid="edit-history-undo" title="Undo (Ctrl+Z)" ${done.length ? "" : "disabled"}>Undo</button>
+          <button type="button" data-history-action="redo" data-testid="edit-history-redo" title="Redo (Ctrl+Shift+Z)" ${undone.length ? "" : "disabled"}>Redo</button>
+        </div>
+        ${items.length
+          ? `<ol class="edit-history-list">${items.join("")}</ol>`
+          : '<p class="edit-history-empty">No changes since the last save.</p>'}
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,160 @@
+// The login form, shown in the login pane and in the dialog which asks for new
+// credentials once a session has expired, and single sign-on through the form's SSO
+// button. Kept apart from the Studio's pages so that the Admin app can use them without
+// loading the pages.
+
+import { escapeHtml, loginRedirectTarget } from "../utils.js";
+import { APP_CONFIG } from "../../lib/config.js";
+import { authenticateAccount, normalizeHost } from "../../lib/auth.js";
+import { finishSsoLogin, isSsoConfigured, startSsoLogin } from "../../lib/oidc.js";
+
+const BASE_PATH = APP_CONFIG.basePath || "";
+
+export const buildLoginContent = (state = null) => {
+  // Get last username from localStorage if available
+  let lastUsername = "";
+  if (state) {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem("dydra.session"));
+      lastUsername = stored?.accountName || "";
+    } catch (error) {
+      // Ignore errors
+    }
+  }
+  
+  return `
+  <div id="login-error" class="widget" style="display:none;">
+    <div class="alert-error rounded">
+      <p class="message">
+        <span class="icon icon-alert"></span>
+        <span id="login-error-text"></span>
+      </p>
+    </div>
+  </div>
+  <form id="inline-login-form" class="formtastic" onsubmit="return false;" data-testid="login-form">
+    <fieldset class="inputs">
+      <ol>
+        <li class="string optional"><label>Host</label><input type="text" name="host" placeholder="dydra.com" data-testid="login-host-input" /></li>
+        <li class="string optional"><label>Username</label><input type="text" name="login" value="${escapeHtml(lastUsername)}" data-testid="login-username-input" /></li>
+        <li class="password optional"><label>Password or Token</label><input type="password" name="password" data-testid="login-password-input" /></li>
+        <li class="boolean optional remember-me"><label><input type="checkbox" name="remember" data-testid="login-remember-checkbox" /> Keep me signed in on this device</label></li>
+      </ol>
+    </fieldset>
+    <fieldset class="buttons">
+      <ol>
+        <li class="commit"><input type="submit" value="Log in" data-testid="login-submit" /></li>
+      </ol>
+    </fieldset>
+  </form>
+  ${isSsoConfigured(APP_CONFIG.sso) ? `
+  <p class="sso-login"><button type="button" class="sso-login-btn" data-testid="login-sso-btn">Sign in with SSO</button></p>` : ""}
+  <div id="login-status" class="small text-muted" data-testid="login-status"></div>
+  <p class="password-recovery-link"><a href="${BASE_PATH}/reset_password.html" data-testid="login-forgot-password-link">Forgot your password?</a></p>
+  <p class="invite-request-link"><a href="${BASE_PATH}/invite" data-testid="login-invite-link">Request an invitation</a></p>
+`;
+};
+
+// Prompt for new credentials after a request for accountName answered 401. The dialog
+// sits over the current panes, so open tabs and unsaved tracker edits stay as they are.
+// Resolves true once AuthStore holds a fresh token for the account.
+export const openReauthenticationDialog = (app, { accountName }) => new Promise((resolve) => {
+  const auth = app.state.getAuthContext(accountName);
+  const overlay = document.createElement("div");
+  overlay.className = "reauthentication-overlay";
+  overlay.dataset.testid = "reauth-dialog";
+  overlay.style.cssText = "position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.5);display:flex;align-items:center;justify-content:center;z-index:10001;";
+  const dialog = document.createElement("div");
+  dialog.style.cssText = "background:#fff;border-radius:6px;padding:20px;min-width:340px;max-width:420px;";
+  dialog.innerHTML = `
+    <h3 style="margin:0 0 8px 0;">Session expired</h3>
+    <p style="margin:0 0 12px 0;">Log in again as <strong>${escapeHtml(accountName || "")}</strong> to continue. Open panes and unsaved changes are kept.</p>
+    ${buildLoginContent(app.state)}
+    <div style="margin-top:12px;text-align:right;">
+      <button type="button" class="reauth-cancel" data-testid="reauth-cancel-btn" style="padding:6px 12px;cursor:pointer;">Cancel</button>
+    </div>
+  `;
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  // buildLoginContent uses fixed ids, so look elements up within the dialog only.
+  // Leaving for the SSO issuer would drop the state this dialog is meant to keep,
+  // and a saved session is re-sealed with the new token anyway.
+  dialog.querySelector(".sso-login")?.remove();
+  dialog.querySelector(".remember-me")?.remove();
+  const form = dialog.querySelector("#inline-login-form");
+  const errorBox = dialog.querySelector("#login-error");
+  const errorText = dialog.querySelector("#login-error-text");
+  const hostField = form.querySelector('[name="host"]');
+  const loginField = form.querySelector('[name="login"]');
+  const passwordField = form.querySelector('[name="password"]');
+  hostField.value = auth?.host || window.location.host;
+  loginField.value = accountName || "";
+  loginField.readOnly = true;
+  passwordField.focus();
+
+  const finish = (result) => {
+    overlay.remove();
+    resolve(result);
+  };
+  dialog.querySelector(".reauth-cancel").addEventListener("click", () => finish(false));
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    errorBox.style.display = "none";
+    try {
+      const result = await authenticateAccount({
+        host: hostField.value,
+        accountName,
+        secret: passwordField.value,
+      });
+      passwordField.value = "";
+      app.state.authStore.setAuth(accountName, result.token, result.config, result.baseUrl);
+      app.showLocationMessage?.(`Authenticated as ${accountName}`, 3000);
+      finish(true);
+    } catch (error) {
+      errorText.textContent = error.message || "Login failed.";
+      errorBox.style.display = "block";
+    }
+  });
+});
+
+// Send the browser to the SSO issuer. It redirects back to this entry page, where the
+// router hands the response to the /oauth/callback route.
+export const beginSsoLogin = async (app, { host, errorBox = null, errorText = null }) => {
+  app.showLocationMessage?.("Redirecting to single sign-on\u2026", 30000);
+  try {
+    const url = await startSsoLogin({
+      sso: APP_CONFIG.sso,
+      host: normalizeHost(host || window.location.host),
+      redirectUri: `${window.location.origin}${window.location.pathname}`,
+      returnTo: loginRedirectTarget(app),
+    });
+    window.location.assign(url);
+  } catch (error) {
+    console.error("[Login] SSO error:", error);
+    app.showLocationMessage?.(error.message, 5000);
+    if (errorBox && errorText) {
+      errorBox.style.display = "block";
+      errorText.textContent = error.message;
+    }
+  }
+};
+
+// Exchange the issuer's redirect for a token and continue as the signed-in account.
+export const completeSsoLogin = async (app) => {
+  const params = new URLSearchParams(window.location.search);
+  // Drop code and state from the address bar whatever the outcome.
+  window.history.replaceState(null, "", window.location.pathname);
+  try {
+    const result = await finishSsoLogin({ sso: APP_CONFIG.sso, params });
+    app.state.useProfile(result.host);
+    app.state.authStore.setAuth(result.accountName, result.token, result.claims, result.host);
+    app.state.setAccountFromConfig(result.accountName, result.claims);
+    app.state.session.login(result.accountName);
+    return result;
+  } catch (error) {
+    console.error("[Login] SSO callback error:", error);
+    return { error };
+  }
+};
@@ -1,7 +1,12 @@
+import { isFeatureEnabled } from "../../lib/config.js";
+
 export class BasePage {
-  constructor({ state, params = {} } = {}) {
+  // `query` and `hash` are the route's query parameters and fragment.
+  constructor({ state, params = {}, query = {}, hash = "" } = {}) {
     this.state = state;
     this.params = params;
+    this.query = query;
+    this.hash = hash;
     this.context = {};
   }
 
@@ -13,6 +18,11 @@ export class BasePage {
     return "";
   }
 
+  // Feature toggles from the runtime configuration.
+  isFeatureEnabled(name) {
+    return isFeatureEnabled(name);
+  }
+
   setContext(context = {}) {
     this.context = context;
   }
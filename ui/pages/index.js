@@ -1,8 +1,14 @@
 import { BasePage } from "./base_page.js";
-import { escapeHtml, joinHtml } from "../utils.js";
+import { disposeWhenRemoved, escapeHtml, joinHtml, loginRedirectTarget } from "../utils.js";
 import { NavigationView } from "../components/navigation.js";
+import { EditHistoryView, formatHistoryValue } from "../components/edit_history.js";
+import { ConnectionStatusView } from "../components/connection_status.js";
+import { beginSsoLogin, buildLoginContent } from "../components/login.js";
 import { APP_CONFIG } from "../../lib/config.js";
 import { authenticateAccount } from "../../lib/auth.js";
+import { NotFoundError, ConflictError } from "../../lib/http.js";
+import { SaveBatch } from "../../lib/save_batch.js";
+import * as revisionIdentifiers from "../../lib/replication/revision-identifier.js";
 
 export const errorMessages = () => `
   <div class="widget">
@@ -134,6 +140,57 @@ const findEditorsForView = (app, accountName, repositoryName, viewName) => {
   return editors;
 };
 
+const DEFAULT_VIEW_QUERY = "SELECT * WHERE { ?s ?p ?o } LIMIT 10";
+
+// Unsaved editor text is kept in the workspace, so it outlives logout and reload.
+// `viewText` is the stored view text (null for a new view); a draft which matches the
+// last saved text is dropped rather than kept.
+const trackViewDraft = (app, accountName, repositoryName, viewName, viewText) => {
+  let savedText = viewText !== null ? (viewText || DEFAULT_VIEW_QUERY) : DEFAULT_VIEW_QUERY;
+  return {
+    initialText: app.state.getViewDraft(accountName, repositoryName, viewName) ?? savedText,
+    record: (queryText) => {
+      if (queryText === savedText) {
+        app.state.clearViewDraft(accountName, repositoryName, viewName);
+      } else {
+        app.state.setViewDraft(accountName, repositoryName, viewName, queryText);
+      }
+    },
+    saved: (queryText, etag) => {
+      savedText = queryText;
+      app.state.clearViewDraft(accountName, repositoryName, viewName);
+      noteLocalRepositoryChange(app.state, accountName, repositoryName, etag);
+    },
+    // Offer the editor's text to the unsaved-changes registry under `key`, until the
+    // editor's panel is removed.
+    watch: (key, editorApi) => disposeWhenRemoved(editorApi.panel, app.state.unsavedChanges.register(key, {
+      label: `View ${accountName}/${repositoryName}/${viewName}`,
+      isDirty: () => editorApi.panel?.isConnected !== false && editorApi.getQuery().trim() !== savedText.trim(),
+      save: async () => {
+        if (!(await editorApi.save())) throw new Error(`Could not save view ${viewName}`);
+      },
+      discard: () => {
+        editorApi.setQuery(savedText);
+        app.state.clearViewDraft(accountName, repositoryName, viewName);
+      },
+    })),
+  };
+};
+
+// Editor settings carried by a deep link: `?revision=` selects the revision, `?accept=`
+// the response media type, and each `$name=` binds the view parameter `name`.
+const editorLinkOptions = (query = {}) => {
+  const parameterValues = {};
+  Object.entries(query).forEach(([key, value]) => {
+    if (key.startsWith("$") && key.length > 1) parameterValues[key.slice(1)] = value;
+  });
+  return {
+    revision: query.revision || "",
+    mediaType: query.accept || "",
+    parameterValues,
+  };
+};
+
 const deviseLinks = () => `
   <h5>Already have an account?</h5>
   <p><a href="/login">Log in</a></p>
@@ -146,55 +203,130 @@ const deviseLinks = () => `
 
 const tabIdFromAccount = (accountName) => `tab-account-${accountName.replace(/[^a-z0-9_-]/gi, "-")}`;
 
-const normalizeRepositories = (payload) => {
-  if (Array.isArray(payload)) return payload;
-  if (payload && Array.isArray(payload.repositories)) return payload.repositories;
-  if (payload && Array.isArray(payload.items)) return payload.items;
-  return [];
+const accountConfigurationPath = (accountName) =>
+  `/system/accounts/${encodeURIComponent(accountName)}/configuration`;
+
+const repositoryPath = (accountName, repositoryName) =>
+  `/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}`;
+
+// Configurations are versioned by ETag: reads remember it under the tracker's identifier
+// and writes send it back as If-Match, so a save over someone else's change answers 412.
+const accountVersionKey = (accountName) => `account:${accountName}`;
+const repositoryVersionKey = (accountName, repositoryName) => `repository:${accountName}/${repositoryName}`;
+
+const readConfiguration = async (state, path, { accountName, versionKey }) => {
+  const response = await state.http.request(path, { accountName });
+  const etag = response.headers.get("ETag");
+  if (etag) state.configVersions.set(versionKey, etag);
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
 };
 
-const updateAccountConfiguration = async ({ host, token, accountName, config }) => {
-  if (!host || !token || !accountName) return null;
-  const response = await fetch(
-    `${host}/system/accounts/${encodeURIComponent(accountName)}/configuration`,
-    {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify(config || {}),
-    }
-  );
-  if (!response.ok) {
-    const errorText = await getResponseText(response);
-    throw new Error(`Save failed: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ""}`);
+const writeConfiguration = async (state, path, { accountName, versionKey, config }) => {
+  const etag = state.configVersions.get(versionKey);
+  const response = await state.http.request(path, {
+    accountName,
+    method: "POST",
+    json: config || {},
+    headers: etag ? { "If-Match": etag } : {},
+  });
+  const next = response.headers.get("ETag");
+  if (next) {
+    state.configVersions.set(versionKey, next);
+  } else {
+    state.configVersions.delete(versionKey);
+  }
+  if (response.status === 204) return null;
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+};
+
+const updateAccountConfiguration = async ({ state, accountName, config }) => {
+  if (!accountName) return null;
+  return writeConfiguration(state, accountConfigurationPath(accountName), {
+    accountName,
+    versionKey: accountVersionKey(accountName),
+    config,
+  });
+};
+
+// Answers null when there are no credentials or no configuration; request failures are thrown.
+const fetchAccountConfig = async (state, accountName) => {
+  const auth = state.getAuthContext(accountName);
+  if (!auth?.token || !auth?.host) return null;
+  try {
+    return await readConfiguration(state, accountConfigurationPath(accountName), {
+      accountName,
+      versionKey: accountVersionKey(accountName),
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) return null;
+    throw error;
   }
-  return response.json();
 };
 
-const updateRepositoryConfiguration = async ({ host, token, accountName, repositoryName, config }) => {
-  if (!host || !token || !accountName || !repositoryName) return null;
-  const response = await fetch(
-    `${host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/configuration`,
-    {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify(config || {}),
-    }
-  );
-  if (!response.ok) {
-    const errorText = await getResponseText(response);
-    throw new Error(`Save failed: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ""}`);
+const updateRepositoryConfiguration = async ({ state, accountName, repositoryName, config }) => {
+  if (!accountName || !repositoryName) return null;
+  return writeConfiguration(state, `${repositoryPath(accountName, repositoryName)}/configuration`, {
+    accountName,
+    versionKey: repositoryVersionKey(accountName, repositoryName),
+    config,
+  });
+};
+
+// "Save all" posts the configuration writes of one account together where the store
+// offers it: the store applies each write, guarded by its If-Match, or refuses them all,
+// and answers the new ETag and configuration of each in order. Whether a store offers it
+// is asked once per host, by whether an OPTIONS request on the path allows POST. A store
+// which does not know the path offers none; one which fails to answer is asked again next
+// time.
+const CONFIGURATION_TRANSACTION_PATH = "/system/transactions";
+
+const supportsConfigurationTransactions = (state, accountName) => {
+  const host = state.getAuthContext(accountName)?.host;
+  if (!host) return Promise.resolve(false);
+  if (!state._configTransactionSupport) {
+    state._configTransactionSupport = new Map();
+  }
+  if (!state._configTransactionSupport.has(host)) {
+    const check = state.http.request(CONFIGURATION_TRANSACTION_PATH, { accountName, method: "OPTIONS", accept: "*/*", retries: 0 })
+      .then((response) => (response.headers.get("Allow") || "").split(",").some((method) => method.trim().toUpperCase() === "POST"))
+      .catch((error) => {
+        if (!(error instanceof NotFoundError) && error?.status !== 405) {
+          state._configTransactionSupport.delete(host);
+          console.warn("[SaveAll] Could not ask the store for configuration transactions:", error);
+        }
+        return false;
+      });
+    state._configTransactionSupport.set(host, check);
   }
-  return response.json();
+  return state._configTransactionSupport.get(host);
 };
 
+const writeConfigurations = async (state, accountName, requests) => {
+  const response = await state.http.request(CONFIGURATION_TRANSACTION_PATH, {
+    accountName,
+    method: "POST",
+    json: {
+      writes: requests.map(({ path, versionKey, config }) => ({
+        path,
+        if_match: state.configVersions.get(versionKey) || null,
+        configuration: config || {},
+      })),
+    },
+  });
+  const text = response.status === 204 ? "" : await response.text();
+  const writes = (text ? JSON.parse(text) : null)?.writes || [];
+  return requests.map(({ versionKey }, index) => {
+    const written = writes[index] || {};
+    if (written.etag) {
+      state.configVersions.set(versionKey, written.etag);
+    } else {
+      state.configVersions.delete(versionKey);
+    }
+    return written.configuration ?? null;
+  });
+};
 
 // Helper function to invalidate the repository config cache
 const invalidateRepositoryConfigCache = (state, accountName, repositoryName) => {
@@ -203,6 +335,8 @@ const invalidateRepositoryConfigCache = (state, accountName, repositoryName) =>
   state._repoConfigCache.delete(cacheKey);
 };
 
+// Answers null when there are no credentials or the repository has no configuration;
+// other request failures are thrown so that callers can report them.
 const fetchRepositoryConfig = async (state, accountName, repositoryName, forceRefresh = false) => {
   const auth = state.getAuthContext(accountName);
   if (!auth?.token || !auth?.host) return null;
@@ -217,45 +351,29 @@ const fetchRepositoryConfig = async (state, accountName, repositoryName, forceRe
   }
   
   try {
-    const response = await fetch(
-      `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/configuration`,
-      {
-        method: "GET",
-        headers: {
-          Accept: "application/json",
-          Authorization: `Bearer ${auth.token}`,
-        },
-      }
-    );
-    if (!response.ok) return null;
-    const config = await response.json();
+    const config = await readConfiguration(state, `${repositoryPath(accountName, repositoryName)}/configuration`, {
+      accountName,
+      versionKey: repositoryVersionKey(accountName, repositoryName),
+    });
     // Cache the config
     state._repoConfigCache.set(cacheKey, config);
     return config;
   } catch (error) {
-    return null;
+    if (error instanceof NotFoundError) return null;
+    throw error;
   }
 };
 
+// Answers [] when the repository has no collaborators; request failures are thrown.
 const fetchRepositoryCollaboration = async (state, accountName, repositoryName) => {
   const auth = state.getAuthContext(accountName);
   if (!auth?.token || !auth?.host) return [];
   try {
-    const response = await fetch(
-      `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/collaboration`,
-      {
-        method: "GET",
-        headers: {
-          Accept: "application/json",
-          Authorization: `Bearer ${auth.token}`,
-        },
-      }
-    );
-    if (!response.ok) return [];
-    const data = await response.json();
+    const data = await state.http.json(`${repositoryPath(accountName, repositoryName)}/collaboration`, { accountName });
     return Array.isArray(data) ? data : [];
   } catch (error) {
-    return [];
+    if (error instanceof NotFoundError) return [];
+    throw error;
   }
 };
 
@@ -309,36 +427,12 @@ const renderRepositoryCollaborationTable = (collaborators = [], isDirty = false)
 };
 
 const saveRepositoryCollaboration = async (state, accountName, repositoryName, collaborators) => {
-  const auth = state.getAuthContext(accountName);
-  if (!auth?.token || !auth?.host) {
-    throw new Error("Not authenticated");
-  }
-  const response = await fetch(
-    `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/collaboration`,
-    {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${auth.token}`,
-      },
-      body: JSON.stringify(collaborators),
-    }
-  );
-  if (!response.ok) {
-    throw new Error(`Save failed: ${response.status} ${response.statusText}`);
-  }
-  // 204 No Content responses don't have a body, so don't try to parse JSON
-  if (response.status === 204) {
-    return null;
-  }
-  // Only try to parse JSON if there's content
-  const contentType = response.headers.get("content-type");
-  if (contentType && contentType.includes("application/json")) {
-    const text = await response.text();
-    return text ? JSON.parse(text) : null;
-  }
-  return null;
+  // 204 No Content answers null
+  return state.http.json(`${repositoryPath(accountName, repositoryName)}/collaboration`, {
+    accountName,
+    method: "POST",
+    json: collaborators,
+  });
 };
 
 const getCollaboratorsFromTable = (content) => {
@@ -398,40 +492,29 @@ const loadRepositoryHistoryTab = async (app, accountName, repositoryName, conten
   try {
     contentElement.textContent = `Loading ${tabName} data...`;
     
-    let url;
+    let resource;
     switch (tabName) {
       case "events":
-        url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/history`;
+        resource = "history";
         break;
       case "resources":
-        url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/storage`;
+        resource = "storage";
         break;
       case "statistics":
-        url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/service_statistics`;
+        resource = "service_statistics";
         break;
       case "series":
-        url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/service_history`;
+        resource = "service_history";
         break;
       case "revisions":
-        url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/revisions`;
+        resource = "revisions";
         break;
       default:
         contentElement.textContent = `Unknown tab: ${tabName}`;
         return;
     }
 
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-        Authorization: `Bearer ${auth.token}`,
-      },
-    });
-
-    if (!response.ok) {
-      const errorText = await getResponseText(response);
-      throw new Error(`Failed to load ${tabName}: ${response.status} ${response.statusText} - ${errorText}`);
-    }
+    const response = await app.state.http.request(`${repositoryPath(accountName, repositoryName)}/${resource}`, { accountName });
 
     let data;
     const contentType = response.headers.get("content-type");
@@ -480,16 +563,58 @@ const loadRepositoryCollaboration = async (app, pane) => {
   const repositoryName = pane.dataset.repository;
   if (!accountName || !repositoryName) return;
   content.dataset.collaborationState = "loading";
-  const collaborators = await fetchRepositoryCollaboration(app.state, accountName, repositoryName);
+  let collaborators;
+  try {
+    collaborators = await fetchRepositoryCollaboration(app.state, accountName, repositoryName);
+  } catch (error) {
+    console.error("Failed to load collaboration:", error);
+    content.textContent = `Error loading collaboration: ${error.message}`;
+    delete content.dataset.collaborationState;
+    return;
+  }
   content.innerHTML = renderRepositoryCollaborationTable(collaborators, false);
   content.dataset.collaborationState = "loaded";
   setupCollaborationHandlers(app, pane, content);
 };
 
+// The collaboration table stands in the pane's edit history as an object with a single
+// field: `collaborators` answers the rows as last recorded and assigning it redraws the
+// table with other rows, keeping the stored ones for the dirty check.
+const collaborationTargets = new WeakMap();
+
+const collaborationTarget = (app, pane, content) => {
+  let target = collaborationTargets.get(content);
+  if (!target) {
+    target = {
+      scope: pane.getAttribute("id"),
+      rows: [],
+      get collaborators() {
+        return this.rows;
+      },
+      set collaborators(rows) {
+        const stored = content.querySelector(".collaboration-data")?.dataset.collaboration || "[]";
+        content.innerHTML = renderRepositoryCollaborationTable(rows, false);
+        content.querySelector(".collaboration-data").dataset.collaboration = stored;
+        setupCollaborationHandlers(app, pane, content);
+        updateCollaborationSaveButton(content);
+      },
+      record() {
+        const rows = getCollaboratorsFromTable(content);
+        app.state.editHistory.record(this.scope, this, { collaborators: [rows, this.rows] }, { label: "Collaborators" });
+        this.rows = rows;
+      },
+    };
+    collaborationTargets.set(content, target);
+  }
+  target.rows = getCollaboratorsFromTable(content);
+  return target;
+};
+
 const setupCollaborationHandlers = (app, pane, content) => {
   const accountName = pane.dataset.account;
   const repositoryName = pane.dataset.repository;
   if (!accountName || !repositoryName) return;
+  const history = collaborationTarget(app, pane, content);
 
   // New button
   const newBtn = content.querySelector(".collab-new-btn");
@@ -516,45 +641,55 @@ const setupCollaborationHandlers = (app, pane, content) => {
         </td>
       `;
       tbody.appendChild(newRow);
-      setupRowHandlers(content, newRow);
+      setupRowHandlers(content, newRow, history);
       updateCollaborationSaveButton(content);
       newRow.querySelector(".collab-account-input")?.focus();
     });
   }
 
+  const saveCollaboration = async () => {
+    const collaborators = getCollaboratorsFromTable(content);
+    await saveRepositoryCollaboration(app.state, accountName, repositoryName, collaborators);
+    // Update the stored data
+    const dataDiv = content.querySelector(".collaboration-data");
+    if (dataDiv) {
+      dataDiv.dataset.collaboration = JSON.stringify(collaborators);
+    }
+    app.state.editHistory.clear(history.scope, history);
+  };
+
+  disposeWhenRemoved(content, app.state.unsavedChanges.register(`${paneIdRepository(accountName, repositoryName)}/collaboration`, {
+    label: `Collaborators of ${accountName}/${repositoryName}`,
+    isDirty: () => content.isConnected && checkCollaborationDirty(content),
+    save: async () => {
+      await saveCollaboration();
+      updateCollaborationSaveButton(content);
+    },
+    discard: () => {
+      const original = JSON.parse(content.querySelector(".collaboration-data")?.dataset.collaboration || "[]");
+      content.innerHTML = renderRepositoryCollaborationTable(original, false);
+      app.state.editHistory.clear(history.scope, history);
+      setupCollaborationHandlers(app, pane, content);
+    },
+  }));
+
   // Save button
   const saveBtn = content.querySelector(".collab-save-btn");
   if (saveBtn) {
     saveBtn.addEventListener("click", async () => {
       if (saveBtn.disabled) return;
-      const collaborators = getCollaboratorsFromTable(content);
       saveBtn.disabled = true;
       const originalContent = saveBtn.innerHTML;
       saveBtn.innerHTML = '<span style="font-size: 12px;">Saving...</span>';
       try {
-        await saveRepositoryCollaboration(app.state, accountName, repositoryName, collaborators);
-        // Update the stored data
-        const dataDiv = content.querySelector(".collaboration-data");
-        if (dataDiv) {
-          dataDiv.dataset.collaboration = JSON.stringify(collaborators);
-        }
+        await saveCollaboration();
         updateCollaborationSaveButton(content);
         saveBtn.innerHTML = '<img src="./images/file-upload.svg" alt="Save" width="16" height="16" />';
         // Show success message or reload
         content.dataset.collaborationState = "needs-reload";
       } catch (error) {
         console.error("Failed to save collaboration:", error);
-        let errorMessage = error.message;
-        // If error has a response, try to get its text
-        if (error.response) {
-          try {
-            const errorText = await getResponseText(error.response);
-            errorMessage += errorText ? ` - ${errorText}` : "";
-          } catch (e) {
-            // Ignore errors reading response
-          }
-        }
-        alert(`Failed to save collaboration: ${errorMessage}`);
+        alert(`Failed to save collaboration: ${error.message}`);
         saveBtn.innerHTML = originalContent;
         saveBtn.disabled = false;
         updateCollaborationSaveButton(content);
@@ -564,10 +699,10 @@ const setupCollaborationHandlers = (app, pane, content) => {
 
   // Input handlers for existing rows
   const rows = content.querySelectorAll(".collaboration-table tbody tr");
-  rows.forEach((row) => setupRowHandlers(content, row));
+  rows.forEach((row) => setupRowHandlers(content, row, history));
 };
 
-const setupRowHandlers = (content, row) => {
+const setupRowHandlers = (content, row, history = null) => {
   // No delete button - deletion is done by unchecking both read and write checkboxes
   // Add change handlers to checkboxes and input to update save button state
   const readCheckbox = row.querySelector(".collab-read-checkbox");
@@ -575,6 +710,7 @@ const setupRowHandlers = (content, row) => {
   const accountInput = row.querySelector(".collab-account-input");
   
   const updateHandler = () => {
+    history?.record();
     updateCollaborationSaveButton(content);
   };
   
@@ -853,6 +989,7 @@ const handleRepositoryImport = async (app, accountName, repositoryName, button)
       xhr.onload = () => {
         restoreButtons();
         if (xhr.status >= 200 && xhr.status < 300) {
+          noteLocalRepositoryChange(app.state, accountName, repositoryName, xhr.getResponseHeader("ETag"));
           showStatusMessage(`File "${file.name}" imported successfully to repository "${repositoryName}"`);
         } else {
           console.error("Import failed:", xhr.status, xhr.statusText, xhr.responseText);
@@ -911,10 +1048,7 @@ const handleRepositoryImport = async (app, accountName, repositoryName, button)
 
     try {
       // Fetch data from remote URL
-      const fetchResponse = await fetch(remoteUrl);
-      if (!fetchResponse.ok) {
-        throw new Error(`Failed to fetch from URL: ${fetchResponse.status} ${fetchResponse.statusText}`);
-      }
+      const fetchResponse = await app.state.http.request(remoteUrl, { auth: null, accept: "*/*" });
       const blob = await fetchResponse.blob();
       const file = new File([blob], fileName, { type: contentType });
 
@@ -952,6 +1086,7 @@ const handleRepositoryImport = async (app, accountName, repositoryName, button)
       xhr.onload = () => {
         restoreButtons();
         if (xhr.status >= 200 && xhr.status < 300) {
+          noteLocalRepositoryChange(app.state, accountName, repositoryName, xhr.getResponseHeader("ETag"));
           showStatusMessage(`Data from "${remoteUrl}" imported successfully to repository "${repositoryName}"`);
         } else {
           console.error("Import failed:", xhr.status, xhr.statusText, xhr.responseText);
@@ -1329,12 +1464,9 @@ const handleRepositoryExport = async (app, accountName, repositoryName, button)
     try {
       showStatusMessage(`Exporting repository "${repositoryName}" as ${selectedType}...`);
 
-      const response = await fetch(`${auth.host}/${accountName}/${repositoryName}/service`, {
-        method: "GET",
-        headers: {
-          Accept: selectedType,
-          Authorization: `Bearer ${auth.token}`,
-        },
+      const response = await app.state.http.request(`/${accountName}/${repositoryName}/service`, {
+        accountName,
+        accept: selectedType,
       });
 
       if (response.ok) {
@@ -1440,15 +1572,10 @@ const handleRepositoryDelete = async (app, accountName, repositoryName, button)
   button.innerHTML = `<img src="${BASE_PATH}/images/trash.svg" alt="Deleting..." style="width: 16px; height: 16px; opacity: 0.3;" />`;
 
   try {
-    const url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}`;
-    const headers = {
-      Accept: "application/n-triples",
-      Authorization: `Bearer ${auth.token}`,
-    };
-    // Do not set Accept-Encoding header
-    const response = await fetch(url, {
+    const response = await app.state.http.request(repositoryPath(accountName, repositoryName), {
+      accountName,
       method: "DELETE",
-      headers: headers,
+      accept: "application/n-triples",
     });
 
     if (response.status === 200) {
@@ -1569,18 +1696,14 @@ const handleViewDelete = async (app, accountName, repositoryName, viewName, butt
   button.innerHTML = `<img src="${BASE_PATH}/images/trash.svg" alt="Deleting..." style="width: 16px; height: 16px; opacity: 0.3;" />`;
 
   try {
-    const url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/views/${encodeURIComponent(ensureBaseViewName(viewName))}`;
-    const headers = {
-      Accept: "application/n-triples",
-      Authorization: `Bearer ${auth.token}`,
-    };
-    // Do not set Accept-Encoding header
-    const response = await fetch(url, {
+    const response = await app.state.http.request(`${repositoryPath(accountName, repositoryName)}/views/${encodeURIComponent(ensureBaseViewName(viewName))}`, {
+      accountName,
       method: "DELETE",
-      headers: headers,
+      accept: "application/n-triples",
     });
 
     if (response.ok) {
+      noteLocalRepositoryChange(app.state, accountName, repositoryName, response.headers.get("ETag"));
       // Invalidate the repository config cache so views are refreshed on next fetch
       invalidateRepositoryConfigCache(app.state, accountName, repositoryName);
       
@@ -1773,14 +1896,14 @@ const handleRepositoryClear = async (app, accountName, repositoryName, button) =
   }
 
   try {
-    const response = await fetch(`${auth.host}/${accountName}/${repositoryName}/service`, {
+    const response = await app.state.http.request(`/${accountName}/${repositoryName}/service`, {
+      accountName,
       method: "DELETE",
-      headers: {
-        Authorization: `Bearer ${auth.token}`,
-      },
+      accept: "*/*",
     });
 
     if (response.ok) {
+      noteLocalRepositoryChange(app.state, accountName, repositoryName, response.headers.get("ETag"));
       showStatusMessage(`All data cleared from repository "${repositoryName}"`);
     } else {
       const errorText = await getResponseText(response);
@@ -1808,47 +1931,6 @@ const handleRepositoryClear = async (app, accountName, repositoryName, button) =
   }
 };
 
-export const buildLoginContent = (state = null) => {
-  // Get last username from localStorage if available
-  let lastUsername = "";
-  if (state) {
-    try {
-      const stored = JSON.parse(window.localStorage.getItem("dydra.session"));
-      lastUsername = stored?.accountName || "";
-    } catch (error) {
-      // Ignore errors
-    }
-  }
-  
-  return `
-  <div id="login-error" class="widget" style="display:none;">
-    <div class="alert-error rounded">
-      <p class="message">
-        <span class="icon icon-alert"></span>
-        <span id="login-error-text"></span>
-      </p>
-    </div>
-  </div>
-  <form id="inline-login-form" class="formtastic" onsubmit="return false;" data-testid="login-form">
-    <fieldset class="inputs">
-      <ol>
-        <li class="string optional"><label>Host</label><input type="text" name="host" placeholder="dydra.com" data-testid="login-host-input" /></li>
-        <li class="string optional"><label>Username</label><input type="text" name="login" value="${escapeHtml(lastUsername)}" data-testid="login-username-input" /></li>
-        <li class="password optional"><label>Password or Token</label><input type="password" name="password" data-testid="login-password-input" /></li>
-      </ol>
-    </fieldset>
-    <fieldset class="buttons">
-      <ol>
-        <li class="commit"><input type="submit" value="Log in" data-testid="login-submit" /></li>
-      </ol>
-    </fieldset>
-  </form>
-  <div id="login-status" class="small text-muted" data-testid="login-status"></div>
-  <p class="password-recovery-link"><a href="${BASE_PATH}/reset_password.html" data-testid="login-forgot-password-link">Forgot your password?</a></p>
-  <p class="invite-request-link"><a href="${BASE_PATH}/invite" data-testid="login-invite-link">Request an invitation</a></p>
-`;
-};
-
 export const buildInfoContent = () => {
   return `
     <div id="feature">
@@ -1949,6 +2031,12 @@ export const buildInfoContent = () => {
 `;
 };
 
+// Pane tabs name the profile of the host their pane belongs to once there is more than
+// one to choose from.
+const tabHostLabel = (state) => (state.listProfiles().length > 1 ? state.profileName(state.panesHost) : "");
+
+const renderTabHost = (host) => (host ? `<span class="tab-host" data-testid="tab-host">${escapeHtml(host)}</span>` : "");
+
 const renderPaneTabsBar = ({ tabs = [], avatarUrl = "" } = {}) => `
   <div class="pane-tabs-bar">
     ${avatarUrl ? `<img class="tabs-avatar" src="${avatarUrl}" alt="avatar" />` : ""}
@@ -1957,6 +2045,7 @@ const renderPaneTabsBar = ({ tabs = [], avatarUrl = "" } = {}) => `
         <li>
           <a href="#${tab.id}" data-tab-link data-location="${tab.location || ""}" data-show-aside="${tab.showAside ? "true" : "false"}" data-body-class="${tab.bodyClass || ""}">
             <span class="tab-label">${tab.label}</span>
+            ${renderTabHost(tab.host)}
             ${(tab.closeable || tab.saveable) ? `
               <span class="tab-actions-vertical">
                 ${tab.closeable ? `<span class="tab-icon tab-close" data-tab-action="close" data-tab-id="${tab.id}" data-tab-type="${tab.type || ""}" data-account="${tab.accountName || ""}" data-repository="${tab.repositoryName || ""}" data-view="${tab.viewName || ""}" data-testid="tab-close-${tab.id}"></span>` : ""}
@@ -1967,14 +2056,18 @@ const renderPaneTabsBar = ({ tabs = [], avatarUrl = "" } = {}) => `
         </li>
       `).join("")}
     </ul>
+    <button type="button" class="tabs-save-all" data-action="save-all" data-testid="save-all-btn" title="Save the changes in every open account and repository">Save all</button>
+    <span class="tabs-async-jobs-holder">
+      <button type="button" class="tabs-async-jobs" data-action="async-jobs" data-testid="async-jobs-btn" title="Asynchronous queries" aria-expanded="false" hidden>Jobs</button>
+    </span>
   </div>
 `;
 
-const renderAccountPane = ({ accountName, account, repos, config = {}, authToken = "", tracker = null }) => `
+const renderAccountPane = ({ accountName, account, repos, reposError = null, config = {}, authToken = "", tracker = null }) => `
   <div id="${paneIdAccount(accountName)}" class="account-pane" data-account="${escapeHtml(accountName)}">
     <div class="account-pane-layout">
       <div class="account-pane-content">
-        ${renderAccountRepositories({ account, repos })}
+        ${renderAccountRepositories({ account, repos, reposError })}
       </div>
       ${renderAccountSidebar({
         account,
@@ -2066,15 +2159,63 @@ const resolveRepositoryFieldValue = ({ fieldKey, defs, tracker, config, reposito
   return "";
 };
 
+// The entries of a repository pane's view list, or the prompt to create the first view.
+const renderViewEntries = (accountName, repositoryName, views) => (views.length ? joinHtml(views.map((view, index) => `
+        <div class="query ${index % 2 === 0 ? "even" : "odd"}">
+          <a class="view-edit" data-view-name="${escapeHtml(view.friendlyId)}" data-action="open-view" data-testid="view-edit-${escapeHtml(view.friendlyId)}" href="#">${escapeHtml(view.name)}</a>
+          <span style="float: right; display: flex; align-items: center; gap: 4px;">
+            <span class="owner"> <a href="${BASE_PATH}/account/${escapeHtml(accountName)}">${escapeHtml(accountName)}</a> </span>
+            <button type="button" class="view-pane-btn" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-view="${escapeHtml(view.friendlyId)}" data-testid="view-pane-btn-${escapeHtml(view.friendlyId)}" style="
+              background: transparent;
+              border: none;
+              padding: 2px;
+              cursor: pointer;"
+              title="Open view in new pane">
+              <img src="${BASE_PATH}/images/folder-plus.svg" alt="Edit Pane" style="width: 16px; height: 16px; opacity: 0.6;" />
+            </button>
+            <button type="button" class="view-window-button" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-view="${escapeHtml(view.friendlyId)}" data-testid="view-window-btn-${escapeHtml(view.friendlyId)}" style="
+              background: transparent;
+              border: none;
+              padding: 2px;
+              cursor: pointer;
+            " title="Open view results in new window">
+              <img src="${BASE_PATH}/images/link.svg" alt="Open in window" style="width: 16px; height: 16px; opacity: 0.6;" />
+            </button>
+            <button type="button" class="view-delete-btn" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-view="${escapeHtml(view.friendlyId)}" data-testid="view-delete-btn-${escapeHtml(view.friendlyId)}" style="
+              background: transparent;
+              border: none;
+              padding: 2px;
+              cursor: pointer;
+            " title="Delete View">
+              <img src="${BASE_PATH}/images/trash.svg" alt="Delete" style="width: 16px; height: 16px; opacity: 0.6;" />
+            </button>
+          </span>
+        </div>
+      `)) : `
+        <div class="query">
+          <p>No queries have been defined for this repository yet. <strong><a href="${BASE_PATH}/account/${escapeHtml(accountName)}/repositories/${escapeHtml(repositoryName)}/views/new">Create one now!</a></strong></p>
+        </div>
+      `);
+
 const renderRepositoryPane = async (state, accountName, repositoryName) => {
-  const account = await state.getAccount(accountName);
-  const repository = await state.getRepository(accountName, repositoryName);
+  let repositoryError = null;
+  const repository = await state.getRepository(accountName, repositoryName).catch((error) => {
+    console.error("Failed to load repository:", error);
+    repositoryError = error;
+    return null;
+  });
   // Check if tracker already has config to avoid duplicate fetch
   let tracker = state.getRepositoryTracker(accountName, repositoryName);
   let config = null;
   // Always fetch fresh config to ensure we have the latest views (including deletions)
   // This ensures that if a view was deleted directly on the service, it won't appear in the list
-  config = await fetchRepositoryConfig(state, accountName, repositoryName, true);
+  let configError = null;
+  try {
+    config = await fetchRepositoryConfig(state, accountName, repositoryName, true);
+  } catch (error) {
+    console.error("Failed to load repository configuration:", error);
+    configError = error;
+  }
   tracker = state.ensureRepositoryTracker(accountName, repositoryName, config || {});
   const defs = buildRepositoryFieldDefs(config || {});
   const privacyValue = tracker?.privacy_setting ?? config?.privacy_setting ?? config?.privacySetting ?? "private";
@@ -2091,15 +2232,34 @@ const renderRepositoryPane = async (state, accountName, repositoryName) => {
   const graphStoreUrl = `${host}/${encodedAccount}/${encodedRepository}/service`;
   const sparqlUrl = `${host}/${encodedAccount}/${encodedRepository}/sparql`;
   const directDownloadUrl = `${host}/${encodedAccount}/${encodedRepository}.ttl`;
-  const views = await fetchRepositoryViews(state, accountName, repositoryName, config);
+  // An empty config makes fetchRepositoryViews fall back to the query list instead of refetching.
+  let viewsError = null;
+  const views = await fetchRepositoryViews(state, accountName, repositoryName, config || {}).catch((error) => {
+    console.error("Failed to load repository views:", error);
+    viewsError = error;
+    return [];
+  });
   return `
     <div id="${paneIdRepository(accountName, repositoryName)}" class="repository-pane" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-class="${escapeHtml(classValue)}">
       <div class="repository-pane-layout">
         <div class="repository-pane-content">
+          <div class="repository-change-banner" data-testid="repository-change-banner" role="status" hidden></div>
+          ${configError ? `
+          <div class="alert-error rounded" data-testid="repository-config-error">
+            <p class="message">
+              <span class="icon icon-alert"></span>
+              Could not load the repository configuration: ${escapeHtml(configError.message)}
+            </p>
+          </div>` : ""}
           <div id="repository-detail">
             <div id="repository-summary">
+              ${repositoryError ? renderLoadError("the repository", repositoryError) : ""}
               ${repository?.summary ? `<p>${escapeHtml(repository.summary)}</p>` : ""}
             </div>
+            <p class="repository-live">
+              <span class="repository-quad-count" data-testid="repository-quad-count">${escapeHtml(formatQuadCount(repository?.quadCount))}</span>
+              <span class="repository-connection"></span>
+            </p>
           </div>
           <div id="repository-queries">
             <div class="block">
@@ -2109,42 +2269,7 @@ const renderRepositoryPane = async (state, accountName, repositoryName) => {
                     font-size: 13px; padding: 2px 8px; margin-left: 8px; cursor: pointer; vertical-align: middle;
                   ">New</button></h2>
                   <div class="query-container">
-                    ${views.length ? joinHtml(views.map((view, index) => `
-                      <div class="query ${index % 2 === 0 ? "even" : "odd"}">
-                        <a class="view-edit" data-view-name="${escapeHtml(view.friendlyId)}" data-action="open-view" data-testid="view-edit-${escapeHtml(view.friendlyId)}" href="#">${escapeHtml(view.name)}</a>
-                        <span style="float: right; display: flex; align-items: center; gap: 4px;">
-                          <span class="owner"> <a href="${BASE_PATH}/account/${escapeHtml(accountName)}">${escapeHtml(accountName)}</a> </span>
-                          <button type="button" class="view-pane-btn" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-view="${escapeHtml(view.friendlyId)}" data-testid="view-pane-btn-${escapeHtml(view.friendlyId)}" style="
-                            background: transparent;
-                            border: none;
-                            padding: 2px;
-                            cursor: pointer;"
-                            title="Open view in new pane">
-                            <img src="${BASE_PATH}/images/folder-plus.svg" alt="Edit Pane" style="width: 16px; height: 16px; opacity: 0.6;" />
-                          </button>
-                          <button type="button" class="view-window-button" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-view="${escapeHtml(view.friendlyId)}" data-testid="view-window-btn-${escapeHtml(view.friendlyId)}" style="
-                            background: transparent;
-                            border: none;
-                            padding: 2px;
-                            cursor: pointer;
-                          " title="Open view results in new window">
-                            <img src="${BASE_PATH}/images/link.svg" alt="Open in window" style="width: 16px; height: 16px; opacity: 0.6;" />
-                          </button>
-                          <button type="button" class="view-delete-btn" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-view="${escapeHtml(view.friendlyId)}" data-testid="view-delete-btn-${escapeHtml(view.friendlyId)}" style="
-                            background: transparent;
-                            border: none;
-                            padding: 2px;
-                            cursor: pointer;
-                          " title="Delete View">
-                            <img src="${BASE_PATH}/images/trash.svg" alt="Delete" style="width: 16px; height: 16px; opacity: 0.6;" />
-                          </button>
-                        </span>
-                      </div>
-                    `)) : `
-                      <div class="query">
-                        <p>No queries have been defined for this repository yet. <strong><a href="${BASE_PATH}/account/${escapeHtml(accountName)}/repositories/${escapeHtml(repositoryName)}/views/new">Create one now!</a></strong></p>
-                      </div>
-                    `}
+                    ${viewsError ? renderLoadError("the views", viewsError) : renderViewEntries(accountName, repositoryName, views)}
                   </div>
                 </div>
                 <div class="view-editors">
@@ -2213,6 +2338,7 @@ const renderRepositoryPane = async (state, accountName, repositoryName) => {
             <button type="button" class="manage-tab" data-tab="prefixes" data-testid="repo-tab-prefixes" title="Prefixes"><img src="./images/puzzle.svg" alt="Prefixes" width="16" height="16" /></button>
             <button type="button" class="manage-tab" data-tab="collaboration" data-testid="repo-tab-collaboration" title="Collaboration"><img src="./images/users.svg" alt="Collaboration" width="16" height="16" /></button>
             <button type="button" class="manage-tab" data-tab="logs" data-testid="repo-tab-logs" title="Logs"><img src="./images/logs.svg" alt="Logs" width="16" height="16" /></button>
+            <button type="button" class="edit-history-btn" data-testid="edit-history-btn" title="Edit history (Ctrl+Z / Ctrl+Shift+Z)" aria-expanded="false"><img src="./images/history.svg" alt="Edit history" width="16" height="16" /></button>
           </div>
           <div class="repository-meta-panel active" data-panel="profile">
             ${profileKeys.map((fieldKey) => {
@@ -2406,9 +2532,11 @@ const buildGlobalTabs = async (state, { includeInfo = false } = {}) => {
   }
   tabs.push({ id: "tab-login", label: "Login", location: `${BASE_PATH}/login`, showAside: false });
 
+  // The account and repository details only label the tabs; when they cannot be read,
+  // the names stand in and the panes show the error.
   const accountNames = state.listOpenAccounts();
   for (const accountName of accountNames) {
-    const account = await state.getAccount(accountName);
+    const account = await state.getAccount(accountName).catch(() => null);
     const label = escapeHtml(account?.friendlyId || accountName);
     const path = encodeURIComponent(accountName);
     tabs.push({
@@ -2419,6 +2547,7 @@ const buildGlobalTabs = async (state, { includeInfo = false } = {}) => {
       closeable: true,
       saveable: true,
       type: "account",
+      host: tabHostLabel(state),
       accountName,
       bodyClass: "accounts show",
     });
@@ -2426,8 +2555,8 @@ const buildGlobalTabs = async (state, { includeInfo = false } = {}) => {
 
   const repos = state.listOpenRepositories();
   for (const { accountName, repositoryName } of repos) {
-    const account = await state.getAccount(accountName);
-    const repository = await state.getRepository(accountName, repositoryName);
+    const account = await state.getAccount(accountName).catch(() => null);
+    const repository = await state.getRepository(accountName, repositoryName).catch(() => null);
     const accountLabel = escapeHtml(account?.friendlyId || accountName);
     const repositoryLabel = escapeHtml(repository?.friendlyId || repositoryName);
     const accountPath = encodeURIComponent(accountName);
@@ -2440,6 +2569,7 @@ const buildGlobalTabs = async (state, { includeInfo = false } = {}) => {
       closeable: true,
       saveable: true,
       type: "repository",
+      host: tabHostLabel(state),
       accountName,
       repositoryName,
       bodyClass: "repositories show",
@@ -2459,6 +2589,7 @@ const buildGlobalTabs = async (state, { includeInfo = false } = {}) => {
       closeable: true,
       saveable: false,
       type: "view",
+      host: tabHostLabel(state),
       accountName,
       repositoryName,
       viewName,
@@ -2470,14 +2601,15 @@ const buildGlobalTabs = async (state, { includeInfo = false } = {}) => {
 
 const buildAccountPanes = async (state) => Promise.all(
   state.listOpenAccounts().map(async (accountName) => {
-    const account = await state.getAccount(accountName);
-    const repos = await fetchAccountRepositories(state, accountName);
+    const account = await state.getAccount(accountName).catch(() => null);
+    const { repos, reposError } = await loadAccountRepositories(state, accountName);
     const config = state.getAuthContext(accountName)?.config || {};
     const tracker = state.ensureAccountTracker(accountName, config);
     return renderAccountPane({
       accountName,
       account,
       repos,
+      reposError,
       config,
       authToken: state.getAuthToken(accountName) || "",
       tracker,
@@ -2703,8 +2835,8 @@ export const openAccountPane = async (app, accountName) => {
   // This preserves all existing DOM elements including repository pane editors
   
   // 1. Fetch account data
-  const account = await app.state.getAccount(accountName);
-  const repos = await fetchAccountRepositories(app.state, accountName);
+  const account = await app.state.getAccount(accountName).catch(() => null);
+  const { repos, reposError } = await loadAccountRepositories(app.state, accountName);
   const config = app.state.getAuthContext(accountName)?.config || {};
   const tracker = app.state.ensureAccountTracker(accountName, config);
   
@@ -2725,6 +2857,7 @@ export const openAccountPane = async (app, accountName) => {
       tabLi.innerHTML = `
         <a href="#${paneId}" data-tab-link data-location="${location}" data-show-aside="false" data-body-class="accounts show">
           <span class="tab-label">${label}</span>
+          ${renderTabHost(tabHostLabel(app.state))}
           <span class="tab-actions-vertical">
             <span class="tab-icon tab-close" data-tab-action="close" data-tab-id="${paneId}" data-tab-type="account" data-account="${escapeHtml(accountName)}"></span>
             <span class="tab-icon tab-save" data-tab-action="save" data-tab-id="${paneId}" data-tab-type="account" data-account="${escapeHtml(accountName)}" aria-disabled="true"></span>
@@ -2787,6 +2920,7 @@ export const openAccountPane = async (app, accountName) => {
       accountName,
       account,
       repos,
+      reposError,
       config,
       authToken: app.state.getAuthToken(accountName) || "",
       tracker,
@@ -2858,8 +2992,8 @@ export const openRepositoryPane = async (app, accountName, repositoryName) => {
       // Tab already exists - just activate it
       app.activateTab(`#${paneId}`);
     } else {
-      const account = await app.state.getAccount(accountName);
-      const repository = await app.state.getRepository(accountName, repositoryName);
+      const account = await app.state.getAccount(accountName).catch(() => null);
+      const repository = await app.state.getRepository(accountName, repositoryName).catch(() => null);
       const accountLabel = escapeHtml(account?.friendlyId || accountName);
       const repositoryLabel = escapeHtml(repository?.friendlyId || repositoryName);
       const accountPath = encodeURIComponent(accountName);
@@ -2870,6 +3004,7 @@ export const openRepositoryPane = async (app, accountName, repositoryName) => {
       tabLi.innerHTML = `
         <a href="#${paneId}" data-tab-link data-location="${location}" data-show-aside="false" data-body-class="repositories show">
           <span class="tab-label">${accountLabel}<br />${repositoryLabel}</span>
+          ${renderTabHost(tabHostLabel(app.state))}
           <span class="tab-actions-vertical">
             <span class="tab-icon tab-close" data-tab-action="close" data-tab-id="${paneId}" data-tab-type="repository" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-testid="tab-close-${paneId}"></span>
             <span class="tab-icon tab-save" data-tab-action="save" data-tab-id="${paneId}" data-tab-type="repository" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-testid="tab-save-${paneId}" aria-disabled="true"></span>
@@ -2975,7 +3110,7 @@ export const openViewPane = async (app, accountName, repositoryName, viewName) =
       // Tab already exists - just activate it
       app.activateTab(`#${paneId}`);
     } else {
-      const account = await app.state.getAccount(accountName);
+      const account = await app.state.getAccount(accountName).catch(() => null);
       const accountPath = encodeURIComponent(accountName);
       const repositoryPath = encodeURIComponent(repositoryName);
       const viewPath = encodeURIComponent(baseViewName);
@@ -2985,6 +3120,7 @@ export const openViewPane = async (app, accountName, repositoryName, viewName) =
       tabLi.innerHTML = `
         <a href="#${paneId}" data-tab-link data-location="${location}" data-show-aside="false" data-body-class="queries show">
           <span class="tab-label">${escapeHtml(baseViewName)}</span>
+          ${renderTabHost(tabHostLabel(app.state))}
           <span class="tab-actions-vertical">
             <span class="tab-icon tab-close" data-tab-action="close" data-tab-id="${paneId}" data-tab-type="view" data-account="${escapeHtml(accountName)}" data-repository="${escapeHtml(repositoryName)}" data-view="${escapeHtml(baseViewName)}" data-testid="tab-close-${paneId}"></span>
           </span>
@@ -3117,7 +3253,7 @@ const setupInlineLogin = async (app) => {
   const accountParam = new URLSearchParams(window.location.search).get("account");
   const hostField = form.querySelector('[name="host"]');
   if (hostField) {
-    hostField.value = hostParam || window.location.host;
+    hostField.value = hostParam || app.state.profiles.displayHost();
   }
   if (accountParam) {
     const loginField = form.querySelector('[name="login"]');
@@ -3126,6 +3262,10 @@ const setupInlineLogin = async (app) => {
     }
   }
 
+  form.parentElement?.querySelector(".sso-login-btn")?.addEventListener("click", () => {
+    beginSsoLogin(app, { host: hostField?.value, errorBox, errorText });
+  });
+
   form.addEventListener("submit", async (e) => {
     console.log("[Login] Form submit event fired");
     console.log("[Login] Event:", e);
@@ -3152,16 +3292,32 @@ const setupInlineLogin = async (app) => {
       if (passwordField) {
         passwordField.value = "";
       }
+      const switchedHost = app.state.useProfile(result.baseUrl);
       app.state.authStore.setAuth(accountName, result.token, result.config, result.baseUrl);
       app.state.setAccountFromConfig(accountName, result.config);
       app.state.session.login(accountName);
+      if (form.querySelector('[name="remember"]')?.checked) {
+        await app.state.keepSignedIn();
+      }
       // Update header links to show Logout instead of Signup
       if (app.updateHeaderLinks) {
         app.updateHeaderLinks();
       }
-      console.log("[Login] Navigating to account page");
       const successMessage = `Authenticated as ${accountName}`;
-      app.router.navigate(`${BASE_PATH}/account/${accountName}`);
+      // A guarded deep link sent the user here with ?next=; return to it after login.
+      const next = loginRedirectTarget(app);
+      const restored = await restoreWorkspace(app);
+      if (!restored && switchedHost) {
+        // Panes of the previous host are gone; start from a fresh page for this one.
+        app.editorInstances?.clear();
+        await app.renderPage(new HomePage({ state: app.state }));
+      }
+      if (next) {
+        app.router.navigate(next, { replace: true });
+      } else if (!restored) {
+        console.log("[Login] Navigating to account page");
+        app.router.navigate(`${BASE_PATH}/account/${accountName}`);
+      }
       setTimeout(() => {
         app.showLocationMessage?.(successMessage, 3000);
       }, 100);
@@ -3180,12 +3336,559 @@ const setupInlineLogin = async (app) => {
 
 };
 
+// Render the workspace of the signed-in account and show its active tab.
+const showWorkspace = async (app) => {
+  const accountName = app.state.session.accountName;
+  app.state.addOpenAccount(accountName);
+  await app.renderPage(new HomePage({ state: app.state }));
+  app.activateTab(app.state.activeTab || `#${paneIdAccount(accountName)}`);
+};
+
+// Rebuild the panes of the workspace saved for the signed-in account and show its
+// active tab. Answers false when there was none, leaving navigation to the caller.
+export const restoreWorkspace = async (app) => {
+  if (!app.state.beginWorkspace()) return false;
+  await showWorkspace(app);
+  return true;
+};
+
+// Header profile switcher: show the panes last open on the chosen host, or the login
+// form (with that host filled in) when no account is signed in there.
+export const switchProfile = async (app, nameOrHost) => {
+  if (!app.state.useProfile(nameOrHost)) return;
+  app.editorInstances?.clear();
+  if (app.state.session.isLoggedIn()) {
+    await showWorkspace(app);
+  } else {
+    await app.renderPage(new HomePage({ state: app.state }));
+    app.updateLocationBar?.(`${BASE_PATH}/login`);
+  }
+};
+
+// Header workspace switcher: replace the open panes with those of the session account's
+// named workspace (an empty one when the name is new), once any unsaved changes in the
+// current panes have been saved or discarded.
+export const switchWorkspace = async (app, name) => {
+  if (!name || name === app.state.workspaceName) return;
+  if (!(await app.confirmUnsavedChanges({ action: "switch workspaces" }))) return;
+  if (!app.state.switchWorkspace(name)) return;
+  app.editorInstances?.clear();
+  await showWorkspace(app);
+};
+
+/**
+ * Ask what to do with unsaved changes before they would be lost: in one pane when
+ * `scope` names its id, otherwise anywhere. Answers true once the changes are saved
+ * or discarded (or when there are none), false when the user cancels.
+ */
+export const confirmUnsavedChanges = (app, { scope = null, action = "continue" } = {}) => {
+  const registry = app.state.unsavedChanges;
+  const entries = registry.pending(scope);
+  if (!entries.length) return Promise.resolve(true);
+  const labels = [...new Set(entries.map((entry) => entry.label))];
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.className = "modal-overlay unsaved-changes-overlay";
+    overlay.dataset.testid = "unsaved-changes-dialog";
+    overlay.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-labelledby="unsaved-changes-title">
+        <h3 id="unsaved-changes-title" style="margin:0 0 8px 0;">Unsaved changes</h3>
+        <p style="margin:0 0 8px 0;">Save these changes before you ${escapeHtml(action)}?</p>
+        <ul class="unsaved-changes-list">${labels.map((label) => `<li>${escapeHtml(label)}</li>`).join("")}</ul>
+        <p class="unsaved-changes-error" style="display:none;color:#b00020;"></p>
+        <div class="modal-actions">
+          <button type="button" class="unsaved-cancel" data-testid="unsaved-cancel-btn">Cancel</button>
+          <button type="button" class="unsaved-discard" data-testid="unsaved-discard-btn">Discard</button>
+          <button type="button" class="unsaved-save" data-testid="unsaved-save-btn">Save</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    const errorText = overlay.querySelector(".unsaved-changes-error");
+    const buttons = overlay.querySelectorAll("button");
+
+    const finish = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+    overlay.querySelector(".unsaved-cancel").addEventListener("click", () => finish(false));
+    overlay.querySelector(".unsaved-discard").addEventListener("click", () => {
+      registry.discard(entries);
+      finish(true);
+    });
+    overlay.querySelector(".unsaved-save").addEventListener("click", async () => {
+      buttons.forEach((button) => { button.disabled = true; });
+      errorText.style.display = "none";
+      try {
+        await registry.save(entries);
+        finish(true);
+      } catch (error) {
+        // Keep the dialog, so the user can retry, discard or stay.
+        console.error("[UnsavedChanges] Save failed:", error);
+        errorText.textContent = `Save failed: ${error.message}`;
+        errorText.style.display = "block";
+        buttons.forEach((button) => { button.disabled = false; });
+      }
+    });
+    overlay.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") finish(false);
+    });
+    overlay.querySelector(".unsaved-save").focus();
+  });
+};
+
+// "Save all": the account and repository panes with unsaved changes, in the order they
+// were opened. They are saved in one transaction when they belong to one account and its
+// store offers it, and one after the other otherwise. A pane which fails is rolled back.
+// Answers the SaveBatch report.
+export const saveAllPanes = async (app) => {
+  const entries = app.state.unsavedChanges.pending().filter((entry) => entry.prepare);
+  const accounts = new Set(entries.map((entry) => entry.accountName));
+  const [accountName] = accounts;
+  const transactional = entries.length > 1 && accounts.size === 1
+    && await supportsConfigurationTransactions(app.state, accountName);
+  const transaction = transactional ? (requests) => writeConfigurations(app.state, accountName, requests) : null;
+  return new SaveBatch(entries, { transaction }).commit();
+};
+
+const hasDiscardedChanges = (result) => Object.keys(result.discarded || {}).length > 0;
+
+// What became of each pane in a "Save all". Failed panes were rolled back, so the report
+// is the only place their error is shown; its Restore puts their changes back in the pane,
+// to be saved again.
+export const openSaveReport = (app, { transactional, results }) => {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay save-report-overlay";
+  overlay.dataset.testid = "save-report-dialog";
+  const failures = results.filter((result) => result.status === "failed").length;
+  const summary = failures
+    ? `${failures} of ${results.length} could not be saved; their changes were rolled back.`
+    : `Saved ${results.length === 1 ? "1 pane" : `${results.length} panes`}${transactional ? " in one transaction" : ""}.`;
+  const items = results.map((result) => {
+    const { key, label, status, detail, error } = result;
+    return `
+    <li class="save-report-item ${status}" data-testid="save-report-item" data-key="${escapeHtml(key)}" data-status="${status}">
+      <span class="save-report-label">${escapeHtml(label)}</span>
+      <span class="save-report-status">${status === "saved" ? "Saved" : "Rolled back"}</span>
+      ${error ? `<span class="save-report-error">${escapeHtml(error.message || String(error))}</span>` : ""}
+      ${detail?.changedElsewhere ? '<span class="save-report-note">together with changes made by someone else</span>' : ""}
+      ${hasDiscardedChanges(result) ? '<button type="button" class="save-report-restore" data-testid="save-report-restore-btn">Restore changes</button>' : ""}
+    </li>
+  `;
+  }).join("");
+  overlay.innerHTML = `
+    <div class="modal save-report-modal" role="dialog" aria-modal="true" aria-labelledby="save-report-title">
+      <h3 id="save-report-title" style="margin:0 0 8px 0;">Save all</h3>
+      <p style="margin:0 0 8px 0;">${escapeHtml(summary)}</p>
+      <ol class="save-report-list">${items}</ol>
+      <div class="modal-actions">
+        <button type="button" class="save-report-close" data-testid="save-report-close-btn">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  const close = () => overlay.remove();
+  overlay.querySelector(".save-report-close").addEventListener("click", close);
+  overlay.querySelectorAll(".save-report-restore").forEach((button, index) => {
+    const result = results.filter(hasDiscardedChanges)[index];
+    button.addEventListener("click", () => {
+      app.state.unsavedChanges.get(result.key)?.restore?.(result.discarded);
+      button.remove();
+    });
+  });
+  overlay.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") close();
+  });
+  overlay.querySelector(".save-report-close").focus();
+};
+
+const formatConflictValue = (value) => {
+  if (value === undefined || value === null || value === "") return "<em>(empty)</em>";
+  const text = Array.isArray(value) ? value.join("\n") : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return `<pre class="conflict-value">${escapeHtml(text)}</pre>`;
+};
+
+// Show conflicting fields side by side (base, local and remote value) and let the user
+// keep either side per field. Answers { field: "local" | "remote" }, or null on cancel.
+const confirmConflictResolution = ({ label, conflicts }) => new Promise((resolve) => {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay conflict-overlay";
+  overlay.dataset.testid = "conflict-dialog";
+  const rows = conflicts.map(({ name, base, local, remote }) => `
+    <tr data-conflict-field="${escapeHtml(name)}">
+      <th scope="row">${escapeHtml(name)}</th>
+      <td>${formatConflictValue(base)}</td>
+      <td><label><input type="radio" name="conflict-${escapeHtml(name)}" value="local" data-testid="conflict-local-${escapeHtml(name)}" checked /> ${formatConflictValue(local)}</label></td>
+      <td><label><input type="radio" name="conflict-${escapeHtml(name)}" value="remote" data-testid="conflict-remote-${escapeHtml(name)}" /> ${formatConflictValue(remote)}</label></td>
+    </tr>
+  `).join("");
+  overlay.innerHTML = `
+    <div class="modal conflict-modal" role="dialog" aria-modal="true" aria-labelledby="conflict-title">
+      <h3 id="conflict-title" style="margin:0 0 8px 0;">Changed by someone else</h3>
+      <p style="margin:0 0 8px 0;">${escapeHtml(label)} was changed elsewhere while you edited it. Choose which value to keep for each field.</p>
+      <table class="conflict-table">
+        <thead><tr><th>Field</th><th>Before</th><th>Yours</th><th>Theirs</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="modal-actions">
+        <button type="button" class="conflict-cancel" data-testid="conflict-cancel-btn">Cancel</button>
+        <button type="button" class="conflict-theirs" data-testid="conflict-theirs-btn">Keep all theirs</button>
+        <button type="button" class="conflict-apply" data-testid="conflict-apply-btn">Apply</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  const finish = (result) => {
+    overlay.remove();
+    resolve(result);
+  };
+  const choices = () => Object.fromEntries(conflicts.map(({ name }) => [
+    name,
+    overlay.querySelector(`tr[data-conflict-field="${CSS.escape(name)}"] input:checked`)?.value || "local",
+  ]));
+  overlay.querySelector(".conflict-cancel").addEventListener("click", () => finish(null));
+  overlay.querySelector(".conflict-theirs").addEventListener("click", () => {
+    finish(Object.fromEntries(conflicts.map(({ name }) => [name, "remote"])));
+  });
+  overlay.querySelector(".conflict-apply").addEventListener("click", () => finish(choices()));
+  overlay.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") finish(null);
+  });
+  overlay.querySelector(".conflict-apply").focus();
+});
+
+// Show field values, by name, in a pane's inputs or in place of its read-only text.
+const showFieldValues = (pane, values) => {
+  Object.entries(values).forEach(([name, value]) => {
+    const text = Array.isArray(value) ? value.join("\n") : value ?? "";
+    pane.querySelectorAll(`[data-field="${CSS.escape(name)}"], [data-repo-field="${CSS.escape(name)}"]`).forEach((element) => {
+      if ("value" in element && element.tagName !== "BUTTON") {
+        element.value = text;
+      } else {
+        element.textContent = text;
+      }
+    });
+  });
+};
+
+// Merge the stored configuration into a tracker holding local edits, asking the user about
+// fields changed on both sides. Fields which now show the stored value are redrawn in the
+// pane. Answers the names of the fields changed in the store, or null if the user cancelled.
+const mergeTrackerState = async (state, { tracker, label, remote, pane = null }) => {
+  if (!tracker || !remote) return [];
+  const remoteDeltas = state.replication.remoteDeltas(tracker, remote);
+  const conflicts = tracker.findConflicts(remoteDeltas);
+  let resolutions = {};
+  if (conflicts.length) {
+    resolutions = await confirmConflictResolution({ label, conflicts });
+    if (!resolutions) return null;
+  }
+  tracker.merge(remoteDeltas, resolutions);
+  if (pane) {
+    showFieldValues(pane, Object.fromEntries(Object.entries(remoteDeltas)
+      .filter(([name]) => resolutions[name] !== "local")
+      .map(([name, [value]]) => [name, value])));
+  }
+  return Object.keys(remoteDeltas);
+};
+
+// Write a pane's changes, computed by `updates()` from its tracker, with If-Match. A 412
+// means the configuration was changed by someone else: refetch it, merge it into the
+// tracker and write what remains. Answers { config, result, changedElsewhere }.
+const writeTrackedConfiguration = async (state, { tracker, label, pane, updates, write, refetch }) => {
+  let changedElsewhere = false;
+  for (let attempt = 0; ; attempt += 1) {
+    const config = updates();
+    if (!Object.keys(config).length) return { config, result: null, changedElsewhere };
+    try {
+      return { config, result: await write(config), changedElsewhere };
+    } catch (error) {
+      if (!(error instanceof ConflictError) || error.status !== 412 || attempt >= 2) throw error;
+      console.warn(`[Save] ${label} was changed by someone else; merging`);
+      const changed = await mergeTrackerState(state, { tracker, label, remote: await refetch(), pane });
+      if (!changed) throw new Error(`cancelled, ${label} was changed by someone else`);
+      changedElsewhere = true;
+    }
+  }
+};
+
+// Open repository panes follow their repository. Whenever the store reports a change the
+// quad count and the view list are fetched again, and a change made elsewhere shows a
+// banner whose Refresh merges the stored settings into the pane. The changes this Studio
+// makes are recorded by the ETag their write answered, as the replication layer records
+// its own patches, so that the store's reflection of them passes without a banner; the
+// pane is refreshed directly instead. A write answered without an ETag cannot be told
+// apart, and its reflection shows like anyone else's change.
+const LIVE_REFRESH_DELAY = 500;
+
+// A repository pane shows the state of its replication connection beside the quad
+// count: live, connecting, reconnecting with the wait before the next attempt, or
+// offline. The badge stops following the database once the pane is removed.
+const connectionStatusView = new ConnectionStatusView();
+
+const watchConnectionStatus = (pane, database) => {
+  const status = pane.querySelector(".repository-connection");
+  if (status) disposeWhenRemoved(status, connectionStatusView.watch(status, database));
+};
+
+const noteLocalRepositoryChange = (state, accountName, repositoryName, etag) => {
+  if (etag) state.repositoryChanges.noteLocalRevision(accountName, repositoryName, etag);
+  const pane = document.getElementById(paneIdRepository(accountName, repositoryName));
+  if (pane) refreshRepositoryLiveState(state, pane);
+};
+
+const formatQuadCount = (count) => `${Number(count || 0).toLocaleString()} ${count === 1 ? "statement" : "statements"}`;
+
+const repositoryChangeNotice = (change) => {
+  if (change.kind === "view") return `View ${change.view} was ${change.deleted ? "deleted" : "saved"}`;
+  if (change.kind === "settings") return "The settings were changed";
+  if (change.kind === "clear") return "The repository was cleared";
+  return "Data was imported or changed";
+};
+
+const showRepositoryChangeBanner = (pane, notices) => {
+  const banner = pane.querySelector(".repository-change-banner");
+  if (!banner) return;
+  if (!notices.length) {
+    banner.hidden = true;
+    banner.innerHTML = "";
+    return;
+  }
+  banner.innerHTML = `
+    <span class="repository-change-text">Changed elsewhere: ${escapeHtml(notices.join("; "))}.</span>
+    <button type="button" data-change-action="refresh" data-testid="repository-change-refresh">Refresh</button>
+    <button type="button" data-change-action="dismiss" data-testid="repository-change-dismiss" aria-label="Dismiss">×</button>
+  `;
+  banner.hidden = false;
+};
+
+// The quad count and the view list, without touching the pane's settings or their ETag.
+const refreshRepositoryLiveState = async (state, pane) => {
+  const { account: accountName, repository: repositoryName } = pane.dataset;
+  const [repository, views] = await Promise.all([
+    state.getRepository(accountName, repositoryName).catch(() => null),
+    fetchRepositoryViews(state, accountName, repositoryName, {}).catch(() => null),
+  ]);
+  if (!pane.isConnected) return;
+  const quadCount = pane.querySelector(".repository-quad-count");
+  if (repository && quadCount) quadCount.textContent = formatQuadCount(repository.quadCount);
+  const container = pane.querySelector(".query-container");
+  if (!views || !container) return;
+  const shown = [...container.querySelectorAll(".view-edit")].map((link) => link.dataset.viewName);
+  if (shown.join("\n") === views.map((view) => view.friendlyId).join("\n")) return;
+  container.innerHTML = renderViewEntries(accountName, repositoryName, views);
+  pane.dispatchEvent(new CustomEvent("viewlistchange", { detail: { views } }));
+};
+
+// Merge the stored settings into the pane's tracker, asking about fields changed on both
+// sides. Answers false if the user cancelled.
+const refreshRepositoryPane = async (app, pane) => {
+  const { account: accountName, repository: repositoryName } = pane.dataset;
+  const stored = await fetchRepositoryConfig(app.state, accountName, repositoryName, true);
+  const changed = await mergeTrackerState(app.state, {
+    tracker: app.state.getRepositoryTracker(accountName, repositoryName),
+    label: `Repository ${accountName}/${repositoryName}`,
+    remote: stored,
+    pane,
+  });
+  if (!changed) return false;
+  const readme = pane.querySelector("#repository-markdown");
+  if (readme && stored && changed.includes("description")) {
+    readme.innerHTML = stored.description
+      ? `<p>${escapeHtml(stored.description)}</p>`
+      : "<p>A description has not been added for this repository yet.</p>";
+  }
+  await refreshRepositoryLiveState(app, pane);
+  return true;
+};
+
+const watchRepositoryChanges = (app, pane) => {
+  const { account: accountName, repository: repositoryName } = pane.dataset;
+  const auth = app.state.getAuthContext(accountName);
+  if (!auth?.token || !auth?.host || pane.dataset.changesWatched) return;
+  pane.dataset.changesWatched = "true";
+  let notices = [];
+  let pending = [];
+  let timer = null;
+  const flush = () => {
+    timer = null;
+    notices = [...new Set([...notices, ...pending.map(repositoryChangeNotice)])];
+    pending = [];
+    showRepositoryChangeBanner(pane, notices);
+    refreshRepositoryLiveState(app.state, pane);
+  };
+  const { database, stop } = app.state.repositoryChanges.watch({ accountName, repositoryName, host: auth.host, token: auth.token }, (change) => {
+    if (!pane.isConnected) {
+      stop();
+      return;
+    }
+    pending.push(change);
+    clearTimeout(timer);
+    timer = setTimeout(flush, LIVE_REFRESH_DELAY);
+  });
+  watchConnectionStatus(pane, database);
+  pane.querySelector(".repository-change-banner")?.addEventListener("click", async (event) => {
+    const action = event.target.closest("[data-change-action]")?.dataset.changeAction;
+    if (action === "dismiss") {
+      notices = [];
+      showRepositoryChangeBanner(pane, notices);
+    }
+    if (action === "refresh") {
+      try {
+        if (!(await refreshRepositoryPane(app, pane))) return;
+        notices = [];
+        showRepositoryChangeBanner(pane, notices);
+      } catch (error) {
+        console.error("[RepositoryPane] Refresh failed:", error);
+        app.showLocationMessage?.(`Refresh failed: ${error.message}`, 5000);
+      }
+    }
+  });
+};
+
+// Account and repository edits stay in the pane's tracker until the pane is saved.
+// Discarding rolls the tracker back, shows the stored values in the pane and answers the
+// changes it dropped; restoring makes those changes again, as one step of the pane's edit
+// history. `prepare` answers the pane's part of a "Save all" transaction. The entry goes
+// with the pane.
+const watchTrackerChanges = (app, pane, { label, accountName, tracker, save, prepare }) => {
+  const paneId = pane.getAttribute("id");
+  const saveButton = () => document.querySelector(`[data-tab-id="${paneId}"][data-tab-action="save"]`);
+  disposeWhenRemoved(pane, app.state.unsavedChanges.register(paneId, {
+    label,
+    accountName,
+    isDirty: () => Object.keys(tracker()?.deltas?.() || {}).length > 0,
+    save,
+    prepare,
+    discard: () => {
+      const deltas = tracker()?.rollback?.() || {};
+      showFieldValues(pane, Object.fromEntries(Object.entries(deltas).map(([name, [, old]]) => [name, old])));
+      app.state.editHistory.clear(paneId, tracker());
+      saveButton()?.setAttribute("aria-disabled", "true");
+      return deltas;
+    },
+    restore: (deltas) => {
+      const current = tracker();
+      if (!current) return;
+      app.state.editHistory.track(paneId, current, Object.keys(deltas), () => {
+        Object.entries(deltas).forEach(([name, [value]]) => {
+          current[name] = value;
+        });
+      });
+      showFieldValues(pane, Object.fromEntries(Object.keys(deltas).map((name) => [name, current[name]])));
+      saveButton()?.setAttribute("aria-disabled", "false");
+    },
+  }));
+};
+
+// Undo and redo within an account or repository pane. Edits go on the edit history under
+// the pane id as they reach the tracker; a step is replayed through its target and the
+// pane hears of it as an "edithistory" event, to redraw what the step touched.
+const EDIT_HISTORY_PANES = ".account-pane, .repository-pane";
+const editHistoryView = new EditHistoryView();
+const editHistoryPopovers = new Map();
+
+const applyPaneEditStep = (app, pane, direction) => {
+  const scope = pane.getAttribute("id");
+  const step = direction === "redo" ? app.state.editHistory.redo(scope) : app.state.editHistory.undo(scope);
+  if (step) {
+    pane.dispatchEvent(new CustomEvent("edithistory", { detail: { step, direction } }));
+  }
+  return step;
+};
+
+// Ctrl+Z and Ctrl+Shift+Z (Cmd on macOS) apply to the pane holding the focus, or to the
+// active pane when nothing is focused. Inside a pane they replace the inputs' own undo,
+// which knows nothing of the tracker.
+const handleEditHistoryKeys = (app) => (event) => {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key?.toLowerCase() !== "z") return;
+  let pane = event.target.closest?.(EDIT_HISTORY_PANES);
+  if (!pane && (event.target === document.body || event.target === document.documentElement)) {
+    const href = document.querySelector("[data-tab-link].active")?.getAttribute("href");
+    pane = href?.startsWith("#") ? document.getElementById(href.slice(1))?.closest(EDIT_HISTORY_PANES) : null;
+  }
+  if (!pane) return;
+  event.preventDefault();
+  applyPaneEditStep(app, pane, event.shiftKey ? "redo" : "undo");
+};
+
+const editHistoryLabel = (pane, name, step) => {
+  if (step.label) return step.label;
+  const field = pane.querySelector(`[data-field="${CSS.escape(name)}"], [data-repo-field="${CSS.escape(name)}"]`);
+  const label = field?.closest(".foaf-field, .repo-meta-field")?.querySelector(".foaf-label, .label")?.textContent;
+  return label ? label.trim().replace(/:$/, "") : name.replace(/_/g, " ");
+};
+
+const formatEditHistoryValue = (name, value) => {
+  if (name === "collaborators" && Array.isArray(value)) {
+    return formatHistoryValue(name, value.map(({ account, read, write }) =>
+      `${account} (${[read && "read", write && "write"].filter(Boolean).join(", ") || "no access"})`));
+  }
+  return formatHistoryValue(name, value);
+};
+
+// The pane's history as a popover beside its tab column, kept current while it is open.
+// The button, Escape or a click elsewhere closes it.
+const toggleEditHistoryPopover = (app, pane, button) => {
+  const scope = pane.getAttribute("id");
+  if (editHistoryPopovers.has(scope)) {
+    editHistoryPopovers.get(scope)();
+    return;
+  }
+  const sidebar = button.closest(".account-sidebar, .repository-sidebar");
+  if (!sidebar) return;
+  const holder = document.createElement("div");
+  holder.className = "edit-history-holder";
+  const render = () => {
+    holder.innerHTML = editHistoryView.render(app.state.editHistory.entries(scope), {
+      labelFor: (name, step) => editHistoryLabel(pane, name, step),
+      format: formatEditHistoryValue,
+    });
+  };
+  const stopWatching = app.state.editHistory.onChange((changed) => {
+    if (changed !== scope) return;
+    if (holder.isConnected) {
+      render();
+    } else {
+      close();
+    }
+  });
+  const onPointer = (event) => {
+    if (!holder.contains(event.target) && !button.contains(event.target)) close();
+  };
+  const onKey = (event) => {
+    if (event.key === "Escape") close();
+  };
+  const close = () => {
+    stopWatching();
+    document.removeEventListener("mousedown", onPointer);
+    document.removeEventListener("keydown", onKey);
+    holder.remove();
+    button.setAttribute("aria-expanded", "false");
+    editHistoryPopovers.delete(scope);
+  };
+  holder.addEventListener("click", (event) => {
+    const action = event.target.closest("[data-history-action]")?.dataset.historyAction;
+    if (action) applyPaneEditStep(app, pane, action);
+  });
+  render();
+  sidebar.appendChild(holder);
+  document.addEventListener("mousedown", onPointer);
+  document.addEventListener("keydown", onKey);
+  button.setAttribute("aria-expanded", "true");
+  editHistoryPopovers.set(scope, close);
+};
+
 const initializePaneEditing = (app) => {
   console.log("[ViewEditor] initializePaneEditing called", { app: !!app });
   if (!app) {
     console.log("[ViewEditor] No app provided, returning");
     return;
   }
+  if (!document.documentElement.dataset.editHistoryKeysBound) {
+    document.documentElement.dataset.editHistoryKeysBound = "true";
+    document.addEventListener("keydown", handleEditHistoryKeys(app));
+  }
   document.querySelectorAll(".account-pane .foaf-value[data-editable='true']:not([data-pane-handler-bound])").forEach((field) => {
     field.dataset.paneHandlerBound = "true";
     field.addEventListener("dblclick", () => {
@@ -3275,6 +3978,23 @@ const initializePaneEditing = (app) => {
     saveButton.setAttribute("aria-disabled", hasChanges ? "false" : "true");
   };
 
+  // Redraw the fields of a tracker step once it is undone or redone, and bind the pane's
+  // history button; other targets, such as the collaboration table, redraw themselves.
+  const bindPaneEditHistory = (pane, tracker, redrawn = () => {}) => {
+    if (pane.dataset.editHistoryBound) return;
+    pane.dataset.editHistoryBound = "true";
+    pane.addEventListener("edithistory", ({ detail: { step } }) => {
+      const current = tracker();
+      if (!current || step.target !== current) return;
+      showFieldValues(pane, Object.fromEntries(Object.keys(step.deltas).map((name) => [name, current[name]])));
+      updateSaveButtonVisibility(pane, null, current);
+      redrawn(step);
+    });
+    pane.querySelector(".edit-history-btn")?.addEventListener("click", (event) => {
+      toggleEditHistoryPopover(app, pane, event.currentTarget);
+    });
+  };
+
   const readAccountFieldValue = (pane, fieldName) => {
     const input = pane.querySelector(`input.profile-input[data-field="${fieldName}"]`);
     if (input) return input.value || "";
@@ -3283,6 +4003,19 @@ const initializePaneEditing = (app) => {
   };
 
   document.querySelectorAll(".account-pane").forEach((pane) => {
+    const paneAccount = pane.dataset.account;
+    if (paneAccount && app?.state) {
+      watchTrackerChanges(app, pane, {
+        label: `Account ${paneAccount}`,
+        accountName: paneAccount,
+        tracker: () => app.state.getAccountTracker(paneAccount),
+        save: () => window.saveAccountPane(paneAccount),
+        prepare: async () => {
+          const plan = await prepareAccountSave(app.state, paneAccount);
+          return plan ? transactionPart(plan) : null;
+        },
+      });
+    }
     pane.addEventListener("input", (event) => {
       const input = event.target.closest("input.profile-input") || event.target.closest("input.password-input");
       if (!input) return;
@@ -3290,22 +4023,27 @@ const initializePaneEditing = (app) => {
       if (accountName && app?.state) {
         const tracker = app.state.getAccountTracker(accountName);
         if (tracker && input.dataset.field) {
-          const handler = DISPLAY_TYPE_HANDLERS[input.dataset.type] || DISPLAY_TYPE_HANDLERS.text;
-          tracker[input.dataset.field] = handler.parse(input.value);
-          if (input.dataset.field === "firstname" || input.dataset.field === "familyname") {
-            const first = readAccountFieldValue(pane, "firstname");
-            const last = readAccountFieldValue(pane, "familyname");
-            const fullName = `${first} ${last}`.trim();
-            tracker.fullname = fullName;
-            const fullNameSpan = pane.querySelector('.foaf-value[data-field="fullname"]');
-            if (fullNameSpan && fullNameSpan.tagName.toLowerCase() === "span") {
-              fullNameSpan.textContent = fullName;
+          const field = input.dataset.field;
+          const namesChanged = field === "firstname" || field === "familyname";
+          app.state.editHistory.track(pane.getAttribute("id"), tracker, namesChanged ? [field, "fullname"] : [field], () => {
+            const handler = DISPLAY_TYPE_HANDLERS[input.dataset.type] || DISPLAY_TYPE_HANDLERS.text;
+            tracker[field] = handler.parse(input.value);
+            if (namesChanged) {
+              const first = readAccountFieldValue(pane, "firstname");
+              const last = readAccountFieldValue(pane, "familyname");
+              const fullName = `${first} ${last}`.trim();
+              tracker.fullname = fullName;
+              const fullNameSpan = pane.querySelector('.foaf-value[data-field="fullname"]');
+              if (fullNameSpan && fullNameSpan.tagName.toLowerCase() === "span") {
+                fullNameSpan.textContent = fullName;
+              }
             }
-          }
+          });
         }
         updateSaveButtonVisibility(pane, "input.profile-input,input.password-input", tracker);
       }
     });
+    bindPaneEditHistory(pane, () => app.state.getAccountTracker(pane.dataset.account));
   });
 
   const updateRepositoryField = (tracker, field, value) => {
@@ -3357,6 +4095,20 @@ const initializePaneEditing = (app) => {
   document.querySelectorAll(".repository-pane").forEach((pane) => {
     // Update IPs tab state on initial load
     updateIPsTabState(pane);
+    const { account: paneAccount, repository: paneRepository } = pane.dataset;
+    if (paneAccount && paneRepository && app?.state) {
+      watchTrackerChanges(app, pane, {
+        label: `Repository ${paneAccount}/${paneRepository}`,
+        accountName: paneAccount,
+        tracker: () => app.state.getRepositoryTracker(paneAccount, paneRepository),
+        save: () => window.saveRepositoryPane(paneAccount, paneRepository),
+        prepare: async () => {
+          const plan = await prepareRepositorySave(app.state, paneAccount, paneRepository);
+          return plan ? transactionPart(plan) : null;
+        },
+      });
+      watchRepositoryChanges(app, pane);
+    }
     
     pane.querySelectorAll(".repository-sidebar .manage-tab").forEach((tab) => {
       tab.addEventListener("click", () => {
@@ -3448,7 +4200,9 @@ const initializePaneEditing = (app) => {
         const tracker = app.state.getRepositoryTracker(accountName, repositoryName);
         const field = input.dataset.repoField;
         if (tracker && field) {
-          updateRepositoryField(tracker, field, input.value);
+          app.state.editHistory.track(pane.getAttribute("id"), tracker, [field], () => {
+            updateRepositoryField(tracker, field, input.value);
+          });
           // Update IPs tab state when privacy setting changes
           if (field === "privacy_setting") {
             updateIPsTabState(pane);
@@ -3459,6 +4213,9 @@ const initializePaneEditing = (app) => {
     };
     pane.addEventListener("input", handleRepositoryInput);
     pane.addEventListener("change", handleRepositoryInput);
+    bindPaneEditHistory(pane, () => app.state.getRepositoryTracker(pane.dataset.account, pane.dataset.repository), () => {
+      updateIPsTabState(pane);
+    });
   });
 
   // Repository operation buttons (Import, Export, Clear)
@@ -3566,7 +4323,14 @@ const initializePaneEditing = (app) => {
         if (!name) return;
 
         // Check if repository already exists
-        const existingRepos = await fetchAccountRepositories(app.state, accountName);
+        let existingRepos;
+        try {
+          existingRepos = await fetchAccountRepositories(app.state, accountName);
+        } catch (error) {
+          errorDiv.textContent = `Could not check existing repositories: ${error.message}`;
+          errorDiv.style.display = "block";
+          return;
+        }
         const existingRepo = existingRepos.find(r => r.name === name || r.friendlyId === name);
         if (existingRepo) {
           errorDiv.textContent = `Repository "${name}" already exists.`;
@@ -3585,14 +4349,11 @@ const initializePaneEditing = (app) => {
 
         const type = typeSelect.value;
         try {
-          const url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories`;
-          const response = await fetch(url, {
+          const response = await app.state.http.request(`/system/accounts/${encodeURIComponent(accountName)}/repositories`, {
+            accountName,
             method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${auth.token}`,
-            },
-            body: JSON.stringify({ name, type }),
+            accept: "*/*",
+            json: { name, type },
           });
           if (response.status === 200 || response.status === 201) {
             // Close dialog after successful creation
@@ -3764,13 +4525,20 @@ const initializePaneEditing = (app) => {
           viewText = view.queryText;
         } else {
           // queryText is undefined - fetch it for existing view
-          viewText = await fetchViewText({
-          auth,
-          accountName,
-          repositoryName,
-            viewName: baseViewName,
-        });
+          try {
+            viewText = await fetchViewText({
+              state: app.state,
+              accountName,
+              repositoryName,
+              viewName: baseViewName,
+            });
+          } catch (error) {
+            console.error("[ViewEditor] Failed to load view text", error);
+            body.textContent = `Could not load view ${baseViewName}: ${error.message}`;
+            return;
+          }
         }
+        const viewDraft = trackViewDraft(app, accountName, repositoryName, baseViewName, viewText);
         const editorApi = window.createSparqlEditor({
           container: body,
           viewUrl,
@@ -3780,8 +4548,10 @@ const initializePaneEditing = (app) => {
           repositoryName,
           repositoryClass: repoClass,
           revisionsEndpoint,
+          revisionIdentifiers,
+          asyncJobs: app.state.asyncJobs,
           viewName: baseViewName,
-          sparql: viewText !== null ? (viewText || "SELECT * WHERE { ?s ?p ?o } LIMIT 10") : "SELECT * WHERE { ?s ?p ?o } LIMIT 10",
+          sparql: viewDraft.initialText,
           options: {
             title: `/${accountName}/${repositoryName}/${baseViewName}`,
             initialState: "open",
@@ -3792,6 +4562,7 @@ const initializePaneEditing = (app) => {
             showResetButton: true,
             showCloseButton: true,
             onQueryBlur: (queryText) => {
+              viewDraft.record(queryText);
               // Synchronize query text to all other editors for this view
               const otherEditors = findEditorsForView(app, accountName, repositoryName, baseViewName).filter(e => e !== editorApi);
               otherEditors.forEach((otherEditor) => {
@@ -3804,6 +4575,7 @@ const initializePaneEditing = (app) => {
                 }
               });
             },
+            onQuerySaved: viewDraft.saved,
             onClose: () => {
               openViews.delete(view.friendlyId);
               // Remove editor instance from map if app is available
@@ -3823,6 +4595,7 @@ const initializePaneEditing = (app) => {
           const repoEditorId = `repo-editor-${accountName.replace(/[^a-z0-9_-]/gi, "-")}-${repositoryName.replace(/[^a-z0-9_-]/gi, "-")}-${baseViewName.replace(/[^a-z0-9_-]/gi, "-")}`;
           app.editorInstances.set(repoEditorId, editorApi);
         }
+        viewDraft.watch(`${paneIdRepository(accountName, repositoryName)}/view/${baseViewName}`, editorApi);
       };
 
       const getDragAfterElement = (containerEl, y) => {
@@ -3861,136 +4634,137 @@ const initializePaneEditing = (app) => {
         target.classList.remove("dragging");
       });
 
-      // Attach click handlers to view-edit links (opens view editor in current pane)
-      const viewEditLinks = pane.querySelectorAll(".view-edit");
-      console.log("[ViewEditor] Found", viewEditLinks.length, "view-edit links in pane", accountName, repositoryName);
-      viewEditLinks.forEach((link) => {
-        // Prevent duplicate handlers
-        if (link.dataset.viewEditHandlerAttached === "true") {
-          console.log("[ViewEditor] Handler already attached to view-edit link, skipping");
-          return;
-        }
-        link.dataset.viewEditHandlerAttached = "true";
-        console.log("[ViewEditor] Attaching handler to view-edit link", {
-          viewName: link.dataset.viewName,
-          text: link.textContent.trim()
+      // The view list entries: bound now and again when the list is redrawn live.
+      const bindViewEntries = () => {
+        // Attach click handlers to view-edit links (opens view editor in current pane)
+        const viewEditLinks = pane.querySelectorAll(".view-edit");
+        console.log("[ViewEditor] Found", viewEditLinks.length, "view-edit links in pane", accountName, repositoryName);
+        viewEditLinks.forEach((link) => {
+          // Prevent duplicate handlers
+          if (link.dataset.viewEditHandlerAttached === "true") {
+            console.log("[ViewEditor] Handler already attached to view-edit link, skipping");
+            return;
+          }
+          link.dataset.viewEditHandlerAttached = "true";
+          console.log("[ViewEditor] Attaching handler to view-edit link", {
+            viewName: link.dataset.viewName,
+            text: link.textContent.trim()
+          });
+          link.addEventListener("click", async (event) => {
+            console.log("[ViewEditor] view-edit link clicked", {
+              viewName: link.dataset.viewName,
+              target: event.target,
+              currentTarget: event.currentTarget
+            });
+            event.preventDefault();
+            event.stopPropagation();
+            event.stopImmediatePropagation();
+            const clickedViewName = link.dataset.viewName;
+            if (!clickedViewName) {
+              console.warn("[ViewEditor] view-edit clicked but no viewName in dataset");
+              return;
+            }
+            console.log("[ViewEditor] Creating editor panel for view:", clickedViewName);
+            const view = {
+              friendlyId: clickedViewName,
+              name: link.textContent.trim(),
+              // Don't set queryText - let createEditorPanel fetch it for existing views
+            };
+            await createEditorPanel(view);
+            console.log("[ViewEditor] Editor panel created");
+          }, true);
         });
-        link.addEventListener("click", async (event) => {
-          console.log("[ViewEditor] view-edit link clicked", {
-            viewName: link.dataset.viewName,
-            target: event.target,
-            currentTarget: event.currentTarget
-          });
-          event.preventDefault();
-          event.stopPropagation();
-          event.stopImmediatePropagation();
-          const clickedViewName = link.dataset.viewName;
-          if (!clickedViewName) {
-            console.warn("[ViewEditor] view-edit clicked but no viewName in dataset");
-            return;
-          }
-          console.log("[ViewEditor] Creating editor panel for view:", clickedViewName);
-          const view = {
-            friendlyId: clickedViewName,
-            name: link.textContent.trim(),
-            // Don't set queryText - let createEditorPanel fetch it for existing views
-          };
-          await createEditorPanel(view);
-          console.log("[ViewEditor] Editor panel created");
-        }, true);
-      });
-
-      // Attach click handlers to view-pane-btn buttons (opens view in a new pane/tab)
-      pane.querySelectorAll(".view-pane-btn:not([data-handler-bound])").forEach((btn) => {
-        btn.dataset.handlerBound = "true";
-        btn.addEventListener("click", async (event) => {
-          event.preventDefault();
-          event.stopPropagation();
-          event.stopImmediatePropagation();
-          const viewAcct = btn.dataset.account;
-          const viewRepo = btn.dataset.repository;
-          const viewName = btn.dataset.view;
-          if (!viewAcct || !viewRepo || !viewName) return;
-          await openViewPane(app, viewAcct, viewRepo, viewName);
-        }, true); // Use capture phase to intercept before router
-      });
 
-      // Attach click handlers to view-window-button buttons (opens view HTML results in new window)
-      const windowButtons = pane.querySelectorAll(".view-window-button:not([data-handler-bound])");
-      console.log("[ViewEditor] Found", windowButtons.length, "view-window-button buttons in pane", accountName, repositoryName);
-      windowButtons.forEach((btn) => {
-        btn.dataset.handlerBound = "true";
-        console.log("[ViewEditor] Attaching handler to view-window-button", {
-          viewName: btn.dataset.view,
-          account: btn.dataset.account,
-          repository: btn.dataset.repository
+        // Attach click handlers to view-pane-btn buttons (opens view in a new pane/tab)
+        pane.querySelectorAll(".view-pane-btn:not([data-handler-bound])").forEach((btn) => {
+          btn.dataset.handlerBound = "true";
+          btn.addEventListener("click", async (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            event.stopImmediatePropagation();
+            const viewAcct = btn.dataset.account;
+            const viewRepo = btn.dataset.repository;
+            const viewName = btn.dataset.view;
+            if (!viewAcct || !viewRepo || !viewName) return;
+            await openViewPane(app, viewAcct, viewRepo, viewName);
+          }, true); // Use capture phase to intercept before router
         });
-        btn.addEventListener("click", async (event) => {
-          console.log("[ViewEditor] view-window-button clicked", {
+
+        // Attach click handlers to view-window-button buttons (opens view HTML results in new window)
+        const windowButtons = pane.querySelectorAll(".view-window-button:not([data-handler-bound])");
+        console.log("[ViewEditor] Found", windowButtons.length, "view-window-button buttons in pane", accountName, repositoryName);
+        windowButtons.forEach((btn) => {
+          btn.dataset.handlerBound = "true";
+          console.log("[ViewEditor] Attaching handler to view-window-button", {
             viewName: btn.dataset.view,
             account: btn.dataset.account,
-            repository: btn.dataset.repository,
-            target: event.target,
-            currentTarget: event.currentTarget
+            repository: btn.dataset.repository
           });
-          event.preventDefault();
-          event.stopPropagation();
-          event.stopImmediatePropagation();
-          const viewName = btn.dataset.view;
-          if (!viewName) {
-            console.warn("[ViewEditor] view-window-button clicked but no viewName in dataset");
-            return;
-          }
-          const auth = app.state.getAuthContext(accountName);
-          const host = auth?.host || window.location.origin;
-          const accessToken = app.state.getAuthToken(accountName);
-          const viewHtmlUrl = `${host}/${encodeURIComponent(accountName)}/${encodeURIComponent(repositoryName)}/${encodeURIComponent(viewName)}.html`;
-          console.log("[ViewEditor] Fetching view HTML with auth token:", viewHtmlUrl);
-          
-          try {
-            const response = await fetch(viewHtmlUrl, {
-              headers: {
-                'Accept': 'text/html',
-                'Authorization': `Bearer ${accessToken}`
-              }
+          btn.addEventListener("click", async (event) => {
+            console.log("[ViewEditor] view-window-button clicked", {
+              viewName: btn.dataset.view,
+              account: btn.dataset.account,
+              repository: btn.dataset.repository,
+              target: event.target,
+              currentTarget: event.currentTarget
             });
-            
-            if (!response.ok) {
-              console.error("[ViewEditor] Failed to fetch view HTML:", response.status, response.statusText);
-              const errorText = await getResponseText(response);
-              alert(`Failed to load view: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ""}`);
+            event.preventDefault();
+            event.stopPropagation();
+            event.stopImmediatePropagation();
+            const viewName = btn.dataset.view;
+            if (!viewName) {
+              console.warn("[ViewEditor] view-window-button clicked but no viewName in dataset");
               return;
             }
+            const auth = app.state.getAuthContext(accountName);
+            const host = auth?.host || window.location.origin;
+            const viewHtmlUrl = `${host}/${encodeURIComponent(accountName)}/${encodeURIComponent(repositoryName)}/${encodeURIComponent(viewName)}.html`;
+            console.log("[ViewEditor] Fetching view HTML with auth token:", viewHtmlUrl);
+          
+            try {
+              const response = await app.state.http.request(viewHtmlUrl, { accountName, accept: "text/html" });
+              const htmlContent = await response.text();
+              console.log("[ViewEditor] HTML content fetched, opening in new window");
             
-            const htmlContent = await response.text();
-            console.log("[ViewEditor] HTML content fetched, opening in new window");
-            
-            const newWindow = window.open('', '_blank', 'width=1200,height=800,scrollbars=yes,resizable=yes');
-            if (newWindow) {
-              newWindow.document.title = `Dydra View: ${accountName}/${repositoryName}/${viewName}`;
-              newWindow.document.write(htmlContent);
-              newWindow.document.close();
-              newWindow.focus();
-            } else {
-              console.warn("[ViewEditor] Failed to open new window - popup blocked?");
-              alert("Popup blocked. Please allow popups for this site to open view in new window.");
-            }
-          } catch (error) {
-            console.error("[ViewEditor] Error fetching view HTML:", error);
-            let errorMessage = error.message;
-            // If error has a response, try to get its text
-            if (error.response) {
-              try {
-                const errorText = await getResponseText(error.response);
-                errorMessage += errorText ? ` - ${errorText}` : "";
-              } catch (e) {
-                // Ignore errors reading response
+              const newWindow = window.open('', '_blank', 'width=1200,height=800,scrollbars=yes,resizable=yes');
+              if (newWindow) {
+                newWindow.document.title = `Dydra View: ${accountName}/${repositoryName}/${viewName}`;
+                newWindow.document.write(htmlContent);
+                newWindow.document.close();
+                newWindow.focus();
+              } else {
+                console.warn("[ViewEditor] Failed to open new window - popup blocked?");
+                alert("Popup blocked. Please allow popups for this site to open view in new window.");
+              }
+            } catch (error) {
+              console.error("[ViewEditor] Error fetching view HTML:", error);
+              let errorMessage = error.message;
+              // If error has a response, try to get its text
+              if (error.response) {
+                try {
+                  const errorText = await getResponseText(error.response);
+                  errorMessage += errorText ? ` - ${errorText}` : "";
+                } catch (e) {
+                  // Ignore errors reading response
+                }
               }
+              alert(`Failed to load view: ${errorMessage}`);
             }
-            alert(`Failed to load view: ${errorMessage}`);
-          }
-        }, true); // Use capture phase to intercept before router
-      });
+          }, true); // Use capture phase to intercept before router
+        });
+
+        pane.querySelectorAll(".view-delete-btn:not([data-handler-bound])").forEach((btn) => {
+          btn.dataset.handlerBound = "true";
+          btn.addEventListener("click", () => {
+            handleViewDelete(app, btn.dataset.account, btn.dataset.repository, btn.dataset.view, btn);
+          });
+        });
+      };
+      bindViewEntries();
+      if (!pane.dataset.viewListBound) {
+        pane.dataset.viewListBound = "true";
+        pane.addEventListener("viewlistchange", bindViewEntries);
+      }
 
       // "New" view button
       const newBtn = pane.querySelector(".view-new-btn:not([data-handler-bound])");
@@ -4038,7 +4812,14 @@ const initializePaneEditing = (app) => {
             }
 
             // Check if view already exists
-            const existingViews = await fetchRepositoryViews(app.state, accountName, repositoryName);
+            let existingViews;
+            try {
+              existingViews = await fetchRepositoryViews(app.state, accountName, repositoryName);
+            } catch (error) {
+              errorDiv.textContent = `Could not check existing views: ${error.message}`;
+              errorDiv.style.display = "block";
+              return;
+            }
             const existingView = existingViews.find(v => v.name === name || v.friendlyId === name || ensureBaseViewName(v.friendlyId) === name);
             if (existingView) {
               errorDiv.textContent = `View "${name}" already exists.`;
@@ -4159,18 +4940,7 @@ const initializePaneEditing = (app) => {
                 const viewHtmlUrl = `${host}/${encodeURIComponent(accountName)}/${encodeURIComponent(repositoryName)}/${encodeURIComponent(name)}.html`;
                 
                 try {
-                  const response = await fetch(viewHtmlUrl, {
-                    headers: {
-                      'Accept': 'text/html',
-                      'Authorization': `Bearer ${accessToken}`
-                    }
-                  });
-                  
-                  if (!response.ok) {
-                    const errorText = await getResponseText(response);
-                    alert(`Failed to load view: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ""}`);
-                    return;
-                  }
+                  const response = await app.state.http.request(viewHtmlUrl, { accountName, accept: "text/html" });
                   
                   const htmlContent = await response.text();
                   const newWindow = window.open('', '_blank', 'width=1200,height=800,scrollbars=yes,resizable=yes');
@@ -4267,11 +5037,7 @@ const initializePaneEditing = (app) => {
           const revRepo = paneRevSelect.dataset.repository;
           const revAuth = app.state.getAuthContext(revAcct);
           if (!revAuth?.token || !revAuth?.host) return;
-          const revEndpoint = `${revAuth.host}/system/accounts/${encodeURIComponent(revAcct)}/repositories/${encodeURIComponent(revRepo)}/revisions`;
-          fetch(revEndpoint, {
-            headers: { 'Accept': 'text/plain', 'Authorization': `Bearer ${revAuth.token}` }
-          })
-          .then(r => r.ok ? r.text() : Promise.reject('Failed'))
+          app.state.http.text(`${repositoryPath(revAcct, revRepo)}/revisions`, { accountName: revAcct })
           .then(text => {
             text.trim().split('\n').filter(Boolean).forEach(rev => {
               const opt = document.createElement('option');
@@ -4302,131 +5068,213 @@ const initializePaneEditing = (app) => {
   }
 };
 
-window.saveAccountPane = async (accountName) => {
-  if (!accountName || !window.appState) return;
+// A pane's save comes in two steps, so that "Save all" can send several in one transaction.
+// Preparing answers a plan: the tracker's pending `updates()`, the `request` they go to,
+// `write(config)` on its own and `complete(written)`, which shows the saved state in the
+// pane. Without an ETag the store cannot refuse a stale write, so preparing looks for
+// changes made elsewhere first.
+const prepareAccountSave = async (state, accountName) => {
   const pane = document.getElementById(paneIdAccount(accountName));
-  if (!pane) return;
-  const auth = window.appState.getAuthContext(accountName);
-  const tracker = window.appState.getAccountTracker(accountName);
-  const deltas = tracker?.deltas ? tracker.deltas() : {};
-  const configUpdates = {};
-  Object.entries(deltas || {}).forEach(([field, values]) => {
-    configUpdates[field] = values[0];
-  });
-  if (configUpdates.firstname !== undefined || configUpdates.familyname !== undefined) {
-    const first =
-      configUpdates.firstname ??
-      tracker?.firstname ??
-      tracker?.first_name ??
-      "";
-    const last =
-      configUpdates.familyname ??
-      tracker?.familyname ??
-      tracker?.family_name ??
-      tracker?.last_name ??
-      tracker?.lastname ??
-      "";
-    configUpdates.fullname = `${first} ${last}`.trim();
-  }
-  if (!Object.keys(configUpdates).length) {
-    const saveButton = document.querySelector(`[data-tab-id="${paneIdAccount(accountName)}"][data-tab-action="save"]`);
-    if (saveButton) saveButton.setAttribute("aria-disabled", "true");
-    return;
-  }
-  const updated = await updateAccountConfiguration({
-    host: auth?.host,
-    token: auth?.token,
-    accountName,
-    config: configUpdates,
-  });
-  const mergedConfig = { ...(auth?.config || {}), ...(updated || configUpdates) };
-  if (auth) {
-    window.appState.authStore.setAuth(accountName, auth.token, mergedConfig, auth.host);
-  }
-  window.appState.setAccountFromConfig(accountName, mergedConfig);
-  pane.querySelectorAll("input.profile-input").forEach((input) => {
-    const newValue = input.value;
-    const span = document.createElement("span");
-    span.className = "foaf-value";
-    span.dataset.field = input.dataset.field;
-    span.dataset.type = input.dataset.type || "text";
-    span.dataset.editable = "true";
-    span.textContent = newValue;
-    input.replaceWith(span);
-  });
-  const fullNameSpan = pane.querySelector('.foaf-value[data-field="fullname"]');
-  if (fullNameSpan) {
-    const first =
-      mergedConfig.firstname ||
-      mergedConfig.first_name ||
-      configUpdates.firstname ||
-      "";
-    const last =
-      mergedConfig.familyname ||
-      mergedConfig.family_name ||
-      mergedConfig.last_name ||
-      mergedConfig.lastname ||
-      configUpdates.familyname ||
-      "";
-    fullNameSpan.textContent = `${first} ${last}`.trim();
-  }
-  if (tracker?.setStateClean) {
-    tracker.setStateClean();
-  }
-  const saveButton = document.querySelector(`[data-tab-id="${paneIdAccount(accountName)}"][data-tab-action="save"]`);
-  if (saveButton) saveButton.setAttribute("aria-disabled", "true");
+  if (!pane) return null;
+  const auth = state.getAuthContext(accountName);
+  const tracker = state.getAccountTracker(accountName);
+  const label = `Account ${accountName}`;
+  const refetch = () => fetchAccountConfig(state, accountName);
+  let changedElsewhere = false;
+  if (!state.configVersions.has(accountVersionKey(accountName))) {
+    const stored = await refetch().catch((error) => {
+      console.warn("[AccountPane] Could not check for concurrent changes:", error);
+      return null;
+    });
+    const changed = await mergeTrackerState(state, { tracker, label, remote: stored, pane });
+    if (!changed) throw new Error(`cancelled, ${label} was changed by someone else`);
+    changedElsewhere = changed.length > 0;
+  }
+  const accountUpdates = () => {
+    const updates = {};
+    Object.entries(tracker?.deltas?.() || {}).forEach(([field, values]) => {
+      updates[field] = values[0];
+    });
+    if (updates.firstname !== undefined || updates.familyname !== undefined) {
+      const first =
+        updates.firstname ??
+        tracker?.firstname ??
+        tracker?.first_name ??
+        "";
+      const last =
+        updates.familyname ??
+        tracker?.familyname ??
+        tracker?.family_name ??
+        tracker?.last_name ??
+        tracker?.lastname ??
+        "";
+      updates.fullname = `${first} ${last}`.trim();
+    }
+    return updates;
+  };
+  const complete = (written) => {
+    const configUpdates = written.config;
+    const updated = written.result;
+    const mergedConfig = { ...(auth?.config || {}), ...(updated || configUpdates) };
+    if (auth) {
+      state.authStore.setAuth(accountName, auth.token, mergedConfig, auth.host);
+    }
+    state.setAccountFromConfig(accountName, mergedConfig);
+    pane.querySelectorAll("input.profile-input").forEach((input) => {
+      const newValue = input.value;
+      const span = document.createElement("span");
+      span.className = "foaf-value";
+      span.dataset.field = input.dataset.field;
+      span.dataset.type = input.dataset.type || "text";
+      span.dataset.editable = "true";
+      span.textContent = newValue;
+      input.replaceWith(span);
+    });
+    const fullNameSpan = pane.querySelector('.foaf-value[data-field="fullname"]');
+    if (fullNameSpan) {
+      const first =
+        mergedConfig.firstname ||
+        mergedConfig.first_name ||
+        configUpdates.firstname ||
+        "";
+      const last =
+        mergedConfig.familyname ||
+        mergedConfig.family_name ||
+        mergedConfig.last_name ||
+        mergedConfig.lastname ||
+        configUpdates.familyname ||
+        "";
+      fullNameSpan.textContent = `${first} ${last}`.trim();
+    }
+    if (tracker?.setStateClean) {
+      tracker.setStateClean();
+    }
+    state.editHistory.clear(pane.getAttribute("id"), tracker);
+    disablePaneSave(pane);
+    return { changedElsewhere: changedElsewhere || written.changedElsewhere };
+  };
+  return {
+    label,
+    tracker,
+    pane,
+    refetch,
+    changedElsewhere,
+    request: { accountName, path: accountConfigurationPath(accountName), versionKey: accountVersionKey(accountName) },
+    updates: accountUpdates,
+    write: (config) => updateAccountConfiguration({ state, accountName, config }),
+    complete,
+  };
 };
 
-window.saveRepositoryPane = async (accountName, repositoryName) => {
-  if (!accountName || !repositoryName || !window.appState) return;
+const prepareRepositorySave = async (state, accountName, repositoryName) => {
   const pane = document.getElementById(paneIdRepository(accountName, repositoryName));
-  if (!pane) return;
-  const auth = window.appState.getAuthContext(accountName);
-  const tracker = window.appState.getRepositoryTracker(accountName, repositoryName);
-  const deltas = tracker?.deltas ? tracker.deltas() : {};
-  const configUpdates = {};
-  Object.entries(deltas || {}).forEach(([field, values]) => {
-    let value = values[0];
-    if (field === "permissible_ip_addresses" && typeof value === "string") {
-      value = value
-        .split("\n")
-        .map((line) => line.trim())
-        .filter(Boolean);
-    }
-    if (field === "prefixes") {
-      // Prefixes is a string with entries separated by \n
-      // Just use the string value as-is
-      value = String(value || "");
+  if (!pane) return null;
+  const tracker = state.getRepositoryTracker(accountName, repositoryName);
+  const label = `Repository ${accountName}/${repositoryName}`;
+  const refetch = () => fetchRepositoryConfig(state, accountName, repositoryName, true);
+  let changedElsewhere = false;
+  if (!state.configVersions.has(repositoryVersionKey(accountName, repositoryName))) {
+    const stored = await refetch().catch((error) => {
+      console.warn("[RepositoryPane] Could not check for concurrent changes:", error);
+      return null;
+    });
+    const changed = await mergeTrackerState(state, { tracker, label, remote: stored, pane });
+    if (!changed) throw new Error(`cancelled, ${label} was changed by someone else`);
+    changedElsewhere = changed.length > 0;
+  }
+  const repositoryUpdates = () => {
+    const updates = {};
+    Object.entries(tracker?.deltas?.() || {}).forEach(([field, values]) => {
+      let value = values[0];
+      if (field === "permissible_ip_addresses" && typeof value === "string") {
+        value = value
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean);
+      }
+      if (field === "prefixes") {
+        // Prefixes is a string with entries separated by \n
+        // Just use the string value as-is
+        value = String(value || "");
+      }
+      updates[field] = value;
+    });
+    return updates;
+  };
+  const complete = (written) => {
+    const configUpdates = written.config;
+    // Invalidate cache to ensure fresh data on next fetch
+    invalidateRepositoryConfigCache(state, accountName, repositoryName);
+    // Update the Readme section if description was saved
+    if (configUpdates.description !== undefined) {
+      const readmeContainer = pane.querySelector("#repository-markdown");
+      if (readmeContainer) {
+        const descriptionText = configUpdates.description || "";
+        readmeContainer.innerHTML = descriptionText ? `<p>${escapeHtml(descriptionText)}</p>` : `<p>A description has not been added for this repository yet.</p>`;
+      }
     }
-    configUpdates[field] = value;
-  });
-  if (!Object.keys(configUpdates).length) {
-    const saveButton = document.querySelector(`[data-tab-id="${paneIdRepository(accountName, repositoryName)}"][data-tab-action="save"]`);
-    if (saveButton) saveButton.setAttribute("aria-disabled", "true");
-    return;
-  }
-  await updateRepositoryConfiguration({
-    host: auth?.host,
-    token: auth?.token,
-    accountName,
-    repositoryName,
-    config: configUpdates,
-  });
-  // Invalidate cache to ensure fresh data on next fetch
-  invalidateRepositoryConfigCache(window.appState, accountName, repositoryName);
-  // Update the Readme section if description was saved
-  if (configUpdates.description !== undefined) {
-    const readmeContainer = pane.querySelector("#repository-markdown");
-    if (readmeContainer) {
-      const descriptionText = configUpdates.description || "";
-      readmeContainer.innerHTML = descriptionText ? `<p>${escapeHtml(descriptionText)}</p>` : `<p>A description has not been added for this repository yet.</p>`;
+    disablePaneSave(pane);
+    if (tracker?.setStateClean) {
+      tracker.setStateClean();
     }
+    state.editHistory.clear(pane.getAttribute("id"), tracker);
+    // The write left its ETag as the configuration's version
+    noteLocalRepositoryChange(state, accountName, repositoryName, state.configVersions.get(repositoryVersionKey(accountName, repositoryName)));
+    return { changedElsewhere: changedElsewhere || written.changedElsewhere };
+  };
+  return {
+    label,
+    tracker,
+    pane,
+    refetch,
+    changedElsewhere,
+    request: {
+      accountName,
+      path: `${repositoryPath(accountName, repositoryName)}/configuration`,
+      versionKey: repositoryVersionKey(accountName, repositoryName),
+    },
+    updates: repositoryUpdates,
+    write: (config) => updateRepositoryConfiguration({ state, accountName, repositoryName, config }),
+    complete,
+  };
+};
+
+const disablePaneSave = (pane) => {
+  document.querySelector(`[data-tab-id="${pane.getAttribute("id")}"][data-tab-action="save"]`)?.setAttribute("aria-disabled", "true");
+};
+
+// Save a prepared pane on its own; a 412 is merged and written again.
+const savePreparedPane = async (state, plan) => {
+  if (!Object.keys(plan.updates()).length) {
+    disablePaneSave(plan.pane);
+    return { changedElsewhere: plan.changedElsewhere };
   }
-  const saveButton = document.querySelector(`[data-tab-id="${paneIdRepository(accountName, repositoryName)}"][data-tab-action="save"]`);
-  if (saveButton) saveButton.setAttribute("aria-disabled", "true");
-  if (tracker?.setStateClean) {
-    tracker.setStateClean();
+  return plan.complete(await writeTrackedConfiguration(state, plan));
+};
+
+// A prepared pane's part of a "Save all" transaction, or null with nothing to write.
+const transactionPart = (plan) => {
+  const config = plan.updates();
+  if (!Object.keys(config).length) {
+    disablePaneSave(plan.pane);
+    return null;
   }
+  return {
+    request: { ...plan.request, config },
+    complete: (result) => plan.complete({ config, result, changedElsewhere: false }),
+  };
+};
+
+window.saveAccountPane = async (accountName) => {
+  if (!accountName || !window.appState) return;
+  const plan = await prepareAccountSave(window.appState, accountName);
+  return plan ? savePreparedPane(window.appState, plan) : undefined;
+};
+
+window.saveRepositoryPane = async (accountName, repositoryName) => {
+  if (!accountName || !repositoryName || !window.appState) return;
+  const plan = await prepareRepositorySave(window.appState, accountName, repositoryName);
+  return plan ? savePreparedPane(window.appState, plan) : undefined;
 };
 
 const normalizeViews = (views = []) => {
@@ -4469,69 +5317,48 @@ const fetchRepositoryViews = async (state, accountName, repositoryName, config =
     .sort((a, b) => a.name.localeCompare(b.name));
 };
 
-const fetchViewText = async ({ auth, accountName, repositoryName, viewName }) => {
+const fetchViewText = async ({ state, accountName, repositoryName, viewName }) => {
+  const auth = state.getAuthContext(accountName);
   if (!auth?.token || !auth?.host) return "";
-  const response = await fetch(
-    `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/views/${encodeURIComponent(ensureBaseViewName(viewName))}`,
-    {
-      method: "GET",
-      headers: {
-        Accept: "application/sparql-query",
-        Authorization: `Bearer ${auth.token}`,
-      },
-    }
-  );
-  if (!response.ok) {
-    return "";
+  try {
+    return await state.http.text(`${repositoryPath(accountName, repositoryName)}/views/${encodeURIComponent(ensureBaseViewName(viewName))}`, {
+      accountName,
+      accept: "application/sparql-query",
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) return "";
+    throw error;
   }
-  return response.text();
 };
 
 const fetchAccountRepositories = async (state, accountName) => {
-  let repos = await state.listRepositories(accountName);
-  repos = [...repos].sort((a, b) => (a?.name || "").localeCompare(b?.name || ""));
-  const auth = state.getAuthContext(accountName);
-  if (auth?.token && auth?.host) {
-    try {
-      const response = await fetch(
-        `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories`,
-        {
-          method: "GET",
-          headers: {
-            Accept: "application/json",
-            Authorization: `Bearer ${auth.token}`,
-          },
-        }
-      );
-      if (response.ok) {
-        const data = await response.json();
-        const remoteRepos = normalizeRepositories(data);
-        if (remoteRepos.length) {
-          repos = remoteRepos.map((repo, index) => ({
-            friendlyId: repo.name || repo.key || repo.id || `repo-${index}`,
-            name: repo.name || repo.key || repo.id || `repo-${index}`,
-            summary: repo.summary || "",
-            quadCount: repo.quads || repo.quad_count || repo.statements || 0,
-            diskSize: repo.disk_size || repo.size || "",
-          }));
-          repos = repos.sort((a, b) => (a?.name || "").localeCompare(b?.name || ""));
-        }
-      }
-    } catch (error) {
-      // Fall back to cached repositories.
-    }
+  // AppState consults the live DydraClient first and falls back to cached repositories.
+  const repos = await state.listRepositories(accountName);
+  return [...repos].sort((a, b) => (a?.name || "").localeCompare(b?.name || ""));
+};
+
+// The repositories for an account pane, or the request error to show in their place.
+const loadAccountRepositories = async (state, accountName) => {
+  try {
+    return { repos: await fetchAccountRepositories(state, accountName), reposError: null };
+  } catch (error) {
+    console.error("Failed to load the repositories of", accountName, error);
+    return { repos: [], reposError: error };
   }
-  return repos;
 };
 
-const renderAccountRepositories = ({ account, repos }) => `
+// Shown where a list could not be read, so that it does not pass for an empty one.
+const renderLoadError = (what, error) =>
+  `<p class="load-error" data-testid="load-error">Error loading ${escapeHtml(what)}: ${escapeHtml(error.message)}</p>`;
+
+const renderAccountRepositories = ({ account, repos, reposError = null }) => `
   <div id="account">
     <div id="account-repositories">
       <h2>
         <span class="action"><button type="button" class="repo-new-btn" data-account="${escapeHtml(account?.friendlyId || "")}" data-testid="repo-new-btn" style="font-size:13px;padding:2px 8px;cursor:pointer;">New Repository</button></span>
         Repositories
       </h2>
-      ${repos.length ? joinHtml(repos.map((repo, index) => `
+      ${reposError ? renderLoadError("the repositories", reposError) : repos.length ? joinHtml(repos.map((repo, index) => `
         <div class="repository ${index % 2 === 0 ? "odd" : "even"}">
           <div class="title ${repo.summary ? "" : "blank"}">
             <a href="${BASE_PATH}/account/${escapeHtml(account?.friendlyId || "")}/repositories/${escapeHtml(repo.friendlyId)}">${escapeHtml(repo.name)}</a>
@@ -4716,6 +5543,7 @@ const renderAccountSidebar = ({ account, accountName, containerId = "", config =
           <button type="button" class="manage-tab" data-tab="settings" title="Configuration"><img src="./images/settings.svg" alt="Configuration" width="16" height="16" /></button>
           <button type="button" class="manage-tab" data-tab="authentication" title="Authentication"><img src="./images/lock.svg" alt="Authentication" width="16" height="16" /></button>
           <button type="button" class="manage-tab" data-tab="prefixes" title="Prefixes"><img src="./images/puzzle.svg" alt="Prefixes" width="16" height="16" /></button>
+          <button type="button" class="edit-history-btn" data-testid="edit-history-btn" title="Edit history (Ctrl+Z / Ctrl+Shift+Z)" aria-expanded="false"><img src="./images/history.svg" alt="Edit history" width="16" height="16" /></button>
         </div>
         <div class="manage-tab-content">
           <div class="tab-panel active" data-panel="profile">
@@ -4795,7 +5623,9 @@ const renderAccountSidebar = ({ account, accountName, containerId = "", config =
   `;
 };
 
-const initializeViewPanes = async (app) => {
+// `linked` names the view a route was entered for, with the editor settings from its
+// deep link (see editorLinkOptions); the other view panes open with the defaults.
+const initializeViewPanes = async (app, { linked = null } = {}) => {
   if (!app || typeof window.createSparqlEditor !== "function") return;
 
   const viewPanes = document.querySelectorAll(".view-pane");
@@ -4819,21 +5649,36 @@ const initializeViewPanes = async (app) => {
     const sparqlEndpoint = `${host}/${accountName}/${repositoryName}/sparql`;
     const viewUrl = `${host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/views/${encodeURIComponent(baseViewName)}`;
 
-    // Fetch repository config to get class for revision support
-    const repoConfig = await fetchRepositoryConfig(app.state, accountName, repositoryName);
+    // Fetch repository config to get class for revision support; without it the
+    // editor simply offers no revision selection.
+    const repoConfig = await fetchRepositoryConfig(app.state, accountName, repositoryName).catch((error) => {
+      console.warn("[ViewPane] Failed to load repository configuration", error);
+      return null;
+    });
     const repoClass = repoConfig?.class || '';
     const revisionsEndpoint = /revisioned/i.test(repoClass)
       ? `${host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/revisions`
       : '';
 
     // Fetch view text
-    const viewText = await fetchViewText({
-      auth,
-      accountName,
-      repositoryName,
-      viewName: baseViewName,
-    });
+    let viewText;
+    try {
+      viewText = await fetchViewText({
+        state: app.state,
+        accountName,
+        repositoryName,
+        viewName: baseViewName,
+      });
+    } catch (error) {
+      console.error("[ViewPane] Failed to load view text", error);
+      container.textContent = `Could not load view ${baseViewName}: ${error.message}`;
+      continue;
+    }
 
+    const viewDraft = trackViewDraft(app, accountName, repositoryName, baseViewName, viewText);
+    const isLinked = linked?.accountName === accountName
+      && linked?.repositoryName === repositoryName
+      && linked?.viewName === baseViewName;
     const editorApi = window.createSparqlEditor({
       container,
       viewUrl,
@@ -4843,10 +5688,13 @@ const initializeViewPanes = async (app) => {
       repositoryName,
       repositoryClass: repoClass,
       revisionsEndpoint,
+      revisionIdentifiers,
+      asyncJobs: app.state.asyncJobs,
           viewName: baseViewName,
-          sparql: viewText !== null ? (viewText || "SELECT * WHERE { ?s ?p ?o } LIMIT 10") : "SELECT * WHERE { ?s ?p ?o } LIMIT 10",
+          sparql: viewDraft.initialText,
       options: {
             title: `/${accountName}/${repositoryName}/${baseViewName}`,
+        ...(isLinked ? editorLinkOptions(linked.query) : {}),
         initialState: "open",
         showEventLog: true,
         showEditorToggle: true,
@@ -4855,6 +5703,7 @@ const initializeViewPanes = async (app) => {
         showResetButton: true,
         showCloseButton: true,
         onQueryBlur: (queryText) => {
+          viewDraft.record(queryText);
           // Synchronize query text to all other editors for this view
           const otherEditors = findEditorsForView(app, accountName, repositoryName, baseViewName).filter(e => e !== editorApi);
           otherEditors.forEach((otherEditor) => {
@@ -4867,6 +5716,7 @@ const initializeViewPanes = async (app) => {
             }
           });
         },
+        onQuerySaved: viewDraft.saved,
         onClose: () => {
           app.state.removeOpenView(accountName, repositoryName, baseViewName);
           // Remove editor instance from map
@@ -4889,6 +5739,7 @@ const initializeViewPanes = async (app) => {
     if (app.editorInstances) {
       app.editorInstances.set(paneId, editorApi);
     }
+    viewDraft.watch(paneId, editorApi);
   }
 };
 
@@ -4937,7 +5788,9 @@ const attachAccountSidebarHandlers = (app) => {
             if (tracker) {
               // Prefixes is a string with entries separated by \n
               // Just store the string value as-is
-              tracker.prefixes = String(textarea.value || "");
+              app.state.editHistory.track(pane.getAttribute("id"), tracker, ["prefixes"], () => {
+                tracker.prefixes = String(textarea.value || "");
+              });
               updateSaveButtonVisibility(pane, "textarea.prefix-input", tracker);
             }
           }
@@ -4956,19 +5809,11 @@ const attachAccountSidebarHandlers = (app) => {
       const auth = app.state.getAuthContext(accountName);
       if (!auth?.token || !auth?.host) return;
       try {
-        const url = `${auth.host}/${encodeURIComponent(accountName)}/auth_token`;
-        const response = await fetch(url, {
+        const response = await app.state.http.request(`/${encodeURIComponent(accountName)}/auth_token`, {
+          accountName,
           method: "POST",
-          headers: {
-            Authorization: `Bearer ${auth.token}`,
-            Accept: "text/html",
-          },
+          accept: "text/html",
         });
-        if (!response.ok) {
-          const errorText = await getResponseText(response);
-          alert(`Failed to reset token (${response.status})${errorText ? ` - ${errorText}` : ""}`);
-          return;
-        }
         const html = await response.text();
         // Parse the token from the HTML response
         const parser = new DOMParser();
@@ -5034,7 +5879,7 @@ export class HomePage extends BasePage {
   async renderContent() {
     const { navLinks, session } = this.context || {};
     const currentAccount = session?.accountName
-      ? await this.state.getAccount(session.accountName)
+      ? await this.state.getAccount(session.accountName).catch(() => null)
       : null;
     const infoContent = `
       <div id="feature">
@@ -5166,7 +6011,7 @@ export class HomePage extends BasePage {
     const hasOpenAccounts = this.state.listOpenAccounts().length > 0;
     const tabs = await buildGlobalTabs(this.state, { includeInfo: !hasOpenAccounts });
     return {
-      defaultTab: "#tab-login",
+      defaultTab: this.state.activeTab || "#tab-login",
       bar: renderPaneTabsBar({ tabs }),
     };
   }
@@ -5350,7 +6195,7 @@ export class SignupPage extends BasePage {
       <form class="formtastic" onsubmit="return false;">
         <fieldset class="inputs">
           <ol>
-            ${APP_CONFIG.requireSignupInvite ? `<li class="string optional"><label>Invite code</label><input type="text" name="invite_code" /></li>` : ""}
+            ${this.isFeatureEnabled("requireSignupInvite") ? `<li class="string optional"><label>Invite code</label><input type="text" name="invite_code" /></li>` : ""}
             <li class="string optional"><label>Username</label><input type="text" name="name" /></li>
             <li class="email optional"><label>Email</label><input type="email" name="email" /></li>
             <li class="password optional"><label>Password</label><input type="password" name="password" /></li>
@@ -5489,8 +6334,6 @@ export class AccountRoute extends BasePage {
   }
 
   async renderContent() {
-    const account = await this.state.getAccount(this.params.account_name);
-    const repos = await fetchAccountRepositories(this.state, this.params.account_name);
     this.state.addOpenAccount(this.params.account_name);
     const accountPanes = await buildAccountPanes(this.state);
     const repositoryPanes = await buildRepositoryPanes(this.state);
@@ -5521,7 +6364,7 @@ export class AccountRoute extends BasePage {
   }
 
   async getPaneTabs() {
-    const account = await this.state.getAccount(this.params.account_name);
+    const account = await this.state.getAccount(this.params.account_name).catch(() => null);
     this.state.addOpenAccount(this.params.account_name);
     const tabs = await buildGlobalTabs(this.state, { includeInfo: false });
     return {
@@ -5712,7 +6555,7 @@ export class AccountAuthTokenPage extends BasePage {
   }
 
   async renderContent() {
-    const account = await this.state.getAccount(this.params.account_name);
+    const account = await this.state.getAccount(this.params.account_name).catch(() => null);
     return `
       <p>Your API Key is shown below. You will need this to access your account via the command line tools.</p>
       <textarea id="auth_token">${escapeHtml(account?.authenticationToken || "")}</textarea>
@@ -5726,7 +6569,12 @@ export class RepositoriesIndexPage extends BasePage {
   }
 
   async renderContent() {
-    const repos = await this.state.listRepositories(this.params.account_name);
+    let repos;
+    try {
+      repos = await this.state.listRepositories(this.params.account_name);
+    } catch (error) {
+      return `<h1 id="content-title">Repositories</h1>${renderLoadError("repositories", error)}`;
+    }
     if (!repos.length) {
       return `<h1 id="content-title">Repositories</h1><p>No repositories found.</p>`;
     }
@@ -5771,12 +6619,15 @@ export class RepositoryRoute extends BasePage {
 
   async renderSidebar() {
     const { account_name, repository_name } = this.params;
-    const repository = await this.state.getRepository(account_name, repository_name);
+    const repository = await this.state.getRepository(account_name, repository_name).catch(() => null);
     // Try to get config from tracker first (if pane was already rendered), otherwise fetch it
     const tracker = this.state.getRepositoryTracker(account_name, repository_name);
     let config = tracker?.config;
     if (!config) {
-      config = await fetchRepositoryConfig(this.state, account_name, repository_name);
+      config = await fetchRepositoryConfig(this.state, account_name, repository_name).catch((error) => {
+        console.warn("Failed to load repository configuration:", error);
+        return null;
+      });
     }
     const fields = [
       { label: "Homepage", value: config?.homepage || repository?.homepage, isLink: true },
@@ -5880,13 +6731,20 @@ export class RepositoryRoute extends BasePage {
           viewText = view.queryText;
         } else {
           // queryText is undefined - fetch it for existing view
-          viewText = await fetchViewText({
-          auth,
-          accountName,
-          repositoryName,
-            viewName: baseViewName,
-        });
+          try {
+            viewText = await fetchViewText({
+              state: this.state,
+              accountName,
+              repositoryName,
+              viewName: baseViewName,
+            });
+          } catch (error) {
+            console.error("[ViewEditor] Failed to load view text", error);
+            body.textContent = `Could not load view ${baseViewName}: ${error.message}`;
+            return;
+          }
         }
+        const viewDraft = trackViewDraft(app, accountName, repositoryName, baseViewName, viewText);
         const editorApi = window.createSparqlEditor({
           container: body,
           viewUrl,
@@ -5896,8 +6754,10 @@ export class RepositoryRoute extends BasePage {
           repositoryName,
           repositoryClass: repoClass,
           revisionsEndpoint,
+          revisionIdentifiers,
+          asyncJobs: this.state.asyncJobs,
           viewName: baseViewName,
-          sparql: viewText !== null ? (viewText || "SELECT * WHERE { ?s ?p ?o } LIMIT 10") : "SELECT * WHERE { ?s ?p ?o } LIMIT 10",
+          sparql: viewDraft.initialText,
           options: {
             title: `/${accountName}/${repositoryName}/${baseViewName}`,
             initialState: "open",
@@ -5908,6 +6768,7 @@ export class RepositoryRoute extends BasePage {
             showResetButton: true,
             showCloseButton: true,
             onQueryBlur: (queryText) => {
+              viewDraft.record(queryText);
               // Synchronize query text to all other editors for this view
               const otherEditors = findEditorsForView(app, accountName, repositoryName, baseViewName).filter(e => e !== editorApi);
               otherEditors.forEach((otherEditor) => {
@@ -5920,6 +6781,7 @@ export class RepositoryRoute extends BasePage {
                 }
               });
             },
+            onQuerySaved: viewDraft.saved,
             onClose: () => {
               openViews.delete(view.friendlyId);
               // Remove editor instance from map if app is available
@@ -5939,6 +6801,7 @@ export class RepositoryRoute extends BasePage {
           const repoEditorId = `repo-editor-${accountName.replace(/[^a-z0-9_-]/gi, "-")}-${repositoryName.replace(/[^a-z0-9_-]/gi, "-")}-${baseViewName.replace(/[^a-z0-9_-]/gi, "-")}`;
           app.editorInstances.set(repoEditorId, editorApi);
         }
+        viewDraft.watch(`${paneIdRepository(accountName, repositoryName)}/view/${baseViewName}`, editorApi);
       };
 
       const getDragAfterElement = (containerEl, y) => {
@@ -6047,22 +6910,10 @@ export class RepositoryRoute extends BasePage {
             if (!viewName) return;
             const auth = this.state.getAuthContext(accountName);
             const host = auth?.host || window.location.origin;
-            const accessToken = this.state.getAuthToken(accountName);
             const viewHtmlUrl = `${host}/${encodeURIComponent(accountName)}/${encodeURIComponent(repositoryName)}/${encodeURIComponent(viewName)}.html`;
             
             try {
-              const response = await fetch(viewHtmlUrl, {
-                headers: {
-                  'Accept': 'text/html',
-                  'Authorization': `Bearer ${accessToken}`
-                }
-              });
-              
-              if (!response.ok) {
-                const errorText = await getResponseText(response);
-                alert(`Failed to load view: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ""}`);
-            return;
-          }
+              const response = await this.state.http.request(viewHtmlUrl, { accountName, accept: "text/html" });
               
               const htmlContent = await response.text();
               const newWindow = window.open('', '_blank', 'width=1200,height=800,scrollbars=yes,resizable=yes');
@@ -6147,7 +6998,14 @@ export class RepositoryRoute extends BasePage {
               }
 
               // Check if view already exists
-              const existingViews = await fetchRepositoryViews(this.state, accountName, repositoryName);
+              let existingViews;
+              try {
+                existingViews = await fetchRepositoryViews(this.state, accountName, repositoryName);
+              } catch (error) {
+                errorDiv.textContent = `Could not check existing views: ${error.message}`;
+                errorDiv.style.display = "block";
+                return;
+              }
               const existingView = existingViews.find(v => v.name === name || v.friendlyId === name || ensureBaseViewName(v.friendlyId) === name);
               if (existingView) {
                 errorDiv.textContent = `View "${name}" already exists.`;
@@ -6264,18 +7122,7 @@ export class RepositoryRoute extends BasePage {
                   const viewHtmlUrl = `${host}/${encodeURIComponent(accountName)}/${encodeURIComponent(repositoryName)}/${encodeURIComponent(name)}.html`;
                   
                   try {
-                    const response = await fetch(viewHtmlUrl, {
-                      headers: {
-                        'Accept': 'text/html',
-                        'Authorization': `Bearer ${accessToken}`
-                      }
-                    });
-                    
-                    if (!response.ok) {
-                      const errorText = await getResponseText(response);
-                      alert(`Failed to load view: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ""}`);
-                      return;
-                    }
+                    const response = await this.state.http.request(viewHtmlUrl, { accountName, accept: "text/html" });
                     
                     const htmlContent = await response.text();
                     const newWindow = window.open('', '_blank', 'width=1200,height=800,scrollbars=yes,resizable=yes');
@@ -6373,11 +7220,7 @@ export class RepositoryRoute extends BasePage {
           const revRepo = paneRevSelect.dataset.repository;
           const revAuth = this.state.getAuthContext(revAcct);
           if (!revAuth?.token || !revAuth?.host) return;
-          const revEndpoint = `${revAuth.host}/system/accounts/${encodeURIComponent(revAcct)}/repositories/${encodeURIComponent(revRepo)}/revisions`;
-          fetch(revEndpoint, {
-            headers: { 'Accept': 'text/plain', 'Authorization': `Bearer ${revAuth.token}` }
-          })
-          .then(r => r.ok ? r.text() : Promise.reject('Failed'))
+          this.state.http.text(`${repositoryPath(revAcct, revRepo)}/revisions`, { accountName: revAcct })
           .then(text => {
             text.trim().split('\n').filter(Boolean).forEach(rev => {
               const opt = document.createElement('option');
@@ -6431,8 +7274,8 @@ export class RepositoryRoute extends BasePage {
 
   async getPaneTabs() {
     const { account_name, repository_name } = this.params;
-    const account = await this.state.getAccount(account_name);
-    const repository = await this.state.getRepository(account_name, repository_name);
+    const account = await this.state.getAccount(account_name).catch(() => null);
+    const repository = await this.state.getRepository(account_name, repository_name).catch(() => null);
     const accountLabel = escapeHtml(account?.friendlyId || account_name);
     const repositoryLabel = escapeHtml(repository?.friendlyId || repository_name);
     const accountPath = encodeURIComponent(account_name);
@@ -6708,51 +7551,7 @@ export class SparqlPage extends BasePage {
       <div id="query-editor-loading">
         <img src="/images/loading.gif" alt="loading" /> Loading...
       </div>
-      <div id="query-editor" style="display:none;">
-        <div id="layout-main" class="layout-center">
-          <div id="query-form" class="layout-north">
-            <div class="layout-north">
-              <h2>
-                <div class="action-bar">
-                  <button id="run"><span class="icon icon-play"></span><span class="text">Run</span></button>
-                  <button id="save"><span class="icon icon-disk"></span><span class="text">Save</span></button>
-                  <button id="save-as"><span class="icon icon-disk"></span><span class="text">Save as</span></button>
-                  <button id="clear"><span class="icon icon-trash"></span><span class="text">Clear</span></button>
-                </div>
-                Name:&nbsp;<input id="query-title" value="Untitled View *" />
-              </h2>
-            </div>
-            <div id="query-text" class="layout-center" tabindex="0"></div>
-          </div>
-          <div id="query-name-form" style="display:none;">
-            <input type="text" id="new-query-name" />
-          </div>
-          <div id="query-results" class="layout-center"></div>
-        </div>
-        <div id="side-panel" class="layout-west">
-          <div id="side-panel-accordion">
-            <h3>
-              <span class="action-bar"><button id="new"><span class="icon icon-plusthick"></span></button></span>
-              <a href="#">Views</a>
-            </h3>
-            <div id="saved-queries-wrapper"><div id="query-list"></div></div>
-            <h3>
-              <span class="action-bar"><button id="prefix-help"><span class="icon icon-help"></span></button></span>
-              <a href="#">Default Prefixes</a>
-            </h3>
-            <div id="default-prefixes-wrapper">
-              <table>
-                <tr><td class="prefix odd"><strong>foaf</strong>:</td><td>http://xmlns.com/foaf/0.1/</td></tr>
-                <tr><td class="prefix even"><strong>rdf</strong>:</td><td>http://www.w3.org/1999/02/22-rdf-syntax-ns#</td></tr>
-              </table>
-            </div>
-          </div>
-        </div>
-      </div>
-      <div id="default-prefixes-help" title="Default Prefixes" style="display:none;">
-        <p>Default prefixes are automatically available to you without having to explicitly define them in your query.</p>
-        <p><a href="http://${APP_CONFIG.docsHost}/prefixes">Learn more about default prefixes here.</a></p>
-      </div>
+      <div id="query-editor" class="query-editor"></div>
     `;
   }
 
@@ -6766,6 +7565,58 @@ export class SparqlPage extends BasePage {
       </div>
     `;
   }
+
+  // The editor runs against the repository's SPARQL endpoint; a deep link may select
+  // the revision (?revision=), the media type (?accept=) and parameter values ($name=).
+  async afterRender() {
+    const app = this.context?.app;
+    const container = document.getElementById("query-editor");
+    if (!app || !container) return;
+    const loading = document.getElementById("query-editor-loading");
+    const { account_name: accountName, repository_name: repositoryName } = this.params;
+
+    if (typeof window.createSparqlEditor !== "function") {
+      if (loading) loading.style.display = "none";
+      container.textContent = "The SPARQL editor is not available.";
+      return;
+    }
+
+    const auth = this.state.getAuthContext(accountName);
+    const host = auth?.host || window.location.origin;
+    const repoConfig = await fetchRepositoryConfig(this.state, accountName, repositoryName).catch((error) => {
+      console.warn("[SparqlPage] Failed to load repository configuration", error);
+      return null;
+    });
+    const repoClass = repoConfig?.class || "";
+    const revisionsEndpoint = /revisioned/i.test(repoClass)
+      ? `${host}${repositoryPath(accountName, repositoryName)}/revisions`
+      : "";
+
+    if (loading) loading.style.display = "none";
+    window.createSparqlEditor({
+      container,
+      sparqlEndpoint: `${host}/${accountName}/${repositoryName}/sparql`,
+      accessToken: this.state.getAuthToken(accountName),
+      accountName,
+      repositoryName,
+      repositoryClass: repoClass,
+      revisionsEndpoint,
+      revisionIdentifiers,
+      asyncJobs: this.state.asyncJobs,
+      sparql: DEFAULT_VIEW_QUERY,
+      options: {
+        title: `/${accountName}/${repositoryName}`,
+        ...editorLinkOptions(this.query),
+        initialState: "open",
+        showEventLog: true,
+        showEditorToggle: true,
+        showMediaTypeSelector: true,
+        showSaveButton: false,
+        showResetButton: true,
+        showCloseButton: false,
+      },
+    });
+  }
 }
 
 export class ViewRoute extends BasePage {
@@ -6799,8 +7650,8 @@ export class ViewRoute extends BasePage {
   async getPaneTabs() {
     const { account_name, repository_name, view_name } = this.params;
     const viewName = view_name || this.params.query_name || "";
-    const account = await this.state.getAccount(account_name);
-    const repository = await this.state.getRepository(account_name, repository_name);
+    const account = await this.state.getAccount(account_name).catch(() => null);
+    const repository = await this.state.getRepository(account_name, repository_name).catch(() => null);
     const accountLabel = escapeHtml(account?.friendlyId || account_name);
     const repositoryLabel = escapeHtml(repository?.friendlyId || repository_name);
     const accountPath = encodeURIComponent(account_name);
@@ -6838,8 +7689,11 @@ export class ViewRoute extends BasePage {
     // Initialize login form handler
     await setupInlineLogin(app);
     
-    // Initialize view panes (which will create the SPARQL editor in the view pane)
-    await initializeViewPanes(app);
+    // Initialize view panes (which will create the SPARQL editor in the view pane),
+    // applying any revision, media type and parameters in the route's query
+    const { account_name: accountName, repository_name: repositoryName } = this.params;
+    const viewName = ensureBaseViewName(this.params.view_name || this.params.query_name || "");
+    await initializeViewPanes(app, { linked: { accountName, repositoryName, viewName, query: this.query } });
     
     // Also initialize account sidebar handlers and pane editing for repository panes
     attachAccountSidebarHandlers(app);
@@ -6900,7 +7754,12 @@ export class InvitationsIndexPage extends BasePage {
   }
 
   async renderContent() {
-    const invitations = await this.state.listInvitations();
+    let invitations;
+    try {
+      invitations = await this.state.listInvitations();
+    } catch (error) {
+      return `<h1 id="content-title">Invite Requests</h1>${renderLoadError("invitations", error)}`;
+    }
     return `
       <h1 id="content-title">Invite Requests</h1>
       <div class="pagination_top"></div>
@@ -7006,24 +7865,18 @@ export class RepositoryQueryLogsPage extends BasePage {
     if (!auth?.token || !auth?.host) return "<p>Not authenticated.</p>";
 
     let entries = [];
+    let loadError = null;
     try {
-      const url = `${auth.host}/system/accounts/${encodeURIComponent(accountName)}/repositories/${encodeURIComponent(repositoryName)}/service_history?_=${Date.now()}`;
-      const resp = await fetch(url, {
+      const data = await this.state.http.json(`${repositoryPath(accountName, repositoryName)}/service_history?_=${Date.now()}`, {
+        accountName,
         cache: "no-store",
-        headers: {
-          Accept: "application/json",
-          Authorization: `Bearer ${auth.token}`,
-          "Cache-Control": "no-cache",
-        },
+        headers: { "Cache-Control": "no-cache" },
       });
-      if (resp.ok) {
-        const contentType = resp.headers.get("content-type");
-        if (contentType && contentType.includes("application/json")) {
-          const data = await resp.json();
-          entries = Array.isArray(data) ? data : (data.data || []);
-        }
-      }
-    } catch (e) { /* ignore */ }
+      entries = Array.isArray(data) ? data : (data?.data || []);
+    } catch (error) {
+      console.warn("[QueryLogs] Could not load the query history:", error);
+      loadError = error;
+    }
 
     // Sort entries
     const { column, ascending } = this.sort;
@@ -7070,7 +7923,8 @@ export class RepositoryQueryLogsPage extends BasePage {
           </tbody>
         </table>
       </div>
-      ${entries.length === 0 ? "<p>No query history data available.</p>" : ""}
+      ${loadError ? `<p>Error loading query history: ${escapeHtml(loadError.message)}</p>` : ""}
+      ${!loadError && entries.length === 0 ? "<p>No query history data available.</p>" : ""}
     `;
   }
 
@@ -7194,18 +8048,13 @@ export class StandaloneEditorPage extends BasePage {
     let repoClass = "";
     let revisionsEndpoint = "";
     try {
-      const repoConfig = await fetch(`${host}/system/accounts/${encodeURIComponent(editorData.accountName)}/repositories/${encodeURIComponent(editorData.repositoryName)}/configuration`, {
-        headers: {
-          Accept: "application/json",
-          Authorization: `Bearer ${accessToken}`,
-        },
+      // The token came with the editor data, not from the AuthStore
+      const config = await this.state.http.json(`${repositoryPath(editorData.accountName, editorData.repositoryName)}/configuration`, {
+        auth: { host, token: accessToken },
       });
-      if (repoConfig.ok) {
-        const config = await repoConfig.json();
-        repoClass = config.class || "";
-        if (/revisioned/i.test(repoClass)) {
-          revisionsEndpoint = `${host}/system/accounts/${encodeURIComponent(editorData.accountName)}/repositories/${encodeURIComponent(editorData.repositoryName)}/revisions`;
-        }
+      repoClass = config?.class || "";
+      if (/revisioned/i.test(repoClass)) {
+        revisionsEndpoint = `${host}${repositoryPath(editorData.accountName, editorData.repositoryName)}/revisions`;
       }
     } catch (e) {
       console.warn("[StandaloneEditor] Failed to fetch repository config:", e);
@@ -7220,6 +8069,8 @@ export class StandaloneEditorPage extends BasePage {
       repositoryName: editorData.repositoryName,
       repositoryClass: repoClass,
       revisionsEndpoint,
+      revisionIdentifiers,
+      asyncJobs: this.state.asyncJobs,
       viewName: editorData.viewName,
       sparql: editorData.queryText || "SELECT * WHERE { ?s ?p ?o } LIMIT 10",
       options: {
@@ -29,10 +29,12 @@ import {
   openAccountPane,
   openRepositoryPane,
   openViewPane,
+  restoreWorkspace,
 } from "./pages/index.js";
+import { completeSsoLogin } from "./components/login.js";
 
 export const buildRoutes = ({ app }) => [
-  { path: "/login", handler: async (ctx) => {
+  { path: "/login", meta: { keepsPanes: true }, handler: async (ctx) => {
     const paneId = "tab-login";
     const existingPane = document.getElementById(paneId);
     const contentContainer = document.getElementById("content-container");
@@ -47,7 +49,26 @@ export const buildRoutes = ({ app }) => [
       await app.renderPage(new LoginPage({ ...ctx, state: app.state }));
     }
   }},
-  { path: "/info", handler: async (ctx) => {
+  { path: "/oauth/callback", handler: async (ctx) => {
+    const result = await completeSsoLogin(app);
+    await app.renderPage(new HomePage({ ...ctx, state: app.state }));
+    if (result.error) {
+      app.showLocationMessage?.(result.error.message, 5000);
+      const errorBox = document.getElementById("login-error");
+      const errorText = document.getElementById("login-error-text");
+      if (errorBox && errorText) {
+        errorBox.style.display = "block";
+        errorText.textContent = result.error.message;
+      }
+      return;
+    }
+    app.updateHeaderLinks?.();
+    if (result.returnTo || !(await restoreWorkspace(app))) {
+      app.router.navigate(result.returnTo || `/account/${encodeURIComponent(result.accountName)}`, { replace: true });
+    }
+    app.showLocationMessage?.(`Authenticated as ${result.accountName}`, 3000);
+  }},
+  { path: "/info", meta: { keepsPanes: true }, handler: async (ctx) => {
     const paneId = "tab-info";
     const existingPane = document.getElementById(paneId);
     const contentContainer = document.getElementById("content-container");
@@ -68,14 +89,14 @@ export const buildRoutes = ({ app }) => [
   { path: "/confirmations/new", handler: (ctx) => app.renderPage(new ConfirmationsPage({ ...ctx, state: app.state })) },
   { path: "/unlocks/new", handler: (ctx) => app.renderPage(new UnlocksPage({ ...ctx, state: app.state })) },
   { path: "/logout", handler: (ctx) => app.handleLogout(ctx) },
-  { path: "/account", handler: (ctx) => app.renderPage(new RepositoriesIndexPage({ ...ctx, state: app.state })) },
+  { path: "/account", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoriesIndexPage({ ...ctx, state: app.state })) },
   { path: "/account/new", handler: (ctx) => app.renderPage(new AccountNewPage({ ...ctx, state: app.state })) },
-  { path: "/account", handler: (ctx) => app.renderMyAccount(ctx) },
+  { path: "/account", meta: { requiresAuth: true }, handler: (ctx) => app.renderMyAccount(ctx) },
   { path: "/invite", handler: (ctx) => app.renderPage(new InvitationsNewPage({ ...ctx, state: app.state })) },
   { path: "/invite/success", handler: (ctx) => app.renderPage(new InvitationsSuccessPage({ ...ctx, state: app.state })) },
-  { path: "/invitations", handler: (ctx) => app.renderPage(new InvitationsIndexPage({ ...ctx, state: app.state })) },
-  { path: "/repositories", handler: (ctx) => app.renderPage(new RepositoriesIndexPage({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name", handler: async (ctx) => {
+  { path: "/invitations", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new InvitationsIndexPage({ ...ctx, state: app.state })) },
+  { path: "/repositories", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoriesIndexPage({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name", meta: { requiresAuth: true, keepsPanes: true }, handler: async (ctx) => {
     const accountName = ctx.params.account_name;
     const paneId = `tab-account-${accountName.replace(/[^a-z0-9_-]/gi, "-")}`;
     const existingPane = document.getElementById(paneId);
@@ -87,15 +108,15 @@ export const buildRoutes = ({ app }) => [
       await openAccountPane(app, accountName);
     }
   }},
-  { path: "/account/:account_name/edit", handler: (ctx) => app.renderPage(new AccountEditPage({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/auth_token", handler: (ctx) => app.renderPage(new AccountAuthTokenPage({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories", handler: (ctx) => app.renderPage(new RepositoriesIndexPage({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name/import", handler: (ctx) => app.renderPage(new RepositoryImportPage({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name/query", handler: (ctx) => app.renderPage(new SparqlPage({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name/views/:view_name/execute", handler: (ctx) => app.renderPage(new ViewRoute({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name/views/:view_name/meta", handler: (ctx) => app.renderPage(new ViewRoute({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/edit", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new AccountEditPage({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/auth_token", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new AccountAuthTokenPage({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoriesIndexPage({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name/import", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoryImportPage({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name/query", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new SparqlPage({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name/views/:view_name/execute", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new ViewRoute({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name/views/:view_name/meta", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new ViewRoute({ ...ctx, state: app.state })) },
   // IMPORTANT: /views/new must come BEFORE /views/:view_name to prevent "new" from being treated as a view name
-  { path: "/account/:account_name/repositories/:repository_name/views/new", handler: async (ctx) => {
+  { path: "/account/:account_name/repositories/:repository_name/views/new", meta: { requiresAuth: true, keepsPanes: true }, handler: async (ctx) => {
     const accountName = ctx.params.account_name;
     const repositoryName = ctx.params.repository_name;
     const paneId = `tab-repository-${accountName.replace(/[^a-z0-9_-]/gi, "-")}-${repositoryName.replace(/[^a-z0-9_-]/gi, "-")}`;
@@ -124,12 +145,12 @@ export const buildRoutes = ({ app }) => [
       }
     }, 150);
   }},
-  { path: "/account/:account_name/repositories/:repository_name/edit", handler: (ctx) => app.renderPage(new RepositoryEditPage({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name/query_logs", handler: (ctx) => app.renderPage(new RepositoryQueryLogsPage({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name/status", handler: (ctx) => app.renderPage(new RepositoryRoute({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name/size", handler: (ctx) => app.renderPage(new RepositoryRoute({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name/meta", handler: (ctx) => app.renderPage(new RepositoryRoute({ ...ctx, state: app.state })) },
-  { path: "/account/:account_name/repositories/:repository_name", handler: async (ctx) => {
+  { path: "/account/:account_name/repositories/:repository_name/edit", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoryEditPage({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name/query_logs", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoryQueryLogsPage({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name/status", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoryRoute({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name/size", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoryRoute({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name/meta", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new RepositoryRoute({ ...ctx, state: app.state })) },
+  { path: "/account/:account_name/repositories/:repository_name", meta: { requiresAuth: true, keepsPanes: true }, handler: async (ctx) => {
     const accountName = ctx.params.account_name;
     const repositoryName = ctx.params.repository_name;
     const paneId = `tab-repository-${accountName.replace(/[^a-z0-9_-]/gi, "-")}-${repositoryName.replace(/[^a-z0-9_-]/gi, "-")}`;
@@ -142,7 +163,7 @@ export const buildRoutes = ({ app }) => [
       await openRepositoryPane(app, accountName, repositoryName);
     }
   }},
-  { path: "/standalone-editor", handler: (ctx) => app.renderPage(new StandaloneEditorPage({ ...ctx, state: app.state })) },
+  { path: "/standalone-editor", meta: { requiresAuth: true }, handler: (ctx) => app.renderPage(new StandaloneEditorPage({ ...ctx, state: app.state })) },
   { path: "/_maintenance", handler: (ctx) => app.renderPage(new MaintenancePage({ ...ctx, state: app.state })) },
   { path: "/_rpc_test", handler: (ctx) => app.renderPage(new RpcTestPage({ ...ctx, state: app.state })) },
   { path: "/_template", handler: (ctx) => app.renderPage(new TemplatePage({ ...ctx, state: app.state })) },
@@ -9,3 +9,84 @@ export const escapeHtml = (value) => {
 };
 
 export const joinHtml = (items) => items.filter(Boolean).join("");
+
+// Keep a "keep me signed in" session alive while the user is active, log out once it
+// has expired, and follow a sign-out on this device made in another tab.
+export const watchPersistentSession = (app) => {
+  const onActivity = async () => {
+    if (!app.state.session?.isLoggedIn()) return;
+    const alive = await app.state.touchPersistentSession();
+    if (!alive) app.handleLogout({ force: true });
+  };
+  ["click", "keydown"].forEach((type) => document.addEventListener(type, onActivity, { passive: true }));
+  app.state.vault?.onSignOut(() => {
+    if (app.state.session?.isLoggedIn()) app.handleLogout({ force: true });
+  });
+};
+
+// Registrations tied to an element (a pane, an editor panel), each released once its
+// element has been in the document and has left it: a closed tab, a redrawn page. One
+// observer serves them all and stops when none is left.
+const removalWatches = new Set();
+let removalObserver = null;
+
+const releaseRemoved = () => {
+  removalWatches.forEach((watch) => {
+    if (watch.element.isConnected) {
+      watch.connected = true;
+    } else if (watch.connected) {
+      removalWatches.delete(watch);
+      watch.dispose();
+    }
+  });
+  if (!removalWatches.size) {
+    removalObserver.disconnect();
+    removalObserver = null;
+  }
+};
+
+export const disposeWhenRemoved = (element, dispose) => {
+  if (!element || typeof dispose !== "function" || typeof MutationObserver === "undefined") return;
+  removalWatches.add({ element, dispose, connected: element.isConnected });
+  if (!removalObserver) {
+    removalObserver = new MutationObserver(releaseRemoved);
+    removalObserver.observe(document.body, { childList: true, subtree: true });
+  }
+};
+
+// A `next` path from /login?next=... which stays within the app, or null.
+export const safeNextPath = (next) => {
+  if (typeof next !== "string" || !next.startsWith("/") || next.startsWith("//")) return null;
+  return next;
+};
+
+// The deep link a login should continue to: the `next` parameter of the current route.
+export const loginRedirectTarget = (app) => safeNextPath(app.router?.currentQuery?.next);
+
+/**
+ * Router `beforeEach` guard for route meta. `requiresAuth` sends a signed-out user to
+ * `/login?next=<path>`, so the login can return to the deep link; `requiresAdmin` also
+ * asks `isAdmin()`, which may be async, and sends anyone else to `deniedPath`.
+ * Routes which redraw the page first ask the app about unsaved changes; those marked
+ * `keepsPanes` only show a pane, so the edits stay where they are.
+ */
+export const createRouteGuard = (app, {
+  loginPath = "/login",
+  deniedPath = "/",
+  isAdmin = () => Boolean(app.state.isAdmin),
+} = {}) => async (ctx) => {
+  const { requiresAuth = false, requiresAdmin = false, keepsPanes = false } = ctx.meta || {};
+  const leaving = ctx.fullPath !== app.router?.currentFullPath;
+  if (leaving && !keepsPanes && app.confirmUnsavedChanges && !(await app.confirmUnsavedChanges({ action: "leave this page" }))) {
+    return false;
+  }
+  if (!requiresAuth && !requiresAdmin) return true;
+  if (!app.state.session?.isLoggedIn()) {
+    return `${loginPath}?next=${encodeURIComponent(ctx.fullPath)}`;
+  }
+  if (requiresAdmin && !(await isAdmin())) {
+    app.showLocationMessage?.("Administrator privileges are required for this page.", 5000);
+    return deniedPath;
+  }
+  return true;
+};